@@ -7,14 +7,11 @@
 // present (via waitForLeadList) before searching for the toggle.
 
 const { waitForLeadList } = require('../utils/waitForLeadList');
+const { selector } = require('../utils/selectorRegistry');
 
-// Multiple fallbacks for the toggle selector
-const TOGGLE_SELECTORS = [
-  'button#floating-button',
-  'button#contactout-floating-button',
-  '[data-testid="contactout-floating-button"]',
-  '[aria-label*="contactout" i]',
-].join(',');
+// Multiple fallbacks for the toggle selector (the contactout.toggle
+// chain of the selector registry), read on each lookup
+const toggleSelectors = () => selector('contactout.toggle');
 
 module.exports = async function clickContactOutToggle(page, timeout = 5_000) {
   if (typeof waitForLeadList !== 'function') {
@@ -51,7 +48,7 @@ function preferredFrames(page) {
 }
 
 async function tryClickInRoot(root, smallTimeout = 300) {
-  const loc = root.locator(TOGGLE_SELECTORS).first();
+  const loc = root.locator(toggleSelectors()).first();
   try {
     // wait only for attachment (faster than "visible")
     await loc.waitFor({ state: 'attached', timeout: smallTimeout });
@@ -96,7 +93,7 @@ async function waitInExistingRoots(page, perRootTimeout = 400) {
 }
 
 async function findLocatorIfAttached(root, t) {
-  const loc = root.locator(TOGGLE_SELECTORS).first();
+  const loc = root.locator(toggleSelectors()).first();
   await loc.waitFor({ state: 'attached', timeout: t });
   return loc;
 }
@@ -1,30 +1,45 @@
 // contactOut/collectProfiles.js
 //
 // Extract profile information from the ContactOut sidebar.  Each
-// profile card contains the person's name and a list of email
-// addresses.  This helper performs a two‑phase extraction: it first
-// collects all visible cards, then performs a micro scroll and a
-// second pass to capture any lazily rendered cards.  Duplicate
-// profiles are deduplicated by name and domain list.
+// profile card contains the person's name, a list of email addresses
+// and usually a link to the person's LinkedIn profile.  Business
+// domains and the full work and personal addresses are both kept, as
+// are phone numbers with their type label.  This helper
+// performs a two‑phase extraction: it first collects all visible
+// cards, then performs a micro scroll and a second pass to capture any
+// lazily rendered cards.  Duplicate profiles are deduplicated by name,
+// domain list and LinkedIn profile.
 
-const { filterBusinessDomains } = require('./domainFilter');
+const { filterBusinessDomains, classifyEmails } = require('./domainFilter');
 const { cleanName } = require('../utils/nameCleaner');
+const { normalisePublicUrl, linkedinProfileKey } = require('../utils/leadUrlResolver');
+const { toE164, phoneType } = require('../utils/phoneNormalizer');
+const { selector, selectorChain } = require('../utils/selectorRegistry');
 
 const FAST_MODE = ['1', 'true', 'yes'].includes(String(process.env.FAST_MODE || '').toLowerCase());
 
-const ROOT_SELECTOR = 'div[data-testid="contact-information"]';
+// Card selector (contactout.card in the selector registry)
+const rootSelector = () => selector('contactout.card');
 
 /**
  * Collect profiles from a Page or Frame context.  Returns an array of
- * objects with fullName, firstName, lastName and domains (business
- * email domains).  If duplicate entries are found the last one wins.
+ * objects with fullName, firstName, lastName, domains (business email
+ * domains), linkedinUrl (the card's LinkedIn link: a public
+ * https://www.linkedin.com/in/<slug> URL or a Sales Navigator lead URL,
+ * '' when the card has none), rawName (the name as shown, for fuzzy
+ * matching of names cleanName() cannot keep, e.g. Cyrillic), emails
+ * (the card's addresses split into work and personal ones) and phones.
+ * Cards carry no location, so a phone's `number` is only set (E.164)
+ * when the card shows it in international form; mergeContactDomains
+ * normalises the `raw` text with the matched row's location.  If
+ * duplicate entries are found the last one wins.
  *
  * @param {import('playwright').Page|import('playwright').Frame} context
- * @returns {Promise<Array<{fullName:string, firstName:string, lastName:string, domains:string[]}>>}
+ * @returns {Promise<Array<{fullName:string, firstName:string, lastName:string, domains:string[], linkedinUrl:string, rawName:string, emails:{work:string[], personal:string[]}, phones:Array<{raw:string, number:string, type:string}>}>>}
  */
 async function collectProfiles(context) {
   // First pass
-  const beforeCount = await context.locator(ROOT_SELECTOR).count();
+  const beforeCount = await context.locator(rootSelector()).count();
   let profiles = await extractOnce(context);
   // Micro‑scroll + short wait to trigger any late render
   await context
@@ -39,7 +54,7 @@ async function collectProfiles(context) {
     .catch(() => {});
   await context.waitForTimeout(FAST_MODE ? 100 : 250);
   // If more cards appeared, do ONE retry and merge
-  const afterCount = await context.locator(ROOT_SELECTOR).count();
+  const afterCount = await context.locator(rootSelector()).count();
   if (afterCount > beforeCount) {
     const second = await extractOnce(context);
     profiles = dedupeProfiles([...profiles, ...second]);
@@ -50,31 +65,54 @@ async function collectProfiles(context) {
 /* ---------------- helpers ---------------- */
 
 async function extractOnce(context) {
-  const raw = await context.locator(ROOT_SELECTOR).evaluateAll((cards) =>
+  const raw = await context.locator(rootSelector()).evaluateAll((cards, { nameChain, linkChain, phoneChain }) =>
     cards.map((card) => {
-      // Name (fallback through several selectors)
-      const nameEl =
-        card.querySelector('div.css-72nh78') ||
-        card.querySelector('[data-testid="contact-name"]') ||
-        card.querySelector('h3, h4');
+      // Name (fallback through the contactout.card.name chain)
+      const nameEl = nameChain.map((sel) => card.querySelector(sel)).find(Boolean);
       const rawName = (nameEl?.textContent || '').trim();
+      // LinkedIn link (contactout.card.profileLink chain), made absolute
+      const linkEl = linkChain.map((sel) => card.querySelector(sel)).find(Boolean);
+      const rawLink = linkEl ? linkEl.href || linkEl.getAttribute('href') || '' : '';
       // Emails: spans containing "@"
       const rawEmails = [];
       card.querySelectorAll(':scope * span').forEach((span) => {
         const t = (span.textContent || '').trim();
         if (t.includes('@')) rawEmails.push(t);
       });
-      return { rawName, rawEmails };
-    })
+      // Phones (contactout.card.phone chain) with the label around them
+      const phoneSel = phoneChain.find((sel) => card.querySelector(sel));
+      const rawPhones = phoneSel
+        ? [...card.querySelectorAll(phoneSel)].map((el) => {
+          const href = el.getAttribute('href') || '';
+          const parent = el.parentElement;
+          const parentText = parent && parent.querySelectorAll(phoneSel).length === 1 ? parent.textContent || '' : '';
+          return {
+            raw: /^tel:/i.test(href) ? href : (el.textContent || '').trim(),
+            label: [el.getAttribute('data-type'), el.getAttribute('aria-label'), el.getAttribute('title'), parentText]
+              .filter(Boolean)
+              .join(' '),
+          };
+        })
+        : [];
+      return { rawName, rawEmails, rawLink, rawPhones };
+    }),
+    {
+      nameChain: selectorChain('contactout.card.name'),
+      linkChain: selectorChain('contactout.card.profileLink'),
+      phoneChain: selectorChain('contactout.card.phone'),
+    }
   );
   // Post‑process outside the page
-  return raw.map(({ rawName, rawEmails }) => {
+  return raw.map(({ rawName, rawEmails, rawLink, rawPhones }) => {
     const fullName = cleanName(rawName);
     const tokens = fullName.split(/\s+/).filter(Boolean);
     const firstName = tokens[0] || '';
     const lastName = tokens.length > 1 ? tokens[tokens.length - 1] : '';
     const domains = filterBusinessDomains(rawEmails);
-    return { fullName, firstName, lastName, domains };
+    const emails = classifyEmails(rawEmails);
+    const linkedinUrl = linkedinProfileKey(rawLink) ? normalisePublicUrl(rawLink) || rawLink : '';
+    const phones = rawPhones.map((p) => ({ raw: p.raw, number: toE164(p.raw), type: phoneType(p.label) }));
+    return { fullName, firstName, lastName, domains, linkedinUrl, rawName, emails, phones };
   });
 }
 
@@ -85,7 +123,7 @@ function dedupeProfiles(rows) {
     const key = `${r.fullName.toLowerCase()}|${(r.domains || [])
       .slice()
       .sort()
-      .join(',')}`;
+      .join(',')}|${linkedinProfileKey(r.linkedinUrl)}`;
     if (!seen.has(key)) {
       seen.set(key, true);
       out.push(r);
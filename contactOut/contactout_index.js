@@ -11,6 +11,9 @@
 // and modify the behaviour.
 
 const { waitForLeadList } = require('../utils/waitForLeadList');
+const { profileForPage } = require('../utils/pageProfiles');
+const { selector } = require('../utils/selectorRegistry');
+const { linkedinProfileKey } = require('../utils/leadUrlResolver');
 const clickContactOutToggle = require('./clickContactOutToggle');
 const waitForContactOutResults = require('./waitForContactOutResults');
 const collectProfiles = require('./collectProfiles');
@@ -23,10 +26,13 @@ const { ensureSignalHireLogin } = require('../utils/signalhire_login');
 // Default options.  Retries controls how many attempts are made to
 // open the sidebar before giving up.  The log function can be
 // overridden to customise logging behaviour (e.g. to integrate with
-// your own logger).
+// your own logger).  onEvent receives structured `{ phase, outcome,
+// attempt, error }` records for retries and re-logins so the caller can
+// persist them in the job log.
 const DEFAULTS = {
   retries: 3,
   log: (...a) => console.log('[ContactOut]', ...a),
+  onEvent: () => {},
 };
 
 /**
@@ -46,9 +52,10 @@ const DEFAULTS = {
  * @param {Function} [opts.log] Logger function
  * @param {string} [opts.coCookiePath] Absolute path to ContactOut cookie JSON file
  * @param {string} [opts.shCookiePath] Absolute path to SignalHire cookie JSON file (optional for cross‑auth)
+ * @param {Function} [opts.onEvent] Receives retry and re-login records
  */
 async function runContactOut(page, opts = {}) {
-  const { retries, log, coCookiePath, shCookiePath } = { ...DEFAULTS, ...opts };
+  const { retries, log, coCookiePath, shCookiePath, onEvent } = { ...DEFAULTS, ...opts };
   let lastError;
   for (let attempt = 1; attempt <= retries; attempt++) {
     log(`Attempt ${attempt}/${retries}`);
@@ -69,6 +76,7 @@ async function runContactOut(page, opts = {}) {
       const loggedIn = await checkContactOutLoggedIn(page);
       if (!loggedIn) {
         log('ContactOut extension not logged in; attempting relogin …');
+        onEvent({ phase: 'contactout', outcome: 'relogin', attempt });
         const context = page.context();
         // Perform ContactOut login if a cookie path was supplied
         if (coCookiePath) {
@@ -121,6 +129,7 @@ async function runContactOut(page, opts = {}) {
       lastError = err;
       log(`Attempt failed: ${err?.message || err}`);
       if (attempt < retries) {
+        onEvent({ phase: 'contactout', outcome: 'retry', attempt, error: err?.message || String(err) });
         log('Reloading page and retrying…');
         await safeReload(page);
       }
@@ -134,7 +143,7 @@ async function runContactOut(page, opts = {}) {
 
 async function isSalesNavTrackerVisible(page, timeout = 600) {
   try {
-    const ROW_TITLE = 'a[data-control-name^="view_lead_panel"]';
+    const ROW_TITLE = profileForPage(page).rowSelector;
     await page.locator(ROW_TITLE).first().waitFor({ state: 'visible', timeout });
     return true;
   } catch {
@@ -144,7 +153,7 @@ async function isSalesNavTrackerVisible(page, timeout = 600) {
 
 async function anyContextHasCards(page) {
   // ContactOut profile cards are identified by data-testid
-  const CARD_SEL = 'div[data-testid="contact-information"]';
+  const CARD_SEL = selector('contactout.card');
   // Check main page
   try {
     if (await page.locator(CARD_SEL).first().isVisible({ timeout: 400 })) return true;
@@ -166,6 +175,8 @@ async function collectFromAllContexts(page) {
   return dedupeByNameAndDomains(parts.flat());
 }
 
+// Two cards with the same name and domains but different LinkedIn
+// profiles are different people and are both kept
 function dedupeByNameAndDomains(rows) {
   const seen = new Set();
   const out = [];
@@ -173,7 +184,7 @@ function dedupeByNameAndDomains(rows) {
     const key = `${(r.fullName || '').toLowerCase()}|${(r.domains || [])
       .slice()
       .sort()
-      .join(',')}`;
+      .join(',')}|${linkedinProfileKey(r.linkedinUrl)}`;
     if (!seen.has(key)) {
       seen.add(key);
       out.push(r);
@@ -2,9 +2,10 @@
 //
 // Filter out personal email domains and deduplicate business domains.
 // When extracting email addresses from ContactOut, you often get a
-// mixture of personal and corporate emails.  This helper retains only
-// business domains, removes duplicates and optionally caps the
-// number of domains returned.
+// mixture of personal and corporate emails.  filterBusinessDomains()
+// retains only business domains, removes duplicates and optionally
+// caps the number of domains returned; classifyEmails() keeps the full
+// addresses, split into work and personal ones.
 
 // If available, use the free-email-domains package for a comprehensive
 // list of personal domains.  Otherwise fall back to a small built‑in
@@ -34,6 +35,10 @@ function getDomain(email) {
   return at === -1 ? null : email.slice(at + 1).toLowerCase();
 }
 
+// Loose address check: ContactOut spans sometimes hold labels or
+// masked addresses ("j***@acme.com") next to real ones
+const EMAIL_RE = /^[a-z0-9._%+'-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
 function filterBusinessDomains(rawEmails, limit = 3) {
   const domains = [];
   for (const email of rawEmails) {
@@ -46,4 +51,24 @@ function filterBusinessDomains(rawEmails, limit = 3) {
   return domains;
 }
 
-module.exports = { filterBusinessDomains };
\ No newline at end of file
+/**
+ * Split email addresses into work and personal ones (personal: a free
+ * email provider's domain).  Addresses are trimmed, lower-cased and
+ * deduplicated; anything that is not a plain address is dropped.
+ *
+ * @param {string[]} rawEmails
+ * @param {number} [limit=5] Maximum addresses kept per type
+ * @returns {{work: string[], personal: string[]}}
+ */
+function classifyEmails(rawEmails, limit = 5) {
+  const out = { work: [], personal: [] };
+  for (const raw of rawEmails || []) {
+    const email = String(raw || '').trim().toLowerCase();
+    if (!EMAIL_RE.test(email)) continue;
+    const list = PERSONAL.has(getDomain(email)) ? out.personal : out.work;
+    if (list.length < limit && !list.includes(email)) list.push(email);
+  }
+  return out;
+}
+
+module.exports = { filterBusinessDomains, classifyEmails };
\ No newline at end of file
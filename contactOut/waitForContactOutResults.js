@@ -6,9 +6,10 @@
 // within the timeout an error is thrown.  The function returns the
 // context (page or frame) in which the cards were found.
 
-const CARD_SEL = 'div[data-testid="contact-information"]';
+const { selector } = require('../utils/selectorRegistry');
 
 module.exports = async function waitForContactOutResults(page, timeout = 15000) {
+  const CARD_SEL = selector('contactout.card');
   const end = Date.now() + timeout;
   const has = async (ctx) => (await ctx.locator(CARD_SEL).first().count()) > 0;
   if (await has(page)) return page;
@@ -1,13 +1,88 @@
 // public/all-jobs.js
 
-// Script to display all saved scraper jobs and allow resuming or stopping them.
+// Script to display all saved scraper jobs and allow queueing, reordering
+// or stopping them.  Running jobs are followed through their
+// `jobs/:id/events` stream so their counters update live.
+
+// Events pushed by the server for a job (see utils/jobEvents.js)
+const JOB_EVENT_TYPES = [
+  'snapshot',
+  'started',
+  'page-started',
+  'signalhire-rows',
+  'contactout-merged',
+  'accounts-extracted',
+  'leads-extracted',
+  'page-advanced',
+  'paused',
+  'completed',
+  'split',
+  'split-progress',
+];
+
+// Short description of the latest event for the progress column
+function describeJobEvent(ev) {
+  switch (ev.type) {
+    case 'started': return `Started on worker ${ev.workerId}`;
+    case 'page-started': return `Scraping page ${ev.page}…`;
+    case 'signalhire-rows':
+      return ev.error ? `Page ${ev.page}: SignalHire failed` : `Page ${ev.page}: ${ev.rows} SignalHire rows`;
+    case 'contactout-merged':
+      return ev.error ? `Page ${ev.page}: ContactOut failed` : `Page ${ev.page}: ${ev.profiles} ContactOut profiles merged`;
+    case 'accounts-extracted':
+      return ev.error ? `Page ${ev.page}: account extraction failed` : `Page ${ev.page}: ${ev.rows} accounts`;
+    case 'leads-extracted':
+      return ev.error ? `Page ${ev.page}: native extraction failed` : `Page ${ev.page}: ${ev.rows} native rows`;
+    case 'page-advanced': return `Moved to page ${ev.page}`;
+    case 'paused': return ev.message || 'Paused';
+    case 'completed': return ev.message ? `Completed: ${ev.message}` : 'Completed';
+    case 'split': return ev.message || `Split into ${ev.children} sub-searches`;
+    case 'split-progress': return `${ev.completed} of ${ev.total} sub-searches completed`;
+    default: return '';
+  }
+}
 
 document.addEventListener('DOMContentLoaded', () => {
   const jobListEl = document.getElementById('jobList');
   const backBtn = document.getElementById('backBtn');
 
+  // Open event streams, keyed by job id.  Closed on every re-render.
+  let streams = {};
+
+  function closeStreams() {
+    Object.values(streams).forEach((es) => es.close());
+    streams = {};
+  }
+
+  // Subscribe to a running job and keep its row's cells up to date
+  function followJob(job, cells) {
+    const es = new EventSource(`jobs/${encodeURIComponent(job.id)}/events`);
+    streams[job.id] = es;
+    JOB_EVENT_TYPES.forEach((type) => {
+      es.addEventListener(type, (msg) => {
+        let ev;
+        try {
+          ev = JSON.parse(msg.data);
+        } catch {
+          return;
+        }
+        cells.page.textContent = ev.pageIndex;
+        cells.counters.textContent = `${ev.totalRows} rows · ${ev.totalContacts} contacts`;
+        const text = describeJobEvent(ev);
+        if (text) cells.activity.textContent = text;
+        if (type === 'paused' || type === 'completed' || type === 'split') {
+          es.close();
+          delete streams[job.id];
+          // The scheduler may start the next queued job; refresh shortly
+          setTimeout(loadJobs, 1500);
+        }
+      });
+    });
+  }
+
   // Load jobs from the server
   async function loadJobs() {
+    closeStreams();
     jobListEl.textContent = 'Loading jobs…';
     try {
       const res = await fetch('jobs');
@@ -33,11 +108,16 @@ document.addEventListener('DOMContentLoaded', () => {
         jobListEl.textContent = 'No jobs yet.';
         return;
       }
+      // Queued job ids in run order; used by the Up/Down buttons
+      const queueOrder = jobs
+        .filter((j) => j.queuePosition)
+        .sort((a, b) => a.queuePosition - b.queuePosition)
+        .map((j) => j.id);
       // Render table-like header
       jobListEl.innerHTML = '';
       const header = document.createElement('div');
       header.className = 'job-row job-header';
-      ['List Name', 'Page', 'Status', 'Actions'].forEach((txt) => {
+      ['List Name', 'Page', 'Progress', 'Status', 'Queue', 'Actions'].forEach((txt) => {
         const span = document.createElement('span');
         span.className = 'job-col';
         span.textContent = txt;
@@ -50,15 +130,68 @@ document.addEventListener('DOMContentLoaded', () => {
         // List name column
         const nameCol = document.createElement('span');
         nameCol.className = 'job-col';
-        nameCol.textContent = job.listName;
+        // The name links to the job's detail page with its event log
+        const nameLink = document.createElement('a');
+        nameLink.href = `job.html?id=${encodeURIComponent(job.id)}`;
+        // Sub-searches of a split job are marked as such
+        nameLink.textContent = job.parentId ? `↳ ${job.listName}` : job.listName;
+        nameCol.appendChild(nameLink);
+        // Jobs tied to a named LinkedIn account show it under the name
+        if (job.accountName) {
+          const acc = document.createElement('small');
+          acc.className = 'job-account';
+          acc.textContent = job.accountName;
+          nameCol.appendChild(document.createElement('br'));
+          nameCol.appendChild(acc);
+        }
         // Page column
         const pageCol = document.createElement('span');
         pageCol.className = 'job-col';
         pageCol.textContent = job.pageIndex;
+        // Progress column: running totals plus the latest live event
+        const progressCol = document.createElement('span');
+        progressCol.className = 'job-col job-progress';
+        const counters = document.createElement('span');
+        counters.textContent = `${job.totalRows || 0} rows · ${job.totalContacts || 0} contacts`;
+        const activity = document.createElement('small');
+        activity.className = 'job-activity';
+        progressCol.appendChild(counters);
+        progressCol.appendChild(activity);
+        // Split jobs are followed for their sub-search progress
+        if (job.state === 'running' || job.state === 'pausing' || job.state === 'split') {
+          followJob(job, { page: pageCol, counters, activity });
+        }
         // Status column
         const statusCol = document.createElement('span');
         statusCol.className = 'job-col';
-        statusCol.textContent = job.state;
+        statusCol.textContent =
+          job.state === 'running' && job.workerId ? `running (worker ${job.workerId})` : job.state;
+        if (job.state === 'split' && job.splitProgress) {
+          statusCol.textContent = `split (${job.splitProgress.completed}/${job.splitProgress.total} done)`;
+        }
+        // Queue column: position and reorder buttons for queued jobs
+        const queueCol = document.createElement('span');
+        queueCol.className = 'job-col job-queue';
+        if (job.queuePosition) {
+          const pos = document.createElement('span');
+          pos.textContent = `#${job.queuePosition}`;
+          queueCol.appendChild(pos);
+          const idx = queueOrder.indexOf(job.id);
+          const upBtn = document.createElement('button');
+          upBtn.textContent = '▲';
+          upBtn.title = 'Move up';
+          upBtn.disabled = idx <= 0;
+          upBtn.addEventListener('click', () => moveInQueue(queueOrder, idx, idx - 1));
+          const downBtn = document.createElement('button');
+          downBtn.textContent = '▼';
+          downBtn.title = 'Move down';
+          downBtn.disabled = idx === queueOrder.length - 1;
+          downBtn.addEventListener('click', () => moveInQueue(queueOrder, idx, idx + 1));
+          queueCol.appendChild(upBtn);
+          queueCol.appendChild(downBtn);
+        } else {
+          queueCol.textContent = '-';
+        }
 
         // Actions column
         const actionsCol = document.createElement('span');
@@ -69,7 +202,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         runBtn.textContent = 'Run';
 
-        runBtn.disabled = job.state === 'running';
+        runBtn.disabled = job.state === 'running' || job.state === 'queued';
 
         runBtn.addEventListener('click', async () => {
           try {
@@ -89,9 +222,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const stopBtn = document.createElement('button');
 
-        stopBtn.textContent = 'Stop';
+        // Queued jobs get a Dequeue button instead of Stop
+        stopBtn.textContent = job.state === 'queued' ? 'Dequeue' : 'Stop';
 
-        stopBtn.disabled = job.state !== 'running';
+        // Stopping a split job pauses its sub-searches
+        stopBtn.disabled = !['running', 'queued', 'split'].includes(job.state);
 
         stopBtn.addEventListener('click', async () => {
           try {
@@ -146,7 +281,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // Append columns to row
         row.appendChild(nameCol);
         row.appendChild(pageCol);
+        row.appendChild(progressCol);
         row.appendChild(statusCol);
+        row.appendChild(queueCol);
         row.appendChild(actionsCol);
         jobListEl.appendChild(row);
       });
@@ -155,6 +292,25 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Swap two queued jobs and send the new order to the server
+  async function moveInQueue(order, from, to) {
+    if (to < 0 || to >= order.length) return;
+    const next = order.slice();
+    [next[from], next[to]] = [next[to], next[from]];
+    try {
+      const res = await fetch('queue', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ order: next }),
+      });
+      const dat = await res.json();
+      if (!res.ok) alert(dat.error || 'Failed to reorder queue.');
+    } catch (err) {
+      alert('Error: ' + (err.message || err));
+    }
+    loadJobs();
+  }
+
   loadJobs();
 
   backBtn.addEventListener('click', () => {
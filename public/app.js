@@ -7,25 +7,115 @@ document.addEventListener('DOMContentLoaded', () => {
   const cookieInput = document.getElementById('cookie');
   const saveBtn = document.getElementById('saveBtn');
   const deleteCookieBtn = document.getElementById('deleteCookieBtn');
+  const accountSelect = document.getElementById('accountSelect');
+  const accountNameInput = document.getElementById('accountName');
+  const addAccountBtn = document.getElementById('addAccountBtn');
+  const renameAccountBtn = document.getElementById('renameAccountBtn');
   const statusEl = document.getElementById('status');
+  const cookieHealthEl = document.getElementById('cookieHealth');
+  const cookieWarningEl = document.getElementById('cookieWarning');
   const listNameInput = document.getElementById('listName');
   const urlInput = document.getElementById('url');
+  const priorityInput = document.getElementById('priority');
+  const extractorInput = document.getElementById('extractor');
+  const resolveUrlsInput = document.getElementById('resolveUrls');
+  const deepExtractInput = document.getElementById('deepExtract');
+  const minMatchConfidenceInput = document.getElementById('minMatchConfidence');
+  const captureEmailsInput = document.getElementById('captureEmails');
+  const emailsPerTypeInput = document.getElementById('emailsPerType');
+  const limitInputs = ['startPage', 'endPage', 'maxPages', 'maxLeads'].map((id) =>
+    document.getElementById(id)
+  );
+  const autoSplitInput = document.getElementById('autoSplit');
   const runBtn = document.getElementById('runBtn');
   const stopBtn = document.getElementById('stopBtn');
   const downloadBtn = document.getElementById('downloadBtn');
   const jobsBtn = document.getElementById('jobsBtn');
+  const diagnosticsBtn = document.getElementById('diagnosticsBtn');
   const outEl = document.getElementById('out');
+  const liveEl = document.getElementById('liveCounters');
 
   // Track scraping state
   let isRunning = false;
   let isPaused = false;
 
+  // Live progress stream of the current job (jobs/:id/events)
+  let eventSource = null;
+  let liveJobId = null;
+
+  // Accounts loaded from the vault, keyed by id
+  let accounts = {};
+  // Health report of the shared LinkedIn cookie (from cookie-status)
+  let sharedHealth = null;
+
+  // Show a job's counters and latest activity in the live panel
+  function renderLive(ev) {
+    liveEl.hidden = false;
+    liveEl.innerHTML = '';
+    const counters = document.createElement('div');
+    counters.textContent =
+      `Page ${ev.pageIndex} · ${ev.totalRows} SignalHire rows · ${ev.totalContacts} ContactOut profiles`;
+    liveEl.appendChild(counters);
+    let text = '';
+    if (ev.type === 'page-started') text = `Scraping page ${ev.page}…`;
+    else if (ev.type === 'signalhire-rows') {
+      text = ev.error ? `Page ${ev.page}: SignalHire failed (${ev.error})` : `Page ${ev.page}: ${ev.rows} rows extracted from SignalHire`;
+    } else if (ev.type === 'contactout-merged') {
+      text = ev.error ? `Page ${ev.page}: ContactOut failed (${ev.error})` : `Page ${ev.page}: ${ev.profiles} ContactOut profiles merged`;
+    } else if (ev.type === 'accounts-extracted') {
+      text = ev.error ? `Page ${ev.page}: account extraction failed (${ev.error})` : `Page ${ev.page}: ${ev.rows} accounts extracted`;
+    } else if (ev.type === 'leads-extracted') {
+      text = ev.error ? `Page ${ev.page}: native extraction failed (${ev.error})` : `Page ${ev.page}: ${ev.rows} leads read from the page`;
+    } else if (ev.type === 'page-advanced') text = `Moved to page ${ev.page}`;
+    else if (ev.type === 'started') text = `Started on worker ${ev.workerId}`;
+    else if (ev.type === 'paused') text = 'Paused';
+    else if (ev.type === 'completed') text = ev.message ? `Completed: ${ev.message}` : 'Completed';
+    else if (ev.type === 'split') text = ev.message || `Split into ${ev.children} sub-searches`;
+    else if (ev.type === 'snapshot') text = `Job is ${ev.state}`;
+    if (text) {
+      const activity = document.createElement('small');
+      activity.textContent = text;
+      liveEl.appendChild(activity);
+    }
+  }
+
+  // Subscribe to a job's event stream.  The stream is closed once the
+  // job pauses or completes; the status refresh then picks up whatever
+  // the scheduler runs next.
+  function followJob(jobId) {
+    if (eventSource && liveJobId === jobId) return;
+    if (eventSource) eventSource.close();
+    liveJobId = jobId;
+    eventSource = new EventSource(`jobs/${encodeURIComponent(jobId)}/events`);
+    ['snapshot', 'started', 'page-started', 'signalhire-rows', 'contactout-merged', 'accounts-extracted', 'leads-extracted', 'page-advanced', 'paused', 'completed', 'split']
+      .forEach((type) => {
+        eventSource.addEventListener(type, (msg) => {
+          let ev;
+          try {
+            ev = JSON.parse(msg.data);
+          } catch {
+            return;
+          }
+          renderLive(ev);
+          if (type === 'paused' || type === 'completed' || type === 'split') {
+            eventSource.close();
+            eventSource = null;
+            refreshStatus();
+          }
+        });
+      });
+  }
+
   // Helper to refresh status from server
 async function refreshStatus() {
   try {
     const res = await fetch('status');
     const data = await res.json();
     if (data) {
+      // Only running or queued jobs have events to come; a paused or
+      // completed job's stream would stay open with nothing to show.
+      const jobLive = data.job && (data.running || data.job.state === 'running' || data.job.state === 'queued');
+      if (jobLive && data.job.id) followJob(data.job.id);
       isRunning = !!data.running;
       const jobPaused = data.job && data.job.state === 'paused';
       isPaused = !!data.paused || jobPaused;
@@ -40,7 +130,10 @@ async function refreshStatus() {
           outEl.style.color = '';
         }
       } else if (isRunning) {
-        outEl.textContent = 'Scraping is running…';
+        const queued = Array.isArray(data.queue) ? data.queue.length : 0;
+        outEl.textContent = queued
+          ? `Scraping is running… (${queued} job(s) queued)`
+          : 'Scraping is running…';
         outEl.style.color = '';
       } else if (isPaused) {
         outEl.textContent = 'Scraping is paused.';
@@ -58,8 +151,9 @@ async function refreshStatus() {
 
   // Update button states and labels based on running/paused
   function updateButtons() {
-    // Allow starting a new job even if paused; disable only when running
-    runBtn.disabled = isRunning;
+    // New jobs are queued on the backend, so Run Scraper stays enabled
+    // even while another job is running.
+    runBtn.disabled = false;
     if (isRunning) {
       stopBtn.textContent = 'Stop';
       stopBtn.disabled = false;
@@ -73,8 +167,98 @@ async function refreshStatus() {
     }
   }
 
-  // On page load, query cookie status and scraping status
-  (async () => {
+  // Reload the account picker from the vault, keeping the current
+  // selection when it still exists.
+  async function loadAccounts(selectId) {
+    const keep = selectId !== undefined ? selectId : accountSelect.value;
+    try {
+      const res = await fetch('accounts');
+      const data = await res.json();
+      accounts = {};
+      accountSelect.innerHTML = '<option value="">Shared cookie</option>';
+      (data.accounts || []).forEach((acc) => {
+        accounts[acc.id] = acc;
+        const opt = document.createElement('option');
+        opt.value = acc.id;
+        opt.textContent = acc.hasCookie ? acc.name : `${acc.name} (no cookie)`;
+        accountSelect.appendChild(opt);
+      });
+      accountSelect.value = accounts[keep] ? keep : '';
+    } catch {}
+    renameAccountBtn.disabled = !accountSelect.value;
+    await refreshCookieHealth();
+  }
+
+  // Render the health report (critical cookies, expiry, last login
+  // check) of the selected account or the shared cookie.
+  function renderCookieHealth(health) {
+    cookieHealthEl.innerHTML = '';
+    if (!health || !health.hasCookie) return;
+    const list = document.createElement('ul');
+    Object.entries(health.cookies || {}).forEach(([name, info]) => {
+      const li = document.createElement('li');
+      if (!info.present) {
+        li.textContent = `${name}: missing`;
+      } else if (info.session || !info.expiresAt) {
+        li.textContent = `${name}: present (session cookie)`;
+      } else if (info.expired) {
+        li.textContent = `${name}: expired ${new Date(info.expiresAt).toLocaleDateString()}`;
+      } else {
+        li.textContent = `${name}: expires ${new Date(info.expiresAt).toLocaleDateString()} (${info.daysLeft} days)`;
+      }
+      list.appendChild(li);
+    });
+    const check = health.lastLoginCheck;
+    const checkLi = document.createElement('li');
+    checkLi.textContent = check
+      ? `Last login check: ${check.loggedIn ? 'passed' : 'FAILED'} (${new Date(check.checkedAt).toLocaleString()})`
+      : 'Last login check: not run yet';
+    list.appendChild(checkLi);
+    cookieHealthEl.appendChild(list);
+    cookieHealthEl.className = `cookie-health health-${health.status}`;
+  }
+
+  // Fetch the shared cookie report, render the selected cookie's health
+  // and show a page-level warning for every stored LinkedIn cookie that
+  // is missing parts, expiring within the warning window, expired or
+  // failing its login check.
+  async function refreshCookieHealth() {
+    try {
+      const res = await fetch('cookie-status');
+      const data = await res.json();
+      sharedHealth = data && data.health ? data.health : null;
+    } catch {}
+    const acc = accounts[accountSelect.value];
+    renderCookieHealth(acc ? acc.health : sharedHealth);
+
+    const sources = [];
+    if (sharedHealth && sharedHealth.hasCookie) sources.push(['Shared cookie', sharedHealth]);
+    Object.values(accounts).forEach((a) => {
+      if (a.health && a.health.hasCookie) sources.push([`Account "${a.name}"`, a.health]);
+    });
+    const lines = [];
+    sources.forEach(([label, health]) => {
+      (health.warnings || []).forEach((w) => lines.push({ level: w.level, text: `${label}: ${w.message}` }));
+    });
+    cookieWarningEl.innerHTML = '';
+    cookieWarningEl.hidden = lines.length === 0;
+    lines.forEach((line) => {
+      const div = document.createElement('div');
+      div.className = `cookie-warning-${line.level}`;
+      div.textContent = line.text;
+      cookieWarningEl.appendChild(div);
+    });
+  }
+
+  // Show the cookie status of the selected account (or the shared cookie)
+  async function showCookieStatus() {
+    const acc = accounts[accountSelect.value];
+    if (acc) {
+      statusEl.textContent = acc.hasCookie
+        ? `Account "${acc.name}" has a cookie (updated ${new Date(acc.updatedAt).toLocaleString()}).`
+        : `Account "${acc.name}" has no cookie. Paste one and click Save Cookie.`;
+      return;
+    }
     try {
       const res = await fetch('cookie-status');
       const data = await res.json();
@@ -82,100 +266,288 @@ async function refreshStatus() {
         statusEl.textContent = data.message;
       }
     } catch {}
+  }
+
+  // On page load, query accounts, cookie status and scraping status
+  (async () => {
+    await loadAccounts();
+    await showCookieStatus();
     // Refresh scraping status
     await refreshStatus();
   })();
 
-  // Save cookie handler
+  accountSelect.addEventListener('change', () => {
+    renameAccountBtn.disabled = !accountSelect.value;
+    const acc = accounts[accountSelect.value];
+    accountNameInput.value = acc ? acc.name : '';
+    showCookieStatus();
+    renderCookieHealth(acc ? acc.health : sharedHealth);
+  });
+
+  // Deep extraction reads the panels of rows the page extractor found,
+  // so it is only offered with a Sales Navigator page extractor
+  function syncDeepExtract() {
+    deepExtractInput.disabled = extractorInput.value === 'signalhire';
+    if (deepExtractInput.disabled) deepExtractInput.checked = false;
+  }
+  extractorInput.addEventListener('change', syncDeepExtract);
+  syncDeepExtract();
+
+  // Emails come from ContactOut, which only runs after SignalHire
+  function syncCaptureEmails() {
+    captureEmailsInput.disabled = extractorInput.value === 'native';
+    if (captureEmailsInput.disabled) captureEmailsInput.checked = false;
+    emailsPerTypeInput.disabled = !captureEmailsInput.checked;
+  }
+  extractorInput.addEventListener('change', syncCaptureEmails);
+  captureEmailsInput.addEventListener('change', syncCaptureEmails);
+  syncCaptureEmails();
+
+  // Save cookie handler – stores the cookie on the selected account,
+  // or as the shared cookie when no account is selected.
   saveBtn.addEventListener('click', async () => {
+    const text = cookieInput.value.trim();
+    const accountId = accountSelect.value;
+    statusEl.textContent = '';
+    if (!text) {
+      statusEl.textContent = 'Please paste your LinkedIn cookies.';
+      return;
+    }
+    try {
+      const res = accountId
+        ? await fetch(`accounts/${encodeURIComponent(accountId)}/cookie`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ cookie: text }),
+        })
+        : await fetch('save-cookie', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ cookie: text }),
+        });
+      const data = await res.json();
+      statusEl.textContent = data.message || data.error || '';
+      if (res.ok) {
+        cookieInput.value = '';
+        await loadAccounts();
+      }
+    } catch (err) {
+      statusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  // Add account handler – creates a new named account from the name
+  // and cookie fields and selects it.
+  addAccountBtn.addEventListener('click', async () => {
+    const name = accountNameInput.value.trim();
     const text = cookieInput.value.trim();
     statusEl.textContent = '';
+    if (!name) {
+      statusEl.textContent = 'Please enter an account name.';
+      return;
+    }
     if (!text) {
-      statusEl.textContent = 'Please paste your LinkedIn cookie JSON.';
+      statusEl.textContent = 'Please paste the LinkedIn cookies for this account.';
       return;
     }
     try {
-      const res = await fetch('save-cookie', {
+      const res = await fetch('accounts', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cookie: text }),
+        body: JSON.stringify({ name, cookie: text }),
+      });
+      const data = await res.json();
+      statusEl.textContent = data.message || data.error || '';
+      if (res.ok && data.account) {
+        cookieInput.value = '';
+        await loadAccounts(data.account.id);
+      }
+    } catch (err) {
+      statusEl.textContent = 'Error: ' + (err.message || err);
+    }
+  });
+
+  // Rename handler – renames the selected account to the name field
+  renameAccountBtn.addEventListener('click', async () => {
+    const accountId = accountSelect.value;
+    const name = accountNameInput.value.trim();
+    statusEl.textContent = '';
+    if (!accountId) return;
+    if (!name) {
+      statusEl.textContent = 'Please enter the new account name.';
+      return;
+    }
+    try {
+      const res = await fetch(`accounts/${encodeURIComponent(accountId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
       });
       const data = await res.json();
       statusEl.textContent = data.message || data.error || '';
+      if (res.ok) await loadAccounts();
     } catch (err) {
       statusEl.textContent = 'Error: ' + (err.message || err);
     }
   });
 
-  // Delete cookie handler
+  // Delete handler – removes the selected account, or the shared
+  // cookie when no account is selected.
   deleteCookieBtn.addEventListener('click', async () => {
+    const acc = accounts[accountSelect.value];
     statusEl.textContent = '';
+    if (acc && !confirm(`Delete account "${acc.name}" and its cookie?`)) return;
     try {
-      const res = await fetch('delete-cookie', { method: 'DELETE' });
+      const res = acc
+        ? await fetch(`accounts/${encodeURIComponent(acc.id)}`, { method: 'DELETE' })
+        : await fetch('delete-cookie', { method: 'DELETE' });
       const data = await res.json();
       statusEl.textContent = data.message || data.error || '';
+      if (acc && res.ok) {
+        accountNameInput.value = '';
+        await loadAccounts('');
+      }
       // Refresh cookie status after deletion
-      try {
-        const res2 = await fetch('cookie-status');
-        const data2 = await res2.json();
-        if (data2 && data2.message) {
-          statusEl.textContent = data2.message;
-        }
-      } catch {}
+      if (!acc) {
+        await showCookieStatus();
+        await refreshCookieHealth();
+      }
     } catch (err) {
       statusEl.textContent = 'Error: ' + (err.message || err);
     }
   });
 
+  // Extension cookie panels (SignalHire / ContactOut).  Each panel is
+  // driven by its data-provider attribute.
+  function describeProviderStatus(data) {
+    if (!data || !data.hasCookie) return 'No cookie saved.';
+    const parts = [`Last updated: ${new Date(data.updatedAt).toLocaleString()}`];
+    const check = data.lastLoginCheck;
+    if (!check) {
+      parts.push('Login not checked yet');
+    } else {
+      const when = new Date(check.checkedAt).toLocaleString();
+      parts.push(check.loggedIn ? `Last login check passed (${when})` : `Last login check FAILED (${when})`);
+    }
+    return parts.join(' · ');
+  }
+
+  document.querySelectorAll('.provider-panel').forEach((panel) => {
+    const provider = panel.dataset.provider;
+    const textarea = panel.querySelector('textarea');
+    const statusLine = panel.querySelector('.provider-status');
+    const msgEl = panel.querySelector('.provider-message');
+
+    async function refreshProviderStatus() {
+      try {
+        const res = await fetch(`cookie-status/${provider}`);
+        const data = await res.json();
+        statusLine.textContent = describeProviderStatus(data);
+        const failed = data && data.lastLoginCheck && !data.lastLoginCheck.loggedIn;
+        statusLine.style.color = failed || !data.hasCookie ? 'red' : '';
+      } catch {}
+    }
+
+    panel.querySelector('.provider-save').addEventListener('click', async () => {
+      const text = textarea.value.trim();
+      msgEl.textContent = '';
+      if (!text) {
+        msgEl.textContent = 'Please paste the cookies.';
+        return;
+      }
+      try {
+        const res = await fetch(`save-cookie/${provider}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ cookie: text }),
+        });
+        const data = await res.json();
+        msgEl.textContent = data.message || data.error || '';
+        if (res.ok) textarea.value = '';
+      } catch (err) {
+        msgEl.textContent = 'Error: ' + (err.message || err);
+      }
+      await refreshProviderStatus();
+    });
+
+    panel.querySelector('.provider-delete').addEventListener('click', async () => {
+      msgEl.textContent = '';
+      try {
+        const res = await fetch(`delete-cookie/${provider}`, { method: 'DELETE' });
+        const data = await res.json();
+        msgEl.textContent = data.message || data.error || '';
+      } catch (err) {
+        msgEl.textContent = 'Error: ' + (err.message || err);
+      }
+      await refreshProviderStatus();
+    });
+
+    refreshProviderStatus();
+  });
+
   // Run scraper handler
   runBtn.addEventListener('click', async () => {
-    // Allow starting a new job even if another job is paused.  Only
-    // disable starting when a job is currently running.  When a job
-    // is paused, creating a new job will automatically pause the
-    // paused job and start the new one on the backend.
-    if (isRunning) return;
+    // Every new job is added to the backend queue.  If nothing is
+    // running it starts straight away; otherwise the response tells us
+    // the job's queue position.
     const url = urlInput.value.trim();
+    const priority = Number(priorityInput.value) || 0;
     const listName = listNameInput.value.trim();
+    const accountId = accountSelect.value || null;
+    // Optional limits; empty fields are sent as null (no limit)
+    const limits = {};
+    limitInputs.forEach((input) => {
+      limits[input.id] = input.value.trim() ? Number(input.value) : null;
+    });
     outEl.textContent = '';
     // Validate inputs
     if (!listName) {
       outEl.textContent = 'Please enter a list name.';
       return;
     }
-    if (!url.toLowerCase().includes('people')) {
-      outEl.textContent = 'Not valid, please use a valid LinkedIn Sales Navigator People URL.';
+    if (!/\/sales\/(search\/(people|company)|lists\/people\/)/i.test(url)) {
+      outEl.textContent = 'Not valid, please use a LinkedIn Sales Navigator people search, saved lead list or account search URL.';
       return;
     }
     try {
 
       
-      // Start scrape
-      isRunning = true;
-      isPaused = false;
-      updateButtons();
-      outEl.textContent = 'Scraping is running…';
+      // Queue the scrape
       const res = await fetch('scrape', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url, listName }),
+        body: JSON.stringify({
+          url,
+          listName,
+          priority,
+          accountId,
+          ...limits,
+          autoSplit: autoSplitInput.checked,
+          extractor: extractorInput.value,
+          resolveUrls: resolveUrlsInput.checked,
+          deepExtract: deepExtractInput.checked,
+          minMatchConfidence: minMatchConfidenceInput.value.trim() ? Number(minMatchConfidenceInput.value) : null,
+          captureEmails: captureEmailsInput.checked,
+          emailsPerType:
+            captureEmailsInput.checked && emailsPerTypeInput.value.trim() ? Number(emailsPerTypeInput.value) : null,
+        }),
       });
 
 
       const data = await res.json();
       if (res.ok) {
         outEl.textContent = data.message || 'Scrape started.';
+        if (data.jobId) followJob(data.jobId);
+        if (!data.queuePosition) {
+          isRunning = true;
+          isPaused = false;
+          updateButtons();
+        }
       } else {
         outEl.textContent = data.error || 'Error occurred.';
-        // Reset state if error
-        isRunning = false;
-        isPaused = false;
-        updateButtons();
       }
     } catch (err) {
       outEl.textContent = 'Error: ' + (err.message || err);
-      isRunning = false;
-      isPaused = false;
-      updateButtons();
     }
   });
 
@@ -218,4 +590,9 @@ async function refreshStatus() {
   jobsBtn.addEventListener('click', () => {
     window.location.href = 'all-jobs.html';
   });
+
+  // Diagnostics button handler – navigate to the selector diagnostics page
+  diagnosticsBtn.addEventListener('click', () => {
+    window.location.href = 'diagnostics.html';
+  });
 });
\ No newline at end of file
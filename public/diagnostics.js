@@ -0,0 +1,219 @@
+// public/diagnostics.js
+
+// Selector diagnostics page.  Starts a health check (`POST diagnostics`)
+// on a Sales Navigator URL and shows, for every element the scraper
+// relies on, whether it was found, how many elements matched, in which
+// frame and with which selector of its fallback chain.  Screenshots and
+// DOM snapshots saved for failed checks are linked below the table.
+// Previous runs are listed and can be opened again.
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  missing: 'Missing',
+  unexpected: 'Present',
+  skipped: 'Skipped',
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const urlInput = document.getElementById('url');
+  const accountSelect = document.getElementById('accountSelect');
+  const runBtn = document.getElementById('runBtn');
+  const outEl = document.getElementById('out');
+  const reportSection = document.getElementById('reportSection');
+  const reportTitle = document.getElementById('reportTitle');
+  const reportSummary = document.getElementById('reportSummary');
+  const checkTable = document.getElementById('checkTable');
+  const artifactsEl = document.getElementById('artifacts');
+  const runList = document.getElementById('runList');
+  const backBtn = document.getElementById('backBtn');
+
+  function cell(row, text, className) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (className) span.className = className;
+    row.appendChild(span);
+    return span;
+  }
+
+  function statusClass(status) {
+    if (status === 'ok') return 'diag-ok';
+    if (status === 'skipped') return 'diag-skipped';
+    return 'page-problem';
+  }
+
+  function yesNo(value) {
+    if (value === undefined) return '–';
+    return value ? 'Yes' : 'No';
+  }
+
+  function renderReport(report) {
+    reportSection.hidden = false;
+    reportTitle.textContent = report.failures
+      ? `Results: ${report.failures} problem${report.failures === 1 ? '' : 's'}`
+      : 'Results: all elements found';
+    reportSummary.innerHTML = '';
+    const logins = report.logins || {};
+    [
+      ['URL', report.url],
+      ['Page type', report.pageType],
+      ['Started', new Date(report.startedAt).toLocaleString()],
+      ['Selectors version', report.selectorsVersion ?? '–'],
+      ['LinkedIn logged in', yesNo(logins.linkedin)],
+      ['SignalHire logged in', yesNo(logins.signalhireSidebar ?? logins.signalhire)],
+      ['ContactOut logged in', yesNo(logins.contactoutSidebar ?? logins.contactout)],
+    ].forEach(([label, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      reportSummary.append(dt, dd);
+    });
+    if (report.error) {
+      const dt = document.createElement('dt');
+      dt.textContent = 'Error';
+      const dd = document.createElement('dd');
+      dd.textContent = report.error;
+      dd.className = 'page-problem';
+      reportSummary.append(dt, dd);
+    }
+
+    checkTable.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'page-row diag-row page-header';
+    ['Group', 'Element', 'Status', 'Matches', 'Frame', 'Selector'].forEach((t) => cell(header, t));
+    checkTable.appendChild(header);
+    (report.checks || []).forEach((c) => {
+      const row = document.createElement('div');
+      row.className = 'page-row diag-row';
+      cell(row, c.group);
+      cell(row, c.label).title = c.key;
+      cell(row, STATUS_LABELS[c.status] || c.status, statusClass(c.status));
+      cell(row, c.status === 'skipped' ? '' : String(c.count));
+      cell(row, c.frame || '');
+      // The matching selector, or every selector tried and why nothing ran
+      const tried = (c.chain || []).map((s) => `${s.selector} (${s.count})`).join(' | ');
+      cell(row, c.status === 'skipped' ? c.reason || '' : c.selector || tried).title = tried;
+      checkTable.appendChild(row);
+    });
+
+    artifactsEl.innerHTML = '';
+    if (report.artifacts && report.artifacts.length) {
+      artifactsEl.append('Saved for inspection: ');
+      report.artifacts.forEach((name, i) => {
+        const link = document.createElement('a');
+        link.href = `diagnostics/${encodeURIComponent(report.id)}/files/${encodeURIComponent(name)}`;
+        link.target = '_blank';
+        link.textContent = name;
+        if (i) artifactsEl.append(', ');
+        artifactsEl.appendChild(link);
+      });
+    }
+  }
+
+  async function openRun(id) {
+    try {
+      const res = await fetch(`diagnostics/${encodeURIComponent(id)}`);
+      const data = await res.json();
+      if (!res.ok) {
+        outEl.textContent = data.error || 'Failed to load the run.';
+        return;
+      }
+      renderReport(data);
+    } catch (err) {
+      outEl.textContent = 'Error: ' + (err.message || err);
+    }
+  }
+
+  async function loadRuns() {
+    try {
+      const res = await fetch('diagnostics');
+      const data = await res.json();
+      if (!res.ok) {
+        runList.textContent = data.error || 'Failed to load previous runs.';
+        return;
+      }
+      if (data.running && !runBtn.disabled) {
+        outEl.textContent = 'A diagnostics run is in progress.';
+      }
+      runList.innerHTML = '';
+      if (!data.runs.length) {
+        runList.textContent = 'No runs yet.';
+        return;
+      }
+      const header = document.createElement('div');
+      header.className = 'page-row diag-run-row page-header';
+      ['Started', 'Page type', 'URL', 'Problems'].forEach((t) => cell(header, t));
+      runList.appendChild(header);
+      data.runs.forEach((run) => {
+        const row = document.createElement('div');
+        row.className = 'page-row diag-run-row';
+        const started = cell(row, '');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = new Date(run.startedAt).toLocaleString();
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          openRun(run.id);
+        });
+        started.appendChild(link);
+        cell(row, run.pageType);
+        cell(row, run.url);
+        const problems = run.error ? 'Error' : String(run.failures);
+        cell(row, problems, run.error || run.failures ? 'page-problem' : 'diag-ok');
+        runList.appendChild(row);
+      });
+    } catch (err) {
+      runList.textContent = 'Error: ' + (err.message || err);
+    }
+  }
+
+  async function loadAccounts() {
+    try {
+      const res = await fetch('accounts');
+      const data = await res.json();
+      if (!res.ok) return;
+      (data.accounts || []).forEach((acc) => {
+        const opt = document.createElement('option');
+        opt.value = acc.id;
+        opt.textContent = acc.name;
+        accountSelect.appendChild(opt);
+      });
+    } catch {}
+  }
+
+  runBtn.addEventListener('click', async () => {
+    const url = urlInput.value.trim();
+    if (!url) {
+      outEl.textContent = 'Enter a Sales Navigator URL.';
+      return;
+    }
+    runBtn.disabled = true;
+    outEl.textContent = 'Running diagnostics… the browser opens the page and both extension sidebars; this takes a minute or so.';
+    try {
+      const res = await fetch('diagnostics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url, accountId: accountSelect.value || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        outEl.textContent = data.error || 'Diagnostics failed.';
+        return;
+      }
+      outEl.textContent = '';
+      renderReport(data);
+    } catch (err) {
+      outEl.textContent = 'Error: ' + (err.message || err);
+    } finally {
+      runBtn.disabled = false;
+      loadRuns();
+    }
+  });
+
+  backBtn.addEventListener('click', () => {
+    window.location.href = 'index.html';
+  });
+
+  loadAccounts();
+  loadRuns();
+});
@@ -0,0 +1,436 @@
+// public/job.js
+
+// Job detail page.  Shows a job's summary, a chart and table of its
+// per-page statistics (`job.pages`) and its persistent event log
+// (`jobs/:id/log`).  A job split past the result cap also lists its
+// sub-searches.  While the job is running, its `jobs/:id/events`
+// stream is followed so everything stays current.
+
+// Events pushed by the server for a job (see utils/jobEvents.js)
+const JOB_EVENT_TYPES = [
+  'snapshot',
+  'started',
+  'page-started',
+  'signalhire-rows',
+  'contactout-merged',
+  'accounts-extracted',
+  'leads-extracted',
+  'page-advanced',
+  'paused',
+  'completed',
+  'split',
+  'split-progress',
+];
+
+// Per-page counters drawn in the chart, with their bar colours.  Only
+// the counters a job records are drawn (account searches record
+// accountRows and duplicatesSkipped; native lead extraction records
+// nativeRows and, when resolving LinkedIn URLs, urlsResolved).
+const PAGE_SERIES = [
+  { key: 'signalhireRows', label: 'SignalHire rows', color: '#3b7ddd' },
+  { key: 'nativeRows', label: 'Native rows', color: '#16a085' },
+  { key: 'accountRows', label: 'Accounts', color: '#8e44ad' },
+  { key: 'duplicatesSkipped', label: 'Duplicates skipped', color: '#b0bac5' },
+  { key: 'contactoutProfiles', label: 'ContactOut profiles', color: '#27ae60' },
+  { key: 'domainsMerged', label: 'Domains merged', color: '#e67e22' },
+  { key: 'urlsResolved', label: 'LinkedIn URLs resolved', color: '#2c3e50' },
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs || {}).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+}
+
+function seriesFor(pages) {
+  return PAGE_SERIES.filter((s) => pages.some((p) => p[s.key] !== undefined));
+}
+
+// Grouped bar chart: one group per page, one bar per recorded series
+function buildPageChart(pages) {
+  const series = seriesFor(pages);
+  const groupWidth = 44;
+  const barWidth = 9;
+  const height = 180;
+  const top = 10;
+  const bottom = 24;
+  const left = 32;
+  const max = Math.max(1, ...pages.flatMap((p) => series.map((s) => p[s.key] || 0)));
+  const plot = height - top - bottom;
+  const width = left + pages.length * groupWidth + 10;
+  const svg = svgEl('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+  // Axis with the maximum value
+  svg.appendChild(svgEl('line', { x1: left, y1: top, x2: left, y2: top + plot, stroke: '#ccd3db' }));
+  svg.appendChild(svgEl('line', { x1: left, y1: top + plot, x2: width, y2: top + plot, stroke: '#ccd3db' }));
+  const maxLabel = svgEl('text', { x: left - 4, y: top + 8, 'text-anchor': 'end', 'font-size': 10, fill: '#6b7a89' });
+  maxLabel.textContent = max;
+  svg.appendChild(maxLabel);
+  pages.forEach((p, i) => {
+    const x0 = left + i * groupWidth + 4;
+    series.forEach((s, j) => {
+      const value = p[s.key] || 0;
+      const h = (value / max) * plot;
+      const bar = svgEl('rect', {
+        x: x0 + j * barWidth,
+        y: top + plot - h,
+        width: barWidth - 1,
+        height: h,
+        fill: s.color,
+      });
+      const tip = svgEl('title');
+      tip.textContent = `Page ${p.page} · ${s.label}: ${value}`;
+      bar.appendChild(tip);
+      svg.appendChild(bar);
+    });
+    const label = svgEl('text', {
+      x: x0 + (series.length * barWidth) / 2,
+      y: height - 8,
+      'text-anchor': 'middle',
+      'font-size': 10,
+      fill: p.navigation === 'failed' ? '#c0392b' : '#6b7a89',
+    });
+    label.textContent = p.page;
+    svg.appendChild(label);
+  });
+  return svg;
+}
+
+// Readable list of a search's filters: "Label: a, b (excluding c)"
+function buildFilterList(filters) {
+  if (!filters || filters.length === 0) return 'None';
+  const list = document.createElement('ul');
+  list.className = 'filter-list';
+  filters.forEach((f) => {
+    const item = document.createElement('li');
+    const label = document.createElement('strong');
+    label.textContent = `${f.label}: `;
+    item.appendChild(label);
+    let text = f.included.join(', ');
+    if (f.excluded.length) text += `${text ? ' ' : ''}(excluding ${f.excluded.join(', ')})`;
+    item.appendChild(document.createTextNode(text || '-'));
+    list.appendChild(item);
+  });
+  return list;
+}
+
+// Outcomes highlighted by the "only problems" filter
+const PROBLEM_OUTCOMES = ['retry', 'relogin', 'rescue', 'error', 'failed', 'paused', 'interrupted', 'unavailable', 'partial'];
+
+// One-line description of a log entry's extra fields
+function describeLogEntry(entry) {
+  const parts = [];
+  if (entry.service) parts.push(entry.service);
+  if (entry.attempt) parts.push(`attempt ${entry.attempt}`);
+  if (entry.method) parts.push(`via ${entry.method}`);
+  if (entry.rows !== undefined) parts.push(`${entry.rows} rows`);
+  if (entry.profiles !== undefined) parts.push(`${entry.profiles} profiles`);
+  if (entry.opened !== undefined) parts.push(`${entry.opened} lead panels read, ${entry.failed} failed`);
+  if (entry.resolved !== undefined) {
+    parts.push(`${entry.resolved} URLs resolved, ${entry.cached} cached, ${entry.failed} failed`);
+  }
+  if (entry.to !== undefined) parts.push(`to page ${entry.to}`);
+  if (entry.position !== undefined) parts.push(`position ${entry.position}`);
+  if (entry.children !== undefined) parts.push(`${entry.children} sub-searches by ${entry.by}`);
+  if (entry.workerId !== undefined) parts.push(`worker ${entry.workerId}`);
+  if (entry.totalRows !== undefined) {
+    parts.push(`${entry.totalRows} rows · ${entry.totalContacts || 0} contacts in total`);
+  }
+  if (entry.reason) parts.push(`reason: ${entry.reason}`);
+  if (entry.message) parts.push(entry.message);
+  if (entry.error) parts.push(entry.error);
+  return parts.join(' · ');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const jobId = new URLSearchParams(window.location.search).get('id');
+  const titleEl = document.getElementById('jobTitle');
+  const summaryEl = document.getElementById('jobSummary');
+  const activityEl = document.getElementById('jobActivity');
+  const logEl = document.getElementById('jobLog');
+  const pageChartEl = document.getElementById('pageChart');
+  const pageTableEl = document.getElementById('pageTable');
+  const subSearchSection = document.getElementById('subSearchSection');
+  const subSearchesEl = document.getElementById('subSearches');
+  const problemsOnly = document.getElementById('problemsOnly');
+  const backBtn = document.getElementById('backBtn');
+
+  // Log entries fetched so far; `total` is the offset for the next fetch
+  const entries = [];
+  let total = 0;
+  let stream = null;
+
+  function addSummaryItem(label, value) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    if (value instanceof Node) dd.appendChild(value);
+    else dd.textContent = value === undefined || value === null || value === '' ? '-' : value;
+    summaryEl.appendChild(dt);
+    summaryEl.appendChild(dd);
+  }
+
+  function renderSummary(job) {
+    titleEl.textContent = job.listName || 'Job Details';
+    summaryEl.innerHTML = '';
+    let status = job.state;
+    if (job.state === 'running' && job.workerId) status = `running (worker ${job.workerId})`;
+    if (job.queuePosition) status = `queued (#${job.queuePosition})`;
+    if (job.state === 'split' && job.splitProgress) {
+      status = `split (${job.splitProgress.completed}/${job.splitProgress.total} sub-searches done)`;
+    }
+    addSummaryItem('Status', status);
+    if (job.message) addSummaryItem('Message', job.message);
+    if (job.parentId) {
+      const link = document.createElement('a');
+      link.href = `job.html?id=${encodeURIComponent(job.parentId)}`;
+      link.textContent = job.parentId;
+      addSummaryItem('Split from', link);
+    }
+    if (job.splitFilter) addSummaryItem('Sub-search', `${job.splitFilter.type}: ${job.splitFilter.text}`);
+    if (job.url) {
+      const link = document.createElement('a');
+      link.href = job.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = job.url;
+      addSummaryItem('URL', link);
+    }
+    // The search decoded from the URL by the server (utils/salesNavQuery.js)
+    if (job.search) {
+      if (job.search.keywords) addSummaryItem('Keywords', job.search.keywords);
+      addSummaryItem('Filters', buildFilterList(job.search.filters));
+    }
+    addSummaryItem('Page type', job.pageType);
+    if (job.extractor) {
+      addSummaryItem('Extractor', job.deepExtract ? `${job.extractor} (deep extraction)` : job.extractor);
+    }
+    if (job.captureEmails) addSummaryItem('Emails', `Up to ${job.emailsPerType || 2} work and ${job.emailsPerType || 2} personal`);
+    if (job.minMatchConfidence != null) addSummaryItem('Min name match', job.minMatchConfidence.toFixed(2));
+    addSummaryItem('Account', job.accountName || 'Shared cookie');
+    addSummaryItem('Started', job.startedAt ? new Date(job.startedAt).toLocaleString() : 'Not started');
+    const running = job.state === 'running' || job.state === 'pausing';
+    addSummaryItem(
+      'Ended',
+      job.endedAt ? new Date(job.endedAt).toLocaleString() : running ? 'Still running' : '-'
+    );
+    const limits = [];
+    if (job.startPage || job.endPage) {
+      limits.push(`pages ${job.startPage || 1}–${job.endPage || 'last'}`);
+    }
+    if (job.maxPages) limits.push(`at most ${job.maxPages} page(s)`);
+    if (job.maxLeads) limits.push(`at most ${job.maxLeads} lead(s)`);
+    addSummaryItem('Limits', limits.length ? limits.join(', ') : 'None');
+    addSummaryItem('Page', job.pageIndex);
+    addSummaryItem('Rows', job.totalRows || 0);
+    addSummaryItem('Contacts', job.totalContacts || 0);
+    if (job.fileName) {
+      const link = document.createElement('a');
+      link.href = `download/${encodeURIComponent(job.fileName)}`;
+      link.textContent = job.fileName;
+      addSummaryItem('File', link);
+    }
+  }
+
+  function renderSubSearches(subSearches) {
+    subSearchesEl.innerHTML = '';
+    subSearchSection.hidden = !subSearches || subSearches.length === 0;
+    if (subSearchSection.hidden) return;
+    const header = document.createElement('div');
+    header.className = 'page-row sub-search-row page-header';
+    ['Filter', 'Status', 'Page', 'Rows', 'Contacts'].forEach((txt) => {
+      const span = document.createElement('span');
+      span.textContent = txt;
+      header.appendChild(span);
+    });
+    subSearchesEl.appendChild(header);
+    subSearches.forEach((s) => {
+      const row = document.createElement('div');
+      row.className = 'page-row sub-search-row';
+      if (s.state === 'paused') row.classList.add('page-problem');
+      const link = document.createElement('a');
+      link.href = `job.html?id=${encodeURIComponent(s.id)}`;
+      link.textContent = s.splitFilter ? s.splitFilter.text : s.listName;
+      const name = document.createElement('span');
+      name.appendChild(link);
+      row.appendChild(name);
+      [s.state, s.pageIndex, s.totalRows, s.totalContacts].forEach((txt) => {
+        const span = document.createElement('span');
+        span.textContent = txt;
+        row.appendChild(span);
+      });
+      subSearchesEl.appendChild(row);
+    });
+  }
+
+  function renderPages(pages) {
+    pageChartEl.innerHTML = '';
+    pageTableEl.innerHTML = '';
+    if (!pages || pages.length === 0) {
+      pageTableEl.textContent = 'No pages scraped yet.';
+      return;
+    }
+    pageChartEl.appendChild(buildPageChart(pages));
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    seriesFor(pages).forEach((s) => {
+      const item = document.createElement('span');
+      const swatch = document.createElement('i');
+      swatch.style.backgroundColor = s.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(s.label));
+      legend.appendChild(item);
+    });
+    pageChartEl.appendChild(legend);
+
+    const header = document.createElement('div');
+    header.className = 'page-row page-header';
+    ['Page', 'Rows', 'Dupes', 'Profiles', 'Domains', 'Nav tries', 'Result'].forEach((txt) => {
+      const span = document.createElement('span');
+      span.textContent = txt;
+      header.appendChild(span);
+    });
+    pageTableEl.appendChild(header);
+    pages.forEach((p) => {
+      const row = document.createElement('div');
+      row.className = 'page-row';
+      const errors = [p.signalhireError, p.nativeError, p.contactoutError, p.accountsError].filter(Boolean);
+      if (errors.length || p.navigation === 'failed') row.classList.add('page-problem');
+      row.title = errors.join('\n');
+      [
+        p.page,
+        [p.signalhireRows, p.nativeRows, p.accountRows]
+          .filter((n) => n !== undefined)
+          .reduce((sum, n) => sum + n, 0),
+        p.duplicatesSkipped,
+        p.contactoutProfiles !== undefined ? p.contactoutProfiles : '-',
+        p.domainsMerged !== undefined ? p.domainsMerged : '-',
+        p.navigationAttempts,
+        p.navigation || '-',
+      ].forEach((txt) => {
+        const span = document.createElement('span');
+        span.textContent = txt;
+        row.appendChild(span);
+      });
+      pageTableEl.appendChild(row);
+    });
+  }
+
+  function renderLog() {
+    const visible = problemsOnly.checked
+      ? entries.filter((e) => PROBLEM_OUTCOMES.includes(e.outcome))
+      : entries;
+    logEl.innerHTML = '';
+    if (visible.length === 0) {
+      logEl.textContent = entries.length ? 'No problems logged.' : 'No events logged yet.';
+      return;
+    }
+    const header = document.createElement('div');
+    header.className = 'log-row log-header';
+    ['Time', 'Page', 'Phase', 'Outcome', 'Details'].forEach((txt) => {
+      const span = document.createElement('span');
+      span.textContent = txt;
+      header.appendChild(span);
+    });
+    logEl.appendChild(header);
+    // Newest first
+    visible
+      .slice()
+      .reverse()
+      .forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = `log-row log-${entry.outcome}`;
+        [
+          new Date(entry.at).toLocaleString(),
+          entry.page !== undefined ? entry.page : '',
+          entry.phase,
+          entry.outcome,
+          describeLogEntry(entry),
+        ].forEach((txt) => {
+          const span = document.createElement('span');
+          span.textContent = txt;
+          row.appendChild(span);
+        });
+        logEl.appendChild(row);
+      });
+  }
+
+  async function loadJob() {
+    try {
+      const res = await fetch(`jobs/${encodeURIComponent(jobId)}`);
+      const data = await res.json();
+      if (!res.ok) {
+        summaryEl.textContent = data.error || 'Failed to load job.';
+        return null;
+      }
+      renderSummary(data.job);
+      renderSubSearches(data.job.subSearches);
+      renderPages(data.job.pages);
+      return data.job;
+    } catch (err) {
+      summaryEl.textContent = 'Error loading job.';
+      return null;
+    }
+  }
+
+  // Fetch only the entries logged since the last call
+  async function loadLog() {
+    try {
+      const res = await fetch(`jobs/${encodeURIComponent(jobId)}/log?offset=${total}`);
+      const data = await res.json();
+      if (!res.ok) {
+        logEl.textContent = data.error || 'Failed to load the event log.';
+        return;
+      }
+      entries.push(...(data.entries || []));
+      total = data.total;
+      renderLog();
+    } catch (err) {
+      logEl.textContent = 'Error loading the event log.';
+    }
+  }
+
+  // Follow a running job; each event refreshes the summary and log
+  function followJob() {
+    if (stream) return;
+    stream = new EventSource(`jobs/${encodeURIComponent(jobId)}/events`);
+    JOB_EVENT_TYPES.forEach((type) => {
+      stream.addEventListener(type, (msg) => {
+        let ev;
+        try {
+          ev = JSON.parse(msg.data);
+        } catch {
+          return;
+        }
+        activityEl.textContent = `Last event: ${type} (page ${ev.pageIndex}, ${new Date(ev.at).toLocaleTimeString()})`;
+        if (type === 'snapshot') return;
+        loadJob();
+        loadLog();
+        if (type === 'paused' || type === 'completed') {
+          stream.close();
+          stream = null;
+        }
+      });
+    });
+  }
+
+  async function init() {
+    if (!jobId) {
+      summaryEl.textContent = 'No job selected.';
+      return;
+    }
+    const job = await loadJob();
+    if (!job) return;
+    await loadLog();
+    if (['running', 'pausing', 'queued', 'split'].includes(job.state)) followJob();
+  }
+
+  problemsOnly.addEventListener('change', renderLog);
+
+  backBtn.addEventListener('click', () => {
+    window.location.href = 'all-jobs.html';
+  });
+
+  init();
+});
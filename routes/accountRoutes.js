@@ -0,0 +1,117 @@
+// routes/accountRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Named LinkedIn accounts live in the account vault.  Each account has
+// its own cookie file so that jobs can be run under different Sales
+// Navigator seats; the shared cookie from cookieRoutes.js remains the
+// default for jobs that do not select an account.
+const {
+  listAccounts,
+  addAccount,
+  renameAccount,
+  updateAccountCookie,
+  deleteAccount,
+} = require('../utils/accountVault');
+
+// Errors thrown by the vault for bad input (unrecognised cookie data,
+// missing or duplicate names) are reported as 400s; anything else is
+// an unexpected server failure.
+function isValidationError(err) {
+  return /^(Invalid cookie|Account name|An account named)/.test(err && err.message);
+}
+
+function sendError(res, err, fallback) {
+  const status = isValidationError(err) ? 400 : 500;
+  if (status === 500) console.error(fallback, err);
+  return res.status(status).json({ error: err.message || fallback });
+}
+
+// GET /accounts
+// Lists the stored accounts with their names, timestamps and whether
+// a cookie file is present.  Cookie contents are never returned.
+router.get('/accounts', (req, res) => {
+  try {
+    return res.json({ accounts: listAccounts() });
+  } catch (err) {
+    return sendError(res, err, 'Failed to list accounts.');
+  }
+});
+
+// POST /accounts
+// Body: { name, cookie }.  Creates a new account from pasted LinkedIn
+// cookies in any supported format; the response reports the detected
+// format and how many LinkedIn cookies were accepted.
+router.post('/accounts', (req, res) => {
+  try {
+    const { name, cookie } = req.body || {};
+    if (!cookie || typeof cookie !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'Invalid cookie payload. Expecting a string.' });
+    }
+    const { account, format, accepted } = addAccount(name, cookie);
+    return res.json({
+      message: `Account "${account.name}" added (${format} format, ${accepted} LinkedIn cookies accepted).`,
+      account,
+      format,
+      linkedinCookies: accepted,
+    });
+  } catch (err) {
+    return sendError(res, err, 'Failed to add account.');
+  }
+});
+
+// PATCH /accounts/:id
+// Body: { name }.  Renames an account.
+router.patch('/accounts/:id', (req, res) => {
+  try {
+    const account = renameAccount(req.params.id, (req.body || {}).name);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    return res.json({ message: `Account renamed to "${account.name}".`, account });
+  } catch (err) {
+    return sendError(res, err, 'Failed to rename account.');
+  }
+});
+
+// PUT /accounts/:id/cookie
+// Body: { cookie }.  Replaces the cookie stored for an account without
+// changing its id, so queued jobs pick up the fresh session.
+router.put('/accounts/:id/cookie', (req, res) => {
+  try {
+    const { cookie } = req.body || {};
+    if (!cookie || typeof cookie !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'Invalid cookie payload. Expecting a string.' });
+    }
+    const result = updateAccountCookie(req.params.id, cookie);
+    if (!result) return res.status(404).json({ error: 'Account not found' });
+    const { account, format, accepted } = result;
+    return res.json({
+      message: `Cookie for "${account.name}" saved (${format} format, ${accepted} LinkedIn cookies accepted).`,
+      account,
+      format,
+      linkedinCookies: accepted,
+    });
+  } catch (err) {
+    return sendError(res, err, 'Failed to save account cookie.');
+  }
+});
+
+// DELETE /accounts/:id
+// Removes an account and its cookie file.  Jobs that still reference
+// the account will pause with a missing-cookie reason when they run.
+router.delete('/accounts/:id', (req, res) => {
+  try {
+    if (!deleteAccount(req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    return res.json({ message: 'Account deleted.' });
+  } catch (err) {
+    return sendError(res, err, 'Failed to delete account.');
+  }
+});
+
+module.exports = router;
@@ -7,23 +7,41 @@ const router = express.Router();
 // LinkedIn cookie to disk.  Keeping this logic in one place avoids
 // scattering file system calls throughout your route handlers.
 const { saveCookieFile, getCookieFilePath, deleteCookieFile } = require('../utils/fileHandler');
+const { describeLinkedInCookies } = require('../utils/cookieHealth');
+const {
+  PROVIDERS,
+  isProvider,
+  saveProviderCookie,
+  getProviderCookieStatus,
+  deleteProviderCookie,
+} = require('../utils/providerCookies');
 
 // POST /api/save-cookie
-// Accepts a JSON object with a `cookie` property containing the raw
-// LinkedIn cookie JSON array.  The cookie is parsed and written to
-// disk; on success a message is returned to the caller.  Errors are
-// caught and logged to aid in debugging during development.
+// Accepts a JSON object with a `cookie` property containing the pasted
+// LinkedIn cookies: a Chrome-extension JSON array, Netscape cookies.txt,
+// a raw `Cookie:` header, Playwright storageState JSON or a bare li_at
+// value.  The format is detected, the cookies are converted and written
+// to disk, and the response reports the detected `format` and the
+// number of LinkedIn cookies accepted.  Unrecognised input returns 400;
+// other errors are logged to aid in debugging during development.
 router.post('/save-cookie', async (req, res) => {
   try {
     const { cookie } = req.body;
     if (!cookie || typeof cookie !== 'string') {
       return res
         .status(400)
-        .json({ error: 'Invalid cookie payload. Expecting a JSON string.' });
+        .json({ error: 'Invalid cookie payload. Expecting a string.' });
     }
-    saveCookieFile(cookie);
-    return res.json({ message: 'Cookie saved successfully.' });
+    const { format, accepted } = saveCookieFile(cookie);
+    return res.json({
+      message: `Cookie saved successfully (${format} format, ${accepted} LinkedIn cookies accepted).`,
+      format,
+      linkedinCookies: accepted,
+    });
   } catch (err) {
+    if (/^Invalid cookie/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('save-cookie error:', err);
     return res
       .status(500)
@@ -33,21 +51,27 @@ router.post('/save-cookie', async (req, res) => {
 
 // GET /api/cookie-status
 // Returns whether a LinkedIn cookie file is already present on disk and a
-// corresponding message.  The frontend can call this endpoint on
-// page load to determine whether the user needs to paste a new
-// cookie.  This endpoint does not read the cookie contents.
+// corresponding message, plus a `health` report: presence and expiry of
+// li_at, JSESSIONID and li_a, the last live login check and any
+// warnings (e.g. a cookie expiring within COOKIE_EXPIRY_WARN_DAYS).
+// The frontend calls this endpoint on page load to determine whether
+// the user needs to paste a new cookie.  Cookie values are never
+// returned.
 router.get('/cookie-status', (req, res) => {
   try {
-    const exists = !!getCookieFilePath();
-    if (exists) {
+    const filePath = getCookieFilePath();
+    const health = describeLinkedInCookies(filePath);
+    if (filePath) {
       return res.json({
         hasCookie: true,
         message: 'You already have cookies. No need to paste new cookie.',
+        health,
       });
     }
     return res.json({
       hasCookie: false,
-      message: 'No cookie found. Please paste your LinkedIn cookie JSON.',
+      message: 'No cookie found. Please paste your LinkedIn cookies.',
+      health,
     });
   } catch (err) {
     console.error('cookie-status error:', err);
@@ -69,4 +93,81 @@ router.delete('/delete-cookie', (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// SignalHire / ContactOut cookies
+//
+// The extension cookies used to be refreshed by overwriting the JSON
+// files on the server.  These endpoints manage the shared cookie file of
+// each provider (`signalhire` or `contactout`) the same way as the
+// LinkedIn cookie above.
+
+function checkProvider(req, res) {
+  const { provider } = req.params;
+  if (!isProvider(provider)) {
+    res.status(404).json({ error: `Unknown cookie provider: ${provider}` });
+    return null;
+  }
+  return provider;
+}
+
+// POST /api/save-cookie/:provider
+// Accepts `{ cookie }` in any format the LinkedIn endpoint accepts
+// (except a bare token).  The cookies are validated before the
+// provider's cookie file is replaced.
+router.post('/save-cookie/:provider', async (req, res) => {
+  const provider = checkProvider(req, res);
+  if (!provider) return;
+  try {
+    const { cookie } = req.body;
+    if (!cookie || typeof cookie !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'Invalid cookie payload. Expecting a string.' });
+    }
+    const { format, count } = saveProviderCookie(provider, cookie);
+    return res.json({
+      message: `${PROVIDERS[provider].label} cookie saved (${format} format, ${count} cookies).`,
+      format,
+      status: getProviderCookieStatus(provider),
+    });
+  } catch (err) {
+    if (/^Invalid cookie/.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error(`save-cookie ${provider} error:`, err);
+    return res
+      .status(500)
+      .json({ error: err.message || 'Failed to save cookie.' });
+  }
+});
+
+// GET /api/cookie-status/:provider
+// Returns whether the provider cookie exists, when it was last updated
+// and the result of the last login check made with it.
+router.get('/cookie-status/:provider', (req, res) => {
+  const provider = checkProvider(req, res);
+  if (!provider) return;
+  try {
+    return res.json(getProviderCookieStatus(provider));
+  } catch (err) {
+    console.error(`cookie-status ${provider} error:`, err);
+    return res.status(500).json({ error: err.message || 'Failed to check cookie status.' });
+  }
+});
+
+// DELETE /api/delete-cookie/:provider
+// Removes the provider cookie file.  Jobs will pause with a login
+// failure until a new cookie is saved.
+router.delete('/delete-cookie/:provider', (req, res) => {
+  const provider = checkProvider(req, res);
+  if (!provider) return;
+  try {
+    deleteProviderCookie(provider);
+    return res.json({ message: `${PROVIDERS[provider].label} cookie deleted successfully.` });
+  } catch (err) {
+    console.error(`delete-cookie ${provider} error:`, err);
+    return res.status(500).json({ error: err.message || 'Failed to delete cookie.' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
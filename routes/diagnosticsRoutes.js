@@ -0,0 +1,73 @@
+// routes/diagnosticsRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Selector health checks (utils/selectorDiagnostics.js): open a Sales
+// Navigator URL, report which of the elements the scraper relies on
+// were found, and keep a screenshot and DOM snapshot when some were
+// not.  The diagnostics page (diagnostics.html) uses these routes.
+const {
+  runDiagnostics,
+  isDiagnosticsRunning,
+  listDiagnostics,
+  getDiagnostics,
+  getDiagnosticsArtifactPath,
+} = require('../utils/selectorDiagnostics');
+
+// Errors thrown by runDiagnostics() for bad input; a run already in
+// progress is a 409
+function errorStatus(err) {
+  const message = (err && err.message) || '';
+  if (/already in progress/.test(message)) return 409;
+  if (/^(url must be|No LinkedIn cookie|That LinkedIn account)/.test(message)) return 400;
+  return 500;
+}
+
+// POST /diagnostics
+// Body: { url, accountId? }.  Runs the health check and responds with
+// the report once it has finished (this takes a minute or so, as the
+// extension sidebars are opened).  Missing elements are part of the
+// report, not an error.
+router.post('/diagnostics', async (req, res) => {
+  try {
+    const { url, accountId } = req.body || {};
+    const report = await runDiagnostics({ url: String(url || '').trim(), accountId: accountId || undefined });
+    return res.json(report);
+  } catch (err) {
+    const status = errorStatus(err);
+    if (status === 500) console.error('Diagnostics run failed.', err);
+    return res.status(status).json({ error: err.message || 'Diagnostics run failed.' });
+  }
+});
+
+// GET /diagnostics
+// Saved runs, newest first, and whether a run is in progress.
+router.get('/diagnostics', async (req, res) => {
+  try {
+    return res.json({ running: isDiagnosticsRunning(), runs: await listDiagnostics() });
+  } catch (err) {
+    console.error('Failed to list diagnostics runs.', err);
+    return res.status(500).json({ error: 'Failed to list diagnostics runs.' });
+  }
+});
+
+// GET /diagnostics/:id
+// The full report of a saved run.
+router.get('/diagnostics/:id', async (req, res) => {
+  const report = await getDiagnostics(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Diagnostics run not found.' });
+  return res.json(report);
+});
+
+// GET /diagnostics/:id/files/:name
+// A screenshot or DOM snapshot listed in the run's `artifacts`.
+router.get('/diagnostics/:id/files/:name', async (req, res) => {
+  const filePath = await getDiagnosticsArtifactPath(req.params.id, req.params.name);
+  if (!filePath) return res.status(404).json({ error: 'File not found.' });
+  // DOM snapshots are served as text so their scripts never run here
+  if (filePath.endsWith('.html')) res.type('text/plain');
+  return res.sendFile(filePath);
+});
+
+module.exports = router;
@@ -5,8 +5,12 @@ const path = require('path');
 const fs = require('fs/promises');
 const router = express.Router();
 
-const { getCookieFilePath } = require('../utils/fileHandler');
 const { launchStealthBrowser } = require('../utils/browser');
+const { createWorkerPool, getWorkerCookieFiles } = require('../utils/workerPool');
+const { getAccount, getAccountCookiePath } = require('../utils/accountVault');
+const { recordLoginCheck } = require('../utils/loginChecks');
+const { emitJobEvent, subscribeJobEvents } = require('../utils/jobEvents');
+const { appendJobLog, createJobLogger, readJobLog } = require('../utils/jobLog');
 const {
   addLinkedInCookies,
   checkLinkedInByUrl,
@@ -24,7 +28,7 @@ const runSignalHire = require('../signalHire/signalhire_index');
 // the resulting domains into the existing CSV.
 const runContactOut = require('../contactOut/contactout_index');
 const { mergeContactDomainsByNamePriority } = require('../utils/mergeContactDomains');
-const { upgradeCsvHeaders } = require('../utils/upgradeCsvHeaders');
+const { upgradeCsvHeaders, MAX_EMAILS_PER_TYPE } = require('../utils/upgradeCsvHeaders');
 const salesDashBoardScroller = require('../utils/salesDashBoardScroller');
 const { nextDelaySecs } = require('../utils/randomDelayer');
 
@@ -43,20 +47,62 @@ const {
   getJob,
   setJob,
   updateJob,
+  getQueue,
+  getQueuePosition,
+  enqueueJob,
+  reorderQueue,
+  dequeueJob,
 } = require('../utils/jobsManager');
 const jobs = getJobs(); // alias to the in‑memory jobs cache
 
+// Pool of scrape workers (size from SCRAPE_WORKERS).  Each worker runs
+// one job at a time in its own browser profile; see utils/workerPool.js.
+const workers = createWorkerPool();
+
+// Pool-wide state.  `currentJobId` is the job most recently started by
+// any worker; the index page shows it and /stop and /resume act on it.
+// `blockedReason` is set when a job stopped because of a problem every
+// other job would hit as well (no cookie, expired cookie, third‑party
+// login failure).  The scheduler then stops starting new jobs until a
+// job is enqueued again.
 const scrapeSession = {
-  isScraping: false,
-  isPaused: false,
-  pauseRequested: false,
   currentJobId: null,
+  blockedReason: null,
 };
 
+const BLOCKING_STATE_REASONS = new Set(['cookie_missing', 'cookie_expired', 'login_failed']);
+
+/**
+ * Whether a stopped job should halt the whole scheduler.  A missing or
+ * expired cookie on a named LinkedIn account only affects jobs using
+ * that account, so those jobs pause without blocking the others.
+ *
+ * @param {Object} job The stopped job
+ */
+function blocksScheduler(job) {
+  if (!BLOCKING_STATE_REASONS.has(job.stateReason)) return false;
+  return !(job.accountId && job.stateReason !== 'login_failed');
+}
+
 // Import next page navigation helper.  This helper advances the Sales
 // Navigator list to the next page until either a change is detected
 // or no more pages exist.
-const { clickNextPage } = require('../utils/nextPageNavigation');
+const { clickNextPage, buildPageUrl, readPageState } = require('../utils/nextPageNavigation');
+const {
+  SALES_NAV_MAX_PAGES,
+  SALES_NAV_MAX_RESULTS,
+  planSplit,
+  buildSubSearchUrl,
+  parseSplitRegions,
+} = require('../utils/searchSplitter');
+const { parseSalesNavUrl, describeSalesNavUrl } = require('../utils/salesNavQuery');
+const { PAGE_PROFILES, getPageProfile } = require('../utils/pageProfiles');
+const { extractAccounts, saveAccounts } = require('../utils/accountExtractor');
+const { extractLeads, saveLeads, parseExtractor, usesSignalHire } = require('../utils/leadExtractor');
+const { resolveLeadUrls, rememberPublicUrl } = require('../utils/leadUrlResolver');
+const { extractLeadDetails } = require('../utils/leadPanelExtractor');
+const { waitForLeadList } = require('../utils/waitForLeadList');
+const { createFixtureCapture } = require('../utils/fixtureCapture');
 
 async function maybeCaptureDebugScreenshot({ jobId, label, page }) {
   const debugVideoEnabled = String(process.env.DEBUG_VIDEO || '').toLowerCase() === 'true';
@@ -73,33 +119,248 @@ async function maybeCaptureDebugScreenshot({ jobId, label, page }) {
   }
 }
 
+// -----------------------------------------------------------------------------
+// Scheduler
+//
+// Jobs are never started directly.  Every route that wants a job to run
+// enqueues it and then pokes the scheduler, which starts the head of the
+// queue whenever the worker is idle.  When a job stops for any reason
+// the scheduler is invoked again so the next queued job is picked up.
+
+/**
+ * Return the worker currently running a job, or null.
+ *
+ * @param {string} jobId The job id
+ */
+function findWorkerForJob(jobId) {
+  return workers.find((w) => w.isScraping && w.currentJobId === jobId) || null;
+}
+
+/**
+ * Whether a worker is currently running a job under the given LinkedIn
+ * account.  Running two browsers on the same session at once is a
+ * quick way to get the account flagged, so such jobs wait their turn.
+ *
+ * @param {string} accountId The account id
+ */
+function isAccountBusy(accountId) {
+  return workers.some((w) => {
+    if (!w.isScraping) return false;
+    const running = getJob(w.currentJobId);
+    return !!running && running.accountId === accountId;
+  });
+}
+
+/**
+ * Whether a worker is currently running a job that writes to the given
+ * CSV file.  The sub-searches of a split job share their parent's file,
+ * and two workers appending to one CSV would interleave and defeat
+ * deduplication, so they run one after the other.
+ *
+ * @param {string} filePath The job's CSV path
+ */
+function isFileBusy(filePath) {
+  return workers.some((w) => {
+    if (!w.isScraping) return false;
+    const running = getJob(w.currentJobId);
+    return !!running && running.filePath === filePath;
+  });
+}
+
+/**
+ * Start queued jobs on every idle worker.  Safe to call at any time; it
+ * does nothing while all workers are busy, while the queue is empty or
+ * while the scheduler is blocked.  Jobs whose LinkedIn account or CSV
+ * file is already in use by another worker are skipped for now.
+ */
+function scheduleNextJob() {
+  if (scrapeSession.blockedReason) return;
+  for (const worker of workers) {
+    if (worker.isScraping) continue;
+    const next = getQueue().find(
+      (job) =>
+        !findWorkerForJob(job.id) &&
+        !(job.accountId && isAccountBusy(job.accountId)) &&
+        !isFileBusy(job.filePath)
+    );
+    if (!next) return;
+    startJobOnWorker(worker, next);
+  }
+}
+
+/**
+ * Run a queued job on an idle worker and schedule again once it stops.
+ *
+ * @param {Object} worker An idle worker
+ * @param {Object} next The queued job to run
+ */
+function startJobOnWorker(worker, next) {
+  const jobId = next.id;
+  // Claim the worker synchronously so concurrent calls cannot start a
+  // second job on it (or this job twice) while the queue update below
+  // is pending.
+  worker.currentJobId = jobId;
+  worker.isScraping = true;
+  worker.isPaused = false;
+  worker.pauseRequested = false;
+  scrapeSession.currentJobId = jobId;
+  next.stateReason = null;
+  next.message = null;
+  next.workerId = worker.id;
+  dequeueJob(jobId, { state: 'running' })
+    .catch(() => { })
+    .then(() => runScrape(worker))
+    .catch((e) => {
+      console.error(`Scheduled scrape error (worker ${worker.id}):`, e);
+      appendJobLog(jobId, { phase: 'run', outcome: 'error', error: e?.message || String(e) });
+      worker.isScraping = false;
+      worker.isPaused = false;
+      const job = getJob(jobId);
+      if (job && job.state === 'running') {
+        job.state = 'paused';
+        updateJob(jobId, { state: 'paused' }).catch(() => { });
+      }
+    })
+    .finally(() => {
+      // The run is over whichever way it ended; free the worker
+      worker.isScraping = false;
+      worker.pauseRequested = false;
+      const job = getJob(jobId);
+      if (job) {
+        job.endedAt = new Date().toISOString();
+        updateJob(jobId, { endedAt: job.endedAt }).catch(() => { });
+      }
+      // Every pause path (user request, cookie/login problems, navigation
+      // failure, unexpected errors) ends here, so the event is sent and
+      // logged once
+      if (job && job.state === 'paused') {
+        emitJobEvent(job, 'paused', {
+          reason: job.stateReason || null,
+          message: job.message || null,
+        });
+        appendJobLog(jobId, {
+          page: job.pageIndex,
+          phase: 'run',
+          outcome: 'paused',
+          reason: job.stateReason,
+          message: job.message,
+        });
+      } else if (job && job.state === 'completed') {
+        appendJobLog(jobId, {
+          page: job.pageIndex,
+          phase: 'run',
+          outcome: 'completed',
+          reason: job.stateReason,
+          totalRows: job.totalRows,
+          totalContacts: job.totalContacts,
+        });
+      }
+      if (job && job.parentId) updateSplitProgress(job.parentId);
+      if (job && blocksScheduler(job)) {
+        scrapeSession.blockedReason = job.stateReason;
+        console.warn(`Scheduler halted (${job.stateReason}); enqueue a job to retry.`);
+        return;
+      }
+      scheduleNextJob();
+    });
+}
+
+/**
+ * Enqueue a job and poke the scheduler.  Clears a blocked scheduler
+ * since the user is explicitly asking for work to happen again.  If an
+ * idle worker exists the job starts straight away.
+ *
+ * @param {string} jobId The job to enqueue
+ * @param {Object} [opts] Options forwarded to jobsManager.enqueueJob()
+ * @returns {Promise<number|null>} Queue position, or null if the job started immediately
+ */
+async function enqueueAndSchedule(jobId, opts) {
+  const position = await enqueueJob(jobId, opts);
+  appendJobLog(jobId, { phase: 'queue', outcome: 'queued', position });
+  scrapeSession.blockedReason = null;
+  scheduleNextJob();
+  return getQueuePosition(jobId);
+}
+
+/**
+ * Resume the queue after a server restart.  Jobs that were running when
+ * the server went down are put back at the front of the queue; jobs
+ * that were pausing are marked paused.  Must be called after
+ * jobsManager.loadJobs() has resolved.
+ */
+async function startScheduler() {
+  const list = Object.values(getJobs());
+  for (const job of list) {
+    if (job.state === 'pausing') {
+      await updateJob(job.id, { state: 'paused' }).catch(() => { });
+    }
+  }
+  const interrupted = list.filter((job) => job.state === 'running');
+  for (const job of interrupted.reverse()) {
+    appendJobLog(job.id, {
+      page: job.pageIndex,
+      phase: 'run',
+      outcome: 'interrupted',
+      message: 'Server restarted while the job was running; re-queued.',
+    });
+    await enqueueJob(job.id, { atFront: true }).catch(() => { });
+  }
+  scheduleNextJob();
+}
+
+function summarizeQueue() {
+  return getQueue().map((job, i) => ({
+    id: job.id,
+    listName: job.listName,
+    priority: job.priority || 0,
+    position: i + 1,
+  }));
+}
+
+function summarizeWorkers() {
+  return workers.map((w) => ({
+    id: w.id,
+    busy: w.isScraping,
+    jobId: w.isScraping ? w.currentJobId : null,
+  }));
+}
+
 // Expose a status endpoint so the frontend can determine the state of the
-// scraper.  Returns { running, paused, url, listName, fileName, pageIndex }.
+// scraper.  `running`/`paused` describe the most recently started job;
+// `workers` shows what every worker in the pool is doing.  Returns
+// { running, paused, currentJobId, job, queue, workers }.
 
 router.get('/status', (req, res) => {
   const currentId = scrapeSession.currentJobId;
   const currentJob = currentId ? getJob(currentId) : null;
   res.json({
-    running: scrapeSession.isScraping,
-    paused: scrapeSession.isPaused,
+    running: !!(currentId && findWorkerForJob(currentId)),
+    paused: !!(currentJob && currentJob.state === 'paused'),
     currentJobId: currentId || null,
+    blockedReason: scrapeSession.blockedReason,
     job: currentJob ? {
       ...currentJob,
       stateReason: currentJob.stateReason || null,
       message: currentJob.message || null,
     } : null,
+    queue: summarizeQueue(),
+    workers: summarizeWorkers(),
   });
 });
 
 
 // POST /api/stop
-// Request the scraper to pause.  If no scrape is running, return an error.
+// Request the scraper to pause the most recently started job.  If it is
+// not running, return an error.  Once the job has paused its worker moves
+// on to the next queued job.
 router.post('/stop', (req, res) => {
   const jobId = scrapeSession.currentJobId;
-  if (!scrapeSession.isScraping || !jobId || !jobs[jobId]) {
+  const worker = jobId ? findWorkerForJob(jobId) : null;
+  if (!worker || !jobs[jobId]) {
     return res.status(400).json({ error: 'No scrape is currently running.' });
   }
-  scrapeSession.pauseRequested = true;
+  worker.pauseRequested = true;
+  appendJobLog(jobId, { page: jobs[jobId].pageIndex, phase: 'run', outcome: 'pause-requested' });
   // Mark job as pausing; runScrape will update to paused when it stops
   jobs[jobId].state = 'pausing';
   // Persist the job state change
@@ -108,27 +369,24 @@ router.post('/stop', (req, res) => {
 });
 
 // POST /api/resume
-// Resume a previously paused scrape.  If no paused scrape exists, return an error.
-router.post('/resume', (req, res) => {
-  // Resume the current paused job
+// Resume the most recently paused scrape.  The job is put at the front of
+// the queue so it runs as soon as a worker is free.  If no paused
+// scrape exists, return an error.
+router.post('/resume', async (req, res) => {
   const jobId = scrapeSession.currentJobId;
-  if (!scrapeSession.isPaused || !jobId || !jobs[jobId]) {
+  if (!jobId || !jobs[jobId] || jobs[jobId].state !== 'paused') {
     return res.status(400).json({ error: 'No paused scrape to resume.' });
   }
-  jobs[jobId].state = 'running';
-  // Persist the updated job state
-  updateJob(jobId, { state: 'running' }).catch(() => { });
-  scrapeSession.isPaused = false;
-  scrapeSession.isScraping = true;
-  scrapeSession.pauseRequested = false;
-  // Kick off the scrape from the saved page index
-  runScrape().catch((e) => {
-    console.error('Resume scrape error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    jobs[jobId].state = 'paused';
-  });
-  return res.json({ message: 'Scrape resumed.' });
+  try {
+    const position = await enqueueAndSchedule(jobId, { atFront: true });
+    if (position) {
+      return res.json({ message: `Scrape will resume next (queue position ${position}).`, queuePosition: position });
+    }
+    return res.json({ message: 'Scrape resumed.' });
+  } catch (err) {
+    console.error('resume error:', err);
+    return res.status(500).json({ error: 'Failed to resume scrape.' });
+  }
 });
 
 // File management API endpoints
@@ -176,13 +434,18 @@ router.delete('/delete/:fileName', async (req, res) => {
 
 // GET /api/jobs
 // Return a list of all job objects.  Each job object includes its id,
-// url, listName, timestamp, state, current page and file details.
+// url, listName, timestamp, state, current page, file details and,
+// for queued jobs, its 1-based queuePosition.
 router.get('/jobs', (req, res) => {
   try {
-    // Use the jobsManager to retrieve the latest jobs.  Object.values
-    // copies the array so that mutating the returned list does not
-    // affect the internal cache.
-    const list = Object.values(getJobs());
+    // Use the jobsManager to retrieve the latest jobs.  The objects are
+    // shallow-copied so that adding queuePosition does not leak into
+    // the cache (and from there into the job files).
+    const positions = new Map(getQueue().map((job, i) => [job.id, i + 1]));
+    const list = Object.values(getJobs()).map((job) => ({
+      ...job,
+      queuePosition: positions.get(job.id) || null,
+    }));
     return res.json({ jobs: list });
   } catch (err) {
     console.error('jobs list error:', err);
@@ -191,62 +454,88 @@ router.get('/jobs', (req, res) => {
 });
 
 // POST /api/jobs/:id/run
-// Start or resume a specific job.  If another job is running, it is
-// paused first.  The target job is resumed from its saved page.
+// Queue a specific job to start or resume.  An optional `priority` in the
+// body decides where it is inserted.  If the worker is idle the job
+// starts immediately and resumes from its saved page.  For a split job
+// the paused sub-searches are queued instead.
 router.post('/jobs/:id/run', async (req, res) => {
   const { id } = req.params;
+  const { priority } = req.body || {};
   // Look up the job via the persistence layer
-  const job = jobs[id];
+  const job = getJob(id);
   if (!job) {
     return res.status(404).json({ error: 'Job not found.' });
   }
+  if (job.state === 'split') {
+    const paused = getDescendants(job).filter((child) => child.state === 'paused');
+    try {
+      for (const child of paused) {
+        await enqueueAndSchedule(child.id, { priority });
+      }
+    } catch (err) {
+      console.error('Run job error:', err);
+      return res.status(500).json({ error: 'Failed to queue sub-searches.' });
+    }
+    return res.json({ message: `${paused.length} paused sub-search(es) queued.` });
+  }
   // If this job is already running
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
+  if (findWorkerForJob(id)) {
     return res.json({ message: 'Job is already running.' });
   }
-  // If another job is currently running, request it to pause and persist its state
-  const currentId = scrapeSession.currentJobId;
-  if (scrapeSession.isScraping && currentId && jobs[currentId]) {
-    scrapeSession.pauseRequested = true;
-    jobs[currentId].state = 'paused';
-    jobs[currentId].pageIndex = jobs[currentId].pageIndex || 1;
-    // Persist the pause state for the existing job
-    updateJob(currentId, {
-      state: 'paused',
-      pageIndex: jobs[currentId].pageIndex,
-    }).catch(() => { });
+  try {
+    const position = await enqueueAndSchedule(id, { priority });
+    if (position) {
+      return res.json({ message: `Job queued at position ${position}.`, queuePosition: position });
+    }
+    return res.json({ message: 'Job started/resumed.' });
+  } catch (err) {
+    console.error('Run job error:', err);
+    return res.status(500).json({ error: 'Failed to queue job.' });
   }
-  // Set this job as current and start/resume it
-  scrapeSession.currentJobId = id;
-  scrapeSession.isScraping = true;
-  scrapeSession.isPaused = false;
-  scrapeSession.pauseRequested = false;
-  job.state = 'running';
-  // Persist the updated state for this job
-  updateJob(id, { state: 'running' }).catch(() => { });
-  // Start scraping in the background
-  runScrape().catch((e) => {
-    console.error('Run job error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    job.state = 'paused';
-    updateJob(id, { state: 'paused' }).catch(() => { });
-  });
-  return res.json({ message: 'Job started/resumed.' });
 });
 
 // POST /api/jobs/:id/stop
 // Pause a specific job.  If the job is currently running, set a pause
-// request.  Otherwise simply mark it as paused.
-router.post('/jobs/:id/stop', (req, res) => {
+// request.  If it is queued, take it out of the queue.  Otherwise simply
+// mark it as paused.  Stopping a split job pauses its sub-searches.
+router.post('/jobs/:id/stop', async (req, res) => {
   const { id } = req.params;
-  const job = jobs[id];
+  const job = getJob(id);
   if (!job) {
     return res.status(404).json({ error: 'Job not found.' });
   }
-  // If this job is the current running job
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
-    scrapeSession.pauseRequested = true;
+  if (job.state === 'split') {
+    let stopped = 0;
+    for (const child of getDescendants(job)) {
+      if (child.state === 'queued') {
+        await dequeueJob(child.id, { state: 'paused' }).catch(() => { });
+        emitJobEvent(child, 'paused', { reason: 'dequeued' });
+        appendJobLog(child.id, { phase: 'queue', outcome: 'dequeued' });
+        stopped++;
+        continue;
+      }
+      const worker = findWorkerForJob(child.id);
+      if (worker) {
+        worker.pauseRequested = true;
+        appendJobLog(child.id, { page: child.pageIndex, phase: 'run', outcome: 'pause-requested' });
+        child.state = 'pausing';
+        updateJob(child.id, { state: 'pausing' }).catch(() => { });
+        stopped++;
+      }
+    }
+    return res.json({ message: `${stopped} sub-search(es) paused.` });
+  }
+  if (job.state === 'queued') {
+    await dequeueJob(id, { state: 'paused' }).catch(() => { });
+    emitJobEvent(job, 'paused', { reason: 'dequeued' });
+    appendJobLog(id, { phase: 'queue', outcome: 'dequeued' });
+    return res.json({ message: 'Job removed from the queue.' });
+  }
+  // If a worker is running this job, ask it to pause
+  const worker = findWorkerForJob(id);
+  if (worker) {
+    worker.pauseRequested = true;
+    appendJobLog(id, { page: job.pageIndex, phase: 'run', outcome: 'pause-requested' });
     job.state = 'pausing';
     // Persist the pausing state
     updateJob(id, { state: 'pausing' }).catch(() => { });
@@ -258,6 +547,177 @@ router.post('/jobs/:id/stop', (req, res) => {
   return res.json({ message: 'Job paused.' });
 });
 
+// GET /api/jobs/:id/events
+// Server-Sent Events stream of live progress for one job.  The first
+// event is a `snapshot` with the current state and counters; after that
+// the scraper pushes `started`, `page-started`, `signalhire-rows`,
+// `contactout-merged`, `accounts-extracted`, `leads-extracted`, `page-advanced`, `paused`,
+// `completed`, `split` and `split-progress` events (see utils/jobEvents.js).  Every event carries the job's running
+// totals.  A comment line is sent periodically to keep proxies from
+// closing the idle connection.
+router.get('/jobs/:id/events', (req, res) => {
+  const { id } = req.params;
+  const job = getJob(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop NGINX from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  res.write('retry: 5000\n\n');
+  const worker = findWorkerForJob(id);
+  send({
+    type: 'snapshot',
+    jobId: id,
+    at: new Date().toISOString(),
+    state: job.state,
+    reason: job.stateReason || null,
+    pageIndex: job.pageIndex,
+    totalRows: job.totalRows || 0,
+    totalContacts: job.totalContacts || 0,
+    workerId: worker ? worker.id : null,
+    queuePosition: getQueuePosition(id),
+  });
+  const unsubscribe = subscribeJobEvents(id, send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// GET /api/jobs/:id
+// Return a single job with its queuePosition (null unless queued) and
+// its search URL broken down into keywords and filters (`search`, null
+// if the URL cannot be parsed).  A split job also lists its direct
+// sub-searches in `subSearches`.
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  const subSearches = (job.children || [])
+    .map((childId) => getJob(childId))
+    .filter(Boolean)
+    .map((child) => ({
+      id: child.id,
+      listName: child.listName,
+      state: child.state,
+      splitFilter: child.splitFilter,
+      pageIndex: child.pageIndex,
+      totalRows: child.totalRows || 0,
+      totalContacts: child.totalContacts || 0,
+    }));
+  return res.json({
+    job: {
+      ...job,
+      queuePosition: getQueuePosition(job.id),
+      pageType: (getPageProfile(job.url) || PAGE_PROFILES[0]).label,
+      search: describeSalesNavUrl(job.url),
+      subSearches,
+    },
+  });
+});
+
+// GET /api/jobs/:id/log
+// Return the job's persistent event log (see utils/jobLog.js), oldest
+// entry first.  Optional `offset` and `limit` query parameters select a
+// slice; the response's `total` can be passed back as `offset` to
+// fetch only entries logged since.
+router.get('/jobs/:id/log', async (req, res) => {
+  const { id } = req.params;
+  if (!getJob(id)) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  try {
+    const { offset, limit } = req.query;
+    const { entries, total } = await readJobLog(id, { offset, limit });
+    return res.json({ jobId: id, entries, total });
+  } catch (err) {
+    console.error('job log error:', err);
+    return res.status(500).json({ error: 'Failed to read job log.' });
+  }
+});
+
+// GET /api/queue
+// Return the queued jobs in run order together with the worker states.
+router.get('/queue', (req, res) => {
+  return res.json({
+    runningJobIds: workers.filter((w) => w.isScraping).map((w) => w.currentJobId),
+    blockedReason: scrapeSession.blockedReason,
+    queue: summarizeQueue(),
+    workers: summarizeWorkers(),
+  });
+});
+
+// POST /api/queue
+// Enqueue an existing job.  Body: { jobId, priority? }.  Jobs with a
+// higher priority are inserted ahead of queued jobs with a lower one.
+router.post('/queue', async (req, res) => {
+  const { jobId, priority } = req.body || {};
+  const job = jobId ? getJob(jobId) : null;
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (findWorkerForJob(jobId)) {
+    return res.status(409).json({ error: 'Job is already running.' });
+  }
+  try {
+    const position = await enqueueAndSchedule(jobId, { priority });
+    return res.json({ message: position ? `Job queued at position ${position}.` : 'Job started.', queuePosition: position });
+  } catch (err) {
+    console.error('enqueue error:', err);
+    return res.status(500).json({ error: 'Failed to enqueue job.' });
+  }
+});
+
+// PUT /api/queue
+// Reorder the queue.  Body: { order: [jobId, ...] }.  The listed jobs
+// move to the front in that order; the rest keep their relative order.
+router.put('/queue', async (req, res) => {
+  const { order } = req.body || {};
+  if (!Array.isArray(order)) {
+    return res.status(400).json({ error: 'Expecting an `order` array of job ids.' });
+  }
+  try {
+    await reorderQueue(order.map(String));
+    return res.json({ message: 'Queue reordered.', queue: summarizeQueue() });
+  } catch (err) {
+    console.error('reorder error:', err);
+    return res.status(500).json({ error: 'Failed to reorder queue.' });
+  }
+});
+
+// DELETE /api/queue/:id
+// Remove a job from the queue without deleting it.  The job is marked
+// paused and can be enqueued again later.
+router.delete('/queue/:id', async (req, res) => {
+  const { id } = req.params;
+  if (!getJob(id)) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  try {
+    const removed = await dequeueJob(id, { state: 'paused' });
+    if (!removed) {
+      return res.status(400).json({ error: 'Job is not queued.' });
+    }
+    emitJobEvent(getJob(id), 'paused', { reason: 'dequeued' });
+    appendJobLog(id, { phase: 'queue', outcome: 'dequeued' });
+    return res.json({ message: 'Job removed from the queue.', queue: summarizeQueue() });
+  } catch (err) {
+    console.error('dequeue error:', err);
+    return res.status(500).json({ error: 'Failed to dequeue job.' });
+  }
+});
+
 // Utility to compute a timestamp string for file names (YYYYMMDD_HHMMSS).
 function timestampString() {
   const now = new Date();
@@ -273,31 +733,365 @@ function timestampString() {
   );
 }
 
-// Background task to perform scraping.  The job to run is determined by
-// scrapeSession.currentJobId.  If a different job becomes current
-// while this function is executing, the loop exits gracefully.  When
-// paused, the job state is persisted and the browser context closed.
-async function runScrape() {
-  const jobId = scrapeSession.currentJobId;
-  const job = jobs[jobId];
+// Optional limits accepted by POST /scrape and stored on the job
+const JOB_LIMIT_FIELDS = ['startPage', 'endPage', 'maxLeads', 'maxPages'];
+
+/**
+ * Validate the optional limits of a new job.  Each limit must be a
+ * positive whole number when given; missing or empty values become
+ * null (no limit).
+ *
+ * @param {Object} body Request body
+ * @returns {{limits: Object, error: string|null}}
+ */
+function parseJobLimits(body) {
+  const limits = {};
+  for (const field of JOB_LIMIT_FIELDS) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') {
+      limits[field] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 1) {
+      return { limits, error: `${field} must be a positive whole number.` };
+    }
+    limits[field] = n;
+  }
+  if (limits.startPage && limits.endPage && limits.endPage < limits.startPage) {
+    return { limits, error: 'endPage must not be before startPage.' };
+  }
+  return { limits, error: null };
+}
+
+/**
+ * Check a job's limits after a page has been scraped.
+ *
+ * @param {Object} job The job being scraped
+ * @param {number} lastPage The page that was just scraped
+ * @returns {{reason: string, message: string}|null} Why the job is done,
+ *   or null if it should continue
+ */
+function findLimitReached(job, lastPage) {
+  if (job.endPage && lastPage >= job.endPage) {
+    return { reason: 'end_page_reached', message: `Stopped at end page ${job.endPage}.` };
+  }
+  const scraped = lastPage - (job.startPage || 1) + 1;
+  if (job.maxPages && scraped >= job.maxPages) {
+    return { reason: 'max_pages_reached', message: `Stopped after ${job.maxPages} page(s).` };
+  }
+  if (job.maxLeads && job.totalRows >= job.maxLeads) {
+    return { reason: 'max_leads_reached', message: `Stopped after ${job.maxLeads} lead(s).` };
+  }
+  return null;
+}
+
+/**
+ * Store the statistics of a scraped page on `job.pages`.  A page that
+ * is scraped again (e.g. after a resume) replaces its earlier record so
+ * the array holds one record per page, in page order.
+ *
+ * @param {Object} job The job being scraped
+ * @param {Object} record Page record; `page` identifies the page
+ */
+function recordPageStats(job, record) {
+  if (!Array.isArray(job.pages)) job.pages = [];
+  const idx = job.pages.findIndex((p) => p.page === record.page);
+  if (idx === -1) job.pages.push(record);
+  else job.pages[idx] = record;
+  job.pages.sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Read the accounts on the current page of an account search and
+ * append the new ones to the job's CSV, honouring maxLeads.
+ *
+ * @param {import('playwright').Page} page Page on the account search
+ * @param {Object} job The job being scraped
+ * @returns {Promise<{rows: Object[], duplicates: number}>}
+ */
+async function scrapeAccountsPage(page, job) {
+  await waitForLeadList(page).catch(() => { });
+  const accounts = await extractAccounts(page);
+  return saveAccounts(accounts, {
+    filePath: job.filePath,
+    maxRows: job.maxLeads ? Math.max(0, job.maxLeads - job.totalRows) : undefined,
+  });
+}
+
+/**
+ * Append native lead rows to the job's CSV, honouring maxLeads.  Unless
+ * the job turned `resolveUrls` off, the public LinkedIn URL of each new
+ * row is resolved first (see utils/leadUrlResolver.js).
+ *
+ * @param {import('playwright').Page} page Logged-in Sales Navigator page
+ * @param {Object} job The job being scraped
+ * @param {Object[]} leads Rows from extractLeads()
+ * @returns {Promise<{rows: Object[], duplicates: number,
+ *   urls: {resolved: number, cached: number, failed: number}|null}>}
+ */
+async function saveNativeLeads(page, job, leads) {
+  let urls = null;
+  const result = await saveLeads(leads, {
+    filePath: job.filePath,
+    maxRows: job.maxLeads ? Math.max(0, job.maxLeads - job.totalRows) : undefined,
+    beforeSave: job.resolveUrls === false
+      ? undefined
+      : async (rows) => {
+        urls = await resolveLeadUrls(page, rows);
+      },
+  });
+  return { ...result, urls };
+}
+
+/**
+ * Read the leads on the current page natively (without extensions).
+ * With `deepExtract` each lead's side panel is opened as well and the
+ * panel counts are recorded on the page's statistics.
+ *
+ * @param {import('playwright').Page} page Page on a people search or lead list
+ * @param {Object} job The job being scraped
+ * @param {Object} pageStats The page's statistics record
+ * @param {Function} logEvent The job's logger
+ * @returns {Promise<Object[]>} Rows from extractLeads()
+ */
+async function readNativeLeads(page, job, pageStats, logEvent) {
+  await waitForLeadList(page).catch(() => { });
+  const leads = await extractLeads(page);
+  if (job.deepExtract && leads.length) {
+    const panels = await extractLeadDetails(page, leads);
+    if (!panels.skipped) {
+      pageStats.panelsOpened = panels.opened;
+      pageStats.panelsFailed = panels.failed;
+      logEvent('deep', panels.failed ? 'partial' : 'ok', { opened: panels.opened, failed: panels.failed });
+    }
+  }
+  return leads;
+}
+
+/**
+ * Record the outcome of resolving a page's public LinkedIn URLs.
+ *
+ * @param {Object} pageStats The page's statistics record
+ * @param {{resolved: number, cached: number, failed: number}|null} urls
+ * @param {Function} logEvent The job's logger
+ */
+function recordUrlResolution(pageStats, urls, logEvent) {
+  if (!urls) return;
+  pageStats.urlsResolved = (pageStats.urlsResolved || 0) + urls.resolved + urls.cached;
+  pageStats.urlsUnresolved = (pageStats.urlsUnresolved || 0) + urls.failed;
+  logEvent('resolve', urls.failed ? 'partial' : 'ok', urls);
+}
+
+/**
+ * Whether a job may be split into sub-searches when it hits the Sales
+ * Navigator result cap.  Only people searches are split.  Jobs with a
+ * page range or budget asked for part of the results on purpose, so
+ * they are never split.
+ *
+ * @param {Object} job The job being scraped
+ */
+function canSplit(job) {
+  if (job.autoSplit === false) return false;
+  const profile = getPageProfile(job.url);
+  if (!profile || profile.type !== 'people-search') return false;
+  if (Array.isArray(job.children) && job.children.length) return false;
+  return !JOB_LIMIT_FIELDS.some((field) => job[field]);
+}
+
+/**
+ * Collect the sub-search jobs below a split job, depth first.
+ *
+ * @param {Object} job A job
+ * @returns {Object[]} Child jobs, grandchildren, ... (missing ones skipped)
+ */
+function getDescendants(job) {
+  const out = [];
+  for (const childId of job.children || []) {
+    const child = getJob(childId);
+    if (!child) continue;
+    out.push(child, ...getDescendants(child));
+  }
+  return out;
+}
+
+/**
+ * Split a job whose search exceeds the Sales Navigator cap into one
+ * queued child job per value of a narrowing filter (see
+ * utils/searchSplitter.js).  The children append to the parent's CSV
+ * and inherit its account, priority and split settings, so a child
+ * that is still over the cap splits again.
+ *
+ * @param {Object} job The job to split
+ * @param {Function} logEvent The job's logger
+ * @returns {Promise<number>} Number of child jobs created (0 if the
+ *   search cannot be narrowed any further)
+ */
+async function splitCappedJob(job, logEvent) {
+  let plan = null;
+  try {
+    plan = planSplit(job.url, { regions: job.splitRegions });
+  } catch (err) {
+    logEvent('split', 'error', { error: err?.message || String(err) });
+    return 0;
+  }
+  if (!plan) {
+    logEvent('split', 'unavailable', {
+      message: 'Search exceeds the result cap but has no filter left to split by.',
+    });
+    return 0;
+  }
+  const children = plan.values.map((value, i) => {
+    const url = buildSubSearchUrl(job.url, plan.type, value);
+    return {
+      id: `${job.id}_${i + 1}`,
+      url,
+      listName: `${job.listName} / ${value.text}`,
+      timestamp: job.timestamp,
+      fileName: job.fileName,
+      filePath: job.filePath,
+      pageIndex: 1,
+      totalRows: 0,
+      totalContacts: 0,
+      pages: [],
+      startedAt: null,
+      endedAt: null,
+      state: 'queued',
+      priority: job.priority || 0,
+      accountId: job.accountId || null,
+      accountName: job.accountName || null,
+      extractor: job.extractor || null,
+      resolveUrls: job.resolveUrls !== false,
+      deepExtract: job.deepExtract === true,
+      minMatchConfidence: job.minMatchConfidence ?? null,
+      captureEmails: job.captureEmails === true,
+      emailsPerType: job.emailsPerType ?? null,
+      autoSplit: true,
+      splitRegions: job.splitRegions || [],
+      // The split job this sub-search belongs to and the filter value
+      // that narrows it
+      parentId: job.id,
+      splitFilter: { type: plan.type, id: String(value.id), text: String(value.text) },
+      currentUrl: url,
+    };
+  });
+  for (const child of children) {
+    jobs[child.id] = child;
+    await setJob(child).catch(() => { });
+  }
+  // Rows the parent scraped itself (only when the cap was detected at
+  // the end of pagination) still count towards its totals
+  job.children = children.map((child) => child.id);
+  job.splitBy = plan.type;
+  job.ownRows = job.totalRows || 0;
+  job.ownContacts = job.totalContacts || 0;
+  job.splitProgress = { completed: 0, total: children.length };
+  job.stateReason = 'split';
+  job.message = `Search exceeds the ${SALES_NAV_MAX_RESULTS.toLocaleString('en-US')}-result cap; split into ${children.length} sub-searches by ${plan.label}.`;
+  for (const child of children) {
+    const position = await enqueueJob(child.id, { priority: child.priority }).catch(() => null);
+    appendJobLog(child.id, { phase: 'queue', outcome: 'queued', position });
+  }
+  logEvent('split', 'ok', { by: plan.type, children: children.length, message: job.message });
+  return children.length;
+}
+
+/**
+ * Recompute a split job's totals and progress from its sub-searches.
+ * Called whenever a sub-search stops.  Once every sub-search has
+ * completed the split job is marked completed too, and the update
+ * propagates to its own parent when it is itself a sub-search.
+ *
+ * @param {string} parentId The split job's id
+ */
+function updateSplitProgress(parentId) {
+  const parent = getJob(parentId);
+  if (!parent || !Array.isArray(parent.children)) return;
+  const children = parent.children.map((id) => getJob(id)).filter(Boolean);
+  const completed = children.filter((child) => child.state === 'completed').length;
+  parent.totalRows = (parent.ownRows || 0) + children.reduce((sum, c) => sum + (c.totalRows || 0), 0);
+  parent.totalContacts =
+    (parent.ownContacts || 0) + children.reduce((sum, c) => sum + (c.totalContacts || 0), 0);
+  parent.splitProgress = { completed, total: children.length };
+  const done = parent.state === 'split' && completed === children.length;
+  if (done) {
+    parent.state = 'completed';
+    parent.endedAt = new Date().toISOString();
+    parent.message = `All ${children.length} sub-searches completed.`;
+  }
+  updateJob(parentId, {
+    state: parent.state,
+    message: parent.message,
+    endedAt: parent.endedAt,
+    totalRows: parent.totalRows,
+    totalContacts: parent.totalContacts,
+    splitProgress: parent.splitProgress,
+  }).catch(() => { });
+  if (done) {
+    emitJobEvent(parent, 'completed', { page: parent.pageIndex, reason: 'split', message: parent.message });
+    appendJobLog(parentId, {
+      phase: 'split',
+      outcome: 'completed',
+      totalRows: parent.totalRows,
+      totalContacts: parent.totalContacts,
+    });
+  } else {
+    emitJobEvent(parent, 'split-progress', { completed, total: children.length });
+  }
+  if (parent.parentId) updateSplitProgress(parent.parentId);
+}
+
+// Background task to perform scraping.  The scheduler passes the worker
+// that should run the job; the job itself is worker.currentJobId.  All
+// run state (pause requests, running/paused flags) lives on the worker,
+// and the browser uses the worker's own profile directory and cookie
+// set.  If the worker is handed a different job while this function is
+// executing, the loop exits gracefully.  When paused, the job state is
+// persisted and the browser context closed.
+async function runScrape(worker) {
+  const jobId = worker.currentJobId;
+  const job = getJob(jobId);
   if (!job) {
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
+    worker.isScraping = false;
+    worker.isPaused = false;
     return;
   }
   // Use the currentUrl to resume from a specific page.  If
   // undefined, fall back to the original URL.  The currentUrl is
   // updated after each page extraction.
   const { url, listName, filePath, currentUrl } = job;
-  // Ensure cookie file exists
-  const cookieFile = getCookieFilePath();
+  // Page type of the job (people search, saved lead list or account
+  // search); decides the selectors used and what is extracted
+  const profile = getPageProfile(url) || PAGE_PROFILES[0];
+  // Structured log of this run, persisted beside the job (see utils/jobLog.js)
+  const logEvent = createJobLogger(jobId, () => job.pageIndex);
+  const onEvent = ({ phase, outcome, ...fields }) => logEvent(phase, outcome, fields);
+  // Sanitised DOM snapshots for the offline replay (CAPTURE_FIXTURES=true)
+  const capture = createFixtureCapture(job);
+  logEvent('run', 'started', { workerId: worker.id, accountId: job.accountId });
+  // startedAt is the first time the job ran; endedAt is set by the
+  // scheduler when a run stops and cleared while one is in progress
+  if (!job.startedAt) job.startedAt = new Date().toISOString();
+  job.endedAt = null;
+  // Resolve this worker's cookie set and ensure a LinkedIn cookie exists.
+  // A job tied to a named account uses that account's cookie instead of
+  // the worker's LinkedIn cookie; the third‑party cookies stay per worker.
+  const cookieFiles = getWorkerCookieFiles(worker);
+  const cookieFile = job.accountId ? getAccountCookiePath(job.accountId) : cookieFiles.linkedin;
   if (!cookieFile) {
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
+    worker.isScraping = false;
+    worker.isPaused = false;
     job.state = 'paused';
+    job.stateReason = 'cookie_missing';
+    job.message = job.accountId
+      ? `LinkedIn account "${job.accountName || job.accountId}" no longer has a cookie. Please update or re-add the account.`
+      : 'No LinkedIn cookie saved. Please upload a cookie.';
+    logEvent('login', 'error', { service: 'linkedin', error: job.message });
     // Persist job state update
     await updateJob(jobId, {
       state: 'paused',
+      stateReason: job.stateReason,
+      message: job.message,
       pageIndex: job.pageIndex,
       currentUrl: job.currentUrl,
       totalRows: job.totalRows,
@@ -306,45 +1100,65 @@ async function runScrape() {
     return;
   }
   // Launch browser
-  const context = await launchStealthBrowser();
+  const context = await launchStealthBrowser({ userDataDir: worker.userDataDir });
   let page = null;
   try {
-    // Ensure third‑party logins
-    const coPath = path.join(__dirname, '..', 'contactout_cookies.json');
-    const shPath = path.join(__dirname, '..', 'signalhire_cookies.json');
-    let coRes;
-    let shRes;
-    try {
-      coRes = await ensureContactOutLogin(context, coPath);
-    } catch (err) {
-      console.error('[contactout] login error:', err);
-      coRes = { loggedIn: false, page: null };
-    }
-    try {
-      shRes = await ensureSignalHireLogin(context, shPath);
-    } catch (err) {
-      console.error('[signalhire] login error:', err);
-      shRes = { loggedIn: false, page: null };
-    }
-    // Close login tabs
-    try {
-      if (coRes && coRes.page) await coRes.page.close();
-      if (shRes && shRes.page) await shRes.page.close();
-    } catch { }
-    if (!coRes?.loggedIn || !shRes?.loggedIn) {
-      console.error('Third‑party login failed.');
-      scrapeSession.isScraping = false;
-      scrapeSession.isPaused = false;
-      job.state = 'paused';
-      // Persist paused state
-      await updateJob(jobId, {
-        state: 'paused',
-        pageIndex: job.pageIndex,
-        currentUrl: job.currentUrl,
-        totalRows: job.totalRows,
-        totalContacts: job.totalContacts,
-      }).catch(() => { });
-      return;
+    // Ensure third‑party logins.  Only lead jobs use the SignalHire and
+    // ContactOut extensions; account searches and jobs with the native
+    // extractor are read from the page.
+    const coPath = cookieFiles.contactout;
+    const shPath = cookieFiles.signalhire;
+    const extractor = job.extractor || 'signalhire';
+    // native+signalhire jobs keep going on native rows alone when the
+    // extensions cannot log in
+    let extensionsReady = profile.output === 'leads' && usesSignalHire(job);
+    if (extensionsReady) {
+      let coRes;
+      let shRes;
+      try {
+        coRes = await ensureContactOutLogin(context, coPath);
+      } catch (err) {
+        console.error('[contactout] login error:', err);
+        coRes = { loggedIn: false, page: null };
+      }
+      try {
+        shRes = await ensureSignalHireLogin(context, shPath);
+      } catch (err) {
+        console.error('[signalhire] login error:', err);
+        shRes = { loggedIn: false, page: null };
+      }
+      recordLoginCheck(coPath, coRes?.loggedIn);
+      recordLoginCheck(shPath, shRes?.loggedIn);
+      logEvent('login', coRes?.loggedIn ? 'ok' : 'error', { service: 'contactout' });
+      logEvent('login', shRes?.loggedIn ? 'ok' : 'error', { service: 'signalhire' });
+      // Close login tabs
+      try {
+        if (coRes && coRes.page) await coRes.page.close();
+        if (shRes && shRes.page) await shRes.page.close();
+      } catch { }
+      if ((!coRes?.loggedIn || !shRes?.loggedIn) && extractor === 'native+signalhire') {
+        console.error('Third‑party login failed; continuing with native extraction only.');
+        extensionsReady = false;
+      } else if (!coRes?.loggedIn || !shRes?.loggedIn) {
+        console.error('Third‑party login failed.');
+        worker.isScraping = false;
+        worker.isPaused = false;
+        job.state = 'paused';
+        job.stateReason = 'login_failed';
+        job.message = 'SignalHire or ContactOut login failed. Please refresh their cookies.';
+        try { await context.close(); } catch { }
+        // Persist paused state
+        await updateJob(jobId, {
+          state: 'paused',
+          stateReason: job.stateReason,
+          message: job.message,
+          pageIndex: job.pageIndex,
+          currentUrl: job.currentUrl,
+          totalRows: job.totalRows,
+          totalContacts: job.totalContacts,
+        }).catch(() => { });
+        return;
+      }
     }
 
 
@@ -355,20 +1169,25 @@ async function runScrape() {
     // available.  Otherwise start from the original URL.
     const startUrl = currentUrl || url;
     const liCheck = await checkLinkedInByUrl(context, startUrl);
+    // Remember the outcome for the cookie health report
+    recordLoginCheck(cookieFile, liCheck.loggedIn, { finalUrl: liCheck.finalUrl });
+    logEvent('login', liCheck.loggedIn ? 'ok' : 'error', { service: 'linkedin', finalUrl: liCheck.finalUrl });
 
     if (!liCheck.loggedIn) {
 
       console.error('LinkedIn cookie expired.');
 
-      scrapeSession.isScraping = false;
+      worker.isScraping = false;
 
-      scrapeSession.isPaused = false;
+      worker.isPaused = false;
 
       job.state = 'paused';
 
       job.stateReason = 'cookie_expired';
 
-      job.message = 'LinkedIn cookie expired. Please update your cookie.';
+      job.message = job.accountId
+        ? `LinkedIn cookie for account "${job.accountName || job.accountId}" expired. Please update the account cookie.`
+        : 'LinkedIn cookie expired. Please update your cookie.';
 
       page = liCheck.page;
       await maybeCaptureDebugScreenshot({ jobId, label: 'cookie_expired', page });
@@ -377,7 +1196,7 @@ async function runScrape() {
       await updateJob(jobId, {
         state: 'paused',
         stateReason: 'cookie_expired',
-        message: 'LinkedIn cookie expired. Please update your cookie.',
+        message: job.message,
         pageIndex: job.pageIndex,
         currentUrl: job.currentUrl,
         totalRows: job.totalRows,
@@ -396,19 +1215,32 @@ async function runScrape() {
     if (job.pageIndex === 1) {
       job.totalRows = 0;
       job.totalContacts = 0;
+      job.pages = [];
     }
-    scrapeSession.isScraping = true;
-    scrapeSession.isPaused = false;
+    worker.isScraping = true;
+    worker.isPaused = false;
+    emitJobEvent(job, 'started', { workerId: worker.id, page: job.pageIndex });
     let currentPage = job.pageIndex;
     let continueScrape = true;
+    // Sub-searches created when the search exceeds the result cap
+    let splitCount = 0;
+    // A search with the full 100 pages is (almost certainly) over the
+    // cap; split it before scraping anything so no lead is fetched twice
+    if (currentPage === 1 && canSplit(job)) {
+      const { total } = await readPageState(page);
+      if (total && total >= SALES_NAV_MAX_PAGES) {
+        splitCount = await splitCappedJob(job, logEvent);
+        continueScrape = !splitCount;
+      }
+    }
     while (continueScrape) {
       // Break immediately if this job is no longer active or a pause is requested
-      if (scrapeSession.currentJobId !== jobId || scrapeSession.pauseRequested) {
+      if (worker.currentJobId !== jobId || worker.pauseRequested) {
         job.pageIndex = currentPage;
         job.state = 'paused';
-        scrapeSession.isScraping = false;
-        scrapeSession.isPaused = scrapeSession.pauseRequested;
-        scrapeSession.pauseRequested = false;
+        worker.isScraping = false;
+        worker.isPaused = worker.pauseRequested;
+        worker.pauseRequested = false;
         await context.close();
         // Persist paused state with current page and totals
         await updateJob(jobId, {
@@ -422,12 +1254,12 @@ async function runScrape() {
       }
       try {
         // Double‑check pause before starting SignalHire extraction
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
+        if (worker.pauseRequested || worker.currentJobId !== jobId) {
           job.pageIndex = currentPage;
           job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
+          worker.isScraping = false;
+          worker.isPaused = worker.pauseRequested;
+          worker.pauseRequested = false;
           await context.close();
           await updateJob(jobId, {
             pageIndex: job.pageIndex,
@@ -438,26 +1270,139 @@ async function runScrape() {
           }).catch(() => { });
           return;
         }
+        emitJobEvent(job, 'page-started', { page: currentPage });
+        if (capture) await capture.capturePage(page, currentPage);
+        // Statistics for this page, stored on job.pages once the page is
+        // done.  Account searches count accounts and native lead jobs
+        // count native rows instead of extension results.
+        const pageStats = {
+          page: currentPage,
+          startedAt: new Date().toISOString(),
+          endedAt: null,
+          ...(profile.output === 'accounts'
+            ? { accountRows: 0, duplicatesSkipped: 0 }
+            : extractor === 'native'
+              ? { nativeRows: 0, duplicatesSkipped: 0 }
+              : {
+                signalhireRows: 0,
+                ...(extractor === 'native+signalhire' ? { nativeRows: 0 } : {}),
+                duplicatesSkipped: 0,
+                contactoutProfiles: 0,
+                domainsMerged: 0,
+              }),
+          navigationAttempts: 0,
+          navigation: null,
+        };
         // Scrape SignalHire
         let shRows = [];
-        try {
-          const result = await runSignalHire(page, {
-            shCookiePath: shPath,
-            coCookiePath: coPath,
-            filePath: job.filePath,
-          });
-          shRows = (result && result.rows) || [];
-          job.totalRows += shRows.length;
-        } catch (shErr) {
-          console.error('SignalHire scrape error:', shErr);
+        let shError = null;
+        // Native rows saved for leads SignalHire did not return
+        let nativeSaved = [];
+        if (profile.output === 'accounts') {
+          // Account searches: read the rows from the page and append them
+          try {
+            const result = await scrapeAccountsPage(page, job);
+            job.totalRows += result.rows.length;
+            pageStats.accountRows = result.rows.length;
+            pageStats.duplicatesSkipped = result.duplicates;
+            emitJobEvent(job, 'accounts-extracted', { page: currentPage, rows: result.rows.length });
+            logEvent('accounts', 'ok', { rows: result.rows.length });
+          } catch (accErr) {
+            console.error('Account extraction error:', accErr);
+            pageStats.accountsError = accErr?.message || String(accErr);
+            emitJobEvent(job, 'accounts-extracted', { page: currentPage, rows: 0, error: pageStats.accountsError });
+            logEvent('accounts', 'error', { error: pageStats.accountsError });
+          }
+        } else if (extractor === 'native') {
+          // Native extraction only: no extension is involved
+          try {
+            const leads = await readNativeLeads(page, job, pageStats, logEvent);
+            const result = await saveNativeLeads(page, job, leads);
+            job.totalRows += result.rows.length;
+            pageStats.nativeRows = result.rows.length;
+            pageStats.duplicatesSkipped = result.duplicates;
+            recordUrlResolution(pageStats, result.urls, logEvent);
+            emitJobEvent(job, 'leads-extracted', { page: currentPage, rows: result.rows.length });
+            logEvent('native', 'ok', { rows: result.rows.length });
+          } catch (nativeErr) {
+            console.error('Native lead extraction error:', nativeErr);
+            pageStats.nativeError = nativeErr?.message || String(nativeErr);
+            emitJobEvent(job, 'leads-extracted', { page: currentPage, rows: 0, error: pageStats.nativeError });
+            logEvent('native', 'error', { error: pageStats.nativeError });
+          }
+        } else {
+          // With native+signalhire the page's rows are read first so the
+          // SignalHire cards can be enriched and missing leads filled in
+          let nativeRows = null;
+          if (extractor === 'native+signalhire') {
+            try {
+              nativeRows = await readNativeLeads(page, job, pageStats, logEvent);
+            } catch (nativeErr) {
+              console.error('Native lead extraction error:', nativeErr);
+              pageStats.nativeError = nativeErr?.message || String(nativeErr);
+              logEvent('native', 'error', { error: pageStats.nativeError });
+            }
+          }
+          let unmatchedNative = nativeRows || [];
+          try {
+            if (!extensionsReady) throw new Error('SignalHire or ContactOut is not logged in.');
+            const result = await runSignalHire(page, {
+              shCookiePath: shPath,
+              coCookiePath: coPath,
+              filePath: job.filePath,
+              // Only save as many rows as maxLeads still allows
+              maxRows: job.maxLeads ? Math.max(0, job.maxLeads - job.totalRows) : undefined,
+              onEvent,
+              nativeRows: nativeRows || undefined,
+            });
+            shRows = (result && result.rows) || [];
+            if (capture) await capture.captureSignalHire(page, currentPage, { rows: (result && result.extracted) || 0 });
+            if (nativeRows) {
+              unmatchedNative = (result && result.unmatchedNative) || [];
+              // SignalHire rows matched to a lead teach the URL cache for free
+              for (const row of shRows) {
+                if (row.sales_nav_url && row.person_title) {
+                  rememberPublicUrl(row.sales_nav_url, row.person_title, 'signalhire');
+                }
+              }
+            }
+            job.totalRows += shRows.length;
+            pageStats.signalhireRows = shRows.length;
+            pageStats.duplicatesSkipped = (result && result.duplicates) || 0;
+          } catch (shErr) {
+            console.error('SignalHire scrape error:', shErr);
+            shError = shErr?.message || String(shErr);
+            pageStats.signalhireError = shError;
+          }
+          emitJobEvent(job, 'signalhire-rows', { page: currentPage, rows: shRows.length, error: shError });
+          if (shError) logEvent('signalhire', 'error', { error: shError });
+          else logEvent('signalhire', 'ok', { rows: shRows.length });
+          // Save the leads SignalHire did not return (all of them if it failed)
+          if (nativeRows && unmatchedNative.length) {
+            try {
+              const result = await saveNativeLeads(page, job, unmatchedNative);
+              nativeSaved = result.rows;
+              job.totalRows += result.rows.length;
+              pageStats.nativeRows = result.rows.length;
+              pageStats.duplicatesSkipped += result.duplicates;
+              recordUrlResolution(pageStats, result.urls, logEvent);
+              emitJobEvent(job, 'leads-extracted', { page: currentPage, rows: result.rows.length });
+              logEvent('native', 'ok', { rows: result.rows.length });
+            } catch (nativeErr) {
+              console.error('Native lead save error:', nativeErr);
+              pageStats.nativeError = nativeErr?.message || String(nativeErr);
+              emitJobEvent(job, 'leads-extracted', { page: currentPage, rows: 0, error: pageStats.nativeError });
+              logEvent('native', 'error', { error: pageStats.nativeError });
+            }
+          }
         }
         // Check again before running ContactOut
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
+        if (worker.pauseRequested || worker.currentJobId !== jobId) {
           job.pageIndex = currentPage;
           job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
+          worker.isScraping = false;
+          worker.isPaused = worker.pauseRequested;
+          worker.pauseRequested = false;
           await context.close();
           await updateJob(jobId, {
             pageIndex: job.pageIndex,
@@ -471,37 +1416,56 @@ async function runScrape() {
         // Scrape ContactOut if there are SignalHire rows
         if (Array.isArray(shRows) && shRows.length > 0) {
           try {
-            // Ensure headers match the latest format (no Email column)
-            await upgradeCsvHeaders(job.filePath).catch(() => { });
+            // Ensure headers match the latest format (no Email column,
+            // typed email columns when the job captures emails)
+            const emailsPerType = job.captureEmails ? job.emailsPerType || 2 : 0;
+            await upgradeCsvHeaders(job.filePath, { emailsPerType }).catch(() => { });
             const coResult = await runContactOut(page, {
               coCookiePath: coPath,
               shCookiePath: shPath,
+              onEvent,
             });
             const profiles = (coResult && coResult.profiles) || [];
+            if (capture) await capture.captureContactOut(page, currentPage, { profiles: profiles.length });
             job.totalContacts += profiles.length;
+            pageStats.contactoutProfiles = profiles.length;
             if (profiles.length > 0) {
-              await mergeContactDomainsByNamePriority({
+              const merged = await mergeContactDomainsByNamePriority({
                 baseCsvPath: job.filePath,
                 contactProfiles: profiles,
                 outPath: job.filePath,
                 backup: false,
                 overwrite: false,
+                minConfidence: job.minMatchConfidence ?? undefined,
+                emailsPerType,
+                // Only this page's rows: the cards are this page's leads
+                rowUrls: [...shRows, ...nativeSaved].flatMap((row) => [row.person_title, row.sales_nav_url]).filter(Boolean),
               });
+              pageStats.domainsMerged = (merged && merged.updated) || 0;
             }
             // After merging domains, deduplicate the CSV by LinkedIn URL
             const { deduplicateCsv } = require('../utils/deduplicateCsv');
             await deduplicateCsv(job.filePath).catch(() => { });
+            emitJobEvent(job, 'contactout-merged', { page: currentPage, profiles: profiles.length });
+            logEvent('contactout', 'ok', { profiles: profiles.length });
           } catch (coErr) {
             console.error('ContactOut scrape error:', coErr);
+            logEvent('contactout', 'error', { error: coErr?.message || String(coErr) });
+            pageStats.contactoutError = coErr?.message || String(coErr);
+            emitJobEvent(job, 'contactout-merged', {
+              page: currentPage,
+              profiles: 0,
+              error: coErr?.message || String(coErr),
+            });
           }
         }
         // Check again after extraction before scrolling
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
+        if (worker.pauseRequested || worker.currentJobId !== jobId) {
           job.pageIndex = currentPage;
           job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
+          worker.isScraping = false;
+          worker.isPaused = worker.pauseRequested;
+          worker.pauseRequested = false;
           await context.close();
           await updateJob(jobId, {
             pageIndex: job.pageIndex,
@@ -512,6 +1476,21 @@ async function runScrape() {
           }).catch(() => { });
           return;
         }
+        // Stop here if this page used up the job's page range or lead budget
+        const limit = findLimitReached(job, currentPage);
+        if (limit) {
+          pageStats.navigation = 'limit';
+          pageStats.endedAt = new Date().toISOString();
+          recordPageStats(job, pageStats);
+          job.pageIndex = currentPage;
+          try {
+            job.currentUrl = page.url();
+          } catch { }
+          job.stateReason = limit.reason;
+          job.message = limit.message;
+          logEvent('run', 'limit', { reason: limit.reason, message: limit.message });
+          break;
+        }
         // Scroll page
         try {
           // await salesDashBoardScroller(page, { minDelayMs: 400, maxDelayMs: 1000 });
@@ -524,12 +1503,12 @@ async function runScrape() {
           await page.waitForTimeout(delaySeconds * 1000);
         } catch { }
         // Check again before moving to next page
-        if (scrapeSession.pauseRequested || scrapeSession.currentJobId !== jobId) {
+        if (worker.pauseRequested || worker.currentJobId !== jobId) {
           job.pageIndex = currentPage;
           job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = scrapeSession.pauseRequested;
-          scrapeSession.pauseRequested = false;
+          worker.isScraping = false;
+          worker.isPaused = worker.pauseRequested;
+          worker.pauseRequested = false;
           await context.close();
           // Persist paused state with current page and totals
           await updateJob(jobId, {
@@ -544,7 +1523,17 @@ async function runScrape() {
         // Advance page using the navigation helper.  The helper
         // returns 'moved' when the page changed, 'no-more' when
         // pagination ended and 'failed' when navigation failed.
-        const navStatus = await clickNextPage(page, 1, currentPage);
+        // Every click attempt and rescue counts as a navigation attempt
+        const navStatus = await clickNextPage(page, 1, currentPage, {
+          onEvent: (ev) => {
+            if (ev.outcome === 'retry' || ev.outcome === 'rescue') pageStats.navigationAttempts++;
+            onEvent(ev);
+          },
+        });
+        pageStats.navigationAttempts++;
+        pageStats.navigation = navStatus;
+        pageStats.endedAt = new Date().toISOString();
+        recordPageStats(job, pageStats);
 
         if (navStatus === 'moved') {
           currentPage++;
@@ -559,23 +1548,32 @@ async function runScrape() {
         } catch {
           // ignore URL retrieval errors
         }
-        // Persist page index, currentUrl and running totals after each iteration
+        // Persist page index, currentUrl, running totals and page records after each iteration
         await updateJob(jobId, {
           pageIndex: job.pageIndex,
           currentUrl: job.currentUrl,
           totalRows: job.totalRows,
           totalContacts: job.totalContacts,
+          pages: job.pages,
           state: job.state,
         }).catch(() => { });
+        if (navStatus === 'moved') {
+          emitJobEvent(job, 'page-advanced', { from: currentPage - 1, page: currentPage });
+        }
+        logEvent('navigation', navStatus === 'failed' ? 'error' : navStatus, {
+          page: navStatus === 'moved' ? currentPage - 1 : currentPage,
+          to: navStatus === 'moved' ? currentPage : undefined,
+          error: navStatus === 'failed' ? 'Could not move to the next page' : undefined,
+        });
         // Determine whether to continue scraping.  If navigation
         // failed, pause the job; if no more pages, complete; if
         // moved, continue.
         if (navStatus === 'failed') {
           // Mark as paused due to navigation failure
           job.state = 'paused';
-          scrapeSession.isScraping = false;
-          scrapeSession.isPaused = true;
-          scrapeSession.pauseRequested = false;
+          worker.isScraping = false;
+          worker.isPaused = true;
+          worker.pauseRequested = false;
           await maybeCaptureDebugScreenshot({ jobId, label: 'nav_failed', page });
           await context.close();
           // Persist paused state
@@ -589,35 +1587,61 @@ async function runScrape() {
           return;
         }
         continueScrape = navStatus === 'moved';
+        // Pagination ended on the cap: there are more results than
+        // Sales Navigator will show, so the rest comes from sub-searches
+        if (navStatus === 'no-more' && currentPage >= SALES_NAV_MAX_PAGES && canSplit(job)) {
+          splitCount = await splitCappedJob(job, logEvent);
+        }
       } catch (pageErr) {
         console.error('Scrape error on page', currentPage, ':', pageErr);
+        logEvent('run', 'error', { page: currentPage, error: pageErr?.message || String(pageErr) });
         continueScrape = false;
       }
     }
 
     // Finished all pages (keep the last page we reached)
-    // job.pageIndex was already kept in-sync with `currentPage` inside the loop
-    job.state = 'completed';
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
+    // job.pageIndex was already kept in-sync with `currentPage` inside the loop.
+    // A split job waits for its sub-searches instead of completing.
+    job.state = splitCount ? 'split' : 'completed';
+    worker.isScraping = false;
+    worker.isPaused = false;
     await context.close();
-    console.log('Scraping completed');
+    console.log(splitCount ? `Search split into ${splitCount} sub-searches` : 'Scraping completed');
 
-    // Persist final job state with the actual last page
+    // Persist final job state with the actual last page.  stateReason
+    // and message say which limit ended the job, if any.
     await updateJob(jobId, {
       pageIndex: job.pageIndex,      // <-- keep final page number
-      state: 'completed',
+      state: job.state,
+      stateReason: job.stateReason || null,
+      message: job.message || null,
       currentUrl: job.currentUrl,
       totalRows: job.totalRows,
       totalContacts: job.totalContacts,
+      pages: job.pages,
+      children: job.children,
+      splitBy: job.splitBy,
+      ownRows: job.ownRows,
+      ownContacts: job.ownContacts,
+      splitProgress: job.splitProgress,
     }).catch(() => { });
+    if (splitCount) {
+      emitJobEvent(job, 'split', { children: splitCount, message: job.message });
+    } else {
+      emitJobEvent(job, 'completed', {
+        page: job.pageIndex,
+        reason: job.stateReason || null,
+        message: job.message || null,
+      });
+    }
 
 
 
   } catch (err) {
     console.error('Unexpected scrape error:', err);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
+    logEvent('run', 'error', { error: err?.message || String(err) });
+    worker.isScraping = false;
+    worker.isPaused = false;
     job.state = 'paused';
     await maybeCaptureDebugScreenshot({ jobId, label: 'unexpected_error', page });
     try {
@@ -636,50 +1660,129 @@ async function runScrape() {
 
 
 // POST /api/scrape
-// Kick off a new scraping session.  Requires `url` and `listName` in the
-// request body.  If another scrape is currently running or paused, the
-// request is rejected.  The scrape runs in the background and the
-// response indicates that it has started.
+// Create a new scraping job and add it to the queue.  Requires `url` and
+// `listName` in the request body.  The URL may be a people search, a
+// saved lead list or an account search (see utils/pageProfiles.js);
+// account searches write account columns instead of leads.  An
+// optional numeric `priority` decides
+// where the job is inserted (higher runs first) and an optional
+// `accountId` selects a LinkedIn account from the vault (otherwise the
+// shared cookie is used).  Optional `startPage`, `endPage`, `maxLeads`
+// and `maxPages` limit the scrape: the job jumps straight to startPage
+// and completes once endPage, maxPages pages or maxLeads rows are
+// reached.  Searches over the Sales Navigator cap of 2,500 results are
+// split into sub-searches unless `autoSplit` is false or a limit is set;
+// `splitRegions` (array of { id, text } geo ids) lets the split fall
+// back to geography.  Lead jobs take an optional `extractor`
+// (`signalhire`, `native` or `native+signalhire`, see
+// utils/leadExtractor.js) choosing where their rows come from; native
+// rows get their public LinkedIn URL resolved unless `resolveUrls` is
+// false (see utils/leadUrlResolver.js).  `deepExtract` (native
+// extractors only) also reads each lead's side panel (see
+// utils/leadPanelExtractor.js).  `minMatchConfidence` (0–1) is the
+// lowest name match confidence at which a ContactOut domain is merged
+// into a row (see utils/fuzzyNameMatcher.js).  `captureEmails` (lead
+// searches read through SignalHire only) also keeps the ContactOut
+// cards' full addresses, up to `emailsPerType` (default 2) work and
+// personal ones per lead in typed columns.  If the worker is idle
+// the scrape starts in the background right away, otherwise the
+// response reports the job's queue position.
 router.post('/scrape', async (req, res) => {
-  const { url, listName } = req.body;
+  const {
+    url,
+    listName,
+    priority,
+    accountId,
+    autoSplit,
+    resolveUrls,
+    deepExtract,
+    minMatchConfidence,
+    captureEmails,
+    emailsPerType,
+  } = req.body;
   if (!url || typeof url !== 'string') {
     return res.status(400).json({ error: 'URL is required.' });
   }
   if (!listName || typeof listName !== 'string' || !listName.trim()) {
     return res.status(400).json({ error: 'List name is required.' });
   }
-  const lower = url.toLowerCase();
-  if (!lower.includes('linkedin.com') || !lower.includes('people')) {
+  // The URL must be a people search, a saved lead list or an account
+  // search; searches must also have a query that decodes
+  const profile = getPageProfile(url);
+  if (!profile) {
+    return res.status(400).json({
+      error: 'Not valid, please use a LinkedIn Sales Navigator people search, saved lead list or account search URL.',
+    });
+  }
+  if (profile.type !== 'lead-list') {
+    try {
+      parseSalesNavUrl(url);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: `${err.message} Please use a valid LinkedIn Sales Navigator search URL.` });
+    }
+  }
+  const { limits, error: limitError } = parseJobLimits(req.body);
+  if (limitError) {
+    return res.status(400).json({ error: limitError });
+  }
+  let splitRegions;
+  let extractor;
+  try {
+    splitRegions = parseSplitRegions(req.body.splitRegions);
+    extractor = parseExtractor(req.body.extractor);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Panels are matched to the rows the native extractor reads
+  if (deepExtract === true && (profile.output !== 'leads' || extractor === 'signalhire')) {
+    return res.status(400).json({
+      error: 'Deep extraction needs a lead search with the native or native+signalhire extractor.',
+    });
+  }
+  if (
+    minMatchConfidence != null &&
+    (typeof minMatchConfidence !== 'number' || !(minMatchConfidence >= 0 && minMatchConfidence <= 1))
+  ) {
+    return res.status(400).json({ error: 'minMatchConfidence must be a number between 0 and 1.' });
+  }
+  // Emails come from ContactOut, which only runs after SignalHire
+  if (captureEmails === true && (profile.output !== 'leads' || extractor === 'native')) {
+    return res.status(400).json({
+      error: 'Email capture needs a lead search with the signalhire or native+signalhire extractor.',
+    });
+  }
+  if (
+    emailsPerType != null &&
+    (!Number.isInteger(emailsPerType) || emailsPerType < 1 || emailsPerType > MAX_EMAILS_PER_TYPE)
+  ) {
     return res
       .status(400)
-      .json({ error: 'Not valid, please use a valid LinkedIn Sales Navigator People URL.' });
+      .json({ error: `emailsPerType must be a whole number between 1 and ${MAX_EMAILS_PER_TYPE}.` });
   }
 
-  // Ensure cookie file exists
-  const cookieFile = getCookieFilePath();
-  if (!cookieFile) {
+  // Ensure the selected account (or at least one worker) has a LinkedIn cookie
+  let account = null;
+  if (accountId) {
+    account = getAccount(accountId);
+    if (!account) {
+      return res.status(400).json({ error: 'Selected LinkedIn account does not exist.' });
+    }
+    if (!getAccountCookiePath(account.id)) {
+      return res.status(400).json({ error: `Account "${account.name}" has no cookie. Please save one first.` });
+    }
+  } else if (!workers.some((w) => getWorkerCookieFiles(w).linkedin)) {
     return res.status(400).json({ error: 'No cookie saved. Please upload a cookie first.' });
   }
 
-  // If another job is currently running, request it to pause and persist its state
-  const currentId = scrapeSession.currentJobId;
-  if (scrapeSession.isScraping && currentId && jobs[currentId]) {
-    scrapeSession.pauseRequested = true;
-    jobs[currentId].state = 'paused';
-    // Save current page index for the running job
-    jobs[currentId].pageIndex = jobs[currentId].pageIndex || 1;
-    // Persist the paused job's updated fields
-    updateJob(currentId, {
-      state: 'paused',
-      pageIndex: jobs[currentId].pageIndex,
-    }).catch(() => { });
-  }
   // Create a new job
   const timestamp = timestampString();
   const slug = listName.replace(/\s+/g, '_');
   const jobId = `${slug}_${timestamp}`;
   const fileName = `${slug}_${timestamp}.csv`;
   const filePath = path.join(__dirname, '..', 'data', fileName);
+  const startPage = limits.startPage || 1;
   const job = {
     id: jobId,
     url,
@@ -687,14 +1790,41 @@ router.post('/scrape', async (req, res) => {
     timestamp,
     fileName,
     filePath,
-    pageIndex: 1,
+    pageIndex: startPage,
     totalRows: 0,
     totalContacts: 0,
-    state: 'running',
+    // Optional page range and lead/page budgets (null = no limit)
+    ...limits,
+    // Split the search into sub-searches if it exceeds the result cap
+    autoSplit: autoSplit !== false,
+    splitRegions,
+    // Where lead rows come from; account searches are always read natively
+    extractor: profile.output === 'leads' ? extractor : null,
+    // Resolve native rows' Sales Navigator lead URLs to public profile URLs
+    resolveUrls: resolveUrls !== false,
+    // Open every lead's side panel for the extended columns
+    deepExtract: deepExtract === true,
+    // Lowest name match confidence for ContactOut domains (null = default)
+    minMatchConfidence: minMatchConfidence ?? null,
+    // Keep ContactOut's full work and personal addresses, not only domains
+    captureEmails: captureEmails === true,
+    emailsPerType: captureEmails === true ? emailsPerType ?? 2 : null,
+    // Per-page statistics recorded by runScrape(), one record per page
+    pages: [],
+    // First run start and most recent run end (ISO timestamps)
+    startedAt: null,
+    endedAt: null,
+    state: 'queued',
+    // LinkedIn account the job runs under; null means the shared cookie.
+    // The name is copied so the job stays readable if the account is
+    // later renamed or deleted.
+    accountId: account ? account.id : null,
+    accountName: account ? account.name : null,
     // Store the current page URL so that a paused job can resume
     // directly from the last scraped page rather than navigating from
-    // the beginning.  Initially this is the provided URL.
-    currentUrl: url,
+    // the beginning.  Initially this is the provided URL, moved to the
+    // start page when one was requested.
+    currentUrl: buildPageUrl(url, startPage),
   };
   // Persist the new job to disk and add it to the in‑memory map
   jobs[jobId] = job;
@@ -703,36 +1833,41 @@ router.post('/scrape', async (req, res) => {
   } catch {
     // swallow persistence errors; job will remain in memory
   }
-  // Update session to this job
-  scrapeSession.currentJobId = jobId;
-  scrapeSession.isScraping = true;
-  scrapeSession.isPaused = false;
-  scrapeSession.pauseRequested = false;
-  // Start scraping in the background
-  runScrape().catch((e) => {
-    console.error('Background scrape error:', e);
-    scrapeSession.isScraping = false;
-    scrapeSession.isPaused = false;
-    if (jobs[jobId]) jobs[jobId].state = 'paused';
-  });
-  return res.json({ message: 'Scrape started', fileName, jobId });
+  // Queue the job; the scheduler starts it right away if the worker is idle
+  let position = null;
+  try {
+    position = await enqueueAndSchedule(jobId, { priority });
+  } catch (err) {
+    console.error('enqueue error:', err);
+    return res.status(500).json({ error: 'Failed to queue scrape.' });
+  }
+  if (position) {
+    return res.json({ message: `Scrape queued at position ${position}.`, fileName, jobId, queuePosition: position });
+  }
+  return res.json({ message: 'Scrape started', fileName, jobId, queuePosition: null });
 });
 
 
 // DELETE /api/jobs/:id
-// Permanently delete a job (disk + cache). Block if running.
+// Permanently delete a job (disk + cache) along with its sub-searches.
+// Block if any of them is running.
 router.delete('/jobs/:id', async (req, res) => {
   const { id } = req.params;
   const job = getJob(id);
   if (!job) return res.status(404).json({ error: 'Job not found.' });
+  const descendants = getDescendants(job);
 
   // Safer: don’t allow deletion while the job is running
-  if (scrapeSession.currentJobId === id && scrapeSession.isScraping) {
+  if (findWorkerForJob(id) || descendants.some((child) => findWorkerForJob(child.id))) {
     return res.status(409).json({ error: 'Job is running. Stop it first, then delete.' });
   }
 
   try {
     const { deleteJobFile } = require('../utils/jobsManager');
+    for (const child of descendants) {
+      if (child.state === 'queued') await dequeueJob(child.id).catch(() => { });
+      await deleteJobFile(child.id);
+    }
     await deleteJobFile(id);  // removes JSON file and evicts from jobsCache
     return res.json({ message: 'Job deleted.' });
   } catch (e) {
@@ -741,5 +1876,7 @@ router.delete('/jobs/:id', async (req, res) => {
   }
 });
 
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.startScheduler = startScheduler;
+// Exported for the simulator end-to-end test (test/simulator.e2e.test.js)
+module.exports.runScrape = runScrape;
@@ -0,0 +1,56 @@
+// routes/selectorRoutes.js
+
+const express = require('express');
+const router = express.Router();
+
+// The selector registry (utils/selectorRegistry.js) holds every CSS
+// selector the scraper uses on Sales Navigator and in the extensions.
+// These routes show the selectors in effect and patch them on a running
+// server: running jobs pick up the new selectors on their next lookup.
+const {
+  describeSelectors,
+  reloadSelectors,
+  writeSelectorOverrides,
+} = require('../utils/selectorRegistry');
+
+// Errors thrown by the registry for bad selector data are reported as
+// 400s; anything else (e.g. an unwritable config directory) is an
+// unexpected server failure.
+function isValidationError(err) {
+  return /^(selectors must|Unknown selector key|Selector ")/.test(err && err.message);
+}
+
+// GET /selectors
+// The defaults version, the override file and the keys it replaces,
+// when the registry was loaded and every key's fallback chain.
+router.get('/selectors', (req, res) => {
+  return res.json(describeSelectors());
+});
+
+// POST /selectors/reload
+// Re-reads config/selectors.json and the override file.  If either is
+// invalid the selectors in use are kept and the error is returned.
+router.post('/selectors/reload', (req, res) => {
+  try {
+    return res.json({ message: 'Selectors reloaded.', ...reloadSelectors() });
+  } catch (err) {
+    return res.status(400).json({ error: `Selectors not reloaded: ${err.message}` });
+  }
+});
+
+// PUT /selectors
+// Body: { version?, selectors: { key: [selector, ...] } }.  Replaces
+// the override file with the given chains (keys not listed use the
+// defaults) and reloads the registry.
+router.put('/selectors', (req, res) => {
+  try {
+    const summary = writeSelectorOverrides(req.body || {});
+    return res.json({ message: `Selector overrides saved (${summary.override.keys.length} keys).`, ...summary });
+  } catch (err) {
+    const status = isValidationError(err) ? 400 : 500;
+    if (status === 500) console.error('Failed to save selector overrides.', err);
+    return res.status(status).json({ error: err.message || 'Failed to save selector overrides.' });
+  }
+});
+
+module.exports = router;
@@ -123,6 +123,43 @@ app.use(express.json({ limit: '10mb' }));
 // relative to the root of the web server.
 app.use(BASE_PATH || '/', express.static(path.join(__dirname, 'public')));
 
+// -----------------------------------------------------------------------------
+// Cookie encryption at rest
+//
+// With COOKIE_ENCRYPTION_KEY set, any cookie files still stored as plain
+// JSON are encrypted once here.  Without it, the server refuses to start
+// if encrypted cookie files exist, since no job could log in with them.
+// A key that cannot decrypt the existing files is rejected the same way.
+const { isEncryptionEnabled, readCookieArray } = require('./utils/cookieCrypto');
+const {
+  findEncryptedCookieFiles,
+  encryptPlaintextCookieFiles,
+} = require('./utils/fileHandler');
+
+if (!isEncryptionEnabled()) {
+  const encrypted = findEncryptedCookieFiles();
+  if (encrypted.length > 0) {
+    console.error(
+      `Refusing to start: ${encrypted.length} cookie file(s) are encrypted but COOKIE_ENCRYPTION_KEY is not set.`
+    );
+    encrypted.forEach((f) => console.error(`  ${f}`));
+    process.exit(1);
+  }
+} else {
+  for (const file of findEncryptedCookieFiles()) {
+    try {
+      readCookieArray(file);
+    } catch (err) {
+      console.error(`Refusing to start: ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+  const migrated = encryptPlaintextCookieFiles();
+  if (migrated.length > 0) {
+    console.log(`Encrypted ${migrated.length} plaintext cookie file(s).`);
+  }
+}
+
 // Ensure the data directory exists and perform an initial cleanup of old files.
 const { ensureDataDir, cleanupOldFiles } = require('./utils/dataManager');
 
@@ -148,20 +185,25 @@ const {
 
 ensureJobsDir().catch(() => {});
 
-loadJobs().catch(() => {});
-
 cleanupOldJobs().catch(() => {});
 
 // Register API routes.
 // These are mounted directly under BASE_PATH so the public endpoints are:
 //   /salesnav/save-cookie, /salesnav/status, ... (no extra /api prefix)
+const scrapeRoutes = require('./routes/scrapeRoutes');
 app.use(`${BASE_PATH || ''}`, require('./routes/cookieRoutes'));
-app.use(`${BASE_PATH || ''}`, require('./routes/scrapeRoutes'));
-
-// The browser and third‑party login checks are performed lazily within
-// the scrape route.  We intentionally avoid launching a browser at
-// startup so that the application does not open windows until the user
-// initiates a scrape.
+app.use(`${BASE_PATH || ''}`, require('./routes/accountRoutes'));
+app.use(`${BASE_PATH || ''}`, require('./routes/selectorRoutes'));
+app.use(`${BASE_PATH || ''}`, require('./routes/diagnosticsRoutes'));
+app.use(`${BASE_PATH || ''}`, scrapeRoutes);
+
+// The browser and third‑party login checks are performed lazily by the
+// job scheduler.  No browser is launched at startup unless the persisted
+// queue still holds jobs (including jobs that were running when the
+// server stopped); those are picked up once the jobs have been loaded.
+loadJobs()
+  .then(() => scrapeRoutes.startScheduler())
+  .catch(() => {});
 
 // Catch‑all handler to return the frontend for any unknown route.  This
 // allows direct browser navigation to a deep link (e.g. `/about`) and
@@ -17,6 +17,8 @@
  * @param {number} [timeout=2000] Maximum time in milliseconds to wait for selectors
  * @returns {Promise<boolean>} True if logged in (no sign‑in prompt), false otherwise
  */
+const { selector } = require('../utils/selectorRegistry');
+
 module.exports = async function checkSignalHireLoggedIn(page, timeout = 2000) {
   // Helper to test a frame for sign‑in markers
   const testFrame = async (frame) => {
@@ -24,8 +26,8 @@ module.exports = async function checkSignalHireLoggedIn(page, timeout = 2000) {
       // Text content variant: "Welcome to SignalHire!"
       const welcome = frame.locator('text=/Welcome to SignalHire/i');
       if (await welcome.count()) return false;
-      // Another marker: a button span with class _1AjY9-VYq containing "Sign in"
-      const signInBtn = frame.locator('span._1AjY9-VYq', { hasText: 'Sign in' }).first();
+      // Another marker: the sign-in button label (signalhire.signInButton) containing "Sign in"
+      const signInBtn = frame.locator(selector('signalhire.signInButton'), { hasText: 'Sign in' }).first();
       if (await signInBtn.count()) return false;
       // Alternatively, a generic sign‑in button
       const signInGeneric = frame.locator('text=/Sign in/i');
@@ -7,8 +7,10 @@
 // child frames.  It returns true if the button was clicked, or
 // false if the button could not be found or interacted with.
 
+const { selector } = require('../utils/selectorRegistry');
+
 module.exports = async function clickSignalHireToggle(page, timeout = 5_000) {
-  const TOGGLE = 'button img[alt="SH"]';
+  const TOGGLE = selector('signalhire.toggle');
   // Try clicking on the given root (page or frame)
   const tryClick = async (root) => {
     try {
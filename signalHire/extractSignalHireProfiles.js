@@ -2,42 +2,72 @@
 //
 // Scrape profile details from the SignalHire sidebar.  Each profile
 // card contains the person's name, location, title, company and a
-// link to their LinkedIn profile.  This helper waits for the
-// SignalHire sidebar to be fully loaded, scrolls through the list
-// until all cards are rendered, extracts the relevant fields, and
-// performs post‑processing such as name splitting and company
-// normalisation.
+// link to their LinkedIn profile, and often phone numbers.  This
+// helper waits for the SignalHire sidebar to be fully loaded, scrolls
+// through the list until all cards are rendered, extracts the relevant
+// fields, and performs post‑processing such as name splitting, company
+// normalisation and phone normalisation to E.164.
 
 const { cleanName } = require('../utils/nameCleaner');
 const { cleanCompanyName } = require('../utils/cleanCompanyName');
+const { selector, selectorChain } = require('../utils/selectorRegistry');
+const { normalisePhones, phoneFields } = require('../utils/phoneNormalizer');
 
 const FAST_MODE = ['1', 'true', 'yes'].includes(String(process.env.FAST_MODE || '').toLowerCase());
 
 module.exports = async function extractSignalHireProfiles(page) {
   // Determine which frame the SignalHire cards reside in
   const root = await getSignalHireRoot(page);
-  const cardSel = 'li._1VGRZDYbh';
+  const cardSel = selector('signalhire.card');
   // Wait for the first card to appear
   await root.locator(cardSel).first().waitFor({ state: 'visible', timeout: 15000 });
   // Scroll until all cards are loaded (handles lazy rendering)
   await loadAllCards(root, cardSel);
   // Extract raw data for each card in the DOM context
-  const rows = await root.locator(cardSel).evaluateAll((nodes) => {
+  // (each field is a fallback chain: the first selector that matches wins)
+  const fields = {
+    name: selectorChain('signalhire.card.name'),
+    location: selectorChain('signalhire.card.location'),
+    title: selectorChain('signalhire.card.title'),
+    company: selectorChain('signalhire.card.company'),
+    profileLink: selectorChain('signalhire.card.profileLink'),
+    phone: selectorChain('signalhire.card.phone'),
+  };
+  const rows = await root.locator(cardSel).evaluateAll((nodes, fields) => {
     return nodes.map((card) => {
-      const q = (sel) => card.querySelector(sel);
-      const safeText = (sel) => (q(sel)?.textContent || '').trim();
-      const safeAttr = (sel, attr) => q(sel)?.getAttribute(attr) || '';
+      const q = (chain) => chain.map((sel) => card.querySelector(sel)).find(Boolean);
+      const safeText = (chain) => (q(chain)?.textContent || '').trim();
+      const safeAttr = (chain, attr) => q(chain)?.getAttribute(attr) || '';
+      // Phones: every element of the first phone selector that matches,
+      // with the label around it (its attributes, or its parent's text
+      // when the parent holds only this number)
+      const phoneSel = fields.phone.find((sel) => card.querySelector(sel));
+      const phones = phoneSel
+        ? [...card.querySelectorAll(phoneSel)].map((el) => {
+          const href = el.getAttribute('href') || '';
+          const parent = el.parentElement;
+          const parentText = parent && parent.querySelectorAll(phoneSel).length === 1 ? parent.textContent || '' : '';
+          return {
+            raw: /^tel:/i.test(href) ? href : (el.textContent || '').trim(),
+            label: [el.getAttribute('data-type'), el.getAttribute('aria-label'), el.getAttribute('title'), parentText]
+              .filter(Boolean)
+              .join(' '),
+          };
+        })
+        : [];
       return {
-        name: safeText('h3.X9UUt5-wC'),
-        person_location: safeText('i._1rkN4HF-c + span'),
-        title: safeText('i._23sCxfSQ5 + span'),
-        company: safeText('i._1kYVNzVgg + span'),
-        person_title: safeAttr('div._4rhT6X1EK a', 'href'),
+        name: safeText(fields.name),
+        person_location: safeText(fields.location),
+        title: safeText(fields.title),
+        company: safeText(fields.company),
+        person_title: safeAttr(fields.profileLink, 'href'),
+        phones,
       };
     });
-  });
-  // Post‑process: clean names and company, split first/last
-  return rows.map((r) => {
+  }, fields);
+  // Post‑process: clean names and company, split first/last, and
+  // normalise the phones with the card's location (Phone 1 / Phone 2)
+  return rows.map(({ phones, ...r }) => {
     const cleanedName = cleanName(r.name);
     const tokens = cleanedName.split(' ').filter(Boolean);
     const first = tokens[0] || '';
@@ -48,6 +78,7 @@ module.exports = async function extractSignalHireProfiles(page) {
       first_name: first,
       last_name: last,
       company: cleanCompanyName(r.company),
+      ...phoneFields(normalisePhones(phones, r.person_location)),
     };
   });
 };
@@ -62,7 +93,7 @@ module.exports = async function extractSignalHireProfiles(page) {
  * @returns {Promise<import('playwright').Frame|import('playwright').Page>}
  */
 async function getSignalHireRoot(page) {
-  const exists = await page.locator('li._1VGRZDYbh').first().count();
+  const exists = await page.locator(selector('signalhire.card')).first().count();
   if (exists) return page;
   const frame = page
     .frames()
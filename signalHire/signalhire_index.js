@@ -12,6 +12,8 @@
 const path = require('path');
 const fs = require('fs/promises');
 const { waitForLeadList } = require('../utils/waitForLeadList');
+const { profileForPage } = require('../utils/pageProfiles');
+const { selector } = require('../utils/selectorRegistry');
 // Ensure the CSV headers match the latest format when appending to an existing file.
 const { upgradeCsvHeaders } = require('../utils/upgradeCsvHeaders');
 const { waitRandomIncreasing, nextDelaySecs } = require('../utils/randomDelayer');
@@ -20,6 +22,7 @@ const waitForSignalHireResults = require('./waitForSignalHireResults');
 const extractSignalHireProfiles = require('./extractSignalHireProfiles');
 // Use the robust CSV writer that automatically handles Website column.
 const { saveProfilesCsv } = require('../utils/saveProfilesCsv');
+const { mergeNativeLeads } = require('../utils/leadExtractor');
 
 // Additional helpers to detect login state and re‑authenticate
 const checkSignalHireLoggedIn = require('./checkSignalHireLoggedIn');
@@ -32,10 +35,13 @@ const DEFAULT_OUTPUT_CSV = path.resolve(process.cwd(), 'output.csv');
 // Default options.  Retries controls how many attempts are made to
 // open the sidebar before giving up.  The log function can be
 // overridden to customise logging behaviour (e.g. to integrate with
-// your own logger).
+// your own logger).  onEvent receives structured `{ phase, outcome,
+// attempt, error }` records for retries and re-logins so the caller can
+// persist them in the job log.
 const DEFAULTS = {
   retries: 3,
   log: (...a) => console.log('[SignalHire]', ...a),
+  onEvent: () => {},
 };
 
 /**
@@ -44,11 +50,19 @@ const DEFAULTS = {
  * function waits for the list to become visible, opens the
  * SignalHire sidebar, extracts all profiles and saves them to a
  * CSV.  Retries are performed if the sidebar cannot be opened on
- * the first attempt.  Returns an object with the rows and the
- * output file path on success.
+ * the first attempt.  Returns an object with the saved rows, the
+ * output file path, the number of rows extracted from the sidebar
+ * and how many of them were skipped as duplicates.  When native rows
+ * are passed (extractor `native+signalhire`), matching cards are
+ * enriched with them and the unmatched native rows are returned as
+ * `unmatchedNative` for the caller to save.
  *
  * @param {import('playwright').Page} page The Playwright page to scrape
  * @param {Object} [opts] Optional overrides for retries and logging
+ * @param {Function} [opts.onEvent] Receives retry and re-login records
+ * @param {number} [opts.maxRows] Save at most this many new rows (the
+ *   rest of the page is dropped, e.g. when a lead limit is reached)
+ * @param {Object[]} [opts.nativeRows] Rows from leadExtractor.extractLeads()
  */
 module.exports = async function runSignalHire(page, opts = {}) {
   // Extract options, providing defaults where appropriate.  The
@@ -61,8 +75,9 @@ module.exports = async function runSignalHire(page, opts = {}) {
     log,
     shCookiePath,
     coCookiePath,
+    onEvent,
   } = { ...DEFAULTS, ...opts };
-  await ensureSidebarReadyWithRetries(page, retries, log, shCookiePath, coCookiePath);
+  await ensureSidebarReadyWithRetries(page, retries, log, shCookiePath, coCookiePath, onEvent);
   // After the sidebar is ready, pause for a human‑like delay before starting extraction.
   try {
     await waitRandomIncreasing(page, 'pre-signalhire-extract', { base: 1000, max: 2000 });
@@ -70,6 +85,9 @@ module.exports = async function runSignalHire(page, opts = {}) {
   log('Extracting profiles …');
   const rows = await extractSignalHireProfiles(page);
   log(`Extracted ${rows.length} row(s).`);
+  const unmatchedNative = Array.isArray(opts.nativeRows)
+    ? mergeNativeLeads(rows, opts.nativeRows)
+    : [];
   // Deduplicate new rows by LinkedIn URL.  We first build a set of
   // existing LinkedIn URLs from the output CSV (if it exists), then
   // filter out any rows whose URL already exists in the file or
@@ -123,6 +141,11 @@ module.exports = async function runSignalHire(page, opts = {}) {
     seenUrls.add(url);
     uniqueRows.push(r);
   }
+  const duplicates = rows.length - uniqueRows.length;
+  if (Number.isInteger(opts.maxRows) && uniqueRows.length > opts.maxRows) {
+    log(`Keeping ${opts.maxRows} of ${uniqueRows.length} new row(s) (row limit).`);
+    uniqueRows.length = opts.maxRows;
+  }
   // Ensure each unique row has domain keys so that the CSV header
   // includes the Website column on the first write.  Also ensure
   // snake_case name keys (first_name, last_name) exist when saving.
@@ -167,7 +190,13 @@ module.exports = async function runSignalHire(page, opts = {}) {
     append: effectiveAppend,
   });
   log('Saved ->', outputPath);
-  return { rows: uniqueRows, filePath: outputPath };
+  return {
+    rows: uniqueRows,
+    filePath: outputPath,
+    extracted: rows.length,
+    duplicates,
+    unmatchedNative,
+  };
 };
 
 // ----- Helper functions -----
@@ -184,8 +213,9 @@ module.exports = async function runSignalHire(page, opts = {}) {
  * @param {import('playwright').Page} page The Playwright page
  * @param {number} maxRetries Maximum number of attempts
  * @param {Function} log Logger for informational messages
+ * @param {Function} onEvent Receives structured retry/re-login records
  */
-async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPath) {
+async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPath, onEvent) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       log(`Open sidebar attempt ${attempt}/${maxRetries}`);
@@ -207,6 +237,7 @@ async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPa
       const loggedIn = await checkSignalHireLoggedIn(page);
       if (!loggedIn) {
         log('SignalHire extension not logged in; attempting relogin …');
+        onEvent({ phase: 'signalhire', outcome: 'relogin', attempt });
         const context = page.context();
         // Perform SignalHire login if a cookie path was supplied
         if (shPath) {
@@ -252,6 +283,7 @@ async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPa
     } catch (err) {
       log(`Attempt ${attempt} failed: ${err?.message || err}`);
       if (attempt === maxRetries) throw err;
+      onEvent({ phase: 'signalhire', outcome: 'retry', attempt, error: err?.message || String(err) });
       log('Refreshing page and retrying …');
       await safeReload(page, log);
     }
@@ -260,7 +292,7 @@ async function ensureSidebarReadyWithRetries(page, maxRetries, log, shPath, coPa
 
 async function isSalesNavTrackerVisible(page, timeout = 500) {
   try {
-    const ROW_TITLE = 'a[data-control-name^="view_lead_panel"]';
+    const ROW_TITLE = profileForPage(page).rowSelector;
     await page.locator(ROW_TITLE).first().waitFor({ state: 'visible', timeout });
     return true;
   } catch {
@@ -270,7 +302,7 @@ async function isSalesNavTrackerVisible(page, timeout = 500) {
 
 async function isSHSidebarTrackerVisible(page, timeout = 500) {
   try {
-    const tracker = page.locator('li._1VGRZDYbh').first();
+    const tracker = page.locator(selector('signalhire.card')).first();
     await tracker.waitFor({ state: 'visible', timeout });
     return true;
   } catch {
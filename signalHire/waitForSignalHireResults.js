@@ -7,10 +7,12 @@
 // nothing appears within the timeout, the caller should handle
 // the error (e.g. by retrying or refreshing the page).
 
+const { selector } = require('../utils/selectorRegistry');
+
 const TIMEOUT = 8_000;
 
 module.exports = async function waitForSignalHireResults(page) {
   // Each result row is rendered as a list item with a unique class
-  const listItem = page.locator('li._1VGRZDYbh').first();
+  const listItem = page.locator(selector('signalhire.card')).first();
   await listItem.waitFor({ state: 'visible', timeout: TIMEOUT });
 };
\ No newline at end of file
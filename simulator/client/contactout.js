@@ -0,0 +1,67 @@
+// simulator/client/contactout.js
+//
+// Fake ContactOut sidebar, injected into simulated search pages.  The
+// floating button opens a panel with one contact card per lead of the
+// current page, with the lead's work and personal emails (when the
+// fixture has them) as the spans collectProfiles() reads, the lead's
+// phone numbers and a link to the lead's public profile.  Markup
+// follows contactout.* in config/selectors.json.  The cards follow
+// page changes while the panel is open.
+
+(function () {
+  const LOAD_MS = 400;
+
+  function esc(s) {
+    const div = document.createElement('div');
+    div.textContent = s == null ? '' : String(s);
+    return div.innerHTML;
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.id = 'floating-button';
+  toggle.textContent = 'CO';
+  toggle.setAttribute('style', 'position:fixed;right:16px;bottom:24px;z-index:20;padding:6px 10px');
+
+  const panel = document.createElement('div');
+  panel.hidden = true;
+  panel.setAttribute('style', 'position:fixed;top:0;left:0;width:300px;height:100vh;overflow:auto;background:#fff;border-right:1px solid #ccc;z-index:15;padding:8px');
+
+  function cardHtml(lead) {
+    const emails = [lead.email, lead.personalEmail]
+      .filter(Boolean)
+      .map((e) => `<div><span>${esc(e)}</span></div>`)
+      .join('');
+    const phones = (lead.phones || [])
+      .map((p) => `<div><span data-testid="contact-phone" data-type="${esc(p.type || '')}">${esc(p.number)}</span></div>`)
+      .join('');
+    return `<div data-testid="contact-information">
+  <div class="css-72nh78">${esc(lead.name)}</div>
+  <div>${emails}</div>
+  <div>${phones}</div>
+  <a href="${esc(lead.publicUrl)}" target="_blank">LinkedIn</a>
+</div>`;
+  }
+
+  let timer = null;
+  function fill() {
+    panel.innerHTML = '';
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const leads = window.__simCurrentLeads ? window.__simCurrentLeads() : [];
+      panel.innerHTML = leads.map(cardHtml).join('');
+    }, LOAD_MS);
+  }
+
+  // The scraper clicks the toggle on every page to refresh the cards,
+  // so a click always (re)opens the panel
+  toggle.addEventListener('click', () => {
+    panel.hidden = false;
+    fill();
+  });
+  document.addEventListener('sim:pagechange', () => {
+    if (!panel.hidden) fill();
+  });
+
+  document.body.append(toggle, panel);
+})();
@@ -0,0 +1,140 @@
+// simulator/client/salesnav.js
+//
+// Runs in the simulated search page.  Renders the result rows and the
+// pagination of the current `?page=` from window.__SIM_SEARCH__ (see
+// simulator/index.js) with the Sales Navigator markup the scraper's
+// selectors expect, swaps pages in place on Next / numbered clicks,
+// and opens the lead side panel when a lead name is clicked.  Other
+// scripts read the current page's leads with window.__simCurrentLeads()
+// and are told about page changes with a `sim:pagechange` event.
+
+(function () {
+  const search = window.__SIM_SEARCH__;
+  const results = document.getElementById('results');
+  const noResults = document.getElementById('no-results');
+  const pagination = document.querySelector('[data-sn-view-name="search-pagination"]');
+  const pageCount = Math.ceil(search.leads.length / search.pageSize);
+  // Delay before a page's rows appear, like the real list loading
+  const LOAD_MS = 300;
+
+  // The profile API (utils/leadUrlResolver.js) sends JSESSIONID as its CSRF token
+  document.cookie = 'JSESSIONID="ajax:simulator"; path=/';
+
+  function esc(s) {
+    const div = document.createElement('div');
+    div.textContent = s == null ? '' : String(s);
+    return div.innerHTML;
+  }
+
+  function currentPage() {
+    const n = Math.floor(Number(new URL(location.href).searchParams.get('page') || '1'));
+    return n >= 1 ? n : 1;
+  }
+
+  function leadsOn(n) {
+    return search.leads.slice((n - 1) * search.pageSize, n * search.pageSize);
+  }
+
+  window.__simCurrentLeads = () => leadsOn(currentPage());
+
+  function rowHtml(lead) {
+    return `<li class="artdeco-list__item">
+  <div class="artdeco-entity-lockup">
+    <a data-control-name="view_lead_panel_via_search_lead_name" href="${esc(lead.url)}"><span data-anonymize="person-name">${esc(lead.name)}</span></a>
+    <span class="artdeco-entity-lockup__degree">· ${esc(lead.degree)}</span>
+    <div class="artdeco-entity-lockup__subtitle"><span data-anonymize="title">${esc(lead.title)}</span> · <a data-anonymize="company-name" href="/sales/company/${esc(lead.companyId)}">${esc(lead.company)}</a></div>
+    <div class="artdeco-entity-lockup__caption"><span data-anonymize="location">${esc(lead.location)}</span></div>
+  </div>
+</li>`;
+  }
+
+  function paginationHtml(n) {
+    const last = n >= pageCount && !search.openEnded;
+    const buttons = [];
+    for (let i = 1; i <= pageCount; i++) {
+      const active = i === n ? ' active selected' : '';
+      const current = i === n ? ' aria-current="true"' : '';
+      buttons.push(
+        `<li data-test-pagination-page-btn="${i}" class="artdeco-pagination__indicator artdeco-pagination__indicator--number${active}"><button type="button" data-page="${i}"${current}>${i}</button></li>`
+      );
+    }
+    const state = search.openEnded ? '' : `<span class="artdeco-pagination__page-state">Page ${n} of ${pageCount}</span>`;
+    return `<div class="artdeco-pagination">
+  <button type="button" aria-label="Previous" data-page="${n - 1}"${n <= 1 ? ' disabled' : ''}>Previous</button>
+  <ul class="artdeco-pagination__pages">${buttons.join('')}</ul>
+  ${state}
+  <button type="button" aria-label="Next" data-page="${n + 1}"${last ? ' disabled' : ''}>Next</button>
+</div>`;
+  }
+
+  function render() {
+    const n = currentPage();
+    const leads = leadsOn(n);
+    closePanel();
+    results.innerHTML = leads.map(rowHtml).join('');
+    noResults.hidden = leads.length > 0;
+    pagination.innerHTML = leads.length ? paginationHtml(n) : '';
+    document.dispatchEvent(new CustomEvent('sim:pagechange', { detail: { page: n } }));
+  }
+
+  function goTo(n) {
+    const u = new URL(location.href);
+    u.searchParams.set('page', String(n));
+    history.pushState(null, '', u.toString());
+    results.innerHTML = '';
+    setTimeout(render, LOAD_MS);
+  }
+
+  // ---- lead side panel (deep extraction) ----
+
+  function closePanel() {
+    const panel = document.querySelector('[data-sn-view-name="lead-panel"]');
+    if (panel) panel.remove();
+  }
+
+  function openPanel(lead) {
+    closePanel();
+    const past = (lead.pastPositions || []).map((p) => `<li>${esc(p)}</li>`).join('');
+    const shared = lead.sharedConnections ? `<p>${esc(lead.sharedConnections)} shared connections</p>` : '';
+    const badges = [lead.recentlyPosted ? 'Recently posted' : '', lead.changedJobs ? 'Changed jobs' : '']
+      .filter(Boolean)
+      .map((b) => `<span class="badge">${b}</span>`)
+      .join(' ');
+    const panel = document.createElement('section');
+    panel.setAttribute('data-sn-view-name', 'lead-panel');
+    panel.setAttribute('style', 'position:fixed;top:0;right:0;width:420px;height:100vh;overflow:auto;background:#fff;border-left:1px solid #ccc;padding:16px;z-index:10');
+    panel.innerHTML = `<button type="button" aria-label="Close">×</button>
+<h2>${esc(lead.name)}</h2>
+<p>${esc(lead.title)} at <a href="/sales/company/${esc(lead.companyId)}">${esc(lead.company)}</a></p>
+<p>${esc(lead.timeInRole)} in role · ${esc(lead.timeAtCompany)} in company</p>
+${shared}
+<p>${badges}</p>
+<section data-sn-view-name="lead-experience"><ul><li>${esc(lead.title)} at ${esc(lead.company)} · Present</li>${past}</ul></section>`;
+    // Opening takes a moment, like the real panel
+    setTimeout(() => document.body.appendChild(panel), 200);
+  }
+
+  document.addEventListener('click', (e) => {
+    const pageBtn = e.target.closest('[data-sn-view-name="search-pagination"] button[data-page]');
+    if (pageBtn) {
+      if (!pageBtn.disabled) goTo(Number(pageBtn.dataset.page));
+      return;
+    }
+    if (e.target.closest('[data-sn-view-name="lead-panel"] button[aria-label="Close"]')) {
+      closePanel();
+      return;
+    }
+    const link = e.target.closest('a[data-control-name^="view_lead_panel"]');
+    if (link) {
+      e.preventDefault();
+      const lead = search.leads.find((l) => l.url === link.getAttribute('href'));
+      if (lead) openPanel(lead);
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closePanel();
+  });
+  window.addEventListener('popstate', render);
+
+  setTimeout(render, LOAD_MS);
+})();
@@ -0,0 +1,70 @@
+// simulator/client/signalhire.js
+//
+// Fake SignalHire sidebar, injected into simulated search pages.  The
+// toggle (a button with the "SH" image) opens a list with one card per
+// lead of the current page that SignalHire "knows" (`signalhire: true`
+// in the fixture), using the hashed class names of the real extension
+// (signalhire.* in config/selectors.json), plus the lead's phone
+// numbers (`phones` in the fixture) as tel: links with their type
+// label.  The cards follow page changes while the sidebar is open.
+
+(function () {
+  // 1×1 transparent GIF, sized up so the toggle image is visible
+  const ICON = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+  // Delay before the cards appear after opening, like the real lookup
+  const LOAD_MS = 500;
+
+  function esc(s) {
+    const div = document.createElement('div');
+    div.textContent = s == null ? '' : String(s);
+    return div.innerHTML;
+  }
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.setAttribute('style', 'position:fixed;right:16px;bottom:80px;z-index:20;padding:4px');
+  toggle.innerHTML = `<img alt="SH" src="${ICON}" width="28" height="28" />`;
+
+  const sidebar = document.createElement('aside');
+  sidebar.hidden = true;
+  sidebar.setAttribute('style', 'position:fixed;top:0;right:0;width:320px;height:100vh;background:#fff;border-left:1px solid #ccc;z-index:15');
+  sidebar.innerHTML = '<ul style="list-style:none;margin:0;padding:8px;height:100%;overflow:auto"></ul>';
+  const list = sidebar.querySelector('ul');
+
+  function phonesHtml(lead) {
+    return (lead.phones || [])
+      .map((p) => `<div>${p.type === 'mobile' ? 'Mobile' : p.type === 'work' ? 'Work' : 'Phone'} <a href="tel:${esc(p.number.replace(/[^\d+]/g, ''))}">${esc(p.number)}</a></div>`)
+      .join('');
+  }
+
+  function cardHtml(lead) {
+    return `<li class="_1VGRZDYbh">
+  <h3 class="X9UUt5-wC">${esc(lead.name)}</h3>
+  <div><i class="_1rkN4HF-c"></i> <span>${esc(lead.location)}</span></div>
+  <div><i class="_23sCxfSQ5"></i> <span>${esc(lead.title)}</span></div>
+  <div><i class="_1kYVNzVgg"></i> <span>${esc(lead.company)}</span></div>
+  <div class="_4rhT6X1EK"><a href="${esc(lead.publicUrl)}" target="_blank">Profile</a></div>
+  ${phonesHtml(lead)}
+</li>`;
+  }
+
+  let timer = null;
+  function fill() {
+    list.innerHTML = '';
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const leads = (window.__simCurrentLeads ? window.__simCurrentLeads() : []).filter((l) => l.signalhire);
+      list.innerHTML = leads.map(cardHtml).join('');
+    }, LOAD_MS);
+  }
+
+  toggle.addEventListener('click', () => {
+    sidebar.hidden = !sidebar.hidden;
+    if (!sidebar.hidden) fill();
+  });
+  document.addEventListener('sim:pagechange', () => {
+    if (!sidebar.hidden) fill();
+  });
+
+  document.body.append(toggle, sidebar);
+})();
@@ -0,0 +1,216 @@
+// simulator/index.js
+//
+// Offline Sales Navigator simulator.  Answers the requests a scrape
+// makes – people-search pages, the lead side panel, lead pages, the
+// Sales Navigator profile API and the SignalHire / ContactOut login
+// pages – from the recorded search in `fixtures/people-search.json`,
+// so runScrape(), clickNextPage() and the CSV pipeline can run end to
+// end with Playwright and no network.
+//
+// Search pages render their rows and pagination in the browser, like
+// the real single-page app: Next and the numbered buttons swap the
+// list in place and update `?page=` in the URL.  Page numbers past the
+// last page show the "No leads matched your search" banner.  Fake
+// SignalHire and ContactOut sidebars are injected into every search
+// page (as the real extensions inject theirs), built with the DOM the
+// scraper expects: the default chains of config/selectors.json.
+//
+// Query parameters on a search URL change the recorded search:
+//
+//   simLeads=<n>         only the first n leads (0 for an empty search)
+//   simEnd=no-results    the last page keeps Next enabled and hides the
+//                        "Page X of Y" state, so the scrape only stops on
+//                        the "No leads matched your search" page
+//
+// Two ways to use it:
+//
+//   SALESNAV_SIMULATOR=true npm start
+//       utils/browser.js launches a headless browser whose every request
+//       is answered here (anything else is aborted), without the real
+//       extensions.  Save any LinkedIn, SignalHire and ContactOut cookie
+//       and start jobs on https://www.linkedin.com/sales/search/people URLs.
+//
+//   npm run simulator
+//       serves the same pages on http://localhost:3100 to look at them
+//       in a normal browser (SIMULATOR_PORT changes the port).
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const clientDir = path.join(__dirname, 'client');
+const CLIENT_SCRIPTS = ['salesnav.js', 'signalhire.js', 'contactout.js'];
+
+function loadFixture() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'people-search.json'), 'utf8'));
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function html(title, body) {
+  return {
+    status: 200,
+    contentType: 'text/html; charset=utf-8',
+    body: `<!doctype html>\n<html>\n<head>\n<meta charset="utf-8" />\n<title>${escapeHtml(title)}</title>\n</head>\n<body>\n${body}\n</body>\n</html>\n`,
+  };
+}
+
+function notFound() {
+  return { status: 404, contentType: 'text/plain; charset=utf-8', body: 'Not found (Sales Navigator simulator)' };
+}
+
+// JSON for an inline <script>: "</script>" must not end the element
+function inlineJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function leadUrl(lead) {
+  return `/sales/lead/${lead.profileId},NAME_SEARCH,${lead.authToken}`;
+}
+
+function publicUrl(lead) {
+  return `https://www.linkedin.com/in/${lead.publicId}/`;
+}
+
+/**
+ * Create a simulator over a recorded search.
+ *
+ * @param {Object} [opts]
+ * @param {Object} [opts.fixture] `{ pageSize, leads }`; defaults to
+ *   fixtures/people-search.json
+ * @returns {{handle: function(string): ({status: number, contentType: string, body: string}|null)}}
+ *   `handle(url)` answers a request URL, or returns null for hosts the
+ *   simulator does not know (the caller aborts those)
+ */
+function createSimulator({ fixture = loadFixture() } = {}) {
+  const leadsById = new Map(fixture.leads.map((lead) => [lead.profileId, lead]));
+
+  function searchPage(u) {
+    const limit = u.searchParams.has('simLeads') ? Math.max(0, Number(u.searchParams.get('simLeads')) || 0) : Infinity;
+    const search = {
+      pageSize: fixture.pageSize,
+      openEnded: u.searchParams.get('simEnd') === 'no-results',
+      leads: fixture.leads.slice(0, limit).map((lead) => ({
+        ...lead,
+        url: leadUrl(lead),
+        publicUrl: publicUrl(lead),
+      })),
+    };
+    const scripts = CLIENT_SCRIPTS.map((name) => `<script src="/__simulator/${name}"></script>`).join('\n');
+    return html(
+      'Sales Navigator (simulator)',
+      `<main id="search-results">
+  <ol id="results" class="artdeco-list"></ol>
+  <div id="no-results" class="search-results__no-results" hidden><h3>No leads matched your search</h3><p>Try removing some filters.</p></div>
+  <div data-sn-view-name="search-pagination"></div>
+</main>
+<script>window.__SIM_SEARCH__ = ${inlineJson(search)};</script>
+${scripts}`
+    );
+  }
+
+  // The Sales Navigator profile API as leadUrlResolver.js calls it
+  function profileApi(u) {
+    const match = decodeURIComponent(u.pathname).match(/profileId:([^,)]+)/);
+    const lead = match && leadsById.get(match[1]);
+    if (!lead) return { status: 404, contentType: 'application/json', body: '{}' };
+    return { status: 200, contentType: 'application/json', body: JSON.stringify({ flagshipProfileUrl: publicUrl(lead) }) };
+  }
+
+  function leadPage(u) {
+    const id = decodeURIComponent(u.pathname.split('/')[3] || '').split(',')[0];
+    const lead = leadsById.get(id);
+    if (!lead) return notFound();
+    return html(
+      `${lead.name} | Sales Navigator (simulator)`,
+      `<h1>${escapeHtml(lead.name)}</h1>
+<p>${escapeHtml(lead.title)} at ${escapeHtml(lead.company)}</p>
+<button aria-label="Open actions overflow menu">…</button>
+<a href="${publicUrl(lead)}">View LinkedIn profile</a>`
+    );
+  }
+
+  function handle(rawUrl) {
+    let u;
+    try {
+      u = new URL(rawUrl);
+    } catch {
+      return null;
+    }
+    const host = u.hostname.toLowerCase();
+    if (/(^|\.)(signalhire|contactout)\.com$/.test(host)) {
+      // The login helpers only check that they were not redirected to a login page
+      return html('Account (simulator)', '<h1>Simulated extension account</h1>');
+    }
+    if (!/(^|\.)linkedin\.com$/.test(host)) return null;
+    const script = u.pathname.match(/^\/__simulator\/([\w.-]+)$/);
+    if (script) {
+      if (!CLIENT_SCRIPTS.includes(script[1])) return notFound();
+      return {
+        status: 200,
+        contentType: 'application/javascript; charset=utf-8',
+        body: fs.readFileSync(path.join(clientDir, script[1]), 'utf8'),
+      };
+    }
+    if (/^\/sales\/search\/people\/?$/.test(u.pathname)) return searchPage(u);
+    if (u.pathname.startsWith('/sales-api/salesApiProfiles/')) return profileApi(u);
+    if (u.pathname.startsWith('/sales/lead/')) return leadPage(u);
+    return notFound();
+  }
+
+  return { handle };
+}
+
+/**
+ * Answer every request of a browser context from the simulator.
+ * Requests to other hosts are aborted, so nothing leaves the machine.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {Object} [opts] Passed to createSimulator()
+ */
+async function installSimulator(context, opts) {
+  const simulator = createSimulator(opts);
+  await context.route('**/*', (route) => {
+    const res = simulator.handle(route.request().url());
+    if (!res) return route.abort('internetdisconnected');
+    return route.fulfill({ status: res.status, contentType: res.contentType, body: res.body });
+  });
+}
+
+/**
+ * Serve the simulator over HTTP.  Paths are answered as if they were
+ * on www.linkedin.com, e.g. http://localhost:3100/sales/search/people.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.port=3100]
+ * @param {Object} [opts.fixture] See createSimulator()
+ * @returns {Promise<import('http').Server>}
+ */
+function startFixtureServer({ port = 3100, fixture } = {}) {
+  const simulator = createSimulator(fixture ? { fixture } : undefined);
+  const server = http.createServer((req, res) => {
+    const answer = simulator.handle(`https://www.linkedin.com${req.url}`) || notFound();
+    res.writeHead(answer.status, { 'Content-Type': answer.contentType });
+    res.end(answer.body);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(server));
+  });
+}
+
+module.exports = { createSimulator, installSimulator, startFixtureServer };
+
+if (require.main === module) {
+  const port = Number(process.env.SIMULATOR_PORT) || 3100;
+  startFixtureServer({ port })
+    .then(() => {
+      console.log(`Sales Navigator simulator on http://localhost:${port}/sales/search/people?query=(keywords:simulator)`);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
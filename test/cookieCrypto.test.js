@@ -0,0 +1,107 @@
+// test/cookieCrypto.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isEncryptionEnabled,
+  isEncryptedText,
+  encryptText,
+  decryptText,
+  serializeCookies,
+  readCookieArray,
+} = require('../utils/cookieCrypto');
+
+const HEX_KEY = '8f3a1c5e7b9d2f4a6c8e0b1d3f5a7c9e1b3d5f7a9c2e4b6d8f0a2c4e6b8d0f1a';
+const PASSPHRASE = 'correct horse battery staple';
+const COOKIES = [{ name: 'li_at', value: 'AQEDARabc==', domain: '.www.linkedin.com', path: '/' }];
+
+const savedKey = process.env.COOKIE_ENCRYPTION_KEY;
+test.afterEach(() => {
+  if (savedKey === undefined) delete process.env.COOKIE_ENCRYPTION_KEY;
+  else process.env.COOKIE_ENCRYPTION_KEY = savedKey;
+});
+
+// Decrypt an envelope with a given raw key, independently of the module
+function openEnvelope(text, key) {
+  const { iv, tag, data } = JSON.parse(text);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+test('a 64-hex-character key is used as the raw AES key', () => {
+  process.env.COOKIE_ENCRYPTION_KEY = HEX_KEY;
+  const envelope = encryptText('secret');
+  assert.ok(isEncryptedText(envelope));
+  assert.strictEqual(decryptText(envelope), 'secret');
+  assert.strictEqual(openEnvelope(envelope, Buffer.from(HEX_KEY, 'hex')), 'secret');
+
+  // Hex digits are case-insensitive
+  process.env.COOKIE_ENCRYPTION_KEY = HEX_KEY.toUpperCase();
+  assert.strictEqual(decryptText(envelope), 'secret');
+});
+
+test('any other passphrase is stretched with scrypt', () => {
+  process.env.COOKIE_ENCRYPTION_KEY = `  ${PASSPHRASE}  `;
+  const envelope = encryptText('secret');
+  assert.strictEqual(decryptText(envelope), 'secret');
+  const derived = crypto.scryptSync(PASSPHRASE, 'sales-nav-helper/cookie-encryption', 32);
+  assert.strictEqual(openEnvelope(envelope, derived), 'secret');
+
+  // 63 hex characters are a passphrase, not a raw key
+  process.env.COOKIE_ENCRYPTION_KEY = HEX_KEY.slice(1);
+  assert.strictEqual(
+    openEnvelope(encryptText('secret'), crypto.scryptSync(HEX_KEY.slice(1), 'sales-nav-helper/cookie-encryption', 32)),
+    'secret'
+  );
+});
+
+test('each encryption uses a fresh IV', () => {
+  process.env.COOKIE_ENCRYPTION_KEY = PASSPHRASE;
+  const a = JSON.parse(encryptText('secret'));
+  const b = JSON.parse(encryptText('secret'));
+  assert.notStrictEqual(a.iv, b.iv);
+  assert.notStrictEqual(a.data, b.data);
+});
+
+test('a wrong or missing key is rejected', () => {
+  process.env.COOKIE_ENCRYPTION_KEY = HEX_KEY;
+  const envelope = encryptText('secret');
+
+  for (const wrong of [PASSPHRASE, HEX_KEY.replace(/^8/, '9')]) {
+    process.env.COOKIE_ENCRYPTION_KEY = wrong;
+    assert.throws(() => decryptText(envelope), /^Error: Unable to decrypt cookie file; is COOKIE_ENCRYPTION_KEY correct\?$/);
+  }
+
+  // A tampered ciphertext fails the GCM tag check
+  process.env.COOKIE_ENCRYPTION_KEY = HEX_KEY;
+  const tampered = JSON.parse(envelope);
+  tampered.data = Buffer.from('public').toString('base64');
+  assert.throws(() => decryptText(JSON.stringify(tampered)), /Unable to decrypt cookie file/);
+
+  delete process.env.COOKIE_ENCRYPTION_KEY;
+  assert.strictEqual(isEncryptionEnabled(), false);
+  assert.throws(() => decryptText(envelope), /^Error: Cookie file is encrypted but COOKIE_ENCRYPTION_KEY is not set$/);
+  assert.throws(() => encryptText('secret'), /^Error: COOKIE_ENCRYPTION_KEY is not set$/);
+});
+
+test('cookie files round-trip encrypted and in plain JSON', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cookie-crypto-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'cookies.json');
+
+  delete process.env.COOKIE_ENCRYPTION_KEY;
+  fs.writeFileSync(file, serializeCookies(COOKIES));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), COOKIES);
+  assert.deepStrictEqual(readCookieArray(file), COOKIES);
+
+  process.env.COOKIE_ENCRYPTION_KEY = PASSPHRASE;
+  fs.writeFileSync(file, serializeCookies(COOKIES));
+  assert.ok(isEncryptedText(fs.readFileSync(file, 'utf8')));
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('AQEDARabc'));
+  assert.deepStrictEqual(readCookieArray(file), COOKIES);
+});
@@ -0,0 +1,52 @@
+// test/cookieFormats.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCookieInput } = require('../utils/cookieFormats');
+
+const TOKEN = 'AQEDARCl2xwBq7YfAAABjv3k9dUAAAGPIfF51U4AsZ1bN2tQ';
+
+const summary = ({ format, cookies, matching }) => ({
+  format,
+  cookies: cookies.map((c) => [c.name, c.value, c.domain]),
+  matching,
+});
+
+test('a bare li_at token is stored as the li_at cookie', () => {
+  for (const pasted of [TOKEN, `"${TOKEN}"`]) {
+    assert.deepStrictEqual(summary(parseCookieInput(pasted)), {
+      format: 'li_at',
+      cookies: [['li_at', TOKEN, '.www.linkedin.com']],
+      matching: 1,
+    });
+  }
+});
+
+test('a bare li_at token with base64 padding is not read as a header', () => {
+  for (const padded of [`${TOKEN}=`, `${TOKEN}==`]) {
+    assert.deepStrictEqual(summary(parseCookieInput(padded)), {
+      format: 'li_at',
+      cookies: [['li_at', padded, '.www.linkedin.com']],
+      matching: 1,
+    });
+  }
+});
+
+test('name=value pairs are read as a Cookie header', () => {
+  assert.deepStrictEqual(summary(parseCookieInput(`li_at=${TOKEN}==`)), {
+    format: 'header',
+    cookies: [['li_at', `${TOKEN}==`, '.linkedin.com']],
+    matching: 1,
+  });
+  assert.deepStrictEqual(
+    summary(parseCookieInput('Cookie: li_at=abc; JSESSIONID="ajax:123"')).cookies.map(([name]) => name),
+    ['li_at', 'JSESSIONID']
+  );
+});
+
+test('a bare token is only accepted for LinkedIn', () => {
+  assert.throws(
+    () => parseCookieInput(`${TOKEN}==`, { domain: 'signalhire.com' }),
+    /^Error: Invalid cookie data: a bare token is only accepted as a LinkedIn li_at cookie$/
+  );
+});
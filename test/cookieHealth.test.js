@@ -0,0 +1,112 @@
+// test/cookieHealth.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox } = require('./helpers/sandbox');
+
+const DAY = 24 * 60 * 60;
+const HOUR = 60 * 60;
+
+// Login checks are stored beside the sources, so the module runs from a copy
+const sandbox = createSandbox();
+const { describeLinkedInCookies } = sandbox.require('utils/cookieHealth');
+const { recordLoginCheck } = sandbox.require('utils/loginChecks');
+const cookieFile = path.join(sandbox.dir, 'cookies', 'linkedin_cookies.json');
+
+const savedWarnDays = process.env.COOKIE_EXPIRY_WARN_DAYS;
+test.after(() => sandbox.cleanup());
+test.afterEach(() => {
+  if (savedWarnDays === undefined) delete process.env.COOKIE_EXPIRY_WARN_DAYS;
+  else process.env.COOKIE_EXPIRY_WARN_DAYS = savedWarnDays;
+});
+
+// Save li_at, JSESSIONID and li_a; `expiresIn` maps a name to seconds
+// from now (null for a session cookie)
+function saveCookies(expiresIn = {}) {
+  const now = Date.now() / 1000;
+  const cookies = ['li_at', 'JSESSIONID', 'li_a'].map((name) => {
+    const secs = name in expiresIn ? expiresIn[name] : 300 * DAY;
+    return secs === null
+      ? { name, value: 'x', domain: '.www.linkedin.com', session: true }
+      : { name, value: 'x', domain: '.www.linkedin.com', expirationDate: now + secs, session: false };
+  });
+  fs.mkdirSync(path.dirname(cookieFile), { recursive: true });
+  fs.writeFileSync(cookieFile, JSON.stringify(cookies));
+}
+
+const messages = (report) => report.warnings.map((w) => `${w.level}: ${w.message}`);
+
+test('cookies outside the warning window are ok', () => {
+  saveCookies({ li_at: 8 * DAY + HOUR, JSESSIONID: null });
+  const report = describeLinkedInCookies(cookieFile);
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(report.warnDays, 7);
+  assert.deepStrictEqual(report.warnings, []);
+  assert.strictEqual(report.daysUntilExpiry, 8);
+  assert.strictEqual(report.cookies.li_at.daysLeft, 8);
+  assert.deepStrictEqual(report.cookies.JSESSIONID, {
+    present: true,
+    session: true,
+    expiresAt: null,
+    daysLeft: null,
+    expired: false,
+  });
+});
+
+test('a cookie expiring within warnDays days raises a warning', () => {
+  saveCookies({ li_at: 7 * DAY + HOUR });
+  const report = describeLinkedInCookies(cookieFile);
+  assert.strictEqual(report.status, 'warning');
+  assert.strictEqual(report.daysUntilExpiry, 7);
+  assert.deepStrictEqual(messages(report), [`warning: li_at expires in 7 day(s) (${report.cookies.li_at.expiresAt.slice(0, 10)}).`]);
+
+  saveCookies({ li_a: HOUR });
+  assert.deepStrictEqual(messages(describeLinkedInCookies(cookieFile)).map((m) => m.split(' (')[0]), [
+    'warning: li_a expires in 0 day(s)',
+  ]);
+});
+
+test('an expired cookie is an error', () => {
+  saveCookies({ li_at: -60, JSESSIONID: 3 * DAY + HOUR });
+  const report = describeLinkedInCookies(cookieFile);
+  assert.strictEqual(report.status, 'error');
+  assert.strictEqual(report.cookies.li_at.expired, true);
+  assert.strictEqual(report.daysUntilExpiry, -1);
+  assert.deepStrictEqual(
+    messages(report).map((m) => m.split(' (')[0].replace(/ on \d{4}-\d\d-\d\d\.$/, '')),
+    ['error: li_at expired', 'warning: JSESSIONID expires in 3 day(s)']
+  );
+});
+
+test('COOKIE_EXPIRY_WARN_DAYS moves the boundary', () => {
+  process.env.COOKIE_EXPIRY_WARN_DAYS = '2';
+  saveCookies({ li_at: 2 * DAY + HOUR });
+  assert.strictEqual(describeLinkedInCookies(cookieFile).status, 'warning');
+  saveCookies({ li_at: 3 * DAY + HOUR });
+  const report = describeLinkedInCookies(cookieFile);
+  assert.strictEqual(report.warnDays, 2);
+  assert.strictEqual(report.status, 'ok');
+
+  // Invalid values fall back to 7 days
+  process.env.COOKIE_EXPIRY_WARN_DAYS = '-1';
+  assert.strictEqual(describeLinkedInCookies(cookieFile).status, 'warning');
+});
+
+test('missing cookies and failed login checks are reported', () => {
+  assert.deepStrictEqual(messages(describeLinkedInCookies(null)), ['error: No LinkedIn cookie saved.']);
+
+  fs.writeFileSync(cookieFile, JSON.stringify([{ name: 'li_at', value: 'x', domain: '.www.linkedin.com', session: true }]));
+  assert.deepStrictEqual(messages(describeLinkedInCookies(cookieFile)), [
+    'warning: JSESSIONID is missing; LinkedIn may reject requests.',
+    'warning: li_a is missing; this account may not have a Sales Navigator session.',
+  ]);
+
+  saveCookies();
+  recordLoginCheck(cookieFile, false);
+  const report = describeLinkedInCookies(cookieFile);
+  assert.strictEqual(report.status, 'error');
+  assert.strictEqual(report.lastLoginCheck.loggedIn, false);
+  assert.match(messages(report)[0], /^error: Last LinkedIn login check failed \(/);
+});
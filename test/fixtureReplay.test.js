@@ -0,0 +1,48 @@
+// test/fixtureReplay.test.js
+//
+// Replays the committed snapshots in test/fixtures/replay (captured
+// from the simulator with CAPTURE_FIXTURES=true, already sanitised), so
+// a selector change that breaks the SignalHire or ContactOut extractors
+// fails the test run.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSandbox, browserMissing } = require('./helpers/sandbox');
+
+const dir = path.join(__dirname, 'fixtures', 'replay');
+const skip = browserMissing();
+
+test('the extractors read every committed snapshot', { skip, timeout: 120000 }, async (t) => {
+  // The copy has the default selectors only, not a local override
+  const sandbox = createSandbox();
+  t.after(() => sandbox.cleanup());
+  const { replayFixtures } = sandbox.require('utils/fixtureReplay');
+  const report = await replayFixtures({ dir });
+  const results = report.pages.flatMap((p) => p.results);
+  assert.deepStrictEqual(
+    results.map((r) => r.name).sort(),
+    ['contactout', 'signalhire'],
+    'one SignalHire and one ContactOut snapshot'
+  );
+  for (const r of results) {
+    assert.strictEqual(r.status, 'ok', `${r.name}: ${r.error}`);
+    assert.strictEqual(r.rows, r.expected, r.name);
+  }
+  assert.strictEqual(report.failures, 0);
+});
+
+test('a broken selector fails the replay', { skip, timeout: 120000 }, async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.cleanup());
+  fs.writeFileSync(
+    process.env.SELECTORS_OVERRIDE_FILE,
+    JSON.stringify({ selectors: { 'signalhire.card.name': ['h4.renamed-by-signalhire'] } })
+  );
+  const { replayFixtures } = sandbox.require('utils/fixtureReplay');
+  const report = await replayFixtures({ dir });
+  const failed = report.pages.flatMap((p) => p.results).filter((r) => r.status !== 'ok');
+  assert.deepStrictEqual(failed.map((r) => r.name), ['signalhire']);
+  assert.strictEqual(report.failures, 1);
+});
@@ -0,0 +1,61 @@
+// test/fuzzyNameMatcher.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { nameConfidence, parseName, DEFAULT_MIN_CONFIDENCE } = require('../utils/fuzzyNameMatcher');
+
+test('the same person written differently clears the default threshold', () => {
+  const pairs = [
+    ['Robert Jones', 'Bob Jones'],
+    ['Katherine Wu', 'Kate Wu'],
+    ['María García-López', 'Maria Garcia Lopez'],
+    ['Ana García-López', 'Ana Garcialopez'],
+    ['Иван Петров', 'Ivan Petrov'],
+    ['Дмитрий Иванов', 'Dmitry Ivanov'],
+    ['Mohammed Al-Sayed', 'Muhammad Al-Sayed'],
+    ['Sara Lee', 'Sarah Lee'],
+    ['Wang Xiaoming', 'Xiaoming Wang'],
+    ['J. Smith', 'John Smith'],
+    ['John Smith', 'John Smyth'],
+    ['Dr. Jane Doe, PhD', 'Jane Doe'],
+  ];
+  for (const [a, b] of pairs) {
+    const confidence = nameConfidence(a, b);
+    assert.ok(confidence >= DEFAULT_MIN_CONFIDENCE, `${a} / ${b}: ${confidence}`);
+  }
+});
+
+test('names equal after normalisation score exactly 1', () => {
+  assert.strictEqual(nameConfidence('José Álvarez', 'jose alvarez'), 1);
+  assert.strictEqual(nameConfidence('Иван Петров', 'Ivan Petrov'), 1);
+});
+
+test('different first names with the same surname stay below the default threshold', () => {
+  const pairs = [
+    ['Mark Smith', 'Mary Smith'],
+    ['Eric Chen', 'Erin Chen'],
+    ['Dan Brown', 'Dana Brown'],
+    ['Anna Kim', 'Anne Kim'],
+    ['Daniel Brown', 'Daniela Brown'],
+    ['Jon Smith', 'Jan Smith'],
+  ];
+  for (const [a, b] of pairs) {
+    const confidence = nameConfidence(a, b);
+    assert.ok(confidence < DEFAULT_MIN_CONFIDENCE, `${a} / ${b}: ${confidence}`);
+  }
+});
+
+test('unrelated names and lone names do not match', () => {
+  assert.ok(nameConfidence('John Smith', 'Jane Doe') < 0.5);
+  assert.strictEqual(nameConfidence('Madonna', 'Madonna Ciccone'), 0);
+  assert.strictEqual(nameConfidence('', 'John Smith'), 0);
+  assert.ok(nameConfidence('Anna Smith', 'Anna Smithson') < DEFAULT_MIN_CONFIDENCE);
+});
+
+test('parseName() drops titles, credentials and middle names', () => {
+  assert.deepStrictEqual(parseName('Dr. Mary Ann García-López, MBA'), {
+    first: 'mary',
+    last: ['garcia', 'lopez'],
+    full: 'mary garcialopez',
+  });
+});
@@ -0,0 +1,55 @@
+// test/helpers/sandbox.js
+//
+// Copy of the application in a temporary directory.  Jobs, cookies,
+// CSVs and caches are written beside the sources (all_jobs/, cookies/,
+// data/, …), so tests that run the scrape pipeline load the modules
+// from a copy instead of touching the checkout's own state.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..', '..');
+const SOURCE_DIRS = ['config', 'contactOut', 'routes', 'signalHire', 'simulator', 'utils'];
+// Local state that is not part of the sources
+const SKIP = new Set([path.join(rootDir, 'config', 'selectors.override.json')]);
+
+/**
+ * Create a sandbox.  Call cleanup() when done.
+ *
+ * @returns {{dir: string, require: (rel: string) => any, cleanup: () => void}}
+ */
+function createSandbox() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salesnav-test-'));
+  for (const name of SOURCE_DIRS) {
+    fs.cpSync(path.join(rootDir, name), path.join(dir, name), {
+      recursive: true,
+      filter: (src) => !SKIP.has(src),
+    });
+  }
+  fs.copyFileSync(path.join(rootDir, 'package.json'), path.join(dir, 'package.json'));
+  fs.symlinkSync(path.join(rootDir, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  // Selector edits made by a test stay in the copy too
+  process.env.SELECTORS_OVERRIDE_FILE = path.join(dir, 'config', 'selectors.override.json');
+  return {
+    dir,
+    require: (rel) => require(path.join(dir, rel)),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Skip reason for tests that need Playwright's Chromium, or false when
+ * it is installed (`npx playwright install chromium`).
+ *
+ * @returns {string|false}
+ */
+function browserMissing() {
+  try {
+    const executable = require('playwright').chromium.executablePath();
+    if (fs.existsSync(executable)) return false;
+  } catch { }
+  return 'Playwright Chromium is not installed (npx playwright install chromium)';
+}
+
+module.exports = { createSandbox, browserMissing };
@@ -0,0 +1,118 @@
+// test/mergeContactDomains.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const { mergeContactDomainsByNamePriority } = require('../utils/mergeContactDomains');
+
+const HEADERS = ['Full Name', 'First Name', 'Last Name', 'Person Location', 'LinkedIn URL', 'Website', 'Sales Nav Lead URL'];
+
+function lead(name, slug, website = '') {
+  const [first, last] = name.split(' ');
+  return {
+    'Full Name': name,
+    'First Name': first,
+    'Last Name': last,
+    'Person Location': 'Austin, Texas, United States',
+    'LinkedIn URL': `https://www.linkedin.com/in/${slug}/`,
+    Website: website,
+    'Sales Nav Lead URL': '',
+  };
+}
+
+function card(name, domain, slug) {
+  const [firstName, lastName] = name.split(' ');
+  return {
+    fullName: name,
+    firstName,
+    lastName,
+    domains: [domain],
+    linkedinUrl: slug ? `https://www.linkedin.com/in/${slug}/` : undefined,
+  };
+}
+
+async function merge(t, rows, profiles, opts = {}, headers = HEADERS) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const baseCsvPath = path.join(dir, 'leads.csv');
+  fs.writeFileSync(baseCsvPath, stringify(rows, { header: true, columns: headers, bom: true }));
+  const result = await mergeContactDomainsByNamePriority({ baseCsvPath, contactProfiles: profiles, ...opts });
+  const merged = parse(fs.readFileSync(baseCsvPath), { bom: true, columns: true, trim: true });
+  return { result, byName: new Map(merged.map((r) => [r['Full Name'], r])) };
+}
+
+test('rows are matched by LinkedIn profile first, then by name', async (t) => {
+  const { result, byName } = await merge(
+    t,
+    [lead('Ann Lee', 'ann-lee-1'), lead('Robert Jones', 'robert-jones-9')],
+    [card('A. Lee', 'acme.com', 'ann-lee-1'), card('Bob Jones', 'globex.com')]
+  );
+  assert.strictEqual(result.updated, 2);
+  assert.strictEqual(byName.get('Ann Lee').Website, 'acme.com');
+  assert.strictEqual(byName.get('Ann Lee')['Website Match'], 'linkedin_url');
+  assert.strictEqual(byName.get('Robert Jones').Website, 'globex.com');
+  assert.strictEqual(byName.get('Robert Jones')['Website Match'], 'fuzzy_name');
+});
+
+test('similar first names are not matched', async (t) => {
+  const { result, byName } = await merge(t, [lead('Mary Smith', 'mary-smith-2')], [card('Mark Smith', 'initech.com')]);
+  assert.strictEqual(result.updated, 0);
+  assert.strictEqual(byName.get('Mary Smith').Website, '');
+});
+
+test('with rowUrls only the current page rows are matched', async (t) => {
+  // Jane Doe was saved for an earlier page and ContactOut had no domain
+  // for her then; the card on this page belongs to another Jane Doe
+  const rows = [lead('Jane Doe', 'jane-doe-old'), lead('Tom Hardy', 'tom-hardy-3')];
+  const profiles = [card('Jane Doe', 'wrong.com'), card('Tom Hardy', 'right.com')];
+
+  const everyRow = await merge(t, rows, profiles);
+  assert.strictEqual(everyRow.byName.get('Jane Doe').Website, 'wrong.com');
+
+  const pageOnly = await merge(t, rows, profiles, { rowUrls: ['https://www.linkedin.com/in/tom-hardy-3'] });
+  assert.strictEqual(pageOnly.result.updated, 1);
+  assert.strictEqual(pageOnly.byName.get('Jane Doe').Website, '');
+  assert.strictEqual(pageOnly.byName.get('Tom Hardy').Website, 'right.com');
+});
+
+test('a name shared by two rows of the page is left unmatched', async (t) => {
+  const { result } = await merge(
+    t,
+    [lead('John Smith', 'john-smith-1'), lead('John Smith', 'john-smith-2')],
+    [card('John Smith', 'acme.com')]
+  );
+  assert.strictEqual(result.updated, 0);
+});
+
+test('a card with only phones fills the empty Phone columns', async (t) => {
+  const phoneHeaders = [...HEADERS, 'Phone 1', 'Phone 1 Type', 'Phone 2', 'Phone 2 Type'];
+  const blank = { 'Phone 1': '', 'Phone 1 Type': '', 'Phone 2': '', 'Phone 2 Type': '' };
+  const rows = [
+    { ...lead('Ann Lee', 'ann-lee-1'), ...blank },
+    // Website already filled: only the phone is missing
+    { ...lead('Tom Hardy', 'tom-hardy-3', 'hardy.io'), ...blank },
+  ];
+  const phoneOnly = (name, slug, number) => ({
+    ...card(name, undefined, slug),
+    domains: [],
+    emails: { work: [], personal: [`${slug}@gmail.com`] },
+    phones: [{ raw: number, type: 'mobile' }],
+  });
+  const { result, byName } = await merge(
+    t,
+    rows,
+    [phoneOnly('Ann Lee', 'ann-lee-1', '(512) 555-0101'), phoneOnly('Tom Hardy', 'tom-hardy-3', '512 555 0102')],
+    {},
+    phoneHeaders
+  );
+  assert.strictEqual(result.updated, 2);
+  assert.strictEqual(byName.get('Ann Lee')['Phone 1'], '+15125550101');
+  assert.strictEqual(byName.get('Ann Lee')['Phone 1 Type'], 'mobile');
+  assert.strictEqual(byName.get('Ann Lee').Website, '');
+  assert.strictEqual(byName.get('Tom Hardy')['Phone 1'], '+15125550102');
+  assert.strictEqual(byName.get('Tom Hardy').Website, 'hardy.io');
+});
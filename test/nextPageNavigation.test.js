@@ -0,0 +1,36 @@
+// test/nextPageNavigation.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildPageUrl } = require('../utils/nextPageNavigation');
+
+const SEARCH =
+  'https://www.linkedin.com/sales/search/people?query=(recentSearchParam%3A(id%3A3822154402%2CdoLogHistory%3Atrue)%2Cfilters%3AList((type%3AREGION%2Cvalues%3AList((id%3A102221843%2Ctext%3ANorth%2520America%2CselectionType%3AINCLUDED)))))&sessionId=VxtqB7n%2FQ9m1nJ0kzD%2B0Qw%3D%3D';
+
+test('page 1 and below leave the URL untouched', () => {
+  assert.strictEqual(buildPageUrl(SEARCH, 1), SEARCH);
+  assert.strictEqual(buildPageUrl(SEARCH, 0), SEARCH);
+  assert.strictEqual(buildPageUrl(`${SEARCH}&page=4`, 1), `${SEARCH}&page=4`);
+});
+
+test('the page parameter is appended without re-encoding the query', () => {
+  assert.strictEqual(buildPageUrl(SEARCH, 3), `${SEARCH}&page=3`);
+  const raw = 'https://www.linkedin.com/sales/search/people?query=(keywords:cto,filters:List((type:REGION,values:List((id:103644278)))))';
+  assert.strictEqual(buildPageUrl(raw, 2), `${raw}&page=2`);
+  assert.strictEqual(
+    buildPageUrl('https://www.linkedin.com/sales/lists/people/7012?sortCriteria=CREATED_TIME', 5),
+    'https://www.linkedin.com/sales/lists/people/7012?sortCriteria=CREATED_TIME&page=5'
+  );
+  assert.strictEqual(buildPageUrl('https://www.linkedin.com/sales/search/people', 2), 'https://www.linkedin.com/sales/search/people?page=2');
+});
+
+test('an existing page parameter is replaced in place', () => {
+  const url = 'https://www.linkedin.com/sales/search/people?page=2&query=(keywords:a%2520b)&viewAllFilters=true';
+  assert.strictEqual(
+    buildPageUrl(url, 7),
+    'https://www.linkedin.com/sales/search/people?page=7&query=(keywords:a%2520b)&viewAllFilters=true'
+  );
+  assert.strictEqual(buildPageUrl(`${SEARCH}&page=2#results`, 9), `${SEARCH}&page=9#results`);
+  // startPage= is not page=
+  assert.strictEqual(buildPageUrl(`${SEARCH}&startPage=2`, 3), `${SEARCH}&startPage=2&page=3`);
+});
@@ -0,0 +1,74 @@
+// test/phoneNormalizer.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toE164, countryFromLocation, normalisePhones, phoneFields } = require('../utils/phoneNormalizer');
+
+test('international numbers are converted as they are', () => {
+  assert.strictEqual(toE164('+1 (415) 555-0100'), '+14155550100');
+  assert.strictEqual(toE164('0033 1 23 45 67 89'), '+33123456789');
+  assert.strictEqual(toE164('tel:+31201234567'), '+31201234567');
+  assert.strictEqual(toE164('+1 415 555 0100 ext. 12'), '+14155550100');
+});
+
+test('the "(0)" trunk prefix after a country code is dropped', () => {
+  assert.strictEqual(toE164('+44 (0) 20 7946 0958'), '+442079460958');
+  assert.strictEqual(toE164('+44 (0)20 7946 0958'), '+442079460958');
+  assert.strictEqual(toE164('0049 (0) 30 1234567'), '+49301234567');
+});
+
+test('national numbers use the country of the location', () => {
+  assert.strictEqual(toE164('06 12 34 56 78', 'Amsterdam, North Holland, Netherlands'), '+31612345678');
+  assert.strictEqual(toE164('(415) 555-0100', 'Austin, Texas, United States'), '+14155550100');
+  assert.strictEqual(toE164('020 7946 0958', 'London, England, United Kingdom'), '+442079460958');
+  assert.strictEqual(toE164('(415) 555-0100', ''), '');
+  assert.strictEqual(toE164('555-0100', 'Austin, Texas, United States'), '');
+});
+
+test('metro areas and US locations without a country are recognised', () => {
+  const iso = (location) => (countryFromLocation(location) || {}).iso;
+  assert.strictEqual(iso('Greater Seattle Area'), 'US');
+  assert.strictEqual(iso('San Francisco Bay Area'), 'US');
+  assert.strictEqual(iso('New York City Metropolitan Area'), 'US');
+  assert.strictEqual(iso('Dallas-Fort Worth Metroplex'), 'US');
+  assert.strictEqual(iso('Greater Minneapolis-St. Paul Area'), 'US');
+  assert.strictEqual(iso('Austin, Texas'), 'US');
+  assert.strictEqual(iso('Seattle, WA'), 'US');
+  assert.strictEqual(iso('Greater London'), 'GB');
+  assert.strictEqual(iso('Greater Toronto Area'), 'CA');
+  assert.strictEqual(iso('London, Ontario, Canada'), 'CA');
+  assert.strictEqual(iso('Remote'), undefined);
+  assert.strictEqual(toE164('(206) 555-0100', 'Greater Seattle Area'), '+12065550100');
+  assert.strictEqual(toE164('415.555.0100', 'San Francisco Bay Area'), '+14155550100');
+});
+
+test('PHONE_DEFAULT_COUNTRY is used for unknown locations', (t) => {
+  const before = process.env.PHONE_DEFAULT_COUNTRY;
+  t.after(() => {
+    if (before === undefined) delete process.env.PHONE_DEFAULT_COUNTRY;
+    else process.env.PHONE_DEFAULT_COUNTRY = before;
+  });
+  process.env.PHONE_DEFAULT_COUNTRY = 'us';
+  assert.strictEqual(countryFromLocation('Remote').iso, 'US');
+  assert.strictEqual(toE164('(415) 555-0100', 'Remote'), '+14155550100');
+  // A known country still wins
+  assert.strictEqual(toE164('06 12 34 56 78', 'Utrecht, Netherlands'), '+31612345678');
+});
+
+test('phones are deduplicated, typed and limited to two columns', () => {
+  const phones = normalisePhones(
+    [
+      { raw: '+1 415 555 0100', label: 'Mobile' },
+      { raw: '(415) 555-0100', label: 'Work' },
+      { raw: '(415) 555-0199', label: 'Office' },
+      { raw: '(415) 555-0142' },
+    ],
+    'Greater Seattle Area'
+  );
+  assert.deepStrictEqual(phoneFields(phones), {
+    phone_1: '+14155550100',
+    phone_1_type: 'mobile',
+    phone_2: '+14155550199',
+    phone_2_type: 'work',
+  });
+});
@@ -0,0 +1,124 @@
+// test/restli.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { encodeRestli, decodeRestli } = require('../utils/restli');
+const { parseSalesNavUrl, buildSalesNavUrl, describeSalesNavUrl } = require('../utils/salesNavQuery');
+
+// The search URLs of the jobs stored in all_jobs/
+const JOBS_DIR = path.join(__dirname, '..', 'all_jobs');
+const JOB_URLS = fs
+  .readdirSync(JOBS_DIR)
+  .filter((f) => f.endsWith('.json'))
+  .map((f) => [f, JSON.parse(fs.readFileSync(path.join(JOBS_DIR, f), 'utf8')).url]);
+
+// Edge cases not covered by the stored jobs, as Sales Navigator writes
+// them (ids and session tokens changed)
+const SAVED_SEARCHES = {
+  // Double-encoded keywords ("head of sales" → head%2520of%2520sales)
+  keywords:
+    'https://www.linkedin.com/sales/search/people?query=(recentSearchParam%3A(id%3A3822154402%2CdoLogHistory%3Atrue)%2Ckeywords%3Ahead%2520of%2520sales%2CspellCorrectionEnabled%3Atrue)&sessionId=VxtqB7n%2FQ9m1nJ0kzD%2B0Qw%3D%3D',
+  // Several filters with nested value lists, included and excluded
+  filters:
+    'https://www.linkedin.com/sales/search/people?query=(recentSearchParam%3A(id%3A3822154402%2CdoLogHistory%3Atrue)%2Cfilters%3AList((type%3AREGION%2Cvalues%3AList((id%3A102221843%2Ctext%3ANorth%2520America%2CselectionType%3AINCLUDED)%2C(id%3A101165590%2Ctext%3AUnited%2520Kingdom%2CselectionType%3AEXCLUDED)))%2C(type%3ACOMPANY_HEADCOUNT%2Cvalues%3AList((id%3AD%2Ctext%3A51-200%2CselectionType%3AINCLUDED)%2C(id%3AE%2Ctext%3A201-500%2CselectionType%3AINCLUDED)))%2C(type%3ACURRENT_TITLE%2Cvalues%3AList((id%3A8%2Ctext%3AChief%2520Technology%2520Officer%2CselectionType%3AINCLUDED)))))&sessionId=x8Jp0q1XRnS9aV0nOqk2ZA%3D%3D&viewAllFilters=true',
+  // Keywords with Rest.li reserved characters and a sub-filter
+  reserved:
+    'https://www.linkedin.com/sales/search/people?query=(spellCorrectionEnabled%3Atrue%2Ckeywords%3A%2528cto%2520OR%2520cfo%2529%2520%253A%2520saas%252C%2520fintech%2Cfilters%3AList((type%3AINDUSTRY%2Cvalues%3AList((id%3A4%2Ctext%3ASoftware%2520Development%2CselectionType%3AINCLUDED))%2CselectedSubFilter%3A4)))',
+  // Account search with a range filter (no values)
+  company:
+    'https://www.linkedin.com/sales/search/company?query=(filters%3AList((type%3AANNUAL_REVENUE%2CrangeValue%3A(min%3A1%2Cmax%3A10)%2CselectedSubFilter%3AUSD)))&sessionId=3bE0oLhKQyO1X4w5b%2Fz6Rw%3D%3D',
+};
+
+test('the URLs of the stored jobs survive a parse and build unchanged', () => {
+  assert.ok(JOB_URLS.length, 'all_jobs/ holds at least one job');
+  for (const [file, url] of JOB_URLS) {
+    assert.strictEqual(buildSalesNavUrl(parseSalesNavUrl(url)), url, file);
+  }
+});
+
+test('edge-case search URLs survive a parse and build unchanged', () => {
+  for (const [name, url] of Object.entries(SAVED_SEARCHES)) {
+    assert.strictEqual(buildSalesNavUrl(parseSalesNavUrl(url)), url, name);
+  }
+});
+
+test('double-encoded keywords are decoded once per layer', () => {
+  const search = parseSalesNavUrl(SAVED_SEARCHES.keywords);
+  assert.strictEqual(search.keywords, 'head of sales');
+  assert.deepStrictEqual(search.query.recentSearchParam, { id: '3822154402', doLogHistory: 'true' });
+
+  const reserved = parseSalesNavUrl(SAVED_SEARCHES.reserved);
+  assert.strictEqual(reserved.keywords, '(cto OR cfo) : saas, fintech');
+
+  search.keywords = 'vp (sales), emea';
+  const rebuilt = buildSalesNavUrl(search);
+  assert.match(rebuilt, /keywords%3Avp%2520%2528sales%2529%252C%2520emea/);
+  assert.strictEqual(parseSalesNavUrl(rebuilt).keywords, 'vp (sales), emea');
+});
+
+test('filters:List(...) decodes into filters with nested value lists', () => {
+  const search = parseSalesNavUrl(SAVED_SEARCHES.filters);
+  assert.deepStrictEqual(
+    search.filters.map((f) => [f.type, f.values.map((v) => `${v.text}:${v.selectionType}`)]),
+    [
+      ['REGION', ['North America:INCLUDED', 'United Kingdom:EXCLUDED']],
+      ['COMPANY_HEADCOUNT', ['51-200:INCLUDED', '201-500:INCLUDED']],
+      ['CURRENT_TITLE', ['Chief Technology Officer:INCLUDED']],
+    ]
+  );
+  assert.deepStrictEqual(describeSalesNavUrl(SAVED_SEARCHES.filters).filters[0], {
+    type: 'REGION',
+    label: 'Geography',
+    included: ['North America'],
+    excluded: ['United Kingdom'],
+  });
+
+  const reserved = parseSalesNavUrl(SAVED_SEARCHES.reserved);
+  assert.strictEqual(reserved.filters[0].selectedSubFilter, '4');
+  const revenue = parseSalesNavUrl(SAVED_SEARCHES.company).filters[0];
+  assert.deepStrictEqual(revenue.rangeValue, { min: '1', max: '10' });
+  assert.deepStrictEqual(revenue.values, []);
+
+  // A filter added to a parsed search is written after LinkedIn's own
+  search.filters.push({ type: 'SENIORITY_LEVEL', values: [{ id: '310', text: 'CXO', selectionType: 'INCLUDED' }] });
+  const rebuilt = parseSalesNavUrl(buildSalesNavUrl(search));
+  assert.deepStrictEqual(rebuilt.filters.map((f) => f.type), ['REGION', 'COMPANY_HEADCOUNT', 'CURRENT_TITLE', 'SENIORITY_LEVEL']);
+  assert.deepStrictEqual(rebuilt.params.map((p) => p.key), ['query', 'sessionId', 'viewAllFilters']);
+});
+
+test('encodeRestli() and decodeRestli() round-trip nested values', () => {
+  const value = {
+    keywords: 'a:b, (c) it\'s 100%!',
+    filters: [
+      { type: 'REGION', values: [{ id: '1', text: 'São Paulo', selectionType: 'INCLUDED' }] },
+      { type: 'EMPTY', values: [] },
+    ],
+    nested: { list: [['x', 'y'], [], [{}]] },
+  };
+  const encoded = encodeRestli(value);
+  assert.strictEqual(
+    encoded,
+    '(keywords:a%3Ab%2C%20%28c%29%20it%27s%20100%25%21,filters:List((type:REGION,values:List((id:1,text:S%C3%A3o%20Paulo,selectionType:INCLUDED))),(type:EMPTY,values:List())),nested:(list:List(List(x,y),List(),List(()))))'
+  );
+  assert.deepStrictEqual(decodeRestli(encoded), value);
+});
+
+test('malformed Rest.li is rejected with "Invalid Rest.li value"', () => {
+  const bad = [
+    '(keywords:cto',
+    '(keywords:cto))',
+    'List(a,b',
+    '(:cto)',
+    '(keywords)',
+    '(filters:List((type:REGION)x))',
+  ];
+  for (const text of bad) {
+    assert.throws(() => decodeRestli(text), /^Error: Invalid Rest\.li value: /, text);
+  }
+  assert.throws(
+    () => parseSalesNavUrl('https://www.linkedin.com/sales/search/people?query=(keywords%3Acto%2Cfilters%3AList((type%3AREGION)'),
+    /^Error: Invalid search query: Invalid Rest\.li value: /
+  );
+});
@@ -0,0 +1,99 @@
+// test/searchSplitter.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DIMENSION_VALUES, planSplit, buildSubSearchUrl, parseSplitRegions } = require('../utils/searchSplitter');
+const { parseSalesNavUrl } = require('../utils/salesNavQuery');
+
+const PEOPLE = 'https://www.linkedin.com/sales/search/people';
+
+// A saved search (recentSearchParam id) opened on page 3, with the
+// given Rest.li filters
+function searchUrl(filters) {
+  const query = `(recentSearchParam:(id:3822154402,doLogHistory:true),filters:List(${filters}))`;
+  return `${PEOPLE}?query=${encodeURIComponent(query)}&sessionId=VxtqB7n%2FQ9m1nJ0kzD%2B0Qw%3D%3D&page=3&viewAllFilters=true`;
+}
+
+const filter = (type, ...values) =>
+  `(type:${type},values:List(${values.map(([id, text, sel = 'INCLUDED']) => `(id:${id},text:${encodeURIComponent(text)},selectionType:${sel})`).join(',')}))`;
+
+const ids = (plan) => plan && plan.values.map((v) => v.id);
+
+test('an unfiltered search is split by every headcount bucket', () => {
+  const plan = planSplit(searchUrl(filter('CURRENT_TITLE', ['8', 'Chief Technology Officer'])));
+  assert.strictEqual(plan.type, 'COMPANY_HEADCOUNT');
+  assert.strictEqual(plan.label, 'company headcount');
+  assert.deepStrictEqual(ids(plan), DIMENSION_VALUES.COMPANY_HEADCOUNT.map((v) => v.id));
+});
+
+test('excluded headcount buckets are left out of the plan', () => {
+  const plan = planSplit(searchUrl(filter('COMPANY_HEADCOUNT', ['A', 'Self-employed', 'EXCLUDED'], ['I', '10,001+', 'EXCLUDED'])));
+  assert.deepStrictEqual(ids(plan), ['B', 'C', 'D', 'E', 'F', 'G', 'H']);
+});
+
+test('several included values are split into exactly those values', () => {
+  const plan = planSplit(searchUrl(filter('COMPANY_HEADCOUNT', ['D', '51-200'], ['E', '201-500'])));
+  assert.deepStrictEqual(plan.values, [
+    { id: 'D', text: '51-200' },
+    { id: 'E', text: '201-500' },
+  ]);
+});
+
+test('a dimension narrowed to one value moves on to seniority, then regions', () => {
+  const oneHeadcount = filter('COMPANY_HEADCOUNT', ['D', '51-200']);
+  const seniority = planSplit(searchUrl(oneHeadcount));
+  assert.strictEqual(seniority.type, 'SENIORITY_LEVEL');
+  assert.deepStrictEqual(ids(seniority), DIMENSION_VALUES.SENIORITY_LEVEL.map((v) => v.id));
+
+  const narrowed = searchUrl(`${oneHeadcount},${filter('SENIORITY_LEVEL', ['220', 'Director'])}`);
+  // Without regions to split by there is nothing left
+  assert.strictEqual(planSplit(narrowed), null);
+  const regions = [
+    { id: '103644278', text: 'United States' },
+    { id: '101174742', text: 'Canada' },
+  ];
+  const region = planSplit(narrowed, { regions });
+  assert.strictEqual(region.type, 'REGION');
+  assert.strictEqual(region.label, 'geography');
+  assert.deepStrictEqual(region.values, regions);
+
+  // A single region left after the exclusions is not a split
+  const excludedCanada = searchUrl(`${oneHeadcount},${filter('SENIORITY_LEVEL', ['220', 'Director'])},${filter('REGION', ['101174742', 'Canada', 'EXCLUDED'])}`);
+  assert.strictEqual(planSplit(excludedCanada, { regions }), null);
+});
+
+test('sub-search URLs drop recentSearchParam.id and page', () => {
+  const url = searchUrl(filter('COMPANY_HEADCOUNT', ['A', 'Self-employed', 'EXCLUDED']));
+  const sub = buildSubSearchUrl(url, 'COMPANY_HEADCOUNT', { id: 'D', text: '51-200' });
+  assert.strictEqual(
+    sub,
+    `${PEOPLE}?query=(recentSearchParam%3A(doLogHistory%3Atrue)%2Cfilters%3AList((type%3ACOMPANY_HEADCOUNT%2Cvalues%3AList((id%3AD%2Ctext%3A51-200%2CselectionType%3AINCLUDED)%2C(id%3AA%2Ctext%3ASelf-employed%2CselectionType%3AEXCLUDED)))))&sessionId=VxtqB7n%2FQ9m1nJ0kzD%2B0Qw%3D%3D&viewAllFilters=true`
+  );
+  const parsed = parseSalesNavUrl(sub);
+  assert.deepStrictEqual(parsed.query.recentSearchParam, { doLogHistory: 'true' });
+  assert.ok(!parsed.params.some((p) => p.key === 'page'));
+});
+
+test('a sub-search adds the dimension and keeps the other filters', () => {
+  const url = searchUrl(filter('CURRENT_TITLE', ['8', 'Chief Technology Officer']));
+  const sub = parseSalesNavUrl(buildSubSearchUrl(url, 'SENIORITY_LEVEL', { id: 310, text: 'CXO' }));
+  assert.deepStrictEqual(
+    sub.filters.map((f) => [f.type, f.values.map((v) => `${v.id}:${v.text}:${v.selectionType}`)]),
+    [
+      ['CURRENT_TITLE', ['8:Chief Technology Officer:INCLUDED']],
+      ['SENIORITY_LEVEL', ['310:CXO:INCLUDED']],
+    ]
+  );
+  assert.strictEqual(sub.query.recentSearchParam.id, undefined);
+});
+
+test('parseSplitRegions() accepts { id, text } lists only', () => {
+  assert.deepStrictEqual(parseSplitRegions(undefined), []);
+  assert.deepStrictEqual(parseSplitRegions([{ id: ' 103644278 ' }, { id: 101174742, text: 'Canada' }]), [
+    { id: '103644278', text: '103644278' },
+    { id: '101174742', text: 'Canada' },
+  ]);
+  for (const bad of ['103644278', [{ text: 'Canada' }], [null]]) {
+    assert.throws(() => parseSplitRegions(bad), /^Error: splitRegions must be an array of \{ id, text \}\.$/);
+  }
+});
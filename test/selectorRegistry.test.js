@@ -0,0 +1,85 @@
+// test/selectorRegistry.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-'));
+const overrideFile = path.join(tmpDir, 'selectors.override.json');
+process.env.SELECTORS_OVERRIDE_FILE = overrideFile;
+
+const { selectorSyntaxError } = require('../utils/cssSelectorSyntax');
+const { validateSelectors, writeSelectorOverrides, reloadSelectors, selectorChain } = require('../utils/selectorRegistry');
+const defaults = require('../config/selectors.json').selectors;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('valid selectors pass the syntax check', () => {
+  for (const selector of [
+    'li._1VGRZDYbh',
+    'div[data-sn-view-name="search-pagination"] button[aria-label="Next"]',
+    'a[href^="tel:"], a[href^="mailto:" i]',
+    'ul > li:nth-child(2n+1) ~ li + li',
+    'div:has(> span.name):not(.hidden, [aria-hidden=true])',
+    'button:has-text("Next"):visible',
+    'p::before',
+    '*|* .\\31 a',
+  ]) {
+    assert.strictEqual(selectorSyntaxError(selector), null, selector);
+  }
+});
+
+test('invalid selectors are reported', () => {
+  for (const selector of ['li[', 'div >', '> div', 'a[href=', 'a[href="x', ':not(', '..x', 'li,', ',li', 'a)', 'div[]', '.1a', '  ']) {
+    assert.match(selectorSyntaxError(selector) || '', / at position \d+$/, selector);
+  }
+  assert.strictEqual(selectorSyntaxError('li['), 'expected an attribute name at position 3');
+});
+
+test('every default selector is valid', () => {
+  assert.deepStrictEqual(Object.keys(validateSelectors(defaults)), Object.keys(defaults));
+});
+
+test('placeholders are filled in before the check', () => {
+  const key = Object.keys(defaults).find((k) => defaults[k].some((s) => s.includes('{n}')));
+  assert.ok(key, 'a default selector with a {n} placeholder');
+  assert.doesNotThrow(() => validateSelectors({ [key]: defaults[key] }));
+});
+
+test('an invalid selector is rejected before the override file is written', () => {
+  const key = Object.keys(defaults)[0];
+  writeSelectorOverrides({ selectors: { [key]: ['li.saved'] } });
+  const saved = fs.readFileSync(overrideFile, 'utf8');
+
+  assert.throws(
+    () => writeSelectorOverrides({ selectors: { [key]: ['li.new', 'li['] } }),
+    (err) => err.message === `Selector "${key}" is not valid CSS: li[ (expected an attribute name at position 3).`
+  );
+  assert.strictEqual(fs.readFileSync(overrideFile, 'utf8'), saved);
+  assert.deepStrictEqual(selectorChain(key), ['li.saved']);
+
+  fs.rmSync(overrideFile);
+  reloadSelectors();
+});
+
+test('PUT /selectors answers 400 for an invalid selector', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use(require('../routes/selectorRoutes'));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  const key = Object.keys(defaults)[0];
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/selectors`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ selectors: { [key]: ['div >'] } }),
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error, /^Selector ".+" is not valid CSS: div > \(/);
+  assert.strictEqual(fs.existsSync(overrideFile), false);
+});
@@ -0,0 +1,154 @@
+// test/simulator.e2e.test.js
+//
+// End-to-end scrape against the offline simulator (simulator/index.js):
+// pagination through to the "No leads matched your search" page, and a
+// full runScrape() of the recorded search into a CSV.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { createSandbox, browserMissing } = require('./helpers/sandbox');
+
+const fixture = require('../simulator/fixtures/people-search.json');
+
+// The recorded search has 60 leads, 25 per page: three pages, and the
+// fourth is the "No leads matched your search" page
+const SEARCH = '/sales/search/people?query=(keywords:simulator)&simEnd=no-results';
+const PAGES = Math.ceil(fixture.leads.length / fixture.pageSize);
+
+const skip = browserMissing();
+
+test('clickNextPage() pages through the simulator to the "No leads matched your search" page', { skip }, async (t) => {
+  const sandbox = createSandbox();
+  t.after(() => sandbox.cleanup());
+  const { startFixtureServer } = sandbox.require('simulator');
+  const server = await startFixtureServer({ port: 0 });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const res = await fetch(`${base}${SEARCH}`);
+  assert.strictEqual(res.status, 200);
+  assert.match(await res.text(), /No leads matched your search/);
+
+  const { chromium } = require('playwright');
+  const browser = await chromium.launch({ headless: true });
+  t.after(() => browser.close());
+  const page = await browser.newPage();
+  await page.goto(`${base}${SEARCH}`, { waitUntil: 'domcontentloaded' });
+  const { clickNextPage } = sandbox.require('utils/nextPageNavigation');
+  const { profileForPage } = sandbox.require('utils/pageProfiles');
+  const rows = page.locator(profileForPage(page).rowSelector);
+  await rows.first().waitFor();
+
+  // Next stays enabled on the last page (simEnd=no-results), so only the
+  // end page stops pagination
+  const outcomes = [];
+  for (let current = 1; current <= PAGES; current++) {
+    const outcome = await clickNextPage(page, 1, current);
+    outcomes.push(outcome);
+    if (outcome !== 'moved') break;
+  }
+  assert.deepStrictEqual(outcomes, [...Array(PAGES - 1).fill('moved'), 'no-more']);
+  assert.strictEqual(new URL(page.url()).searchParams.get('page'), String(PAGES + 1));
+  assert.ok(await page.getByText('No leads matched your search').isVisible());
+  assert.strictEqual(await rows.count(), 0);
+});
+
+test('runScrape() scrapes every page of the simulator into the CSV', { skip, timeout: 10 * 60 * 1000 }, async (t) => {
+  process.env.SALESNAV_SIMULATOR = 'true';
+  // Shorter human-like pauses (utils/randomDelayer.js)
+  process.env.FAST_MODE = 'true';
+  const sandbox = createSandbox();
+  t.after(() => sandbox.cleanup());
+  const { runScrape } = sandbox.require('routes/scrapeRoutes');
+  const { setJob, getJob } = sandbox.require('utils/jobsManager');
+
+  // Any cookies do: the simulator answers every request
+  const cookie = (domain) => JSON.stringify([{ name: 'sim', value: '1', domain, path: '/' }]);
+  fs.mkdirSync(path.join(sandbox.dir, 'cookies'), { recursive: true });
+  fs.writeFileSync(path.join(sandbox.dir, 'cookies', 'linkedin_cookies.json'), cookie('.linkedin.com'));
+  fs.writeFileSync(path.join(sandbox.dir, 'signalhire_cookies.json'), cookie('.signalhire.com'));
+  fs.writeFileSync(path.join(sandbox.dir, 'contactout_cookies.json'), cookie('.contactout.com'));
+
+  const filePath = path.join(sandbox.dir, 'data', 'simulator.csv');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const url = `https://www.linkedin.com${SEARCH}`;
+  await setJob({
+    id: 'simulator-e2e',
+    url,
+    listName: 'simulator',
+    timestamp: 'simulator',
+    fileName: path.basename(filePath),
+    filePath,
+    pageIndex: 1,
+    totalRows: 0,
+    totalContacts: 0,
+    startPage: null,
+    endPage: null,
+    maxLeads: null,
+    maxPages: null,
+    autoSplit: false,
+    splitRegions: null,
+    extractor: 'signalhire',
+    resolveUrls: true,
+    deepExtract: false,
+    minMatchConfidence: null,
+    captureEmails: false,
+    emailsPerType: null,
+    pages: [],
+    startedAt: null,
+    endedAt: null,
+    state: 'running',
+    accountId: null,
+    accountName: null,
+    currentUrl: url,
+  });
+  const worker = {
+    id: 1,
+    userDataDir: path.join(sandbox.dir, 'user_data'),
+    isScraping: true,
+    isPaused: false,
+    pauseRequested: false,
+    currentJobId: 'simulator-e2e',
+  };
+
+  await runScrape(worker);
+
+  const job = getJob('simulator-e2e');
+  assert.strictEqual(job.state, 'completed');
+  assert.strictEqual(worker.isScraping, false);
+  // clickNextPage() moved through every page and stopped on the
+  // "No leads matched your search" page
+  assert.deepStrictEqual(
+    job.pages.map((p) => p.navigation),
+    [...Array(PAGES - 1).fill('moved'), 'no-more']
+  );
+  assert.strictEqual(job.pageIndex, PAGES);
+
+  const records = parse(fs.readFileSync(filePath, 'utf8'), { bom: true, columns: true, skip_empty_lines: true, trim: true });
+  assert.deepStrictEqual(Object.keys(records[0]), [
+    'Full Name', 'First Name', 'Last Name', 'Title', 'Company', 'Person Location',
+    'LinkedIn URL', 'Website', 'Sales Nav Lead URL', 'Connection Degree',
+    'Time in Role', 'Time at Company', 'Past Positions', 'Shared Connections',
+    'Recently Posted', 'Changed Jobs', 'Company URN',
+    'Phone 1', 'Phone 1 Type', 'Phone 2', 'Phone 2 Type',
+    'Website Match', 'Match Confidence',
+  ]);
+  // One row per lead SignalHire knows
+  const known = fixture.leads.filter((lead) => lead.signalhire);
+  assert.strictEqual(records.length, known.length);
+  assert.strictEqual(job.totalRows, known.length);
+  assert.deepStrictEqual(
+    records.map((r) => r['Full Name']).sort(),
+    known.map((lead) => lead.name).sort()
+  );
+  const first = records.find((r) => r['Full Name'] === fixture.leads[0].name);
+  assert.strictEqual(first['LinkedIn URL'].replace(/\/$/, ''), `https://www.linkedin.com/in/${fixture.leads[0].publicId}`);
+  assert.strictEqual(first['Company'], fixture.leads[0].company);
+  assert.strictEqual(first['Phone 1'], '+31612345678');
+  assert.strictEqual(first['Phone 1 Type'], 'mobile');
+  // The ContactOut merge filled in the company domain
+  assert.strictEqual(first['Website'], fixture.leads[0].email.split('@')[1]);
+});
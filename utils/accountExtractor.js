@@ -0,0 +1,113 @@
+// utils/accountExtractor.js
+//
+// Reads the account rows of a Sales Navigator account search page
+// straight from the DOM.  Account searches have no SignalHire or
+// ContactOut step; each result row already shows what the account CSV
+// needs (company name, industry, headcount, HQ and the Sales Navigator
+// company link).  Selectors come from the account-search profile in
+// utils/pageProfiles.js.
+
+const fs = require('fs/promises');
+const { profileForPage, ACCOUNT_COLUMNS } = require('./pageProfiles');
+const { saveProfilesCsv } = require('./saveProfilesCsv');
+
+const URL_HEADER = ACCOUNT_COLUMNS.find((c) => c.key === 'sales_nav_url').header;
+
+/**
+ * Extract the accounts shown on the current results page.
+ *
+ * @param {import('playwright').Page} page Page on an account search
+ * @returns {Promise<Object[]>} Rows keyed like pageProfiles.ACCOUNT_COLUMNS
+ */
+async function extractAccounts(page) {
+  const profile = profileForPage(page);
+  const rows = await page.$$eval(
+    profile.rowSelector,
+    (links, fields) => {
+      const text = (el) => (el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '');
+      const seen = new Set();
+      const out = [];
+      for (const link of links) {
+        // One result row may contain several matching links (logo and name)
+        const row = link.closest('li, tr, article') || link.parentElement;
+        if (!row || seen.has(row)) continue;
+        seen.add(row);
+        const pick = (sel) => text(row.querySelector(sel));
+        let headcount = pick(fields.headcount);
+        if (!headcount) {
+          const m = text(row).match(/([\d.,]+[KM]?\+?(?:\s*[-–]\s*[\d.,]+[KM]?)?)\s+employees/i);
+          headcount = m ? m[1] : '';
+        }
+        let url = '';
+        try {
+          const u = new URL(link.getAttribute('href') || '', window.location.origin);
+          url = `${u.origin}${u.pathname}`;
+        } catch { }
+        out.push({
+          company_name: pick(fields.company_name) || text(link),
+          industry: pick(fields.industry),
+          headcount: headcount.replace(/\s*employees$/i, ''),
+          hq: pick(fields.hq),
+          sales_nav_url: url,
+        });
+      }
+      return out;
+    },
+    profile.fields || {}
+  );
+  return rows.filter((r) => r.company_name || r.sales_nav_url);
+}
+
+// Sales Navigator company URLs already in the CSV (lower-cased)
+async function readSavedAccountUrls(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch {
+    return new Set();
+  }
+  let parse;
+  try {
+    parse = require('csv-parse/sync').parse;
+  } catch {
+    return new Set();
+  }
+  try {
+    const rows = parse(raw, { columns: true, bom: true, skip_empty_lines: true, relax_column_count: true });
+    return new Set(rows.map((r) => String(r[URL_HEADER] || '').trim().toLowerCase()).filter(Boolean));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Append accounts to a CSV with the account columns, skipping accounts
+ * already in the file (by Sales Navigator company URL) or repeated on
+ * the page.
+ *
+ * @param {Object[]} accounts Rows from extractAccounts()
+ * @param {Object} opts
+ * @param {string} opts.filePath Output CSV file path
+ * @param {number} [opts.maxRows] Save at most this many new rows
+ * @returns {Promise<{rows: Object[], duplicates: number}>} The rows
+ *   written and the number of duplicates skipped
+ */
+async function saveAccounts(accounts, { filePath, maxRows } = {}) {
+  const seen = await readSavedAccountUrls(filePath);
+  let rows = [];
+  let duplicates = 0;
+  for (const account of accounts) {
+    const key = String(account.sales_nav_url || '').toLowerCase();
+    if (key && seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    if (key) seen.add(key);
+    rows.push(account);
+  }
+  if (maxRows !== undefined) rows = rows.slice(0, maxRows);
+  await saveProfilesCsv(rows, { filePath, columns: ACCOUNT_COLUMNS });
+  return { rows, duplicates };
+}
+
+module.exports = { extractAccounts, saveAccounts };
@@ -0,0 +1,197 @@
+// utils/accountVault.js
+//
+// Stores several named LinkedIn accounts so that jobs can be run under
+// different Sales Navigator seats.  Each account is kept as its own
+// cookie file under `cookies/accounts/<accountId>.json`; the account
+// names and timestamps live in `cookies/accounts/index.json`.  The
+// shared cookie managed by fileHandler.js keeps working for jobs that
+// do not pick an account.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cookiesDir, importLinkedInCookies, writeCookieFile } = require('./fileHandler');
+const { clearLoginCheck } = require('./loginChecks');
+const { describeLinkedInCookies } = require('./cookieHealth');
+
+const accountsDir = path.join(cookiesDir, 'accounts');
+const indexFile = path.join(accountsDir, 'index.json');
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Read the account index from disk.  A missing or unreadable index is
+ * treated as an empty vault.
+ *
+ * @returns {Object[]} Account records `{ id, name, createdAt, updatedAt }`
+ */
+function readIndex() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeIndex(accounts) {
+  fs.mkdirSync(accountsDir, { recursive: true });
+  fs.writeFileSync(indexFile, JSON.stringify(accounts, null, 2));
+}
+
+/**
+ * Validate and trim an account name.  Names must be non-empty and
+ * unique (case-insensitive) across the vault.
+ *
+ * @param {string} name Requested name
+ * @param {Object[]} accounts Current account records
+ * @param {string} [ignoreId] Account being renamed, excluded from the uniqueness check
+ * @returns {string} The cleaned name
+ */
+function cleanAccountName(name, accounts, ignoreId) {
+  const clean = typeof name === 'string' ? name.trim() : '';
+  if (!clean) throw new Error('Account name is required.');
+  if (clean.length > MAX_NAME_LENGTH) {
+    throw new Error(`Account name must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  const taken = accounts.some(
+    (a) => a.id !== ignoreId && a.name.toLowerCase() === clean.toLowerCase()
+  );
+  if (taken) throw new Error(`An account named "${clean}" already exists.`);
+  return clean;
+}
+
+function accountCookieFile(accountId) {
+  return path.join(accountsDir, `${accountId}.json`);
+}
+
+/**
+ * List all stored accounts, annotated with whether their cookie file
+ * is present on disk and the cookie health report (see cookieHealth.js).
+ *
+ * @returns {Object[]} Account records plus `hasCookie` and `health`
+ */
+function listAccounts() {
+  return readIndex().map((a) => {
+    const file = accountCookieFile(a.id);
+    const hasCookie = fs.existsSync(file);
+    return { ...a, hasCookie, health: describeLinkedInCookies(hasCookie ? file : null) };
+  });
+}
+
+/**
+ * Look up a single account by id.
+ *
+ * @param {string} accountId
+ * @returns {Object|null} The account record, or null if unknown
+ */
+function getAccount(accountId) {
+  if (!accountId) return null;
+  return readIndex().find((a) => a.id === accountId) || null;
+}
+
+/**
+ * Create a new account from a name and pasted cookie data in any
+ * format accepted by fileHandler.importLinkedInCookies().
+ *
+ * @param {string} name Display name for the account
+ * @param {string} cookieText Pasted cookie data
+ * @returns {{account: Object, format: string, accepted: number}} The new
+ *   account record, the detected cookie format and the number of
+ *   LinkedIn cookies stored
+ */
+function addAccount(name, cookieText) {
+  const accounts = readIndex();
+  const clean = cleanAccountName(name, accounts);
+  const { format, cookies, accepted } = importLinkedInCookies(cookieText);
+  const now = new Date().toISOString();
+  const account = {
+    id: `acc_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    name: clean,
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeCookieFile(accountCookieFile(account.id), cookies);
+  accounts.push(account);
+  writeIndex(accounts);
+  return { account, format, accepted };
+}
+
+/**
+ * Rename an existing account.  Jobs keep referring to the account by
+ * id, so renaming does not affect queued work.
+ *
+ * @param {string} accountId
+ * @param {string} name New display name
+ * @returns {Object|null} The updated record, or null if the account is unknown
+ */
+function renameAccount(accountId, name) {
+  const accounts = readIndex();
+  const account = accounts.find((a) => a.id === accountId);
+  if (!account) return null;
+  account.name = cleanAccountName(name, accounts, accountId);
+  account.updatedAt = new Date().toISOString();
+  writeIndex(accounts);
+  return account;
+}
+
+/**
+ * Replace the cookie stored for an existing account, e.g. after the
+ * old session expired.
+ *
+ * @param {string} accountId
+ * @param {string} cookieText Pasted cookie data
+ * @returns {{account: Object, format: string, accepted: number}|null} As
+ *   for addAccount(), or null if the account is unknown
+ */
+function updateAccountCookie(accountId, cookieText) {
+  const accounts = readIndex();
+  const account = accounts.find((a) => a.id === accountId);
+  if (!account) return null;
+  const { format, cookies, accepted } = importLinkedInCookies(cookieText);
+  writeCookieFile(accountCookieFile(accountId), cookies);
+  clearLoginCheck(accountCookieFile(accountId));
+  account.updatedAt = new Date().toISOString();
+  writeIndex(accounts);
+  return { account, format, accepted };
+}
+
+/**
+ * Remove an account and its cookie file.
+ *
+ * @param {string} accountId
+ * @returns {boolean} True if the account existed
+ */
+function deleteAccount(accountId) {
+  const accounts = readIndex();
+  const idx = accounts.findIndex((a) => a.id === accountId);
+  if (idx === -1) return false;
+  accounts.splice(idx, 1);
+  writeIndex(accounts);
+  const file = accountCookieFile(accountId);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  clearLoginCheck(file);
+  return true;
+}
+
+/**
+ * Retrieve the cookie file path for an account.
+ *
+ * @param {string} accountId
+ * @returns {string|null} Absolute path, or null if the account or its file is missing
+ */
+function getAccountCookiePath(accountId) {
+  if (!getAccount(accountId)) return null;
+  const file = accountCookieFile(accountId);
+  return fs.existsSync(file) ? file : null;
+}
+
+module.exports = {
+  listAccounts,
+  getAccount,
+  addAccount,
+  renameAccount,
+  updateAccountCookie,
+  deleteAccount,
+  getAccountCookiePath,
+};
@@ -23,9 +23,19 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 // Register the stealth plugin on the chromium instance.
 chromium.use(StealthPlugin());
 
-async function launchStealthBrowser() {
+/**
+ * Launch a persistent stealth Chromium context with both extensions
+ * loaded.  Each scrape worker passes its own `userDataDir` so that
+ * several browsers can run side by side without sharing (and locking)
+ * the same profile.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.userDataDir] Profile directory; defaults to `user_data/`
+ * @returns {Promise<import('playwright').BrowserContext>}
+ */
+async function launchStealthBrowser(opts = {}) {
   // Directory where Playwright will store session data (cookies, localStorage).
-  const userDataDir = path.join(__dirname, '..', 'user_data');
+  const userDataDir = opts.userDataDir || path.join(__dirname, '..', 'user_data');
   const debugVideoEnabled = String(process.env.DEBUG_VIDEO || '').toLowerCase() === 'true';
   const videoDir = path.join(__dirname, '..', 'data', 'videos');
   if (debugVideoEnabled) {
@@ -35,6 +45,17 @@ async function launchStealthBrowser() {
       // ignore
     }
   }
+  // Offline mode: no extensions, every request answered by simulator/
+  if (/^(1|true|yes)$/i.test(String(process.env.SALESNAV_SIMULATOR || ''))) {
+    const context = await chromium.launchPersistentContext(`${userDataDir}_simulator`, {
+      headless: true,
+      viewport: { width: 1920, height: 1080 },
+      userAgent:
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36',
+    });
+    await require('../simulator').installSimulator(context);
+    return context;
+  }
   // Paths to your unpacked extensions; replace the placeholder folders
   // with your actual extension code.
   const ext1 = path.join(__dirname, '..', 'extensions', 'contacout');
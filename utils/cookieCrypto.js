@@ -0,0 +1,133 @@
+// utils/cookieCrypto.js
+//
+// Encryption at rest for the stored cookie files.  When the
+// `COOKIE_ENCRYPTION_KEY` environment variable is set, every cookie
+// file is written as a small JSON envelope holding the AES-256-GCM
+// encrypted cookie array instead of plain JSON.  The key may be given
+// as 64 hex characters (a raw 256-bit key) or as any other passphrase,
+// from which a key is derived with scrypt.  Without the variable,
+// cookie files are read and written as plain JSON like before.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 1;
+// Fixed salt: the derived key must be stable across restarts, and the
+// passphrase itself is the secret.
+const KDF_SALT = 'sales-nav-helper/cookie-encryption';
+
+let cachedKey = null;
+let cachedSecret = null;
+
+/**
+ * Return the 32-byte key derived from COOKIE_ENCRYPTION_KEY, or null
+ * if no key is configured.
+ */
+function getKey() {
+  const secret = String(process.env.COOKIE_ENCRYPTION_KEY || '').trim();
+  if (!secret) return null;
+  if (secret !== cachedSecret) {
+    cachedKey = /^[0-9a-f]{64}$/i.test(secret)
+      ? Buffer.from(secret, 'hex')
+      : crypto.scryptSync(secret, KDF_SALT, 32);
+    cachedSecret = secret;
+  }
+  return cachedKey;
+}
+
+function isEncryptionEnabled() {
+  return !!getKey();
+}
+
+/**
+ * Whether a cookie file's contents are an encrypted envelope.
+ *
+ * @param {string} text File contents
+ */
+function isEncryptedText(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return !!parsed && !Array.isArray(parsed) && parsed.alg === ALGORITHM && typeof parsed.data === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a plaintext string into an envelope string.
+ *
+ * @param {string} plaintext
+ * @returns {string} JSON envelope
+ */
+function encryptText(plaintext) {
+  const key = getKey();
+  if (!key) throw new Error('COOKIE_ENCRYPTION_KEY is not set');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    v: ENVELOPE_VERSION,
+    alg: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/**
+ * Decrypt an envelope string produced by encryptText().
+ *
+ * @param {string} text JSON envelope
+ * @returns {string} The plaintext
+ */
+function decryptText(text) {
+  const key = getKey();
+  if (!key) {
+    throw new Error('Cookie file is encrypted but COOKIE_ENCRYPTION_KEY is not set');
+  }
+  const envelope = JSON.parse(text);
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new Error('Unable to decrypt cookie file; is COOKIE_ENCRYPTION_KEY correct?');
+  }
+}
+
+/**
+ * Serialise a cookie array for writing to disk, encrypting it when a
+ * key is configured.
+ *
+ * @param {Object[]} cookies
+ * @returns {string}
+ */
+function serializeCookies(cookies) {
+  const json = JSON.stringify(cookies, null, 2);
+  return isEncryptionEnabled() ? encryptText(json) : json;
+}
+
+/**
+ * Read a cookie file and return the parsed cookie array, decrypting it
+ * first if it is encrypted.
+ *
+ * @param {string} filePath
+ * @returns {Object[]}
+ */
+function readCookieArray(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return JSON.parse(isEncryptedText(text) ? decryptText(text) : text);
+}
+
+module.exports = {
+  isEncryptionEnabled,
+  isEncryptedText,
+  encryptText,
+  decryptText,
+  serializeCookies,
+  readCookieArray,
+};
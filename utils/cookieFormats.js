@@ -0,0 +1,200 @@
+// utils/cookieFormats.js
+//
+// Detects the format of pasted cookie text and converts it into the
+// Chrome-extension (EditThisCookie) JSON array that every cookie file is
+// stored as.  Supported inputs:
+//
+//   json           – Chrome-extension export (`expirationDate`, `sameSite`
+//                    such as `no_restriction`); stored unchanged
+//   playwright     – a JSON array of Playwright cookies (`expires`,
+//                    `sameSite` such as `Lax`)
+//   storage-state  – Playwright `storageState` JSON (`{ cookies, origins }`)
+//   netscape       – Netscape `cookies.txt` export
+//   header         – raw `Cookie:` header string (`a=1; b=2`)
+//   li_at          – a bare LinkedIn `li_at` session token
+//
+// Cookies without a domain (header strings and bare tokens) are scoped to
+// the domain of the provider the cookie is being saved for.
+
+const LI_AT_PATTERN = /^[A-Za-z0-9_\-+/=.]{20,}$/;
+
+// A bare li_at token may end in base64 `=` padding, but has no `=`
+// elsewhere, so `li_at=AQED…` stays a header
+function isBareToken(text) {
+  return LI_AT_PATTERN.test(text) && /^[^=]+=*$/.test(text);
+}
+
+// Map Playwright / Netscape style sameSite values to the Chrome
+// extension vocabulary understood by cookieUtil.normalizeSameSite().
+function toExtensionSameSite(v) {
+  if (v == null) return 'unspecified';
+  const s = String(v).toLowerCase();
+  if (s === 'none' || s === 'no_restriction') return 'no_restriction';
+  if (s === 'lax') return 'lax';
+  if (s === 'strict') return 'strict';
+  return 'unspecified';
+}
+
+function makeCookie({ name, value, domain, path, expires, httpOnly, secure, sameSite }) {
+  const session = !(typeof expires === 'number' && expires > 0);
+  const cookie = {
+    domain,
+    hostOnly: !String(domain).startsWith('.'),
+    httpOnly: !!httpOnly,
+    name,
+    path: path || '/',
+    sameSite: toExtensionSameSite(sameSite),
+    secure: !!secure,
+    session,
+    value: String(value ?? ''),
+  };
+  if (!session) cookie.expirationDate = expires;
+  return cookie;
+}
+
+function fromPlaywright(list) {
+  return list.map((c) =>
+    makeCookie({
+      name: c.name,
+      value: c.value,
+      domain: c.domain,
+      path: c.path,
+      expires: c.expires,
+      httpOnly: c.httpOnly,
+      secure: c.secure,
+      sameSite: c.sameSite,
+    })
+  );
+}
+
+function parseNetscape(text) {
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    if (!line) continue;
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (line.startsWith('#')) {
+      continue;
+    }
+    // Tabs are sometimes turned into spaces when the file is pasted
+    let separator = '\t';
+    let fields = line.split(separator);
+    if (fields.length < 7) {
+      separator = ' ';
+      fields = line.split(/\s+/);
+    }
+    if (fields.length < 7) continue;
+    const [domain, , path, secure, expires, name, ...rest] = fields;
+    cookies.push(
+      makeCookie({
+        name,
+        value: rest.join(separator),
+        domain,
+        path,
+        expires: Number(expires) || 0,
+        httpOnly,
+        secure: /^true$/i.test(secure),
+      })
+    );
+  }
+  return cookies;
+}
+
+function parseHeader(text, domain) {
+  const body = text.replace(/^cookie:\s*/i, '');
+  const cookies = [];
+  for (const part of body.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) continue;
+    const name = part.slice(0, eq).trim();
+    const value = part.slice(eq + 1).trim();
+    if (!name) continue;
+    cookies.push(makeCookie({ name, value, domain, secure: true, sameSite: 'None' }));
+  }
+  return cookies;
+}
+
+function looksLikeNetscape(text) {
+  return (
+    /#\s*(Netscape )?HTTP Cookie File/i.test(text) ||
+    /^(#HttpOnly_)?\S+\t(TRUE|FALSE)\t\S*\t(TRUE|FALSE)\t\d+\t/im.test(text)
+  );
+}
+
+/**
+ * Detect the format of pasted cookie text and convert it.
+ *
+ * @param {string} text Pasted cookie data
+ * @param {Object} [opts]
+ * @param {string} [opts.domain='linkedin.com'] Domain the cookies are for;
+ *   used to scope header/token cookies and to count matching cookies
+ * @returns {{format: string, cookies: Object[], matching: number}} The
+ *   detected format, the cookies in Chrome-extension shape and how many of
+ *   them belong to `domain`
+ */
+function parseCookieInput(text, { domain = 'linkedin.com' } = {}) {
+  const input = String(text || '').trim();
+  if (!input) throw new Error('Invalid cookie data: nothing was pasted');
+  const token = input.replace(/^"|"$/g, '');
+  let format;
+  let cookies;
+
+  let json;
+  try {
+    json = JSON.parse(input);
+  } catch {
+    json = undefined;
+  }
+
+  if (Array.isArray(json)) {
+    const usesPlaywrightFields = json.some(
+      (c) => c && typeof c === 'object' && 'expires' in c && !('expirationDate' in c)
+    );
+    format = usesPlaywrightFields ? 'playwright' : 'json';
+    cookies = usesPlaywrightFields ? fromPlaywright(json) : json;
+  } else if (json && typeof json === 'object') {
+    if (!Array.isArray(json.cookies)) {
+      throw new Error('Invalid cookie data: JSON object without a "cookies" array');
+    }
+    format = 'storage-state';
+    cookies = fromPlaywright(json.cookies);
+  } else if (looksLikeNetscape(input)) {
+    format = 'netscape';
+    cookies = parseNetscape(input);
+  } else if (isBareToken(token)) {
+    if (domain !== 'linkedin.com') {
+      throw new Error('Invalid cookie data: a bare token is only accepted as a LinkedIn li_at cookie');
+    }
+    format = 'li_at';
+    cookies = [
+      makeCookie({
+        name: 'li_at',
+        value: token,
+        domain: '.www.linkedin.com',
+        httpOnly: true,
+        secure: true,
+        sameSite: 'None',
+      }),
+    ];
+  } else if (input.includes('=')) {
+    format = 'header';
+    cookies = parseHeader(input, `.${domain}`);
+  } else {
+    throw new Error('Invalid cookie data: format not recognised');
+  }
+
+  if (cookies.some((c) => !c || typeof c !== 'object' || !c.name || !c.domain)) {
+    throw new Error('Invalid cookie data: every cookie needs a name and a domain');
+  }
+  const suffix = domain.toLowerCase();
+  const matching = cookies.filter((c) => {
+    const d = String(c.domain).toLowerCase().replace(/^\./, '');
+    return d === suffix || d.endsWith(`.${suffix}`);
+  }).length;
+  return { format, cookies, matching };
+}
+
+module.exports = { parseCookieInput };
@@ -0,0 +1,132 @@
+// utils/cookieHealth.js
+//
+// Builds a health report for a stored LinkedIn cookie file: whether the
+// cookies LinkedIn needs are present, when each one expires and how the
+// last live login check went.  The report carries ready-made warnings
+// so the frontend can alert users days before a session runs out
+// instead of only after a job pauses with `cookie_expired`.
+
+const fs = require('fs');
+const { readCookieArray } = require('./cookieCrypto');
+const { getLoginCheck } = require('./loginChecks');
+
+// li_at is the session itself, JSESSIONID carries the CSRF token and
+// li_a is the Sales Navigator session.
+const CRITICAL_COOKIES = ['li_at', 'JSESSIONID', 'li_a'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days before expiry at which a warning is raised.  Override
+ * with COOKIE_EXPIRY_WARN_DAYS (default 7).
+ */
+function getWarnDays() {
+  const n = Number(process.env.COOKIE_EXPIRY_WARN_DAYS);
+  return Number.isFinite(n) && n >= 0 ? n : 7;
+}
+
+// Expiry of a stored cookie in epoch seconds, or null for session cookies
+function expirySeconds(c) {
+  if (typeof c.expirationDate === 'number' && !c.session) return c.expirationDate;
+  if (typeof c.expires === 'number' && c.expires > 0) return c.expires;
+  return null;
+}
+
+function describeCookie(cookies, name, now) {
+  const matches = cookies.filter(
+    (c) => c && c.name === name && /(^|\.)linkedin\.com$/i.test(String(c.domain || ''))
+  );
+  if (!matches.length) return { present: false };
+  // Use the longest-lived copy if the export holds duplicates
+  const expiries = matches.map(expirySeconds);
+  const session = expiries.some((e) => e == null);
+  if (session) return { present: true, session: true, expiresAt: null, daysLeft: null, expired: false };
+  const latest = Math.max(...expiries) * 1000;
+  return {
+    present: true,
+    session: false,
+    expiresAt: new Date(latest).toISOString(),
+    daysLeft: Math.floor((latest - now) / DAY_MS),
+    expired: latest <= now,
+  };
+}
+
+/**
+ * Describe the health of a LinkedIn cookie file.
+ *
+ * @param {string|null} filePath Cookie file to inspect; null if none is saved
+ * @returns {{
+ *   hasCookie: boolean,
+ *   status: 'ok'|'warning'|'error',
+ *   cookies: Object<string, {present: boolean, session?: boolean,
+ *     expiresAt?: string|null, daysLeft?: number|null, expired?: boolean}>,
+ *   expiresAt: string|null,
+ *   daysUntilExpiry: number|null,
+ *   warnDays: number,
+ *   lastLoginCheck: Object|null,
+ *   warnings: {level: 'warning'|'error', message: string}[]
+ * }}
+ */
+function describeLinkedInCookies(filePath) {
+  const warnDays = getWarnDays();
+  const report = {
+    hasCookie: false,
+    status: 'error',
+    cookies: {},
+    expiresAt: null,
+    daysUntilExpiry: null,
+    warnDays,
+    lastLoginCheck: null,
+    warnings: [],
+  };
+  if (!filePath || !fs.existsSync(filePath)) {
+    report.warnings.push({ level: 'error', message: 'No LinkedIn cookie saved.' });
+    return report;
+  }
+  report.hasCookie = true;
+  report.lastLoginCheck = getLoginCheck(filePath);
+
+  let cookies;
+  try {
+    cookies = readCookieArray(filePath);
+  } catch (err) {
+    report.warnings.push({ level: 'error', message: `Cookie file cannot be read: ${err.message}` });
+    return report;
+  }
+
+  const now = Date.now();
+  const warn = (level, message) => report.warnings.push({ level, message });
+  for (const name of CRITICAL_COOKIES) {
+    const info = describeCookie(Array.isArray(cookies) ? cookies : [], name, now);
+    report.cookies[name] = info;
+    if (!info.present) {
+      if (name === 'li_at') warn('error', 'li_at is missing; LinkedIn login will fail.');
+      else if (name === 'JSESSIONID') warn('warning', 'JSESSIONID is missing; LinkedIn may reject requests.');
+      else warn('warning', 'li_a is missing; this account may not have a Sales Navigator session.');
+      continue;
+    }
+    if (info.session || !info.expiresAt) continue;
+    const date = info.expiresAt.slice(0, 10);
+    if (info.expired) {
+      warn('error', `${name} expired on ${date}.`);
+    } else if (info.daysLeft <= warnDays) {
+      warn('warning', `${name} expires in ${info.daysLeft} day(s) (${date}).`);
+    }
+    if (!report.expiresAt || info.expiresAt < report.expiresAt) {
+      report.expiresAt = info.expiresAt;
+      report.daysUntilExpiry = info.daysLeft;
+    }
+  }
+
+  const check = report.lastLoginCheck;
+  if (check && !check.loggedIn) {
+    warn('error', `Last LinkedIn login check failed (${check.checkedAt}).`);
+  }
+
+  if (report.warnings.some((w) => w.level === 'error')) report.status = 'error';
+  else if (report.warnings.length) report.status = 'warning';
+  else report.status = 'ok';
+  return report;
+}
+
+module.exports = { CRITICAL_COOKIES, describeLinkedInCookies };
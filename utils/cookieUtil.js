@@ -1,8 +1,9 @@
 // utils/cookieUtil.js
 
-const fs = require('fs');
+const { readCookieArray } = require('./cookieCrypto');
 
 // Minimal helper to load a Chrome-exported cookie JSON and convert to Playwright.
+// Encrypted cookie files (see cookieCrypto.js) are decrypted on load.
 
 function normalizeSameSite(v) {
   if (v == null) return undefined; // allow omitting
@@ -14,8 +15,8 @@ function normalizeSameSite(v) {
   return undefined; // drop any unknown values
 }
 
-function loadAndConvert(filePath) {
-  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+// Convert an array of Chrome-exported cookies to Playwright cookies.
+function convertCookies(raw) {
   return raw.map((c) => ({
     name: c.name,
     value: String(c.value ?? ''),
@@ -23,13 +24,21 @@ function loadAndConvert(filePath) {
     path: c.path || '/',
     httpOnly: !!c.httpOnly,
     secure: !!c.secure,
-    // Playwright wants seconds (int) and usually omit for session cookies
+    // Playwright wants seconds (int) and usually omit for session cookies.
+    // Files written in Playwright's own shape use `expires` instead.
     expires:
       typeof c.expirationDate === 'number' && !c.session
         ? Math.floor(c.expirationDate)
-        : undefined,
+        : typeof c.expires === 'number' && c.expires > 0
+          ? Math.floor(c.expires)
+          : undefined,
     sameSite: normalizeSameSite(c.sameSite),
   }));
 }
 
-module.exports = { loadAndConvert };
\ No newline at end of file
+function loadAndConvert(filePath) {
+  const raw = readCookieArray(filePath);
+  return convertCookies(raw);
+}
+
+module.exports = { loadAndConvert, convertCookies, normalizeSameSite };
\ No newline at end of file
@@ -0,0 +1,229 @@
+// utils/cssSelectorSyntax.js
+//
+// Syntax check for the CSS selectors of the selector registry (see
+// utils/selectorRegistry.js).  A selector with a syntax error – an
+// unclosed `[` or `(`, a dangling combinator, an empty compound – makes
+// every lookup that uses it throw in the browser, so the registry
+// rejects it before it is saved.
+//
+// The check follows the Selectors Level 4 grammar: selector lists,
+// combinators (` `, `>`, `+`, `~`), type and universal selectors, ids,
+// classes, attribute selectors with their operators and flags, and
+// pseudo-classes and pseudo-elements.  Pseudo names are not checked
+// against a list, so Playwright's own (`:has-text("…")`, `:visible`)
+// pass; the arguments of `:not()`, `:is()`, `:where()` and `:has()` are
+// checked as selector lists, other arguments only for balanced
+// brackets and closed strings.
+
+// Pseudo-classes whose argument is a selector list
+const SELECTOR_ARG_PSEUDOS = new Set(['not', 'is', 'where', 'matches', 'has', 'host', 'host-context', 'slotted']);
+
+const ATTRIBUTE_OPERATORS = ['~=', '|=', '^=', '$=', '*=', '='];
+
+class SelectorSyntaxError extends Error {}
+
+/**
+ * Check the syntax of a CSS selector list.
+ *
+ * @param {string} selector
+ * @returns {string|null} What is wrong and where, or null when the
+ *   selector is valid
+ */
+function selectorSyntaxError(selector) {
+  const src = String(selector);
+  let pos = 0;
+
+  const fail = (what) => {
+    throw new SelectorSyntaxError(`${what} at position ${pos}`);
+  };
+  const isWs = (c) => c === ' ' || c === '\t' || c === '\n' || c === '\r' || c === '\f';
+  const skipWs = () => {
+    while (pos < src.length && isWs(src[pos])) pos++;
+  };
+
+  function readEscape() {
+    // Backslash followed by up to six hex digits or any other character
+    pos++;
+    if (pos >= src.length) fail('unfinished escape');
+    const hex = src.slice(pos).match(/^[0-9a-fA-F]{1,6}\s?/);
+    pos += hex ? hex[0].length : 1;
+  }
+
+  function readName() {
+    const start = pos;
+    while (pos < src.length) {
+      const c = src[pos];
+      if (c === '\\') readEscape();
+      else if (/[\w-]/.test(c) || c.charCodeAt(0) >= 0x80) pos++;
+      else break;
+    }
+    return src.slice(start, pos);
+  }
+
+  function readIdent(what) {
+    const start = pos;
+    const name = readName();
+    if (!name || /^(\d|-\d)/.test(name) || name === '-') {
+      pos = start;
+      fail(`expected ${what}`);
+    }
+    return name;
+  }
+
+  function readString() {
+    const quote = src[pos];
+    pos++;
+    while (pos < src.length && src[pos] !== quote) {
+      if (src[pos] === '\\') pos++;
+      else if (src[pos] === '\n') fail('line break in string');
+      pos++;
+    }
+    if (pos >= src.length) fail('unclosed string');
+    pos++;
+  }
+
+  function readAttribute() {
+    pos++; // [
+    skipWs();
+    if (src[pos] === '*' && src[pos + 1] === '|') pos += 2;
+    readIdent('an attribute name');
+    if (src[pos] === '|' && src[pos + 1] !== '=') {
+      pos++;
+      readIdent('an attribute name');
+    }
+    skipWs();
+    if (src[pos] === ']') {
+      pos++;
+      return;
+    }
+    const op = ATTRIBUTE_OPERATORS.find((o) => src.startsWith(o, pos));
+    if (!op) fail(pos >= src.length ? 'unclosed attribute selector' : 'expected "]" or an attribute operator');
+    pos += op.length;
+    skipWs();
+    if (src[pos] === '"' || src[pos] === "'") readString();
+    else readIdent('an attribute value');
+    skipWs();
+    if (/[iIsS]/.test(src[pos] || '') && !/[\w-]/.test(src[pos + 1] || '')) {
+      pos++;
+      skipWs();
+    }
+    if (src[pos] !== ']') fail('unclosed attribute selector');
+    pos++;
+  }
+
+  // Anything with balanced brackets and closed strings, up to the ")"
+  function readBalanced() {
+    const stack = [];
+    while (pos < src.length) {
+      const c = src[pos];
+      if (c === '"' || c === "'") {
+        readString();
+        continue;
+      }
+      if (c === '\\') {
+        readEscape();
+        continue;
+      }
+      if (c === '(' || c === '[') stack.push(c === '(' ? ')' : ']');
+      else if (c === ')' || c === ']') {
+        if (!stack.length) {
+          if (c === ')') return;
+          fail('unexpected "]"');
+        }
+        if (stack.pop() !== c) fail(`unexpected "${c}"`);
+      }
+      pos++;
+    }
+    fail('unclosed "("');
+  }
+
+  function readPseudo() {
+    pos++; // :
+    if (src[pos] === ':') pos++;
+    const name = readIdent('a pseudo-class name').toLowerCase();
+    if (src[pos] !== '(') return;
+    pos++;
+    skipWs();
+    if (SELECTOR_ARG_PSEUDOS.has(name)) {
+      readSelectorList({ relative: name === 'has' });
+    } else {
+      readBalanced();
+    }
+    if (src[pos] !== ')') fail('unclosed "("');
+    pos++;
+  }
+
+  // Type or universal selector, then ids, classes, attributes and pseudos
+  function readCompound() {
+    const start = pos;
+    if (src[pos] === '*') pos++;
+    else if (/[\w\\-]/.test(src[pos] || '') || (src.charCodeAt(pos) >= 0x80)) readIdent('an element name');
+    if (src[pos] === '|' && src[pos + 1] !== '=') {
+      pos++;
+      if (src[pos] === '*') pos++;
+      else readIdent('an element name');
+    }
+    for (;;) {
+      const c = src[pos];
+      if (c === '#') {
+        pos++;
+        if (!readName()) fail('expected an id');
+      } else if (c === '.') {
+        pos++;
+        readIdent('a class name');
+      } else if (c === '[') {
+        readAttribute();
+      } else if (c === ':') {
+        readPseudo();
+      } else {
+        break;
+      }
+    }
+    if (pos === start) fail('expected a selector');
+  }
+
+  function readComplex({ relative = false } = {}) {
+    skipWs();
+    if (relative && '>+~'.includes(src[pos] || ' ')) {
+      pos++;
+      skipWs();
+    }
+    readCompound();
+    for (;;) {
+      const before = pos;
+      skipWs();
+      const c = src[pos];
+      if (c === '>' || c === '+' || c === '~') {
+        pos++;
+        skipWs();
+        readCompound();
+      } else if (pos > before && c !== undefined && c !== ',' && c !== ')') {
+        readCompound();
+      } else {
+        return;
+      }
+    }
+  }
+
+  function readSelectorList(opts) {
+    readComplex(opts);
+    skipWs();
+    while (src[pos] === ',') {
+      pos++;
+      readComplex(opts);
+      skipWs();
+    }
+  }
+
+  try {
+    if (!src.trim()) fail('empty selector');
+    readSelectorList();
+    if (pos < src.length) fail(`unexpected "${src[pos]}"`);
+    return null;
+  } catch (err) {
+    if (err instanceof SelectorSyntaxError) return err.message;
+    throw err;
+  }
+}
+
+module.exports = { selectorSyntaxError };
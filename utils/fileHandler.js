@@ -3,6 +3,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { serializeCookies, isEncryptionEnabled, isEncryptedText, encryptText } = require('./cookieCrypto');
+const { parseCookieInput } = require('./cookieFormats');
+const { clearLoginCheck } = require('./loginChecks');
 
 // Directory where the LinkedIn cookie will be persisted.  This folder
 // lives alongside the rest of the application code so that it can be
@@ -23,17 +26,14 @@ function ensureDir() {
 }
 
 /**
- * Persist a LinkedIn cookie to disk.  The input must be a string
- * containing a JSON array of cookie objects.  If the input cannot
- * be parsed or is not an array, an error is thrown.  Any existing
- * cookie file will be replaced with the new contents; only one
- * LinkedIn cookie file is retained at any time.
+ * Parse raw cookie text into an array of cookie objects.  The input
+ * must be a string containing a JSON array.  If the input cannot be
+ * parsed or is not an array, an error is thrown.
  *
  * @param {string} cookieText Raw JSON string representing an array of cookies
- * @returns {string} Absolute path to the saved cookie file
+ * @returns {Object[]} The parsed cookies
  */
-function saveCookieFile(cookieText) {
-  ensureDir();
+function parseCookieText(cookieText) {
   let parsed;
   try {
     parsed = JSON.parse(cookieText);
@@ -43,11 +43,66 @@ function saveCookieFile(cookieText) {
   } catch (err) {
     throw new Error('Invalid cookie JSON: ' + err.message);
   }
-  const filePath = path.join(cookiesDir, cookieFileName);
-  fs.writeFileSync(filePath, JSON.stringify(parsed, null, 2));
+  return parsed;
+}
+
+/**
+ * Write an array of cookies to the given file, creating the parent
+ * directory if needed.  Every cookie file in the application (shared,
+ * per-worker and per-account) goes through this helper so they all
+ * share the same on-disk format, encrypted when COOKIE_ENCRYPTION_KEY
+ * is set.
+ *
+ * @param {string} filePath Absolute path of the cookie file
+ * @param {Object[]} cookies Cookies to store
+ * @returns {string} The file path
+ */
+function writeCookieFile(filePath, cookies) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, serializeCookies(cookies));
   return filePath;
 }
 
+/**
+ * Convert pasted LinkedIn cookie text in any supported format (see
+ * cookieFormats.js) into a cookie array.  Throws unless linkedin.com
+ * cookies including the `li_at` session cookie are present, since no
+ * login is possible without it.
+ *
+ * @param {string} cookieText Pasted cookie data
+ * @returns {{format: string, cookies: Object[], accepted: number}} The
+ *   detected format, the cookies and the number of LinkedIn cookies
+ */
+function importLinkedInCookies(cookieText) {
+  const { format, cookies, matching } = parseCookieInput(cookieText, { domain: 'linkedin.com' });
+  if (!matching) {
+    throw new Error(`Invalid cookie data: no linkedin.com cookies found (detected format: ${format})`);
+  }
+  if (!cookies.some((c) => c.name === 'li_at')) {
+    throw new Error(`Invalid cookie data: no li_at session cookie found (detected format: ${format})`);
+  }
+  return { format, cookies, accepted: matching };
+}
+
+/**
+ * Persist a LinkedIn cookie to disk.  The input may be any format
+ * accepted by importLinkedInCookies(); an error is thrown if it cannot
+ * be recognised.  Any existing cookie file will be replaced with the
+ * new contents; only one shared LinkedIn cookie file is retained at
+ * any time (see accountVault.js for named accounts).
+ *
+ * @param {string} cookieText Pasted cookie data
+ * @returns {{filePath: string, format: string, accepted: number}} The
+ *   saved file, the detected format and the number of LinkedIn cookies
+ */
+function saveCookieFile(cookieText) {
+  ensureDir();
+  const { format, cookies, accepted } = importLinkedInCookies(cookieText);
+  const filePath = writeCookieFile(path.join(cookiesDir, cookieFileName), cookies);
+  clearLoginCheck(filePath);
+  return { filePath, format, accepted };
+}
+
 /**
  * Retrieve the absolute path to the persisted LinkedIn cookie file.
  * If no cookie has been saved yet, null is returned.
@@ -70,6 +125,161 @@ function deleteCookieFile() {
   if (fs.existsSync(filePath)) {
     fs.unlinkSync(filePath);
   }
+  clearLoginCheck(filePath);
+}
+
+// -----------------------------------------------------------------------------
+// Per-worker cookie sets
+//
+// Each scrape worker may have its own LinkedIn, SignalHire and
+// ContactOut cookies under `cookies/workers/<workerId>/`, using the same
+// file names as the shared files.  Any file a worker does not have falls
+// back to the shared cookie, so a single-worker setup needs no extra
+// files at all.
+
+const PROVIDER_COOKIE_FILES = {
+  linkedin: cookieFileName,
+  signalhire: 'signalhire_cookies.json',
+  contactout: 'contactout_cookies.json',
+};
+
+// Shared SignalHire/ContactOut cookies live in the repository root.
+const sharedProviderDir = path.join(__dirname, '..');
+
+/**
+ * Return the directory holding the cookie set of a scrape worker.
+ *
+ * @param {number|string} workerId The worker id
+ * @returns {string}
+ */
+function getWorkerCookieDir(workerId) {
+  return path.join(cookiesDir, 'workers', String(workerId));
+}
+
+/**
+ * Return the path of the shared cookie file for a provider, whether or
+ * not it exists yet.
+ *
+ * @param {'linkedin'|'signalhire'|'contactout'} provider
+ * @returns {string}
+ */
+function getSharedCookiePath(provider) {
+  const fileName = PROVIDER_COOKIE_FILES[provider];
+  if (!fileName) throw new Error(`Unknown cookie provider: ${provider}`);
+  if (provider === 'linkedin') return path.join(cookiesDir, fileName);
+  return path.join(sharedProviderDir, fileName);
+}
+
+/**
+ * Resolve the cookie files a scrape worker should use.  Worker-specific
+ * files win over the shared ones.  `linkedin` is null when no LinkedIn
+ * cookie is available at all; the provider paths are always returned
+ * (the login helpers report a failed login if the file is missing).
+ *
+ * @param {number|string} [workerId] The worker id; omit for the shared set
+ * @returns {{linkedin: string|null, signalhire: string, contactout: string}}
+ */
+function resolveCookieFiles(workerId) {
+  const workerDir = workerId != null ? getWorkerCookieDir(workerId) : null;
+  const pick = (fileName, sharedPath) => {
+    if (workerDir) {
+      const own = path.join(workerDir, fileName);
+      if (fs.existsSync(own)) return own;
+    }
+    return sharedPath;
+  };
+  return {
+    linkedin: pick(PROVIDER_COOKIE_FILES.linkedin, getCookieFilePath()),
+    signalhire: pick(PROVIDER_COOKIE_FILES.signalhire, getSharedCookiePath('signalhire')),
+    contactout: pick(PROVIDER_COOKIE_FILES.contactout, getSharedCookiePath('contactout')),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Encryption at rest
+//
+// Cookie files written before COOKIE_ENCRYPTION_KEY was configured are
+// plain JSON.  On startup the server encrypts them once, and refuses to
+// start if encrypted files exist but the key is missing.
+
+/**
+ * List every cookie file currently on disk: the shared LinkedIn,
+ * SignalHire and ContactOut files, per-worker files and LinkedIn
+ * account files.
+ *
+ * @returns {string[]} Absolute file paths
+ */
+function listCookieFiles() {
+  const files = Object.keys(PROVIDER_COOKIE_FILES).map(getSharedCookiePath);
+  const readDir = (dir) => {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+  };
+  for (const entry of readDir(path.join(cookiesDir, 'workers'))) {
+    if (!entry.isDirectory()) continue;
+    for (const fileName of Object.values(PROVIDER_COOKIE_FILES)) {
+      files.push(path.join(getWorkerCookieDir(entry.name), fileName));
+    }
+  }
+  const accountsDir = path.join(cookiesDir, 'accounts');
+  for (const entry of readDir(accountsDir)) {
+    if (entry.isFile() && entry.name.endsWith('.json') && entry.name !== 'index.json') {
+      files.push(path.join(accountsDir, entry.name));
+    }
+  }
+  return files.filter((f) => fs.existsSync(f));
+}
+
+/**
+ * Return the cookie files that are stored encrypted.
+ *
+ * @returns {string[]}
+ */
+function findEncryptedCookieFiles() {
+  return listCookieFiles().filter((f) => isEncryptedText(fs.readFileSync(f, 'utf8')));
+}
+
+/**
+ * Encrypt every plaintext cookie file in place.  Does nothing unless
+ * COOKIE_ENCRYPTION_KEY is set; files that are already encrypted are
+ * left alone, so running it repeatedly is harmless.  Files that are not
+ * a JSON cookie array are skipped with a warning.
+ *
+ * @returns {string[]} The files that were encrypted
+ */
+function encryptPlaintextCookieFiles() {
+  if (!isEncryptionEnabled()) return [];
+  const migrated = [];
+  for (const file of listCookieFiles()) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (isEncryptedText(text)) continue;
+    try {
+      parseCookieText(text);
+    } catch (err) {
+      console.warn(`Skipping cookie file ${file}: ${err.message}`);
+      continue;
+    }
+    fs.writeFileSync(file, encryptText(text));
+    migrated.push(file);
+  }
+  return migrated;
 }
 
-module.exports = { saveCookieFile, getCookieFilePath, deleteCookieFile };
\ No newline at end of file
+module.exports = {
+  cookiesDir,
+  parseCookieText,
+  writeCookieFile,
+  importLinkedInCookies,
+  saveCookieFile,
+  getCookieFilePath,
+  deleteCookieFile,
+  getWorkerCookieDir,
+  getSharedCookiePath,
+  resolveCookieFiles,
+  listCookieFiles,
+  findEncryptedCookieFiles,
+  encryptPlaintextCookieFiles,
+};
\ No newline at end of file
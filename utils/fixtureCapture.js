@@ -0,0 +1,319 @@
+// utils/fixtureCapture.js
+//
+// Capture mode for runScrape().  With `CAPTURE_FIXTURES=true` every
+// scraped page is saved as sanitised HTML snapshots: the Sales
+// Navigator page itself and, when they were opened, the SignalHire and
+// ContactOut sidebars.  The snapshots are the input of the offline
+// replay (utils/fixtureReplay.js), which runs the extractors against
+// them and compares the result with what the live run extracted.
+//
+// Snapshots are written to `data/fixtures/<jobId>/page-<n>/`
+// (`CAPTURE_FIXTURES_DIR` changes the base directory) as
+// `salesnav.html`, `signalhire.html` and `contactout.html`, beside a
+// `meta.json` with the URL, page type, selectors version and the live
+// extraction counts.
+//
+// Sanitising happens in the browser before anything is written:
+//
+//   * the names found in lead rows and extension cards are replaced
+//     everywhere in the document (text and attributes) by synthetic
+//     names, the same real name always getting the same synthetic one
+//     within a job, so a lead keeps matching its SignalHire and
+//     ContactOut cards;
+//   * the local part of every email address is replaced (the domain is
+//     kept, since the business/free domain split is what is tested);
+//   * public profile slugs (`linkedin.com/in/<slug>`) are replaced;
+//   * phone numbers in the cards' phone elements keep their format and
+//     first four digits (country and area code), the rest is replaced;
+//   * scripts, stylesheets and image sources are dropped, so a snapshot
+//     opens offline and shows the DOM exactly as it was captured.
+//
+// Capturing never interrupts a scrape: failures are logged and skipped.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { cleanName } = require('./nameCleaner');
+const { getPageProfile } = require('./pageProfiles');
+const { selector, selectorChain, describeSelectors } = require('./selectorRegistry');
+
+const defaultFixturesDir = path.join(__dirname, '..', 'data', 'fixtures');
+
+const FIRST_NAMES = [
+  'Alex', 'Blake', 'Casey', 'Dana', 'Eli', 'Frankie', 'Gray', 'Harper', 'Indy', 'Jordan',
+  'Kai', 'Logan', 'Morgan', 'Noel', 'Oakley', 'Parker', 'Quinn', 'Riley', 'Sage', 'Taylor',
+];
+const LAST_NAMES = [
+  'Abbott', 'Barnes', 'Carver', 'Dalton', 'Ellison', 'Fenwick', 'Garner', 'Holloway', 'Irving', 'Jensen',
+  'Keller', 'Lindqvist', 'Mercer', 'Norwood', 'Oakes', 'Prescott', 'Quimby', 'Rowland', 'Sutton', 'Thorne',
+];
+
+const EMAIL_SOURCE = '[A-Z0-9._%+-]+@[A-Z0-9.-]+\\.[A-Z]{2,}';
+const SLUG_SOURCE = 'linkedin\\.com/in/([^/?#"\'\\s<>]+)';
+
+function isEnabled() {
+  return ['1', 'true', 'yes'].includes(String(process.env.CAPTURE_FIXTURES || '').toLowerCase());
+}
+
+function fixturesDir() {
+  return process.env.CAPTURE_FIXTURES_DIR
+    ? path.resolve(process.env.CAPTURE_FIXTURES_DIR)
+    : defaultFixturesDir;
+}
+
+function syntheticName(n) {
+  const base = `${FIRST_NAMES[n % FIRST_NAMES.length]} ${LAST_NAMES[Math.floor(n / FIRST_NAMES.length) % LAST_NAMES.length]}`;
+  const round = Math.floor(n / (FIRST_NAMES.length * LAST_NAMES.length));
+  return round ? `${base}${round + 1}` : base;
+}
+
+/**
+ * Collect the personal data of one document: the raw text of every
+ * name element, every email address and every public profile slug.
+ * Runs in the browser.
+ */
+function collectInPage({ nameChains, emailSource, slugSource }) {
+  const names = [];
+  for (const chain of nameChains) {
+    for (const sel of chain) {
+      try {
+        document.querySelectorAll(sel).forEach((el) => {
+          const text = (el.textContent || '').trim();
+          if (text) names.push(text);
+        });
+      } catch {}
+    }
+  }
+  const emails = new Set();
+  const slugs = new Set();
+  const scan = (value) => {
+    (value.match(new RegExp(emailSource, 'gi')) || []).forEach((e) => emails.add(e));
+    for (const m of value.matchAll(new RegExp(slugSource, 'gi'))) slugs.add(m[1]);
+  };
+  const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) scan(walker.currentNode.nodeValue || '');
+  document.querySelectorAll('*').forEach((el) => {
+    for (const attr of el.attributes) scan(attr.value);
+  });
+  return { names, emails: [...emails], slugs: [...slugs] };
+}
+
+/**
+ * Serialise a sanitised copy of the document, or of the smallest
+ * element holding every match of `rootSelector` (and its parent, so a
+ * list keeps its container).  Runs in the browser; the live DOM is
+ * not touched.
+ */
+function snapshotInPage({ rootSelector, nameChains, phoneChains, replacements, rawNames, fakeNames }) {
+  let root = document.documentElement;
+  const matches = rootSelector ? [...document.querySelectorAll(rootSelector)] : [];
+  if (matches.length) {
+    // Smallest element holding every card (the list), then its container
+    let list = matches[0].parentElement || matches[0];
+    while (list.parentElement && !matches.every((m) => list.contains(m))) list = list.parentElement;
+    const container = list.parentElement;
+    root = container && container !== document.body && container !== document.documentElement ? container : list;
+  }
+  const clone = root.cloneNode(true);
+  // Name elements with their original text, for the fallback below
+  const nameEls = [];
+  for (const chain of nameChains) {
+    for (const sel of chain) {
+      try {
+        clone.querySelectorAll(sel).forEach((el) => nameEls.push([el, (el.textContent || '').trim()]));
+      } catch {}
+    }
+  }
+  clone.querySelectorAll('script, noscript, link, iframe, frame').forEach((el) => {
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') el.setAttribute('src', 'about:blank');
+    else el.remove();
+  });
+  clone.querySelectorAll('img, source').forEach((el) => {
+    el.removeAttribute('src');
+    el.removeAttribute('srcset');
+  });
+  const sanitise = (value) => {
+    let out = value;
+    for (const [pattern, flags, fake] of replacements) {
+      out = out.replace(new RegExp(pattern, flags), fake);
+    }
+    return out;
+  };
+  const walker = document.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    node.nodeValue = sanitise(node.nodeValue || '');
+  }
+  [clone, ...clone.querySelectorAll('*')].forEach((el) => {
+    for (const attr of [...el.attributes]) el.setAttribute(attr.name, sanitise(attr.value));
+  });
+  // Same digit position, same fake digit: a tel: link keeps matching its text
+  const fakeDigits = (s, keep) => s.replace(/\d/g, (d) => (++keep.n <= 4 ? d : String((keep.n * 7) % 10)));
+  for (const chain of phoneChains) {
+    for (const sel of chain) {
+      try {
+        clone.querySelectorAll(sel).forEach((el) => {
+          const keep = { n: 0 };
+          const texts = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+          while (texts.nextNode()) texts.currentNode.nodeValue = fakeDigits(texts.currentNode.nodeValue || '', keep);
+          const href = el.getAttribute('href');
+          if (href && /^tel:/i.test(href)) el.setAttribute('href', fakeDigits(href, { n: 0 }));
+        });
+      } catch {}
+    }
+  }
+  // A name element whose cleaned name does not appear verbatim (middle
+  // names, initials, single names) is replaced as a whole
+  for (const [el, raw] of nameEls) {
+    const text = el.textContent || '';
+    if (raw && !fakeNames.some((f) => text.includes(f))) el.textContent = rawNames[raw] || 'Alex Abbott';
+  }
+  if (root === document.documentElement) return `<!doctype html>\n${clone.outerHTML}\n`;
+  return `<!doctype html>\n<html>\n<head>\n<meta charset="utf-8" />\n</head>\n<body>\n${clone.outerHTML}\n</body>\n</html>\n`;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Start capturing a job's pages.  Returns null unless capture mode is
+ * enabled (`CAPTURE_FIXTURES=true`).
+ *
+ * @param {{id: string, url: string}} job
+ * @returns {{dir: string,
+ *   capturePage: function(import('playwright').Page, number): Promise<void>,
+ *   captureSignalHire: function(import('playwright').Page, number, {rows: number}): Promise<void>,
+ *   captureContactOut: function(import('playwright').Page, number, {profiles: number}): Promise<void>}|null}
+ */
+function createFixtureCapture(job) {
+  if (!isEnabled()) return null;
+  const dir = path.join(fixturesDir(), String(job.id).replace(/[^\w-]+/g, '_'));
+  // Real value → synthetic value, shared by every page of the job.
+  // `names` holds cleaned full names (replaced wherever they appear),
+  // `rawNames` the raw text of each name element.
+  const names = new Map();
+  const rawNames = new Map();
+  const emails = new Map();
+  const slugs = new Map();
+  const nameChains = [
+    selectorChain('salesnav.leadRow.name'),
+    selectorChain('signalhire.card.name'),
+    selectorChain('contactout.card.name'),
+  ];
+  const phoneChains = [selectorChain('signalhire.card.phone'), selectorChain('contactout.card.phone')];
+
+  function learn({ names: found, emails: rawEmails, slugs: rawSlugs }) {
+    for (const raw of found) {
+      if (rawNames.has(raw)) continue;
+      const cleaned = cleanName(raw);
+      // Only full names are replaced in running text: a lone first name
+      // would also hit unrelated words
+      const key = /\s/.test(cleaned) ? cleaned : null;
+      const fake = (key && names.get(key)) || syntheticName(rawNames.size);
+      rawNames.set(raw, fake);
+      if (key && !names.has(key)) names.set(key, fake);
+    }
+    for (const email of rawEmails) {
+      const key = email.toLowerCase();
+      if (!emails.has(key)) emails.set(key, `contact${emails.size + 1}@${key.split('@')[1]}`);
+    }
+    for (const slug of rawSlugs) {
+      if (!slugs.has(slug)) slugs.set(slug, `synthetic-profile-${slugs.size + 1}`);
+    }
+  }
+
+  // [pattern, flags, replacement] triples for the browser, longest first
+  function replacements() {
+    const list = [];
+    [...emails.entries()].forEach(([real, fake]) => list.push([escapeRegExp(real), 'gi', fake]));
+    [...slugs.entries()].forEach(([real, fake]) => list.push([`(linkedin\\.com/in/)${escapeRegExp(real)}(?=[/?#"'\\s<>]|$)`, 'gi', `$1${fake}`]));
+    [...names.entries()]
+      .sort((a, b) => b[0].length - a[0].length)
+      .forEach(([real, fake]) => list.push([`(?<!\\p{L})${escapeRegExp(real)}(?!\\p{L})`, 'gu', fake]));
+    return list;
+  }
+
+  async function snapshot(context, rootSelector) {
+    learn(await context.evaluate(collectInPage, { nameChains, emailSource: EMAIL_SOURCE, slugSource: SLUG_SOURCE }));
+    return context.evaluate(snapshotInPage, {
+      rootSelector,
+      nameChains,
+      phoneChains,
+      replacements: replacements(),
+      rawNames: Object.fromEntries(rawNames),
+      fakeNames: [...new Set(rawNames.values())],
+    });
+  }
+
+  // The page or extension frame showing the cards, or null
+  async function findCards(page, cardSel) {
+    for (const ctx of [page, ...page.frames().filter((f) => f !== page.mainFrame())]) {
+      try {
+        if (await ctx.locator(cardSel).count()) return ctx;
+      } catch {}
+    }
+    return null;
+  }
+
+  async function writeMeta(pageDir, pageNo, fields) {
+    const file = path.join(pageDir, 'meta.json');
+    let meta = {};
+    try {
+      meta = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {}
+    meta = {
+      jobId: job.id,
+      url: job.url,
+      pageType: (getPageProfile(job.url) || {}).type || null,
+      page: pageNo,
+      ...meta,
+      selectorsVersion: describeSelectors().version,
+      capturedAt: new Date().toISOString(),
+      ...fields,
+    };
+    await fs.writeFile(file, JSON.stringify(meta, null, 2));
+  }
+
+  async function save(page, pageNo, name, contextAndRoot, fields) {
+    try {
+      const found = await contextAndRoot();
+      if (!found) return;
+      const html = await snapshot(found.context, found.rootSelector);
+      const pageDir = path.join(dir, `page-${pageNo}`);
+      await fs.mkdir(pageDir, { recursive: true });
+      await fs.writeFile(path.join(pageDir, `${name}.html`), html);
+      await writeMeta(pageDir, pageNo, { ...fields, pageUrl: page.url() });
+    } catch (err) {
+      console.warn(`[capture] ${name} snapshot of page ${pageNo} failed:`, err?.message || err);
+    }
+  }
+
+  return {
+    dir,
+    capturePage: (page, pageNo) =>
+      save(page, pageNo, 'salesnav', async () => {
+        // Wait for the rows (as the extractors do) so the list is in the snapshot
+        const profile = getPageProfile(page.url()) || getPageProfile(job.url);
+        if (profile) {
+          await page.locator(profile.rowSelector).first().waitFor({ state: 'visible', timeout: 15_000 }).catch(() => { });
+        }
+        return { context: page, rootSelector: null };
+      }),
+    captureSignalHire: (page, pageNo, { rows }) =>
+      save(page, pageNo, 'signalhire', async () => {
+        const cardSel = selector('signalhire.card');
+        const ctx = await findCards(page, cardSel);
+        if (!ctx) return null;
+        return { context: ctx, rootSelector: ctx === page ? cardSel : null };
+      }, { signalhire: { rows } }),
+    captureContactOut: (page, pageNo, { profiles }) =>
+      save(page, pageNo, 'contactout', async () => {
+        const cardSel = selector('contactout.card');
+        const ctx = await findCards(page, cardSel);
+        if (!ctx) return null;
+        return { context: ctx, rootSelector: ctx === page ? cardSel : null };
+      }, { contactout: { profiles } }),
+  };
+}
+
+module.exports = { createFixtureCapture, fixturesDir, isCaptureEnabled: isEnabled };
@@ -0,0 +1,160 @@
+// utils/fixtureReplay.js
+//
+// Offline replay of the snapshots saved in capture mode (see
+// utils/fixtureCapture.js).  Every captured page is loaded into a
+// headless browser with the network cut off, and the extractors of a
+// live scrape – extractSignalHireProfiles() on `signalhire.html` and
+// collectProfiles() on `contactout.html` – run against it.  A page
+// fails when an extractor throws, returns nothing, returns rows without
+// a name (or, for SignalHire, without a profile link), or returns fewer
+// rows than the live run extracted from the same DOM (`meta.json`).
+// A selector change that breaks extraction therefore fails here
+// instead of producing empty CSVs.
+//
+// Run from the command line (exits with 1 when a page fails):
+//
+//   npm run replay-fixtures -- [fixturesDir]
+//
+// `fixturesDir` defaults to the capture directory; every folder below
+// it with a `meta.json` is replayed.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { chromium } = require('playwright');
+const { fixturesDir } = require('./fixtureCapture');
+const extractSignalHireProfiles = require('../signalHire/extractSignalHireProfiles');
+const collectProfiles = require('../contactOut/collectProfiles');
+
+// Snapshot file, extractor and row checks per extension
+const REPLAYS = [
+  {
+    name: 'signalhire',
+    file: 'signalhire.html',
+    expected: (meta) => meta.signalhire && meta.signalhire.rows,
+    extract: (page) => extractSignalHireProfiles(page),
+    incomplete: (row) => !row.name || !row.person_title,
+  },
+  {
+    name: 'contactout',
+    file: 'contactout.html',
+    expected: (meta) => meta.contactout && meta.contactout.profiles,
+    extract: (page) => collectProfiles(page),
+    incomplete: (row) => !row.fullName,
+  },
+];
+
+/**
+ * Find the captured page folders (those with a `meta.json`) below a
+ * directory, sorted by path.
+ *
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFixturePages(dir) {
+  const found = [];
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return found;
+    throw err;
+  }
+  if (entries.some((e) => e.isFile() && e.name === 'meta.json')) found.push(dir);
+  for (const entry of entries) {
+    if (entry.isDirectory()) found.push(...(await listFixturePages(path.join(dir, entry.name))));
+  }
+  return found.sort();
+}
+
+async function replayOne(context, pageDir, meta, replay) {
+  let html;
+  try {
+    html = await fs.readFile(path.join(pageDir, replay.file), 'utf8');
+  } catch {
+    return null;
+  }
+  const expected = replay.expected(meta);
+  const result = { name: replay.name, expected: expected ?? null, rows: 0, status: 'ok', error: null };
+  const page = await context.newPage();
+  try {
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    const rows = await replay.extract(page);
+    result.rows = rows.length;
+    const incomplete = rows.filter(replay.incomplete).length;
+    if (!rows.length) {
+      result.error = 'No rows extracted';
+    } else if (incomplete) {
+      result.error = `${incomplete} row(s) without a name${replay.name === 'signalhire' ? ' or profile link' : ''}`;
+    } else if (Number.isInteger(expected) && rows.length < expected) {
+      result.error = `Extracted ${rows.length} row(s), the live run extracted ${expected}`;
+    }
+  } catch (err) {
+    result.error = err?.message || String(err);
+  } finally {
+    await page.close().catch(() => { });
+  }
+  if (result.error) result.status = 'failed';
+  return result;
+}
+
+/**
+ * Replay every captured page below a directory.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.dir] Defaults to the capture directory
+ * @returns {Promise<{dir: string, pages: Array<{dir: string, url: string|null,
+ *   page: number|null, results: Object[]}>, failures: number}>} One
+ *   result per snapshot: `{ name, expected, rows, status, error }`
+ */
+async function replayFixtures({ dir = fixturesDir() } = {}) {
+  const pageDirs = await listFixturePages(dir);
+  const report = { dir, pages: [], failures: 0 };
+  if (!pageDirs.length) return report;
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext({ viewport: { width: 1920, height: 1080 } });
+    // Snapshots are self-contained; nothing may leave the machine
+    await context.route('**/*', (route) => route.abort());
+    for (const pageDir of pageDirs) {
+      const meta = JSON.parse(await fs.readFile(path.join(pageDir, 'meta.json'), 'utf8'));
+      const results = [];
+      for (const replay of REPLAYS) {
+        const result = await replayOne(context, pageDir, meta, replay);
+        if (!result) continue;
+        if (result.status !== 'ok') report.failures += 1;
+        results.push(result);
+      }
+      report.pages.push({ dir: pageDir, url: meta.pageUrl || meta.url || null, page: meta.page ?? null, results });
+    }
+  } finally {
+    await browser.close().catch(() => { });
+  }
+  return report;
+}
+
+module.exports = { replayFixtures, listFixturePages };
+
+if (require.main === module) {
+  const dir = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+  replayFixtures({ dir })
+    .then((report) => {
+      if (!report.pages.length) {
+        console.log(`No captured pages in ${report.dir} (run a scrape with CAPTURE_FIXTURES=true).`);
+        return;
+      }
+      for (const p of report.pages) {
+        const where = path.relative(report.dir, p.dir) || '.';
+        for (const r of p.results) {
+          const expected = r.expected == null ? '' : ` (live: ${r.expected})`;
+          const detail = r.error ? ` – ${r.error}` : '';
+          console.log(`${r.status === 'ok' ? 'OK    ' : 'FAILED'} ${where} ${r.name}: ${r.rows} row(s)${expected}${detail}`);
+        }
+      }
+      console.log(`${report.failures} failure(s) in ${report.pages.length} page(s).`);
+      process.exitCode = report.failures ? 1 : 0;
+    })
+    .catch((err) => {
+      console.error(err?.message || err);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,242 @@
+// utils/fuzzyNameMatcher.js
+//
+// Fuzzy comparison of person names, for matching ContactOut profiles
+// to CSV rows when no LinkedIn URL ties them together (see
+// utils/mergeContactDomains.js).  `nameConfidence(a, b)` scores two
+// names from 0 to 1:
+//
+//   * names are transliterated first (diacritics stripped, Cyrillic and
+//     a few special Latin letters spelled in ASCII), so "José" and
+//     "Jose" or "Иван" and "Ivan" are equal;
+//   * first names are compared through a nickname dictionary ("Bob" and
+//     "Robert" score 0.95), a table of transliterated and alternative
+//     spellings ("Dmitry" and "Dmitriy", "Sara" and "Sarah" score 0.95)
+//     and an initial matches its name ("J." and "John" score 0.75).  Any
+//     other pair of first names is scored by edit distance but capped at
+//     0.6, so "Mark Smith" and "Mary Smith" stay below the default
+//     threshold however close the spellings are;
+//   * surnames are compared as compounds: "García-López", "Garcia Lopez"
+//     and "Garcialopez" are equal, and one part against the whole
+//     ("Garcia" against "García-López" or "Garcialopez") scores 0.9;
+//   * the surname-first order of many East-Asian names is tried too
+//     ("Wang Xiaoming" against "Xiaoming Wang" scores 0.97);
+//   * other surnames fall back to their edit distance.
+//
+// The first name and the surname count for half of the score each.
+// Names that are equal after normalisation score exactly 1.
+
+// Minimum confidence of a name match unless a job sets its own
+const DEFAULT_MIN_CONFIDENCE = 0.85;
+
+// Canonical first name → nicknames and short forms
+const NICKNAMES = {
+  alexander: ['alex', 'alec', 'sasha', 'sandy'],
+  alexandra: ['alex', 'alexa', 'sasha', 'sandra', 'lexi'],
+  andrew: ['andy', 'drew'],
+  anthony: ['tony'],
+  benjamin: ['ben', 'benny', 'benji'],
+  catherine: ['cathy', 'cate', 'kate', 'katie', 'kathy', 'catherine', 'katherine', 'kathryn'],
+  charles: ['charlie', 'chuck', 'chas'],
+  christopher: ['chris', 'kit', 'topher'],
+  christina: ['chris', 'christy', 'tina', 'christine'],
+  daniel: ['dan', 'danny'],
+  david: ['dave', 'davey'],
+  deborah: ['deb', 'debbie', 'debra'],
+  edward: ['ed', 'eddie', 'ted', 'ned'],
+  elizabeth: ['liz', 'lizzie', 'beth', 'betty', 'eliza', 'libby', 'elisabeth'],
+  frederick: ['fred', 'freddie', 'fritz'],
+  gregory: ['greg'],
+  henry: ['hank', 'harry'],
+  isabella: ['bella', 'izzy', 'isabel', 'isabelle'],
+  jacob: ['jake'],
+  james: ['jim', 'jimmy', 'jamie'],
+  jennifer: ['jen', 'jenny', 'jenn'],
+  jessica: ['jess', 'jessie'],
+  john: ['jack', 'johnny', 'jon'],
+  jonathan: ['jon', 'jonny', 'nathan'],
+  joseph: ['joe', 'joey', 'jose'],
+  joshua: ['josh'],
+  katherine: ['kate', 'katie', 'kathy', 'kat', 'catherine'],
+  lawrence: ['larry', 'laurence'],
+  margaret: ['maggie', 'meg', 'peggy', 'marge', 'greta'],
+  matthew: ['matt', 'matty'],
+  michael: ['mike', 'mikey', 'mick', 'mickey'],
+  nicholas: ['nick', 'nicky', 'nico', 'nicolas'],
+  patricia: ['pat', 'patty', 'trish'],
+  patrick: ['pat', 'paddy'],
+  peter: ['pete'],
+  rebecca: ['becky', 'becca'],
+  richard: ['rick', 'rich', 'dick', 'ricky', 'richie'],
+  robert: ['bob', 'bobby', 'rob', 'robbie', 'bert'],
+  samuel: ['sam', 'sammy'],
+  samantha: ['sam', 'sammy'],
+  stephen: ['steve', 'steven', 'stevie'],
+  susan: ['sue', 'susie', 'suzanne'],
+  thomas: ['tom', 'tommy'],
+  timothy: ['tim', 'timmy'],
+  victoria: ['vicky', 'tori'],
+  william: ['will', 'bill', 'billy', 'willy', 'liam'],
+  zachary: ['zach', 'zack'],
+};
+
+// Spellings of one first name: transliteration schemes (the first
+// spelling is the group's canonical name) and alternative spellings
+const SPELLINGS = [
+  ['aleksandr', 'alexandr', 'aleksander', 'oleksandr'],
+  ['aleksei', 'alexei', 'alexey', 'aleksey', 'oleksii', 'oleksiy'],
+  ['andrei', 'andrey', 'andriy', 'andrii'],
+  ['dmitri', 'dmitry', 'dmitriy', 'dmytro'],
+  ['evgeny', 'evgeniy', 'yevgeny', 'yevgeniy'],
+  ['mikhail', 'mykhailo'],
+  ['natalia', 'natalya', 'nataliya'],
+  ['sergei', 'sergey', 'serhii', 'serhiy'],
+  ['yuri', 'yury', 'yuriy', 'iurii'],
+  ['mohammed', 'muhammad', 'mohammad', 'mohamed', 'muhammed'],
+  ['ahmed', 'ahmad'],
+  ['yusuf', 'yousef', 'youssef'],
+  ['sarah', 'sara'],
+  ['hannah', 'hanna'],
+  ['philip', 'phillip'],
+  ['jeffrey', 'geoffrey', 'jeffery'],
+  ['brian', 'bryan'],
+  ['alan', 'allan', 'allen'],
+];
+
+// Highest score of two first names that are neither equal, nicknames,
+// spellings of one name nor an initial: below DEFAULT_MIN_CONFIDENCE
+// even with an equal surname (0.5 * 0.6 + 0.5 * 1 = 0.8)
+const FIRST_NAME_EDIT_CAP = 0.6;
+
+// Nickname or spelling → every canonical name it may stand for
+const CANONICAL = new Map();
+for (const [name, ...nicks] of [...Object.entries(NICKNAMES).map(([name, nicks]) => [name, ...nicks]), ...SPELLINGS]) {
+  for (const n of [name, ...nicks]) {
+    if (!CANONICAL.has(n)) CANONICAL.set(n, new Set());
+    CANONICAL.get(n).add(name);
+  }
+}
+
+// Letters NFD does not decompose, and Cyrillic
+const TRANSLIT = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y',
+  ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+};
+
+const TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'dame']);
+
+/**
+ * Transliterate and lower-case a string to plain a–z letters, spaces
+ * and hyphens.
+ *
+ * @param {string} s
+ * @returns {string}
+ */
+function transliterate(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/./g, (c) => (Object.prototype.hasOwnProperty.call(TRANSLIT, c) ? TRANSLIT[c] : c))
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`.]/g, '')
+    .replace(/[^a-z\s-]/g, ' ')
+    .replace(/\s*-\s*/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a name into its first name and surname parts.  Credentials
+ * after a comma, bracketed text, titles and middle names are dropped;
+ * hyphenated surnames keep their parts.
+ *
+ * @param {string} name Raw or cleaned name
+ * @returns {{first: string, last: string[], full: string}|null}
+ */
+function parseName(name) {
+  const raw = String(name || '').split(',')[0].replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+  const tokens = transliterate(raw).split(' ').filter(Boolean);
+  while (tokens.length > 1 && TITLES.has(tokens[0])) tokens.shift();
+  if (!tokens.length) return null;
+  const first = tokens[0].replace(/-/g, '');
+  const last = tokens.length > 1 ? tokens[tokens.length - 1].split('-').filter(Boolean) : [];
+  return { first, last, full: [first, last.join('')].filter(Boolean).join(' ') };
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function editSimilarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 0;
+}
+
+function firstNameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const ca = CANONICAL.get(a);
+  const cb = CANONICAL.get(b);
+  if ((ca && ca.has(b)) || (cb && cb.has(a)) || (ca && cb && [...ca].some((n) => cb.has(n)))) return 0.95;
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.75;
+  return Math.min(editSimilarity(a, b), FIRST_NAME_EDIT_CAP);
+}
+
+function surnameSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const ja = a.join('');
+  const jb = b.join('');
+  if (ja === jb) return 1;
+  // One part of a compound surname, also when the compound was written
+  // as one word (cleanName() drops the hyphen); the rest must be long
+  // enough to be a surname of its own, so Smith/Smithson is no match
+  const shorter = ja.length < jb.length ? ja : jb;
+  const longer = ja.length < jb.length ? jb : ja;
+  const compound =
+    shorter.length >= 3 &&
+    longer.length - shorter.length >= 4 &&
+    (longer.startsWith(shorter) || longer.endsWith(shorter));
+  if (a.some((p) => b.includes(p)) || compound) return 0.9;
+  return editSimilarity(ja, jb);
+}
+
+function scoreParsed(a, b) {
+  if (a.full === b.full) return 1;
+  // A lone name (no surname) is never matched fuzzily
+  if (!a.last.length || !b.last.length) return 0;
+  const direct = 0.5 * firstNameSimilarity(a.first, b.first) + 0.5 * surnameSimilarity(a.last, b.last);
+  // Surname first: compare a's first name with b's surname and back
+  const swapped =
+    0.97 *
+    (0.5 * firstNameSimilarity(a.first, b.last.join('')) + 0.5 * surnameSimilarity(a.last, [b.first]));
+  return Math.max(direct, swapped);
+}
+
+/**
+ * Confidence (0–1) that two names belong to the same person.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Rounded to two decimals; 0 when either name is empty
+ */
+function nameConfidence(a, b) {
+  const pa = parseName(a);
+  const pb = parseName(b);
+  if (!pa || !pb) return 0;
+  return Math.round(scoreParsed(pa, pb) * 100) / 100;
+}
+
+module.exports = { nameConfidence, parseName, transliterate, DEFAULT_MIN_CONFIDENCE };
@@ -0,0 +1,68 @@
+// utils/jobEvents.js
+//
+// In-process event bus for live job progress.  The scrape loop emits an
+// event at each step (page started, SignalHire rows extracted,
+// ContactOut profiles merged, accounts or native lead rows extracted, page advanced, paused, completed, split
+// into sub-searches and sub-search progress) and the
+// `GET /jobs/:id/events` route forwards them to browsers as Server-Sent
+// Events.  Nothing is persisted here; a client that connects late gets
+// the current job totals as a snapshot and then follows live events.
+
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+// One listener per open SSE connection; there is no meaningful limit.
+bus.setMaxListeners(0);
+
+// Event types emitted by the scraper, in the order they normally occur
+const JOB_EVENT_TYPES = [
+  'started',
+  'page-started',
+  'signalhire-rows',
+  'contactout-merged',
+  'accounts-extracted',
+  'leads-extracted',
+  'page-advanced',
+  'paused',
+  'completed',
+  'split',
+  'split-progress',
+];
+
+/**
+ * Publish a progress event for a job.  The job's running totals are
+ * attached so every event carries up-to-date counters.
+ *
+ * @param {Object} job The job object (must have `id`)
+ * @param {string} type One of JOB_EVENT_TYPES
+ * @param {Object} [data] Event specific fields (e.g. `page`, `rows`)
+ */
+function emitJobEvent(job, type, data = {}) {
+  if (!job || !job.id) return;
+  const event = {
+    type,
+    jobId: job.id,
+    at: new Date().toISOString(),
+    ...data,
+    state: job.state,
+    pageIndex: job.pageIndex,
+    totalRows: job.totalRows || 0,
+    totalContacts: job.totalContacts || 0,
+  };
+  bus.emit(`job:${job.id}`, event);
+}
+
+/**
+ * Subscribe to the events of a single job.
+ *
+ * @param {string} jobId
+ * @param {(event: Object) => void} listener
+ * @returns {() => void} Function that removes the subscription
+ */
+function subscribeJobEvents(jobId, listener) {
+  const channel = `job:${jobId}`;
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+}
+
+module.exports = { JOB_EVENT_TYPES, emitJobEvent, subscribeJobEvents };
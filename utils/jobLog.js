@@ -0,0 +1,114 @@
+// utils/jobLog.js
+//
+// Persistent, append-only event log for each job.  Everything the
+// scrape loop and its helpers (runSignalHire(), runContactOut(),
+// clickNextPage()) report is appended as one JSON object per line to
+// `all_jobs/<jobId>.log.jsonl`, beside the job's JSON file, so the
+// reason a job paused overnight can still be read the next morning.
+// Unlike the live events in jobEvents.js the log survives restarts and
+// covers every run of the job.
+//
+// Entry fields:
+//   at       ISO timestamp
+//   phase    What was happening: run, queue, login, signalhire,
+//            contactout, navigation
+//   outcome  What came of it, e.g. started, ok, retry, error, paused
+//   page     Page the job was on (when known)
+//   attempt  Retry attempt number (when the step is retried)
+//   error    Error message (when the step failed)
+// plus any step specific fields (rows, profiles, reason, ...).
+
+const fs = require('fs/promises');
+const { ensureJobsDir, getJobLogPath } = require('./jobsManager');
+
+// Pending writes per job.  Appends for the same job are chained so the
+// lines land in the order they were logged.
+const writeChains = new Map();
+
+/**
+ * Append an entry to a job's log.  Never rejects: a failed log write
+ * must not interrupt a scrape.
+ *
+ * @param {string} jobId The job id
+ * @param {Object} entry Entry fields; `phase` and `outcome` are expected
+ * @returns {Promise<void>} Resolves once the line is written
+ */
+function appendJobLog(jobId, entry) {
+  if (!jobId) return Promise.resolve();
+  const record = { at: new Date().toISOString() };
+  for (const [key, value] of Object.entries(entry || {})) {
+    if (value !== undefined && value !== null) record[key] = value;
+  }
+  const line = `${JSON.stringify(record)}\n`;
+  const previous = writeChains.get(jobId) || Promise.resolve();
+  const next = previous
+    .then(async () => {
+      await ensureJobsDir();
+      await fs.appendFile(getJobLogPath(jobId), line, 'utf8');
+    })
+    .catch((err) => {
+      console.warn('jobLog: failed to append to', jobId, ':', err.message);
+    });
+  writeChains.set(jobId, next);
+  // Drop the chain once idle so finished jobs do not pin memory
+  next.then(() => {
+    if (writeChains.get(jobId) === next) writeChains.delete(jobId);
+  });
+  return next;
+}
+
+/**
+ * Build a logger bound to one job.  The returned function takes the
+ * phase, the outcome and any extra fields; `getPage` supplies the page
+ * number at the time of the call.
+ *
+ * @param {string} jobId The job id
+ * @param {() => number} [getPage] Returns the job's current page
+ * @returns {(phase: string, outcome: string, fields?: Object) => Promise<void>}
+ */
+function createJobLogger(jobId, getPage) {
+  return (phase, outcome, fields = {}) =>
+    appendJobLog(jobId, {
+      page: getPage ? getPage() : undefined,
+      phase,
+      outcome,
+      ...fields,
+    });
+}
+
+/**
+ * Read a job's log.  Lines that cannot be parsed (e.g. a write cut
+ * short by a crash) are skipped.
+ *
+ * @param {string} jobId The job id
+ * @param {Object} [opts]
+ * @param {number} [opts.offset=0] Skip this many entries from the start
+ *   (clients pass the previous `total` to fetch only new entries)
+ * @param {number} [opts.limit] Return at most this many entries
+ * @returns {Promise<{entries: Object[], total: number}>} The selected
+ *   entries and the total number of entries in the log
+ */
+async function readJobLog(jobId, { offset = 0, limit } = {}) {
+  // Let pending appends land first so a read straight after a write sees it
+  await (writeChains.get(jobId) || Promise.resolve());
+  let raw = '';
+  try {
+    raw = await fs.readFile(getJobLogPath(jobId), 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const all = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      all.push(JSON.parse(line));
+    } catch {
+      // ignore partial lines
+    }
+  }
+  const start = Math.max(0, Number(offset) || 0);
+  const end = Number(limit) > 0 ? start + Number(limit) : undefined;
+  return { entries: all.slice(start, end), total: all.length };
+}
+
+module.exports = { appendJobLog, createJobLogger, readJobLog };
@@ -14,11 +14,34 @@ const path = require('path');
 // named `<jobId>.json` and contain the serialized job object.
 const jobsDir = path.join(__dirname, '..', 'all_jobs');
 
+// Each job's event log (see utils/jobLog.js) sits beside its JSON file
+// as `<jobId>.log.jsonl` and is removed together with the job.
+const LOG_SUFFIX = '.log.jsonl';
+
+/**
+ * Path of a job's event log file.
+ *
+ * @param {string} jobId The job id
+ */
+function getJobLogPath(jobId) {
+  return path.join(jobsDir, `${jobId}${LOG_SUFFIX}`);
+}
+
+async function unlinkIfExists(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
 // In-memory cache of jobs, keyed by jobId.  This cache is populated
 // on server startup by `loadJobs()` and updated whenever jobs are
 // created or modified.  The cache is not automatically persisted
-// until `setJob()` or `updateJob()` is called.
-let jobsCache = {};
+// until `setJob()` or `updateJob()` is called.  The object identity
+// never changes so that modules holding a reference (via getJobs())
+// keep seeing the loaded jobs.
+const jobsCache = {};
 
 /**
  * Ensure that the jobs directory exists.  If it does not exist,
@@ -55,7 +78,8 @@ async function loadJobs() {
       console.warn('jobsManager: failed to load job', file, ':', e.message);
     }
   }
-  jobsCache = jobs;
+  for (const key of Object.keys(jobsCache)) delete jobsCache[key];
+  Object.assign(jobsCache, jobs);
   return jobsCache;
 }
 
@@ -75,19 +99,16 @@ async function saveJob(job) {
 }
 
 /**
- * Delete a job file from disk and remove it from the cache.  If the
- * file does not exist, the promise resolves without error.
+ * Delete a job file and its event log from disk and remove the job
+ * from the cache.  If the files do not exist, the promise resolves
+ * without error.
  *
  * @param {string} jobId The id of the job to delete
  */
 async function deleteJobFile(jobId) {
   if (!jobId) return;
-  const filePath = path.join(jobsDir, `${jobId}.json`);
-  try {
-    await fs.unlink(filePath);
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err;
-  }
+  await unlinkIfExists(path.join(jobsDir, `${jobId}.json`));
+  await unlinkIfExists(getJobLogPath(jobId));
   delete jobsCache[jobId];
 }
 
@@ -111,6 +132,7 @@ async function cleanupOldJobs(days = 3) {
       if (stat.mtimeMs < cutoff) {
         await fs.unlink(filePath);
         const jobId = file.replace(/\.json$/i, '');
+        await unlinkIfExists(getJobLogPath(jobId));
         delete jobsCache[jobId];
       }
     } catch (e) {
@@ -160,8 +182,133 @@ async function updateJob(jobId, updates) {
   await saveJob(job);
 }
 
+// -----------------------------------------------------------------------------
+// Job queue
+//
+// Queued jobs carry `state: 'queued'` plus a 1-based `queueOrder`.  The
+// order is stored on the job objects themselves so that it survives
+// restarts together with the rest of the job state.  A job's
+// `priority` only matters when it is enqueued: it is inserted ahead of
+// every queued job with a lower priority.  After that the order can be
+// changed freely with reorderQueue().
+
+/**
+ * Return the queued jobs in the order they will be run.
+ *
+ * @returns {Object[]}
+ */
+function getQueue() {
+  return Object.values(jobsCache)
+    .filter((job) => job && job.state === 'queued')
+    .sort((a, b) => {
+      const oa = Number.isFinite(a.queueOrder) ? a.queueOrder : Infinity;
+      const ob = Number.isFinite(b.queueOrder) ? b.queueOrder : Infinity;
+      if (oa !== ob) return oa - ob;
+      return String(a.queuedAt || '').localeCompare(String(b.queuedAt || ''));
+    });
+}
+
+/**
+ * Return the 1-based queue position of a job, or null if the job is
+ * not queued.
+ *
+ * @param {string} jobId The job id
+ * @returns {number|null}
+ */
+function getQueuePosition(jobId) {
+  const idx = getQueue().findIndex((job) => job.id === jobId);
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Renumber the given queue and persist every job whose position
+ * changed.
+ *
+ * @param {Object[]} queue Queued jobs in their new order
+ */
+async function persistQueueOrder(queue) {
+  const changed = [];
+  queue.forEach((job, i) => {
+    if (job.queueOrder !== i + 1) {
+      job.queueOrder = i + 1;
+      changed.push(job);
+    }
+  });
+  await Promise.all(changed.map((job) => saveJob(job)));
+}
+
+/**
+ * Add a job to the queue.  The job is inserted after every queued job
+ * with the same or a higher priority, or at the very front when
+ * `atFront` is set.  Re-enqueueing an already queued job moves it.
+ *
+ * @param {string} jobId The id of the job to enqueue
+ * @param {Object} [opts]
+ * @param {number} [opts.priority] Priority; keeps the job's previous priority (or 0) when omitted
+ * @param {boolean} [opts.atFront=false] Put the job at the head of the queue
+ * @returns {Promise<number>} The job's 1-based queue position
+ */
+async function enqueueJob(jobId, { priority, atFront = false } = {}) {
+  const job = jobsCache[jobId];
+  if (!job) throw new Error('Job not found');
+  const queue = getQueue().filter((j) => j.id !== jobId);
+  if (priority !== undefined) job.priority = Number(priority) || 0;
+  if (!Number.isFinite(job.priority)) job.priority = 0;
+  job.state = 'queued';
+  job.queuedAt = new Date().toISOString();
+  let idx = atFront ? 0 : queue.findIndex((j) => (j.priority || 0) < job.priority);
+  if (idx === -1) idx = queue.length;
+  queue.splice(idx, 0, job);
+  // Force a write for the enqueued job even if its order is unchanged
+  job.queueOrder = null;
+  await persistQueueOrder(queue);
+  return idx + 1;
+}
+
+/**
+ * Reorder the queue.  The listed jobs move to the front in the given
+ * order; queued jobs that are not listed keep their relative order
+ * behind them.  Unknown or non-queued ids are ignored.
+ *
+ * @param {string[]} jobIds Job ids in the desired order
+ * @returns {Promise<Object[]>} The queue in its new order
+ */
+async function reorderQueue(jobIds) {
+  const queue = getQueue();
+  const byId = new Map(queue.map((job) => [job.id, job]));
+  const head = [];
+  for (const id of jobIds || []) {
+    const job = byId.get(id);
+    if (job && !head.includes(job)) head.push(job);
+  }
+  const next = [...head, ...queue.filter((job) => !head.includes(job))];
+  await persistQueueOrder(next);
+  return next;
+}
+
+/**
+ * Remove a job from the queue and give it a new (non-queued) state.
+ * The remaining queued jobs are renumbered.
+ *
+ * @param {string} jobId The id of the job to dequeue
+ * @param {Object} [opts]
+ * @param {string} [opts.state='paused'] State to assign to the job
+ * @returns {Promise<boolean>} False if the job was not queued
+ */
+async function dequeueJob(jobId, { state = 'paused' } = {}) {
+  const job = jobsCache[jobId];
+  if (!job || job.state !== 'queued') return false;
+  job.state = state;
+  delete job.queueOrder;
+  delete job.queuedAt;
+  await saveJob(job);
+  await persistQueueOrder(getQueue());
+  return true;
+}
+
 module.exports = {
   jobsDir,
+  getJobLogPath,
   ensureJobsDir,
   loadJobs,
   cleanupOldJobs,
@@ -170,4 +317,9 @@ module.exports = {
   setJob,
   updateJob,
   deleteJobFile,
+  getQueue,
+  getQueuePosition,
+  enqueueJob,
+  reorderQueue,
+  dequeueJob,
 };
\ No newline at end of file
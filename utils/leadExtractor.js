@@ -0,0 +1,223 @@
+// utils/leadExtractor.js
+//
+// Native lead extraction: reads the lead rows of a Sales Navigator
+// people search or saved lead list straight from the DOM, without the
+// SignalHire or ContactOut extensions.  Each row yields the lead's
+// name, title, company, location, Sales Navigator lead URL and
+// connection degree.  The LinkedIn (/in/) URL is not shown on Sales
+// Navigator, so native rows leave that column empty.  Selectors come
+// from the lead profiles in utils/pageProfiles.js.
+//
+// Jobs choose where their lead rows come from with `extractor`:
+//
+//   signalhire         the SignalHire sidebar (the original behaviour)
+//   native             this module only; no extension is used
+//   native+signalhire  SignalHire rows, enriched with the native fields;
+//                      leads SignalHire did not return are saved from
+//                      the native rows, so a page never yields nothing
+
+const fs = require('fs/promises');
+const { profileForPage } = require('./pageProfiles');
+const { saveProfilesCsv, DEEP_COLUMNS } = require('./saveProfilesCsv');
+const { cleanName } = require('./nameCleaner');
+const { cleanCompanyName } = require('./cleanCompanyName');
+
+const EXTRACTORS = ['signalhire', 'native', 'native+signalhire'];
+const DEFAULT_EXTRACTOR = 'signalhire';
+
+// Fields only native rows have, copied onto matching SignalHire rows
+const NATIVE_ONLY_FIELDS = ['sales_nav_url', 'connection_degree', ...DEEP_COLUMNS.map((c) => c.key)];
+
+/**
+ * Validate a job's extractor option.
+ *
+ * @param {*} input One of EXTRACTORS; empty means the default
+ * @returns {string}
+ * @throws {Error} If the value is not a known extractor
+ */
+function parseExtractor(input) {
+  if (input === undefined || input === null || input === '') return DEFAULT_EXTRACTOR;
+  const value = String(input).trim().toLowerCase();
+  if (!EXTRACTORS.includes(value)) {
+    throw new Error(`extractor must be one of: ${EXTRACTORS.join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Whether a job needs the SignalHire and ContactOut extensions.
+ *
+ * @param {Object} job A job; jobs without `extractor` use SignalHire
+ */
+function usesSignalHire(job) {
+  return (job.extractor || DEFAULT_EXTRACTOR) !== 'native';
+}
+
+/**
+ * Extract the leads shown on the current results page.
+ *
+ * @param {import('playwright').Page} page Page on a people search or lead list
+ * @returns {Promise<Object[]>} Rows keyed like saveProfilesCsv's columns
+ */
+async function extractLeads(page) {
+  const profile = profileForPage(page);
+  const rows = await page.$$eval(
+    profile.rowSelector,
+    (links, fields) => {
+      const text = (el) => (el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '');
+      const seen = new Set();
+      const out = [];
+      for (const link of links) {
+        const row = link.closest('li, tr, article') || link.parentElement;
+        if (!row || seen.has(row)) continue;
+        seen.add(row);
+        const pick = (sel) => (sel ? text(row.querySelector(sel)) : '');
+        // "2nd degree connection", "· 3rd", ...
+        const degree = pick(fields.degree).match(/\b(1st|2nd|3rd\+?)\b/i);
+        let url = '';
+        try {
+          const u = new URL(link.getAttribute('href') || '', window.location.origin);
+          url = `${u.origin}${u.pathname}`;
+        } catch { }
+        out.push({
+          name: pick(fields.name) || text(link),
+          title: pick(fields.title),
+          company: pick(fields.company),
+          person_location: pick(fields.location),
+          sales_nav_url: url,
+          connection_degree: degree ? degree[1].toLowerCase() : '',
+        });
+      }
+      return out;
+    },
+    profile.fields || {}
+  );
+  return rows
+    .filter((r) => r.name || r.sales_nav_url)
+    .map((r) => {
+      const name = cleanName(r.name);
+      const tokens = name.split(' ').filter(Boolean);
+      return {
+        name,
+        first_name: tokens[0] || '',
+        last_name: tokens.length > 1 ? tokens[tokens.length - 1] : '',
+        title: r.title,
+        company: cleanCompanyName(r.company),
+        person_location: r.person_location,
+        person_title: '',
+        domain: '',
+        sales_nav_url: r.sales_nav_url,
+        connection_degree: r.connection_degree,
+      };
+    });
+}
+
+// Key used to pair a native row with a SignalHire card of the same lead
+function leadKey(row) {
+  return String(row.name || '').trim().toLowerCase();
+}
+
+/**
+ * Pair SignalHire rows with native rows of the same lead (by cleaned
+ * full name).  Matched SignalHire rows get the native Sales Navigator
+ * URL, connection degree and deep extraction details, and any title,
+ * company or location the card was missing.  Rows are changed in place.
+ *
+ * @param {Object[]} shRows Rows from extractSignalHireProfiles()
+ * @param {Object[]} nativeRows Rows from extractLeads()
+ * @returns {Object[]} The native rows no SignalHire row matched
+ */
+function mergeNativeLeads(shRows, nativeRows) {
+  const byKey = new Map();
+  for (const row of nativeRows) {
+    const key = leadKey(row);
+    if (key && !byKey.has(key)) byKey.set(key, row);
+  }
+  const matched = new Set();
+  for (const row of shRows) {
+    const native = byKey.get(leadKey(row));
+    if (!native) continue;
+    matched.add(native);
+    for (const field of NATIVE_ONLY_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(native, field)) row[field] = native[field];
+    }
+    for (const field of ['title', 'company', 'person_location']) {
+      if (!row[field]) row[field] = native[field];
+    }
+  }
+  return nativeRows.filter((row) => !matched.has(row));
+}
+
+// Leads already in the CSV: Sales Navigator URLs, and full names for
+// rows without one (lower-cased)
+async function readSavedLeadKeys(filePath) {
+  const keys = { urls: new Set(), names: new Set() };
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch {
+    return keys;
+  }
+  let parse;
+  try {
+    parse = require('csv-parse/sync').parse;
+  } catch {
+    return keys;
+  }
+  try {
+    const rows = parse(raw, { columns: true, bom: true, skip_empty_lines: true, relax_column_count: true });
+    for (const r of rows) {
+      const url = String(r['Sales Nav Lead URL'] || '').trim().toLowerCase();
+      if (url) keys.urls.add(url);
+      const name = String(r['Full Name'] || '').trim().toLowerCase();
+      if (name) keys.names.add(name);
+    }
+  } catch { }
+  return keys;
+}
+
+/**
+ * Append native leads to a CSV, skipping leads already in the file (by
+ * Sales Navigator lead URL, or by full name when the file has no
+ * Sales Nav Lead URLs yet) or repeated on the page.
+ *
+ * @param {Object[]} leads Rows from extractLeads()
+ * @param {Object} opts
+ * @param {string} opts.filePath Output CSV file path
+ * @param {number} [opts.maxRows] Save at most this many new rows
+ * @param {Function} [opts.beforeSave] Awaited with the rows about to be
+ *   written, after duplicates are dropped (e.g. to resolve their
+ *   LinkedIn URLs with leadUrlResolver.resolveLeadUrls())
+ * @returns {Promise<{rows: Object[], duplicates: number}>} The rows
+ *   written and the number of duplicates skipped
+ */
+async function saveLeads(leads, { filePath, maxRows, beforeSave } = {}) {
+  const saved = await readSavedLeadKeys(filePath);
+  let rows = [];
+  let duplicates = 0;
+  for (const lead of leads) {
+    const url = String(lead.sales_nav_url || '').toLowerCase();
+    const name = leadKey(lead);
+    if ((url && saved.urls.has(url)) || (!saved.urls.size && name && saved.names.has(name))) {
+      duplicates++;
+      continue;
+    }
+    if (url) saved.urls.add(url);
+    if (name) saved.names.add(name);
+    rows.push(lead);
+  }
+  if (maxRows !== undefined) rows = rows.slice(0, maxRows);
+  if (beforeSave && rows.length) await beforeSave(rows);
+  await saveProfilesCsv(rows, { filePath });
+  return { rows, duplicates };
+}
+
+module.exports = {
+  EXTRACTORS,
+  DEFAULT_EXTRACTOR,
+  parseExtractor,
+  usesSignalHire,
+  extractLeads,
+  mergeNativeLeads,
+  saveLeads,
+};
@@ -0,0 +1,133 @@
+// utils/leadPanelExtractor.js
+//
+// Deep extraction: opens each lead's side panel on a Sales Navigator
+// people search and reads the details the result row does not show:
+//
+//   time_in_role        "2 years 3 months in role"  -> 2 years 3 months
+//   time_at_company     "5 years in company"        -> 5 years
+//   past_positions      earlier experience entries, joined with " | "
+//   shared_connections  "12 shared connections"     -> 12
+//   recently_posted     "Recently posted" badge     -> Yes
+//   changed_jobs        "Changed jobs" badge        -> Yes
+//   company_urn         /sales/company/1234         -> urn:li:fs_salesCompany:1234
+//
+// Panels are opened one at a time with human-like pauses from
+// utils/randomDelayer.js before each click and after closing, since a
+// page of 25 panel opens is far more activity than a plain scrape.
+// Selectors come from the `panel` entry of the page's profile in
+// utils/pageProfiles.js; pages without one (lead lists) are skipped.
+
+const { profileForPage } = require('./pageProfiles');
+const { waitRandomIncreasing } = require('./randomDelayer');
+
+const MAX_PAST_POSITIONS = 5;
+
+// Runs in the browser: read the details from an open panel
+function readPanel(panel, sel) {
+  const text = (el) => (el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '');
+  const all = text(panel);
+  const duration = (suffix) => {
+    const m = all.match(
+      new RegExp(`((?:\\d+\\+?\\s+years?\\s*)?(?:\\d+\\s+months?)?|less than a year)\\s+in\\s+${suffix}`, 'i')
+    );
+    return m ? m[1].trim() : '';
+  };
+  const shared = all.match(/(\d+\+?)\s+shared\s+connections?/i);
+  const positions = Array.from(panel.querySelectorAll(sel.positions))
+    .map(text)
+    .filter((t) => t && !/present/i.test(t));
+  let companyUrn = '';
+  const companyHref = panel.querySelector(sel.companyLink)?.getAttribute('href') || '';
+  const companyId = companyHref.match(/\/sales\/company\/(\d+)/);
+  if (companyId) companyUrn = `urn:li:fs_salesCompany:${companyId[1]}`;
+  return {
+    time_in_role: duration('role'),
+    time_at_company: duration('company'),
+    past_positions: positions,
+    shared_connections: shared ? shared[1] : '',
+    recently_posted: /recently posted/i.test(all) ? 'Yes' : '',
+    changed_jobs: /changed jobs/i.test(all) ? 'Yes' : '',
+    company_urn: companyUrn,
+  };
+}
+
+// Same normalisation as leadExtractor: origin + path, no tracking params
+function leadUrl(href, base) {
+  try {
+    const u = new URL(href || '', base);
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return '';
+  }
+}
+
+async function closePanel(page, panel, sel) {
+  const close = panel.locator(sel.close).first();
+  if (await close.count()) await close.click({ timeout: 5000 }).catch(() => { });
+  else await page.keyboard.press('Escape').catch(() => { });
+  await panel.waitFor({ state: 'hidden', timeout: 5000 }).catch(() => { });
+}
+
+/**
+ * Open the side panel of every lead row on the current page and add the
+ * panel details to the matching native rows (by Sales Navigator lead
+ * URL).  Rows are changed in place; every row gets the detail keys,
+ * empty when its panel could not be read.
+ *
+ * @param {import('playwright').Page} page Page on a people search
+ * @param {Object[]} rows Rows from leadExtractor.extractLeads()
+ * @returns {Promise<{opened: number, failed: number, skipped: boolean}>}
+ *   `skipped` is true when the page type has no lead panel
+ */
+async function extractLeadDetails(page, rows) {
+  const empty = {
+    time_in_role: '',
+    time_at_company: '',
+    past_positions: '',
+    shared_connections: '',
+    recently_posted: '',
+    changed_jobs: '',
+    company_urn: '',
+  };
+  for (const row of rows) {
+    for (const [key, value] of Object.entries(empty)) {
+      if (!Object.prototype.hasOwnProperty.call(row, key)) row[key] = value;
+    }
+  }
+  const profile = profileForPage(page);
+  const stats = { opened: 0, failed: 0, skipped: !profile.panel };
+  if (!profile.panel) return stats;
+  const sel = profile.panel;
+  const byUrl = new Map(rows.filter((r) => r.sales_nav_url).map((r) => [r.sales_nav_url, r]));
+  const done = new Set();
+  const links = page.locator(profile.rowSelector);
+  const count = await links.count();
+  for (let i = 0; i < count; i++) {
+    const link = links.nth(i);
+    const href = await link.getAttribute('href').catch(() => null);
+    const row = byUrl.get(leadUrl(href, page.url()));
+    if (!row || done.has(row)) continue;
+    done.add(row);
+    const panel = page.locator(sel.root).first();
+    try {
+      await link.scrollIntoViewIfNeeded({ timeout: 5000 });
+      await waitRandomIncreasing(page, 'lead-panel-open', { base: 800, max: 2000, steps: 2 });
+      await link.click({ timeout: 10_000 });
+      await panel.waitFor({ state: 'visible', timeout: 10_000 });
+      // Let the lazily loaded sections (experience, badges) render
+      await waitRandomIncreasing(page, 'lead-panel-read', { base: 700, max: 1500 });
+      const details = await panel.evaluate(readPanel, sel);
+      Object.assign(row, details, {
+        past_positions: details.past_positions.slice(0, MAX_PAST_POSITIONS).join(' | '),
+      });
+      stats.opened++;
+    } catch {
+      stats.failed++;
+    }
+    await closePanel(page, panel, sel);
+    await waitRandomIncreasing(page, 'lead-panel-close', { base: 500, max: 1200 });
+  }
+  return stats;
+}
+
+module.exports = { extractLeadDetails };
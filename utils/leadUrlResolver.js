@@ -0,0 +1,231 @@
+// utils/leadUrlResolver.js
+//
+// Turns Sales Navigator lead URLs (/sales/lead/ACwAA...,NAME_SEARCH,xyz)
+// into public LinkedIn profile URLs (https://www.linkedin.com/in/<slug>)
+// that a CRM can match.  A lead is looked up in this order:
+//
+//   1. the local cache, `data/cache/lead_urls.json`, keyed by the lead's
+//      profile id (the ACwAA... part of its URL, i.e. its URN)
+//   2. the Sales Navigator profile API, asked for the lead URN's
+//      flagshipProfileUrl from inside the logged-in page
+//   3. the lead page itself, opened in a new tab: its actions menu
+//      links to the public profile
+//
+// Every public URL found (including the ones SignalHire returns for
+// native+signalhire jobs) is written to the cache, so a lead is only
+// resolved once across jobs.
+
+const fs = require('fs');
+const path = require('path');
+const { nextDelaySecs } = require('./randomDelayer');
+const { selector } = require('./selectorRegistry');
+
+const cacheFile = path.join(__dirname, '..', 'data', 'cache', 'lead_urls.json');
+
+
+/**
+ * Split a Sales Navigator lead URL into its URN parts.
+ *
+ * @param {string} url Lead URL, e.g. https://www.linkedin.com/sales/lead/ACwAA..,NAME_SEARCH,x1y2
+ * @returns {{profileId: string, authType: string, authToken: string}|null}
+ *   Null when the URL is not a lead URL
+ */
+function parseLeadUrl(url) {
+  const match = String(url || '').match(/\/sales\/lead\/([^,/?#]+)(?:,([^,/?#]*))?(?:,([^,/?#]*))?/);
+  if (!match) return null;
+  return {
+    profileId: decodeURIComponent(match[1]),
+    authType: match[2] ? decodeURIComponent(match[2]) : '',
+    authToken: match[3] ? decodeURIComponent(match[3]) : '',
+  };
+}
+
+/**
+ * Normalise a public profile URL to https://www.linkedin.com/in/<slug>.
+ *
+ * @param {string} url Any linkedin.com/in/ URL
+ * @returns {string} The normalised URL, or '' if it is not a profile URL
+ */
+function normalisePublicUrl(url) {
+  const match = String(url || '').match(/linkedin\.com\/in\/([^/?#]+)/i);
+  return match ? `https://www.linkedin.com/in/${match[1]}` : '';
+}
+
+/**
+ * Identity of the person a LinkedIn URL points to, for comparing URLs
+ * of different shapes: `in:<slug>` for public profile URLs and
+ * `id:<profileId>` for lead URLs (`/sales/lead/`, `/sales/people/`) and
+ * for public URLs that use the profile id instead of a slug
+ * (`/in/ACwAA...`).  Two URLs of the same kind and different keys are
+ * different people; keys of different kinds cannot be compared.
+ *
+ * @param {string} url Any LinkedIn profile or lead URL
+ * @returns {string} The key, or '' if the URL names no profile
+ */
+function linkedinProfileKey(url) {
+  const lead = String(url || '').match(/\/sales\/(?:lead|people)\/([^,/?#]+)/);
+  if (lead) return `id:${decodeURIComponent(lead[1])}`;
+  const publicUrl = normalisePublicUrl(url);
+  if (!publicUrl) return '';
+  let slug = publicUrl.slice('https://www.linkedin.com/in/'.length);
+  try {
+    slug = decodeURIComponent(slug);
+  } catch {}
+  // Profile ids are case-sensitive; vanity slugs are not
+  return /^AC[ow]AA[\w-]{10,}$/.test(slug) ? `id:${slug}` : `in:${slug.toLowerCase()}`;
+}
+
+function readCache() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Cached public URL of a lead.
+ *
+ * @param {string} salesNavUrl Lead URL
+ * @returns {string|null}
+ */
+function getCachedPublicUrl(salesNavUrl) {
+  const lead = parseLeadUrl(salesNavUrl);
+  if (!lead) return null;
+  const entry = readCache()[lead.profileId];
+  return entry ? entry.publicUrl : null;
+}
+
+/**
+ * Remember a lead's public URL.  Never throws: a failed cache write
+ * must not interrupt a scrape.
+ *
+ * @param {string} salesNavUrl Lead URL
+ * @param {string} publicUrl linkedin.com/in/ URL
+ * @param {string} source How it was found (`api`, `lead-page`, `signalhire`)
+ */
+function rememberPublicUrl(salesNavUrl, publicUrl, source) {
+  const lead = parseLeadUrl(salesNavUrl);
+  const normalised = normalisePublicUrl(publicUrl);
+  if (!lead || !normalised) return;
+  try {
+    const cache = readCache();
+    cache[lead.profileId] = { publicUrl: normalised, source, resolvedAt: new Date().toISOString() };
+    writeCache(cache);
+  } catch {
+    // ignore
+  }
+}
+
+// Ask the Sales Navigator API for the lead's public profile URL.  The
+// request runs inside the page so it carries the session cookies; the
+// CSRF token is the JSESSIONID cookie.
+async function resolveViaApi(page, lead) {
+  const url = await page.evaluate(async ({ profileId, authType, authToken }) => {
+    const csrf = (document.cookie.match(/JSESSIONID="?([^";]+)/) || [])[1];
+    if (!csrf) return '';
+    const res = await fetch(
+      `/sales-api/salesApiProfiles/(profileId:${profileId},authType:${authType},authToken:${authToken})` +
+        '?decoration=%28flagshipProfileUrl%29',
+      {
+        credentials: 'include',
+        headers: { 'csrf-token': csrf, 'x-restli-protocol-version': '2.0.0' },
+      }
+    );
+    if (!res.ok) return '';
+    const body = await res.json();
+    return (body && body.flagshipProfileUrl) || '';
+  }, lead);
+  return normalisePublicUrl(url);
+}
+
+// Open the lead page in a new tab and read the public profile link
+// from its actions menu (salesnav.leadPage.* in the selector registry)
+async function resolveViaLeadPage(page, salesNavUrl) {
+  const tab = await page.context().newPage();
+  const profileLink = selector('salesnav.leadPage.profileLink');
+  try {
+    await tab.goto(salesNavUrl, { waitUntil: 'domcontentloaded', timeout: 30_000 });
+    let href = await tab.locator(profileLink).first().getAttribute('href', { timeout: 2000 }).catch(() => null);
+    if (!href) {
+      await tab.locator(selector('salesnav.leadPage.overflowButton')).first().click({ timeout: 10_000 });
+      href = await tab.locator(profileLink).first().getAttribute('href', { timeout: 5000 });
+    }
+    return normalisePublicUrl(href);
+  } finally {
+    await tab.close().catch(() => { });
+  }
+}
+
+/**
+ * Resolve the public profile URL of one lead.
+ *
+ * @param {import('playwright').Page} page A logged-in Sales Navigator page
+ * @param {string} salesNavUrl Lead URL
+ * @returns {Promise<{publicUrl: string, source: string}|null>} The URL and
+ *   where it came from (`cache`, `api` or `lead-page`), or null if it
+ *   could not be resolved
+ */
+async function resolvePublicUrl(page, salesNavUrl) {
+  const lead = parseLeadUrl(salesNavUrl);
+  if (!lead) return null;
+  const cached = getCachedPublicUrl(salesNavUrl);
+  if (cached) return { publicUrl: cached, source: 'cache' };
+  let publicUrl = '';
+  let source = 'api';
+  if (lead.authType && lead.authToken) {
+    publicUrl = await resolveViaApi(page, lead).catch(() => '');
+  }
+  if (!publicUrl) {
+    source = 'lead-page';
+    publicUrl = await resolveViaLeadPage(page, salesNavUrl).catch(() => '');
+  }
+  if (!publicUrl) return null;
+  rememberPublicUrl(salesNavUrl, publicUrl, source);
+  return { publicUrl, source };
+}
+
+/**
+ * Fill in the LinkedIn URL (`person_title`) of rows that only have a
+ * Sales Navigator lead URL.  Rows are changed in place.  Uncached
+ * lookups are spaced out with a short random delay.
+ *
+ * @param {import('playwright').Page} page A logged-in Sales Navigator page
+ * @param {Object[]} rows Rows with `sales_nav_url` (see leadExtractor.js)
+ * @returns {Promise<{resolved: number, cached: number, failed: number}>}
+ */
+async function resolveLeadUrls(page, rows) {
+  const stats = { resolved: 0, cached: 0, failed: 0 };
+  for (const row of rows) {
+    if (row.person_title || !row.sales_nav_url) continue;
+    const result = await resolvePublicUrl(page, row.sales_nav_url).catch(() => null);
+    if (!result) {
+      stats.failed++;
+    } else {
+      row.person_title = result.publicUrl;
+      if (result.source === 'cache') {
+        stats.cached++;
+        continue;
+      }
+      stats.resolved++;
+    }
+    await page.waitForTimeout(nextDelaySecs(0.5, 1.5) * 1000).catch(() => { });
+  }
+  return stats;
+}
+
+module.exports = {
+  parseLeadUrl,
+  normalisePublicUrl,
+  linkedinProfileKey,
+  getCachedPublicUrl,
+  rememberPublicUrl,
+  resolvePublicUrl,
+  resolveLeadUrls,
+};
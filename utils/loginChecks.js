@@ -0,0 +1,84 @@
+// utils/loginChecks.js
+//
+// Remembers the result of the most recent live login check made with
+// each cookie file (LinkedIn via checkLinkedInByUrl(), SignalHire and
+// ContactOut via their login helpers).  Results are keyed by the cookie
+// file's path relative to the project root and stored in
+// `cookies/login_checks.json`, so the status endpoints can report them
+// after a restart.  Saving or deleting a cookie file clears its result
+// because it applied to the old cookie.
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..');
+const checksFile = path.join(rootDir, 'cookies', 'login_checks.json');
+
+function keyFor(cookieFile) {
+  return path.relative(rootDir, path.resolve(cookieFile)).split(path.sep).join('/');
+}
+
+function readChecks() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(checksFile, 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeChecks(checks) {
+  fs.mkdirSync(path.dirname(checksFile), { recursive: true });
+  fs.writeFileSync(checksFile, JSON.stringify(checks, null, 2));
+}
+
+/**
+ * Record the outcome of a login check made with a cookie file.  Never
+ * throws: a failed status write must not interrupt a scrape.
+ *
+ * @param {string} cookieFile The cookie file the check used
+ * @param {boolean} loggedIn Whether the login succeeded
+ * @param {Object} [details] Extra fields to store (e.g. `finalUrl`)
+ */
+function recordLoginCheck(cookieFile, loggedIn, details = {}) {
+  if (!cookieFile) return;
+  try {
+    const checks = readChecks();
+    checks[keyFor(cookieFile)] = {
+      ...details,
+      checkedAt: new Date().toISOString(),
+      loggedIn: !!loggedIn,
+    };
+    writeChecks(checks);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Return the last login check for a cookie file, or null if none was
+ * recorded since the file was last saved.
+ *
+ * @param {string} cookieFile
+ * @returns {{checkedAt: string, loggedIn: boolean}|null}
+ */
+function getLoginCheck(cookieFile) {
+  if (!cookieFile) return null;
+  return readChecks()[keyFor(cookieFile)] || null;
+}
+
+/**
+ * Forget the login check for a cookie file.
+ *
+ * @param {string} cookieFile
+ */
+function clearLoginCheck(cookieFile) {
+  const checks = readChecks();
+  const key = keyFor(cookieFile);
+  if (checks[key]) {
+    delete checks[key];
+    writeChecks(checks);
+  }
+}
+
+module.exports = { recordLoginCheck, getLoginCheck, clearLoginCheck };
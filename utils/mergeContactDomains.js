@@ -2,9 +2,16 @@
 //
 // Merge ContactOut profile domain data into an existing CSV.  This
 // helper reads the CSV (generated by the SignalHire scraper),
-// matches rows by name and updates the `Website` column with the
-// first business domain from each ContactOut profile.  Only one
-// domain per row is stored.  If legacy domain1/domain2/domain3
+// matches rows to ContactOut profiles by LinkedIn profile first and by
+// (fuzzy) name after that, and updates the `Website` column with the
+// first business domain from each ContactOut profile.  The strategy
+// that filled a row's Website and its confidence are written to the
+// `Website Match` and `Match Confidence` columns.  With `emailsPerType`
+// the card's full addresses also go into the typed `Work Email n` and
+// `Personal Email n` columns (see upgradeCsvHeaders.js).  The card's
+// phones fill empty `Phone 1` / `Phone 2` columns (E.164, normalised
+// with the row's location).
+// Only one domain per row is stored.  If legacy domain1/domain2/domain3
 // columns are present they are cleared.  If backup is enabled and the
 // output file is the same as the input file, a `.bak` copy is
 // written before modifications.  Returns the number of updated
@@ -13,19 +20,50 @@
 const fs = require('fs/promises');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
-const { cleanName } = require('./nameCleaner');
+const { linkedinProfileKey } = require('./leadUrlResolver');
+const { nameConfidence, DEFAULT_MIN_CONFIDENCE } = require('./fuzzyNameMatcher');
+const { emailHeaders } = require('./upgradeCsvHeaders');
+const { normalisePhones } = require('./phoneNormalizer');
+
+// Columns recording how a row's Website was matched and how sure the
+// match is (1.00 for LinkedIn profile and exact name matches)
+const MATCH_HEADER = 'Website Match';
+const CONFIDENCE_HEADER = 'Match Confidence';
+const PHONE_HEADERS = ['Phone 1', 'Phone 2'];
 
 /**
- * Merge ContactOut domain data into a base CSV by matching on
- * full name, first name or last name.  Only the first domain
- * from each profile is used to populate the `Website` column.
+ * Merge ContactOut domain data into a base CSV.  A row is matched to
+ * the profile whose LinkedIn URL names the same person as the row's
+ * LinkedIn URL or Sales Nav Lead URL.  With `rowUrls` only the rows of
+ * the current page (the rows with one of those URLs) are considered,
+ * so a card is never paired with a row saved for an earlier page.  The remaining rows and profiles
+ * are paired by name with utils/fuzzyNameMatcher.js: the best scoring
+ * pairs win, each profile fills at most one row, ties are skipped and
+ * pairs below `minConfidence` are ignored.  A name match is never made
+ * with a profile whose LinkedIn URL names someone else.  Only rows
+ * without a Website or with an empty Phone column are matched unless
+ * `overwrite` is set, and a Website is only replaced with it.  Only the
+ * first domain from each profile is used to populate the `Website`
+ * column; `Website Match` records the strategy (`linkedin_url`,
+ * `full_name` for names equal after normalisation, or `fuzzy_name`) and
+ * `Match Confidence` its score.  With `emailsPerType` rows without any
+ * email column filled are matched as well, and up to that many of the
+ * profile's work and personal addresses are added to the row's empty
+ * `Work Email n` / `Personal Email n` columns.  When the CSV has the
+ * `Phone 1` / `Phone 2` columns, the profile's phones are normalised to
+ * E.164 with the row's location and added to the empty ones with their
+ * type.
  *
  * @param {Object} opts Options
  * @param {string} opts.baseCsvPath Path to the base CSV (required)
- * @param {Array<{fullName:string, firstName:string, lastName:string, domains:string[]}>} opts.contactProfiles ContactOut profiles to merge
+ * @param {Array<{fullName:string, firstName:string, lastName:string, domains:string[], linkedinUrl?:string, rawName?:string, emails?:{work:string[], personal:string[]}, phones?:Array<{raw:string, number?:string, type?:string}>}>} opts.contactProfiles ContactOut profiles to merge (one page's cards)
  * @param {string} [opts.outPath=baseCsvPath] Path to write the merged CSV
  * @param {boolean} [opts.backup=false] Whether to create a backup file
  * @param {boolean} [opts.overwrite=false] Whether to overwrite existing domain values
+ * @param {number} [opts.minConfidence=0.85] Minimum name match confidence (0–1)
+ * @param {number} [opts.emailsPerType=0] Work and personal addresses kept per row (0 = domains only)
+ * @param {string[]} [opts.rowUrls] LinkedIn URLs or Sales Nav Lead URLs of the rows saved for
+ *   the page the profiles were read on; omitted, every row of the CSV may be matched
  * @returns {Promise<{updated:number,total:number,outPath:string}>}
  */
 async function mergeContactDomainsByNamePriority(opts) {
@@ -35,6 +73,9 @@ async function mergeContactDomainsByNamePriority(opts) {
     outPath = baseCsvPath,
     backup = false,
     overwrite = false,
+    minConfidence: minConfidenceOpt,
+    emailsPerType = 0,
+    rowUrls,
   } = opts || {};
   if (!baseCsvPath) throw new Error('baseCsvPath is required');
   if (!Array.isArray(contactProfiles)) throw new Error('contactProfiles must be an array');
@@ -50,43 +91,126 @@ async function mergeContactDomainsByNamePriority(opts) {
     // csv-parse will throw an error.  We normalise missing keys later.
     relax_column_count: true,
   });
-  // Build indexes of ContactOut profiles keyed by normalised names
-  const idxFull = new Map();
-  const idxFirst = new Map();
-  const idxLast = new Map();
-  for (const p of contactProfiles) {
-    const full = norm(cleanName(p.fullName));
-    const first = norm(cleanName(p.firstName));
-    const last = norm(cleanName(p.lastName));
-    if (full) pushIdx(idxFull, full, p);
-    if (first) pushIdx(idxFirst, first, p);
-    if (last) pushIdx(idxLast, last, p);
-  }
+  const minConfidence =
+    Number.isFinite(minConfidenceOpt) && minConfidenceOpt >= 0 && minConfidenceOpt <= 1
+      ? minConfidenceOpt
+      : DEFAULT_MIN_CONFIDENCE;
+  const emailCols = emailHeaders(emailsPerType);
+  const perType = emailCols.length / 2;
+  // Profiles without a business domain, a phone or (when capturing
+  // emails) any address have nothing to merge
+  const profiles = contactProfiles.filter(
+    (p) =>
+      p &&
+      ((Array.isArray(p.domains) && p.domains.length > 0) ||
+        (Array.isArray(p.phones) && p.phones.length > 0) ||
+        (perType && profileEmails(p).length))
+  );
   // Ensure Website column exists on every row (and normalise legacy domain headers)
   ensureWebsiteHeader(rows);
+  ensureMatchHeaders(rows);
+  ensureEmailHeaders(rows, emailCols);
   const hget = mkHeaderGetter(Object.keys(rows[0] || {}));
+  const websiteOf = (row) => hget(row, 'website') ?? hget(row, 'domain');
+  const keysOf = (row) =>
+    [
+      hget(row, 'linkedin url') ?? hget(row, 'person_title') ?? hget(row, 'linkedin'),
+      hget(row, 'sales nav lead url') ?? hget(row, 'sales_nav_url'),
+    ]
+      .map(linkedinProfileKey)
+      .filter(Boolean);
+  const pageKeys = Array.isArray(rowUrls) ? new Set(rowUrls.map(linkedinProfileKey).filter(Boolean)) : null;
+  // Rows of the current page whose Website, typed email columns or
+  // Phone columns may be filled
+  const open = rows.filter(
+    (row) =>
+      (!pageKeys || keysOf(row).some((k) => pageKeys.has(k))) &&
+      (overwrite || !websiteOf(row) || (perType && emailCols.every((h) => !row[h])) || phonesOpen(row))
+  );
+  // row -> { profile, strategy, confidence }
+  const assigned = new Map();
+
+  // 1) LinkedIn profile: the card links to the row's person
+  const idxProfile = new Map();
+  for (const p of profiles) {
+    const key = linkedinProfileKey(p.linkedinUrl);
+    if (key) pushIdx(idxProfile, key, p);
+  }
+  const usedProfiles = new Set();
+  const pending = [];
+  for (const row of open) {
+    const rowKeys = keysOf(row);
+    const match = pickUnique(unique(rowKeys.flatMap((k) => idxProfile.get(k) || [])));
+    if (match) {
+      assigned.set(row, { profile: match, strategy: 'linkedin_url', confidence: 1 });
+      usedProfiles.add(match);
+    } else {
+      pending.push({ row, rowKeys, name: rowName(row, hget) });
+    }
+  }
+
+  // 2) Names: score every remaining row/profile pair and assign the
+  // best pairs first, each row and each profile at most once.  A pair
+  // with an equally good alternative (two "John Smith"s) is ambiguous
+  // and left unmatched.
+  const pairs = [];
+  for (const cand of pending) {
+    if (!cand.name) continue;
+    for (const p of profiles) {
+      if (usedProfiles.has(p)) continue;
+      // Never match a profile whose LinkedIn link names someone else
+      if (!isSamePersonPossible(cand.rowKeys, linkedinProfileKey(p.linkedinUrl))) continue;
+      const confidence = Math.max(
+        nameConfidence(cand.name, p.fullName),
+        p.rawName ? nameConfidence(cand.name, p.rawName) : 0
+      );
+      if (confidence > 0 && confidence >= minConfidence) pairs.push({ cand, profile: p, confidence });
+    }
+  }
+  pairs.sort((a, b) => b.confidence - a.confidence);
+  const taken = new Set();
+  for (const pair of pairs) {
+    if (taken.has(pair.cand) || taken.has(pair.profile)) continue;
+    const ties = pairs.filter(
+      (o) =>
+        o !== pair &&
+        o.confidence === pair.confidence &&
+        (o.cand === pair.cand || o.profile === pair.profile) &&
+        !taken.has(o.cand) &&
+        !taken.has(o.profile)
+    );
+    // Every row and profile of a tie is left out, so the tie is not
+    // resolved by whichever pair comes next
+    for (const o of [pair, ...ties]) {
+      taken.add(o.cand);
+      taken.add(o.profile);
+    }
+    if (ties.length) continue;
+    assigned.set(pair.cand.row, {
+      profile: pair.profile,
+      // Names equal once cleaned and transliterated score exactly 1
+      strategy: pair.confidence === 1 ? 'full_name' : 'fuzzy_name',
+      confidence: pair.confidence,
+    });
+  }
+
   let updated = 0;
-  for (const row of rows) {
-    const fullName = hget(row, 'fullname') ?? hget(row, 'name') ?? hget(row, 'full_name') ?? hget(row, 'full name');
-    const firstName = hget(row, 'firstname') ?? hget(row, 'first_name') ?? hget(row, 'first name') ?? hget(row, 'first');
-    const lastName = hget(row, 'lastname') ?? hget(row, 'last_name') ?? hget(row, 'last name') ?? hget(row, 'last');
-    const kFull = norm(cleanName(fullName || ''));
-    const kFirst = norm(cleanName(firstName || ''));
-    const kLast = norm(cleanName(lastName || ''));
-    // Find matching profile by name priority: full > first > last
-    let match = pickUnique(idxFull.get(kFull));
-    if (!match && kFirst) match = pickUnique(idxFirst.get(kFirst));
-    if (!match && kLast) match = pickUnique(idxLast.get(kLast));
-    if (!match || !Array.isArray(match.domains) || match.domains.length === 0) continue;
+  for (const [row, { profile, strategy, confidence }] of assigned) {
     // Use only the first business domain
-    const [d = ''] = match.domains;
-    const existingWebsite = hget(row, 'website') ?? hget(row, 'domain');
-    if (overwrite || !existingWebsite) {
+    const [d = ''] = profile.domains || [];
+    const setWebsite = d && (overwrite || !websiteOf(row));
+    const emailsAdded = perType ? fillEmails(row, profile, perType) : 0;
+    const location = hget(row, 'person location') ?? hget(row, 'location');
+    const phonesAdded = PHONE_HEADERS[0] in row ? fillPhones(row, profile, location) : 0;
+    if (!setWebsite && !emailsAdded && !phonesAdded) continue;
+    if (setWebsite) {
       if ('Website' in row) row.Website = d;
       else if ('website' in row) row.website = d;
       else if ('domain' in row) row.domain = d;
       else row.Website = d;
     }
+    row[MATCH_HEADER] = strategy;
+    row[CONFIDENCE_HEADER] = confidence.toFixed(2);
     // If legacy domain1/domain2/domain3 columns exist, clear them
     if ('domain1' in row) row.domain1 = '';
     if ('domain2' in row) row.domain2 = '';
@@ -106,12 +230,6 @@ async function mergeContactDomainsByNamePriority(opts) {
 }
 
 // ----- Helper functions -----
-function norm(s) {
-  return String(s || '')
-    .toLowerCase()
-    .replace(/\s+/g, ' ')
-    .trim();
-}
 function pushIdx(map, key, v) {
   if (!key) return;
   const arr = map.get(key);
@@ -121,6 +239,91 @@ function pushIdx(map, key, v) {
 function pickUnique(arr) {
   return Array.isArray(arr) && arr.length === 1 ? arr[0] : null;
 }
+function unique(arr) {
+  return [...new Set(arr)];
+}
+// A profile may be the row's person unless both carry a LinkedIn key of
+// the same kind (public slug or profile id) and the keys differ
+function isSamePersonPossible(rowKeys, profileKey) {
+  if (!profileKey) return true;
+  const kind = profileKey.slice(0, 3);
+  const comparable = rowKeys.filter((k) => k.startsWith(kind));
+  return !comparable.length || comparable.includes(profileKey);
+}
+// `Website Match` and `Match Confidence` are the last columns (see
+// upgradeCsvHeaders.js); they are added to rows that do not have them yet
+function ensureMatchHeaders(rows) {
+  for (const r of rows) {
+    if (!Object.prototype.hasOwnProperty.call(r, MATCH_HEADER)) r[MATCH_HEADER] = '';
+    if (!Object.prototype.hasOwnProperty.call(r, CONFIDENCE_HEADER)) r[CONFIDENCE_HEADER] = '';
+  }
+}
+function ensureEmailHeaders(rows, headers) {
+  for (const r of rows) {
+    for (const h of headers) {
+      if (!Object.prototype.hasOwnProperty.call(r, h)) r[h] = '';
+    }
+  }
+}
+function profileEmails(p) {
+  const { work = [], personal = [] } = (p && p.emails) || {};
+  return [...work, ...personal];
+}
+// Add the profile's addresses to the row's empty `Work Email n` /
+// `Personal Email n` columns, skipping ones the row already has;
+// returns how many were added
+function fillEmails(row, profile, perType) {
+  const { work = [], personal = [] } = profile.emails || {};
+  let added = 0;
+  for (const [label, emails] of [['Work', work], ['Personal', personal]]) {
+    const cols = Array.from({ length: perType }, (_, i) => `${label} Email ${i + 1}`);
+    const have = new Set(cols.map((h) => String(row[h] || '').toLowerCase()).filter(Boolean));
+    const queue = emails.filter((e) => !have.has(e.toLowerCase()));
+    for (const h of cols) {
+      if (!queue.length) break;
+      if (!row[h]) {
+        row[h] = queue.shift();
+        added++;
+      }
+    }
+  }
+  return added;
+}
+// Whether the CSV has Phone columns and one of the row's is empty
+function phonesOpen(row) {
+  return PHONE_HEADERS[0] in row && PHONE_HEADERS.some((h) => !row[h]);
+}
+// Add the profile's phones (normalised with the row's location) to the
+// row's empty `Phone 1` / `Phone 2` columns, skipping numbers the row
+// already has; returns how many were added
+function fillPhones(row, profile, location) {
+  const slots = PHONE_HEADERS;
+  const have = new Set(slots.map((h) => row[h]).filter(Boolean));
+  const phones = normalisePhones(
+    (profile.phones || []).map((p) => ({ raw: p.number || p.raw, type: p.type })),
+    location,
+    slots.length + have.size
+  ).filter((p) => !have.has(p.number));
+  let added = 0;
+  for (const h of slots) {
+    if (!phones.length) break;
+    if (!row[h]) {
+      const { number, type } = phones.shift();
+      row[h] = number;
+      row[`${h} Type`] = type;
+      added++;
+    }
+  }
+  return added;
+}
+// The row's name: its full name, or first and last name together
+function rowName(row, hget) {
+  const fullName = hget(row, 'fullname') ?? hget(row, 'name') ?? hget(row, 'full_name') ?? hget(row, 'full name');
+  if (fullName) return fullName;
+  const firstName = hget(row, 'firstname') ?? hget(row, 'first_name') ?? hget(row, 'first name') ?? hget(row, 'first');
+  const lastName = hget(row, 'lastname') ?? hget(row, 'last_name') ?? hget(row, 'last name') ?? hget(row, 'last');
+  return [firstName, lastName].filter(Boolean).join(' ');
+}
 function ensureWebsiteHeader(rows) {
   if (!rows.length) return;
   for (const r of rows) {
@@ -5,14 +5,30 @@
 
 const { waitForLeadList } = require('./waitForLeadList');
 
-const PAGINATION_ROOT = 'div[data-sn-view-name="search-pagination"]';
-const NEXT_BUTTON_SEL = `${PAGINATION_ROOT} button[aria-label="Next"]`;
-const PAGE_BTN_SEL = (n) => `${PAGINATION_ROOT} li[data-test-pagination-page-btn="${n}"] > button`;
-const CURRENT_PAGE_BTN_SEL = `${PAGINATION_ROOT} li.artdeco-pagination__indicator--number.active.selected button[aria-current="true"]`;
-const PAGE_STATE_SEL = `${PAGINATION_ROOT} .artdeco-pagination__page-state, ${PAGINATION_ROOT} .artdeco-pagination__state--a11y`;
+const { profileForPage } = require('./pageProfiles');
+const { selectorChain } = require('./selectorRegistry');
+
+// A pagination control inside the pagination root: every combination of
+// the two fallback chains, as one selector list
+function withinRoot(profile, key, vars) {
+  const roots = selectorChain(`salesnav.${profile.selectorKey}.paginationRoot`);
+  const controls = selectorChain(`salesnav.pagination.${key}`, vars);
+  return roots.flatMap((root) => controls.map((control) => `${root} ${control}`)).join(', ');
+}
 
-const ROW_TITLE = 'a[data-control-name^="view_lead_panel"]';
-const NO_LEADS_XPATH = "//div[h3[contains(text(), 'No leads matched your search')]]";
+// Selectors for the page type the browser is on (people search, saved
+// lead list or account search; see utils/pageProfiles.js)
+function selectorsFor(page) {
+  const profile = profileForPage(page);
+  return {
+    next: withinRoot(profile, 'next'),
+    pageBtn: (n) => withinRoot(profile, 'pageButton', { n }),
+    currentPage: withinRoot(profile, 'currentPage'),
+    pageState: withinRoot(profile, 'pageState'),
+    row: profile.rowSelector,
+    noResultsXpath: `//div[h3[contains(text(), '${profile.noResultsText}')]]`,
+  };
+}
 
 // Tunables
 const MAX_ATTEMPTS = 3;          // up to 3 fallbacks total
@@ -31,9 +47,12 @@ const err  = (...a) => console.error('[pagination]', ...a);
  * @param {import('playwright').Page} page
  * @param {number} urlNumber
  * @param {number} currentPageFromCaller
+ * @param {Object} [opts]
+ * @param {Function} [opts.onEvent] Receives `{ phase, outcome, attempt, error, method }`
+ *   records for failed attempts and rescues (used for the job log)
  * @returns {'moved'|'no-more'|'failed'}
  */
-async function clickNextPage(page, urlNumber, currentPageFromCaller) {
+async function clickNextPage(page, urlNumber, currentPageFromCaller, { onEvent = () => {} } = {}) {
   const url = safeUrl(page);
   let { current: currentPage, total: totalPages } = await readPageState(page);
   currentPage = currentPage ?? currentPageFromCaller ?? 1;
@@ -60,15 +79,15 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
     log(`Attempt ${attempt}/${MAX_ATTEMPTS} | current=${liveCurrent} -> target=${want}`);
 
     try {
-      const pageBtn = page.locator(PAGE_BTN_SEL(want)).first();
+      const pageBtn = page.locator(selectorsFor(page).pageBtn(want)).first();
       const hasNumbered = await pageBtn.count().catch(() => 0);
 
       if (hasNumbered) {
-        log(`Clicking numbered page button for ${want} | selector=${PAGE_BTN_SEL(want)}`);
+        log(`Clicking numbered page button for ${want} | selector=${selectorsFor(page).pageBtn(want)}`);
         await safeClick(pageBtn, 'page-number');
       } else {
         log('Numbered button not visible; trying Next button…');
-        const nextBtn = await page.waitForSelector(NEXT_BUTTON_SEL, { timeout: NEXT_WAIT_MS });
+        const nextBtn = await page.waitForSelector(selectorsFor(page).next, { timeout: NEXT_WAIT_MS });
         const disabled = await nextBtn.evaluate(
           (btn) => btn.disabled || btn.getAttribute('aria-disabled') === 'true'
         );
@@ -76,7 +95,7 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
           warn('End: Next button disabled (last page).');
           return 'no-more';
         }
-        log(`Clicking Next | selector=${NEXT_BUTTON_SEL}`);
+        log(`Clicking Next | selector=${selectorsFor(page).next}`);
         await safeClick(nextBtn, 'next');
       }
 
@@ -94,15 +113,18 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
       }
 
       warn("No change detected after click; quick retry…");
+      onEvent({ phase: 'navigation', outcome: 'retry', attempt, error: 'No change detected after click' });
       await delay(220);
     } catch (e) {
       warn(`Attempt ${attempt} error: ${e?.message || e}`);
+      onEvent({ phase: 'navigation', outcome: 'retry', attempt, error: e?.message || String(e) });
       await delay(180);
     }
   }
 
   // --- Rescue 1: hard reload, then try numbered/next once more quickly ---
   warn('Rescue #1: reload and re-check…');
+  onEvent({ phase: 'navigation', outcome: 'rescue', method: 'reload' });
   await reloadAndWaitForSalesDashboard(page);
 
   const movedAfterReload = await changedSince(page, beforeKey);
@@ -117,13 +139,13 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
   try {
     let { current: cur2 } = await readPageState(page);
     const want2 = (cur2 ?? currentPage) + 1;
-    const pageBtn2 = page.locator(PAGE_BTN_SEL(want2)).first();
+    const pageBtn2 = page.locator(selectorsFor(page).pageBtn(want2)).first();
     if (await pageBtn2.count().catch(() => 0)) {
       log(`Post-reload: clicking numbered button for ${want2}`);
       await safeClick(pageBtn2, 'page-number-post-reload');
     } else {
       log('Post-reload: numbered not visible; clicking Next');
-      const nextBtn2 = await page.waitForSelector(NEXT_BUTTON_SEL, { timeout: NEXT_WAIT_MS });
+      const nextBtn2 = await page.waitForSelector(selectorsFor(page).next, { timeout: NEXT_WAIT_MS });
       const disabled2 = await nextBtn2.evaluate(
         (btn) => btn.disabled || btn.getAttribute('aria-disabled') === 'true'
       );
@@ -156,6 +178,7 @@ async function clickNextPage(page, urlNumber, currentPageFromCaller) {
   log('Rescue #2: URL jump planned =>', nextUrl || '(none)');
 
   if (nextUrl) {
+    onEvent({ phase: 'navigation', outcome: 'rescue', method: 'url-jump' });
     try {
       await page.goto(nextUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
       await waitForLeadList(page).catch(() => {});
@@ -208,7 +231,7 @@ async function safeClick(locator, label) {
 
 async function readCurrentPage(page) {
   try {
-    const cur = page.locator(CURRENT_PAGE_BTN_SEL).first();
+    const cur = page.locator(selectorsFor(page).currentPage).first();
     const txt = (await cur.textContent({ timeout: 600 }))?.trim();
     const n = Number(txt);
     if (Number.isFinite(n)) return n;
@@ -216,11 +239,16 @@ async function readCurrentPage(page) {
   return null;
 }
 
+/**
+ * Read the pagination state ("Page X of Y") of the current results.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{current: number|null, total: number|null}>}
+ */
 async function readPageState(page) {
   const current = await readCurrentPage(page);
   let total = null;
   try {
-    const label = page.locator(PAGE_STATE_SEL).first();
+    const label = page.locator(selectorsFor(page).pageState).first();
     const txt = (await label.textContent({ timeout: 900 })) || '';
     const m = txt.match(/Page\s+(\d+)\s+of\s+(\d+)/i);
     if (m) {
@@ -233,7 +261,7 @@ async function readPageState(page) {
 
 async function isOnLastPage(page, current, total) {
   try {
-    const nextBtn = await page.waitForSelector(NEXT_BUTTON_SEL, { timeout: 1200 });
+    const nextBtn = await page.waitForSelector(selectorsFor(page).next, { timeout: 1200 });
     const disabled = await nextBtn.evaluate(
       (btn) => btn.disabled || btn.getAttribute('aria-disabled') === 'true'
     );
@@ -247,7 +275,7 @@ async function isOnLastPage(page, current, total) {
 
 async function waitForPageChangeOrStop(page, beforeKey, { settleMs = SETTLE_MS, pollMs = POLL_MS } = {}) {
   const deadline = Date.now() + settleMs;
-  try { await page.locator(ROW_TITLE).first().waitFor({ state: 'attached', timeout: FIRST_ROW_ATTACH_MS }); } catch {}
+  try { await page.locator(selectorsFor(page).row).first().waitFor({ state: 'attached', timeout: FIRST_ROW_ATTACH_MS }); } catch {}
   while (Date.now() < deadline) {
     if (await isNoLeads(page)) return 'no-leads';
     const afterKey = await getListFingerprint(page);
@@ -259,7 +287,7 @@ async function waitForPageChangeOrStop(page, beforeKey, { settleMs = SETTLE_MS,
 
 async function isNoLeads(page) {
   try {
-    await page.waitForSelector(`xpath=${NO_LEADS_XPATH}`, { timeout: NO_LEADS_WAIT_MS });
+    await page.waitForSelector(`xpath=${selectorsFor(page).noResultsXpath}`, { timeout: NO_LEADS_WAIT_MS });
     return true;
   } catch { return false; }
 }
@@ -267,7 +295,7 @@ async function isNoLeads(page) {
 /** Strong fingerprint: first+last href|text + count */
 async function getListFingerprint(page) {
   try {
-    const rows = page.locator(ROW_TITLE);
+    const rows = page.locator(selectorsFor(page).row);
     const count = await rows.count().catch(() => 0);
     if (count === 0) return '';
     const first = rows.first();
@@ -304,7 +332,7 @@ async function reloadAndWaitForSalesDashboard(page) {
     try { const url = page.url(); await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 }); } catch {}
   }
   try { await waitForLeadList(page); } catch {}
-  try { await page.locator(ROW_TITLE).first().waitFor({ state: 'attached', timeout: 5000 }); } catch {}
+  try { await page.locator(selectorsFor(page).row).first().waitFor({ state: 'attached', timeout: 5000 }); } catch {}
   log('reload done; url=', safeUrl(page));
 }
 
@@ -332,6 +360,28 @@ function computeNextPageUrl(currentUrl, desiredPage) {
   } catch { return null; }
 }
 
+/**
+ * Build the URL of a given result page of a Sales Navigator search by
+ * setting its `page` query parameter.  Used to jump straight to a job's
+ * start page.  Only the `page=` pair is edited: URLSearchParams would
+ * re-encode the rest of the query, and Sales Navigator does not accept
+ * a percent-encoded Rest.li `query=(...)`.
+ *
+ * @param {string} url Search URL
+ * @param {number} pageNumber 1-based page number
+ * @returns {string} The page URL (the input URL for page 1 or below)
+ */
+function buildPageUrl(url, pageNumber) {
+  if (!(pageNumber > 1)) return url;
+  const hashAt = url.indexOf('#');
+  const base = hashAt === -1 ? url : url.slice(0, hashAt);
+  const hash = hashAt === -1 ? '' : url.slice(hashAt);
+  const page = `page=${Math.floor(pageNumber)}`;
+  if (/[?&]page=[^&]*/.test(base)) return base.replace(/([?&])page=[^&]*/, `$1${page}`) + hash;
+  const sep = !base.includes('?') ? '?' : /[?&]$/.test(base) ? '' : '&';
+  return `${base}${sep}${page}${hash}`;
+}
+
 function summarizeKey(key) {
   if (!key) return '(empty)';
   // shorten long fingerprints so logs stay readable
@@ -340,4 +390,4 @@ function summarizeKey(key) {
   return s.slice(0, 100) + ' … ' + s.slice(-18);
 }
 
-module.exports = { clickNextPage };
+module.exports = { clickNextPage, buildPageUrl, readPageState };
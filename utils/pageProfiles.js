@@ -0,0 +1,143 @@
+// utils/pageProfiles.js
+//
+// Selector profiles for the Sales Navigator page types the scraper
+// supports.  Each profile says how to recognise the page from its URL,
+// which element marks a result row (used to wait for the list, to
+// fingerprint it during pagination and to find results), where the
+// pagination controls live, what the "no results" banner says and what
+// the job writes to its CSV:
+//
+//   people-search   /sales/search/people      leads via SignalHire/ContactOut
+//   lead-list       /sales/lists/people/<id>  leads via SignalHire/ContactOut
+//   account-search  /sales/search/company     accounts read from the page
+//
+// Lead profiles also carry `fields`: selectors inside one result row
+// for the native lead extractor (utils/leadExtractor.js).  People
+// searches, whose rows open a lead side panel, carry `panel` for deep
+// extraction (utils/leadPanelExtractor.js).
+//
+// Helpers that only get a Playwright page (waitForLeadList(),
+// nextPageNavigation.js, the extension orchestrators) look the profile
+// up from page.url(), so callers do not need to pass it around.
+//
+// The selectors themselves live in the selector registry
+// (utils/selectorRegistry.js); the profiles read them through getters
+// so a hot reload of the registry applies to the next lookup.
+
+const { selector } = require('./selectorRegistry');
+
+// Selectors inside one lead row for each field the native extractor
+// reads.  Searches and saved lists mark the same data with the same
+// data-anonymize attributes; the registry chains cover the list table.
+function leadFields() {
+  return {
+    name: selector('salesnav.leadRow.name'),
+    title: selector('salesnav.leadRow.title'),
+    company: selector('salesnav.leadRow.company'),
+    location: selector('salesnav.leadRow.location'),
+    degree: selector('salesnav.leadRow.degree'),
+  };
+}
+
+const PEOPLE_SEARCH = {
+  type: 'people-search',
+  label: 'Lead search',
+  path: /^\/sales\/search\/people\/?$/,
+  output: 'leads',
+  // Registry keys of the profile's own selectors: salesnav.<selectorKey>.*
+  selectorKey: 'peopleSearch',
+  get rowSelector() { return selector('salesnav.peopleSearch.row'); },
+  get paginationRoot() { return selector('salesnav.peopleSearch.paginationRoot'); },
+  noResultsText: 'No leads matched your search',
+  get fields() { return leadFields(); },
+  // The lead side panel a row link opens: its root, close button, the
+  // experience entries and the lead's current company link
+  get panel() {
+    return {
+      root: selector('salesnav.leadPanel.root'),
+      close: selector('salesnav.leadPanel.close'),
+      positions: selector('salesnav.leadPanel.positions'),
+      companyLink: selector('salesnav.leadPanel.companyLink'),
+    };
+  },
+};
+
+const PAGE_PROFILES = [
+  PEOPLE_SEARCH,
+  {
+    type: 'lead-list',
+    label: 'Saved lead list',
+    path: /^\/sales\/lists\/people\/[^/]+\/?$/,
+    output: 'leads',
+    selectorKey: 'leadList',
+    get rowSelector() { return selector('salesnav.leadList.row'); },
+    get paginationRoot() { return selector('salesnav.leadList.paginationRoot'); },
+    noResultsText: 'No leads',
+    get fields() { return leadFields(); },
+  },
+  {
+    type: 'account-search',
+    label: 'Account search',
+    path: /^\/sales\/search\/company\/?$/,
+    output: 'accounts',
+    selectorKey: 'accountSearch',
+    get rowSelector() { return selector('salesnav.accountSearch.row'); },
+    get paginationRoot() { return selector('salesnav.accountSearch.paginationRoot'); },
+    noResultsText: 'No accounts matched your search',
+    // Selectors inside one result row for each output field.  Headcount
+    // falls back to the "N employees" text when no element matches.
+    get fields() {
+      return {
+        company_name: selector('salesnav.accountRow.companyName'),
+        industry: selector('salesnav.accountRow.industry'),
+        headcount: selector('salesnav.accountRow.headcount'),
+        hq: selector('salesnav.accountRow.hq'),
+      };
+    },
+  },
+];
+
+// CSV columns written by account-search jobs (lead jobs use the
+// SignalHire columns of saveProfilesCsv.js)
+const ACCOUNT_COLUMNS = [
+  { key: 'company_name', header: 'Company Name' },
+  { key: 'industry', header: 'Industry' },
+  { key: 'headcount', header: 'Headcount' },
+  { key: 'hq', header: 'HQ' },
+  { key: 'sales_nav_url', header: 'Sales Nav Company URL' },
+];
+
+/**
+ * Find the profile of a Sales Navigator URL.
+ *
+ * @param {string} url Page URL
+ * @returns {Object|null} The matching profile, or null for other pages
+ */
+function getPageProfile(url) {
+  let u;
+  try {
+    u = new URL(String(url || ''));
+  } catch {
+    return null;
+  }
+  if (!/(^|\.)linkedin\.com$/i.test(u.hostname)) return null;
+  return PAGE_PROFILES.find((profile) => profile.path.test(u.pathname)) || null;
+}
+
+/**
+ * Profile of the page a Playwright page is on.  Falls back to the
+ * people-search profile (the original behaviour) when the URL is not
+ * recognised, e.g. during a redirect.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Object}
+ */
+function profileForPage(page) {
+  let url = '';
+  try {
+    url = page.url();
+  } catch { }
+  return getPageProfile(url) || PEOPLE_SEARCH;
+}
+
+module.exports = { PAGE_PROFILES, ACCOUNT_COLUMNS, getPageProfile, profileForPage };
@@ -0,0 +1,243 @@
+// utils/phoneNormalizer.js
+//
+// Normalise the phone numbers shown by the SignalHire and ContactOut
+// sidebars to E.164 (`+<country code><number>`).  Numbers written in
+// international form (`+44 20 …`, `0044 20 …`) are converted as they
+// are; numbers in national form (`(415) 555-0100`, `06 12 34 56 78`)
+// need the lead's country, which is read from its `person_location`
+// ("Paris, Île-de-France, France").  Locations without a country –
+// LinkedIn's metro areas ("Greater Seattle Area", "San Francisco Bay
+// Area") and US cities with their state only ("Austin, Texas") – are
+// looked up in the tables below, and PHONE_DEFAULT_COUNTRY (an ISO
+// code such as `US`) is used for any other location.  A number that
+// cannot be normalised – national form without a known country, or the
+// wrong number of digits for its country – is dropped.
+//
+// The country table covers the countries leads are usually in; add a
+// row to support another one.  `nsn` is the allowed length of the
+// national number (without trunk prefix and country code).
+
+// iso, calling code, trunk prefix dropped from national numbers, nsn
+// length range and the names a location may use for the country
+const COUNTRIES = [
+  { iso: 'US', code: '1', trunk: '1', nsn: [10, 10], names: ['united states', 'united states of america', 'usa', 'us'] },
+  { iso: 'CA', code: '1', trunk: '1', nsn: [10, 10], names: ['canada'] },
+  { iso: 'GB', code: '44', trunk: '0', nsn: [9, 10], names: ['united kingdom', 'uk', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'] },
+  { iso: 'IE', code: '353', trunk: '0', nsn: [7, 9], names: ['ireland'] },
+  { iso: 'FR', code: '33', trunk: '0', nsn: [9, 9], names: ['france'] },
+  { iso: 'DE', code: '49', trunk: '0', nsn: [6, 13], names: ['germany', 'deutschland'] },
+  { iso: 'NL', code: '31', trunk: '0', nsn: [9, 9], names: ['netherlands', 'the netherlands', 'nederland'] },
+  { iso: 'BE', code: '32', trunk: '0', nsn: [8, 9], names: ['belgium'] },
+  { iso: 'LU', code: '352', trunk: '', nsn: [6, 11], names: ['luxembourg'] },
+  { iso: 'CH', code: '41', trunk: '0', nsn: [9, 9], names: ['switzerland'] },
+  { iso: 'AT', code: '43', trunk: '0', nsn: [4, 13], names: ['austria'] },
+  // Italian numbers keep their leading 0
+  { iso: 'IT', code: '39', trunk: '', nsn: [6, 11], names: ['italy', 'italia'] },
+  { iso: 'ES', code: '34', trunk: '', nsn: [9, 9], names: ['spain', 'españa'] },
+  { iso: 'PT', code: '351', trunk: '', nsn: [9, 9], names: ['portugal'] },
+  { iso: 'SE', code: '46', trunk: '0', nsn: [7, 10], names: ['sweden'] },
+  { iso: 'NO', code: '47', trunk: '', nsn: [8, 8], names: ['norway'] },
+  { iso: 'DK', code: '45', trunk: '', nsn: [8, 8], names: ['denmark'] },
+  { iso: 'FI', code: '358', trunk: '0', nsn: [5, 12], names: ['finland'] },
+  { iso: 'PL', code: '48', trunk: '', nsn: [9, 9], names: ['poland'] },
+  { iso: 'IL', code: '972', trunk: '0', nsn: [8, 9], names: ['israel'] },
+  { iso: 'AE', code: '971', trunk: '0', nsn: [8, 9], names: ['united arab emirates', 'uae'] },
+  { iso: 'ZA', code: '27', trunk: '0', nsn: [9, 9], names: ['south africa'] },
+  { iso: 'IN', code: '91', trunk: '0', nsn: [10, 10], names: ['india'] },
+  { iso: 'SG', code: '65', trunk: '', nsn: [8, 8], names: ['singapore'] },
+  { iso: 'HK', code: '852', trunk: '', nsn: [8, 8], names: ['hong kong', 'hong kong sar'] },
+  { iso: 'JP', code: '81', trunk: '0', nsn: [9, 10], names: ['japan'] },
+  { iso: 'CN', code: '86', trunk: '0', nsn: [10, 11], names: ['china'] },
+  { iso: 'AU', code: '61', trunk: '0', nsn: [9, 9], names: ['australia'] },
+  { iso: 'NZ', code: '64', trunk: '0', nsn: [8, 10], names: ['new zealand'] },
+  { iso: 'BR', code: '55', trunk: '0', nsn: [10, 11], names: ['brazil', 'brasil'] },
+  { iso: 'MX', code: '52', trunk: '', nsn: [10, 10], names: ['mexico', 'méxico'] },
+];
+
+const BY_NAME = new Map();
+for (const c of COUNTRIES) for (const n of c.names) BY_NAME.set(plain(n), c);
+const BY_ISO = new Map(COUNTRIES.map((c) => [c.iso, c]));
+
+// US states (name and postal code): "Austin, Texas" and "Seattle, WA"
+const US_STATES = [
+  'alabama', 'al', 'alaska', 'ak', 'arizona', 'az', 'arkansas', 'ar', 'california', 'ca',
+  'colorado', 'co', 'connecticut', 'ct', 'delaware', 'de', 'florida', 'fl', 'georgia', 'ga',
+  'hawaii', 'hi', 'idaho', 'id', 'illinois', 'il', 'indiana', 'in', 'iowa', 'ia', 'kansas', 'ks',
+  'kentucky', 'ky', 'louisiana', 'la', 'maine', 'me', 'maryland', 'md', 'massachusetts', 'ma',
+  'michigan', 'mi', 'minnesota', 'mn', 'mississippi', 'ms', 'missouri', 'mo', 'montana', 'mt',
+  'nebraska', 'ne', 'nevada', 'nv', 'new hampshire', 'nh', 'new jersey', 'nj', 'new mexico', 'nm',
+  'new york', 'ny', 'north carolina', 'nc', 'north dakota', 'nd', 'ohio', 'oh', 'oklahoma', 'ok',
+  'oregon', 'or', 'pennsylvania', 'pa', 'rhode island', 'ri', 'south carolina', 'sc',
+  'south dakota', 'sd', 'tennessee', 'tn', 'texas', 'tx', 'utah', 'ut', 'vermont', 'vt',
+  'virginia', 'va', 'washington', 'wa', 'west virginia', 'wv', 'wisconsin', 'wi', 'wyoming', 'wy',
+  'district of columbia', 'dc', 'puerto rico', 'pr',
+];
+
+// LinkedIn metro areas by their core name ("Greater Seattle Area" and
+// "Seattle Metropolitan Area" are both "seattle"), with their country
+const METRO_AREAS = {
+  US: [
+    'seattle', 'san francisco', 'new york city', 'new york', 'boston', 'chicago', 'los angeles',
+    'dallas-fort worth', 'houston', 'washington dc-baltimore', 'atlanta', 'miami-fort lauderdale',
+    'philadelphia', 'denver', 'phoenix', 'austin', 'san diego', 'minneapolis-st paul', 'detroit',
+    'portland', 'salt lake city', 'raleigh-durham-chapel hill', 'nashville', 'pittsburgh',
+    'st louis', 'charlotte', 'tampa bay', 'orlando', 'las vegas', 'sacramento', 'kansas city',
+    'cleveland', 'cincinnati', 'columbus', 'indianapolis', 'baltimore', 'san antonio', 'silicon valley',
+  ],
+  GB: ['london', 'manchester', 'birmingham', 'edinburgh', 'glasgow', 'bristol'],
+  IE: ['dublin'],
+  FR: ['paris', 'lyon'],
+  DE: ['berlin', 'munich', 'hamburg', 'frankfurt'],
+  NL: ['amsterdam', 'rotterdam'],
+  CA: ['toronto', 'montreal', 'vancouver', 'calgary', 'ottawa'],
+  AU: ['sydney', 'melbourne', 'brisbane', 'perth'],
+};
+
+const BY_REGION = new Map(US_STATES.map((n) => [n, BY_ISO.get('US')]));
+const BY_METRO = new Map();
+for (const [iso, metros] of Object.entries(METRO_AREAS)) for (const m of metros) BY_METRO.set(m, BY_ISO.get(iso));
+
+// The wording around a metro area's core name
+const METRO_WORDING = /^greater\s+|\s+(?:bay\s+area|metropolitan\s+area|metropolitan\s+region|metro\s+area|metroplex|area|region)$/g;
+
+// Phone type labels the sidebars show, by the type written to the CSV
+const TYPE_PATTERNS = [
+  ['mobile', /\b(mobile|cell|cellular)\b/i],
+  ['work', /\b(work|office|business|direct|landline|company)\b/i],
+];
+
+function plain(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+/**
+ * The country of a LinkedIn location ("Austin, Texas, United States"):
+ * the last comma-separated part that names a known country, else a US
+ * state or a metro area ("Greater Seattle Area"), else the
+ * PHONE_DEFAULT_COUNTRY.
+ *
+ * @param {string} location
+ * @returns {{iso: string, code: string, trunk: string, nsn: number[]}|null}
+ */
+function countryFromLocation(location) {
+  const parts = String(location || '').split(',').map(plain).reverse();
+  for (const part of parts) {
+    const hit = BY_NAME.get(part);
+    if (hit) return hit;
+  }
+  for (const part of parts) {
+    const hit = BY_REGION.get(part) || BY_METRO.get(part.replace(/\./g, '').replace(METRO_WORDING, ''));
+    if (hit) return hit;
+  }
+  return BY_ISO.get(String(process.env.PHONE_DEFAULT_COUNTRY || '').trim().toUpperCase()) || null;
+}
+
+function fitsCountry(country, nsn) {
+  return nsn.length >= country.nsn[0] && nsn.length <= country.nsn[1];
+}
+
+/**
+ * Normalise one phone number to E.164.
+ *
+ * @param {string} raw Number as shown ("+1 (415) 555-0100 ext. 12")
+ * @param {string} [location] The lead's person_location, for numbers
+ *   in national form
+ * @returns {string} `+<digits>`, or '' when the number cannot be normalised
+ */
+function toE164(raw, location) {
+  let s = String(raw || '').replace(/^tel:/i, '');
+  // Drop extensions, trailing labels ("(mobile)") and anything before
+  // the number ("Mobile: …")
+  s = s.replace(/\s*\([a-z\s]+\)\s*$/i, '').replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '');
+  const start = s.search(/[+\d(]/);
+  if (start === -1) return '';
+  s = s.slice(start).trim();
+  // "+44 (0) 20 …": the trunk prefix written after the country code
+  s = s.replace(/^((?:\+|00)\s*\d{1,3})[\s.-]*\(0\)/, '$1');
+  if (/[a-z]/i.test(s)) return '';
+  let digits = s.replace(/\D/g, '');
+  const country = countryFromLocation(location);
+  let international = s.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  } else if (!international && country && country.code === '1' && digits.startsWith('011')) {
+    digits = digits.slice(3);
+    international = true;
+  }
+  if (international) {
+    // Check the length against the calling code when it is a known one
+    const known = COUNTRIES.filter((c) => digits.startsWith(c.code));
+    if (known.length) {
+      return known.some((c) => fitsCountry(c, digits.slice(c.code.length))) ? `+${digits}` : '';
+    }
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : '';
+  }
+  if (!country) return '';
+  let nsn = digits;
+  if (country.trunk && nsn.startsWith(country.trunk) && fitsCountry(country, nsn.slice(country.trunk.length))) {
+    nsn = nsn.slice(country.trunk.length);
+  }
+  if (fitsCountry(country, nsn)) return `+${country.code}${nsn}`;
+  // Written with the country code but without "+"
+  if (nsn.startsWith(country.code) && fitsCountry(country, nsn.slice(country.code.length))) return `+${nsn}`;
+  return '';
+}
+
+/**
+ * The phone type a sidebar label stands for.
+ *
+ * @param {string} label Text around the number, e.g. "Mobile" or "Work phone"
+ * @returns {'mobile'|'work'|''}
+ */
+function phoneType(label) {
+  const hit = TYPE_PATTERNS.find(([, re]) => re.test(String(label || '')));
+  return hit ? hit[0] : '';
+}
+
+/**
+ * Normalise and deduplicate a lead's phone numbers.  The first label
+ * seen for a number is kept.
+ *
+ * @param {Array<{raw: string, label?: string, type?: string}>} phones
+ * @param {string} [location] The lead's person_location
+ * @param {number} [limit=2]
+ * @returns {Array<{number: string, type: string}>}
+ */
+function normalisePhones(phones, location, limit = 2) {
+  const out = [];
+  for (const p of phones || []) {
+    const number = toE164(p && p.raw, location);
+    if (!number) continue;
+    const type = p.type || phoneType(p.label);
+    const existing = out.find((o) => o.number === number);
+    if (existing) {
+      if (!existing.type) existing.type = type;
+      continue;
+    }
+    if (out.length < limit) out.push({ number, type });
+  }
+  return out;
+}
+
+/**
+ * The CSV fields of a row's phones (`Phone 1`, `Phone 1 Type`, …).
+ *
+ * @param {Array<{number: string, type: string}>} phones From normalisePhones()
+ * @returns {{phone_1: string, phone_1_type: string, phone_2: string, phone_2_type: string}}
+ */
+function phoneFields(phones) {
+  const [p1 = {}, p2 = {}] = phones || [];
+  return {
+    phone_1: p1.number || '',
+    phone_1_type: p1.type || '',
+    phone_2: p2.number || '',
+    phone_2_type: p2.type || '',
+  };
+}
+
+module.exports = { toE164, phoneType, normalisePhones, phoneFields, countryFromLocation };
@@ -0,0 +1,90 @@
+// utils/providerCookies.js
+//
+// Manages the shared SignalHire and ContactOut cookie files that the
+// browser extensions log in with.  Cookies may be pasted in any format
+// understood by cookieFormats.js and are stored as the JSON array
+// exported from Chrome (the same format the login helpers read).  The
+// status includes the last login check recorded by loginChecks.js so
+// the UI can show whether a cookie still works.
+
+const fs = require('fs');
+const { parseCookieInput } = require('./cookieFormats');
+const { writeCookieFile, getSharedCookiePath } = require('./fileHandler');
+const { getLoginCheck, clearLoginCheck } = require('./loginChecks');
+
+// Providers whose cookies can be managed here, with the domain their
+// cookies must belong to.
+const PROVIDERS = {
+  signalhire: { label: 'SignalHire', domain: 'signalhire.com' },
+  contactout: { label: 'ContactOut', domain: 'contactout.com' },
+};
+
+function isProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+}
+
+/**
+ * Validate and store the shared cookie file for a provider.  The format
+ * of the pasted text is detected by cookieFormats.js; every cookie must
+ * have a name and domain, and at least one must belong to the
+ * provider's domain.  The previous login check is discarded because it
+ * applied to the old cookie.
+ *
+ * @param {'signalhire'|'contactout'} provider
+ * @param {string} cookieText Pasted cookie data
+ * @returns {{filePath: string, format: string, count: number}} The saved
+ *   file, the detected format and the number of provider cookies
+ */
+function saveProviderCookie(provider, cookieText) {
+  const { label, domain } = PROVIDERS[provider];
+  const { format, cookies, matching } = parseCookieInput(cookieText, { domain });
+  if (!matching) {
+    throw new Error(`Invalid cookie data: no ${label} cookies found (expected domain ${domain})`);
+  }
+  const filePath = writeCookieFile(getSharedCookiePath(provider), cookies);
+  clearLoginCheck(filePath);
+  return { filePath, format, count: matching };
+}
+
+/**
+ * Describe the shared cookie of a provider: whether it exists, when it
+ * was last written and the outcome of the last login check.
+ *
+ * @param {'signalhire'|'contactout'} provider
+ */
+function getProviderCookieStatus(provider) {
+  const filePath = getSharedCookiePath(provider);
+  let updatedAt = null;
+  try {
+    updatedAt = fs.statSync(filePath).mtime.toISOString();
+  } catch {
+    // no cookie file
+  }
+  return {
+    provider,
+    label: PROVIDERS[provider].label,
+    hasCookie: !!updatedAt,
+    updatedAt,
+    lastLoginCheck: getLoginCheck(filePath),
+  };
+}
+
+/**
+ * Delete the shared cookie file of a provider together with its login
+ * check record.  Succeeds even if the file did not exist.
+ *
+ * @param {'signalhire'|'contactout'} provider
+ */
+function deleteProviderCookie(provider) {
+  const filePath = getSharedCookiePath(provider);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  clearLoginCheck(filePath);
+}
+
+module.exports = {
+  PROVIDERS,
+  isProvider,
+  saveProviderCookie,
+  getProviderCookieStatus,
+  deleteProviderCookie,
+};
@@ -0,0 +1,116 @@
+// utils/restli.js
+//
+// Encoder/decoder for the Rest.li protocol 2.0 syntax LinkedIn uses in
+// Sales Navigator search URLs, e.g.
+//
+//   query=(recentSearchParam:(doLogHistory:true),filters:List((type:COMPANY_HEADCOUNT,...)))
+//
+// Objects are written as `(key:value,...)`, arrays as `List(a,b)` and
+// everything else as a string whose reserved characters are
+// percent-encoded.  Decoded values are plain objects, arrays and
+// strings (numbers and booleans stay strings, as on the wire).
+
+// Characters that must be escaped inside a Rest.li string
+const RESERVED = /[(),:'!*]/g;
+
+function escapeString(value) {
+  return encodeURIComponent(String(value)).replace(
+    RESERVED,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function unescapeString(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Serialise a value into Rest.li syntax.
+ *
+ * @param {*} value Object, array or scalar
+ * @returns {string}
+ */
+function encodeRestli(value) {
+  if (Array.isArray(value)) {
+    return `List(${value.map(encodeRestli).join(',')})`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([k, v]) => `${escapeString(k)}:${encodeRestli(v)}`);
+    return `(${fields.join(',')})`;
+  }
+  return escapeString(value === null ? '' : value);
+}
+
+/**
+ * Parse a Rest.li string.
+ *
+ * @param {string} text Rest.li encoded value (already URL-decoded once)
+ * @returns {*} The decoded object, array or string
+ * @throws {Error} If the text is not valid Rest.li
+ */
+function decodeRestli(text) {
+  const src = String(text);
+  let pos = 0;
+
+  const fail = (what) => {
+    throw new Error(`Invalid Rest.li value: ${what} at position ${pos}`);
+  };
+
+  function readString() {
+    const start = pos;
+    while (pos < src.length && !'(),:'.includes(src[pos])) pos++;
+    return unescapeString(src.slice(start, pos));
+  }
+
+  function readValue() {
+    if (src.startsWith('List(', pos)) {
+      pos += 5;
+      const items = [];
+      if (src[pos] === ')') {
+        pos++;
+        return items;
+      }
+      for (;;) {
+        items.push(readValue());
+        if (src[pos] === ',') pos++;
+        else if (src[pos] === ')') {
+          pos++;
+          return items;
+        } else fail('expected "," or ")" in List');
+      }
+    }
+    if (src[pos] === '(') {
+      pos++;
+      const obj = {};
+      if (src[pos] === ')') {
+        pos++;
+        return obj;
+      }
+      for (;;) {
+        const key = readString();
+        if (!key) fail('expected a key');
+        if (src[pos] !== ':') fail(`expected ":" after "${key}"`);
+        pos++;
+        obj[key] = readValue();
+        if (src[pos] === ',') pos++;
+        else if (src[pos] === ')') {
+          pos++;
+          return obj;
+        } else fail('expected "," or ")" in object');
+      }
+    }
+    return readString();
+  }
+
+  const value = readValue();
+  if (pos !== src.length) fail('unexpected trailing characters');
+  return value;
+}
+
+module.exports = { encodeRestli, decodeRestli };
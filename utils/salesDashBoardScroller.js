@@ -10,6 +10,8 @@
 // whether scrolling completed or no scrollable container could be
 // found.
 
+const { profileForPage } = require('./pageProfiles');
+
 /**
  * Scroll the Sales Navigator lead list.  By default it waits for
  * the first lead row, picks the largest scrollable container and
@@ -18,7 +20,8 @@
  *
  * @param {import('playwright').Page} page The Playwright page
  * @param {Object} opts Options for scrolling behaviour
- * @param {string} [opts.trackerSelector='a[data-control-name^="view_lead_panel"]'] CSS selector that indicates the lead list is ready
+ * @param {string} [opts.trackerSelector] CSS selector that indicates the lead list is ready
+ *   (default: the row selector of the page's profile, see pageProfiles.js)
  * @param {string|null} [opts.scrollSelector=null] Optional selector for an explicit scroll container
  * @param {number} [opts.maxSteps=40] Maximum number of scroll steps
  * @param {number} [opts.stepPx=200] Number of pixels to scroll per step
@@ -30,7 +33,7 @@
  */
 async function salesDashBoardScroller(page, opts = {}) {
   const {
-    trackerSelector = 'a[data-control-name^="view_lead_panel"]',
+    trackerSelector = profileForPage(page).rowSelector,
     scrollSelector = null,
     maxSteps = 40,
     stepPx = 200,
@@ -0,0 +1,239 @@
+// utils/salesNavQuery.js
+//
+// Parser and builder for Sales Navigator search URLs.  A search URL
+// carries the whole search in a Rest.li encoded `query` parameter
+// (see utils/restli.js):
+//
+//   /sales/search/people?query=(recentSearchParam:(doLogHistory:true),
+//     keywords:cto,filters:List((type:COMPANY_HEADCOUNT,values:List(
+//     (id:B,text:1-10,selectionType:INCLUDED)))))&sessionId=...
+//
+// parseSalesNavUrl() turns such a URL into a plain object with the
+// keywords and filters pulled out; buildSalesNavUrl() writes the object
+// back into a URL.  Parts this module does not interpret (other query
+// fields, other URL parameters and the order of both) are carried
+// through unchanged, so parsing and building an untouched URL returns
+// it as is.  A value without a selectionType counts as included.
+
+const { encodeRestli, decodeRestli } = require('./restli');
+
+const SALES_NAV_ORIGIN = 'https://www.linkedin.com';
+const SEARCH_PATH = /^\/sales\/search\/(people|company)\/?$/;
+
+// Readable names of the filter types seen in search URLs.  Unknown
+// types are shown with their raw name in title case.
+const FILTER_LABELS = {
+  COMPANY_HEADCOUNT: 'Company headcount',
+  COMPANY_HEADQUARTERS: 'Company headquarters',
+  COMPANY_TYPE: 'Company type',
+  ANNUAL_REVENUE: 'Annual revenue',
+  CURRENT_COMPANY: 'Current company',
+  PAST_COMPANY: 'Past company',
+  CURRENT_TITLE: 'Current job title',
+  PAST_TITLE: 'Past job title',
+  FUNCTION: 'Function',
+  SENIORITY_LEVEL: 'Seniority level',
+  INDUSTRY: 'Industry',
+  REGION: 'Geography',
+  POSTAL_CODE: 'Postal code',
+  SCHOOL: 'School',
+  FIRST_NAME: 'First name',
+  LAST_NAME: 'Last name',
+  PROFILE_LANGUAGE: 'Profile language',
+  GROUP: 'Group',
+  YEARS_AT_CURRENT_COMPANY: 'Years in current company',
+  YEARS_IN_CURRENT_POSITION: 'Years in current position',
+  YEARS_OF_EXPERIENCE: 'Years of experience',
+  RECENTLY_CHANGED_JOBS: 'Changed jobs',
+  POSTED_ON_LINKEDIN: 'Posted on LinkedIn',
+  LEAD_INTERACTIONS: 'Lead interactions',
+  SAVED_LEADS_AND_ACCOUNTS: 'Saved leads and accounts',
+  LEAD_LIST: 'Lead list',
+  ACCOUNT_LIST: 'Account list',
+  PERSONA: 'Persona',
+  CONNECTION: 'Connection',
+  CONNECTIONS_OF: 'Connections of',
+  FOLLOWS_YOUR_COMPANY: 'Follows your company',
+};
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function omitValues(filter) {
+  const { values, ...rest } = filter;
+  return rest;
+}
+
+function normaliseFilter(filter) {
+  const values = isObject(filter) && Array.isArray(filter.values) ? filter.values : [];
+  return {
+    ...filter,
+    type: String((isObject(filter) && filter.type) || ''),
+    values: values.filter(isObject).map((v) => ({
+      ...v,
+      id: v.id === undefined ? undefined : String(v.id),
+      text: v.text === undefined ? undefined : String(v.text),
+    })),
+  };
+}
+
+/**
+ * Parse a Sales Navigator search URL.
+ *
+ * @param {string} url Search URL (people or account search)
+ * @returns {{
+ *   searchType: 'people'|'company',
+ *   keywords: string|null,
+ *   filters: {type: string, values: {id: string, text: string, selectionType: string}[]}[],
+ *   query: Object,
+ *   params: {key: string, value: string}[]
+ * }} `query` is the whole decoded `query` parameter (keywords and
+ *   filters are also pulled out into their own fields) and `params`
+ *   every URL parameter in order, decoded
+ * @throws {Error} If the URL is not a Sales Navigator search or its
+ *   query cannot be decoded
+ */
+function parseSalesNavUrl(url) {
+  let u;
+  try {
+    u = new URL(String(url || '').trim());
+  } catch {
+    throw new Error('Not a valid URL.');
+  }
+  if (!/(^|\.)linkedin\.com$/i.test(u.hostname)) {
+    throw new Error('Not a LinkedIn URL.');
+  }
+  const match = u.pathname.match(SEARCH_PATH);
+  if (!match) {
+    throw new Error('Not a Sales Navigator search URL.');
+  }
+  const params = u.search
+    .replace(/^\?/, '')
+    .split('&')
+    .filter(Boolean)
+    .map((pair) => {
+      const eq = pair.indexOf('=');
+      const raw = eq === -1 ? [pair, ''] : [pair.slice(0, eq), pair.slice(eq + 1)];
+      const [key, value] = raw.map((part) => {
+        try {
+          return decodeURIComponent(part.replace(/\+/g, ' '));
+        } catch {
+          return part;
+        }
+      });
+      return { key, value };
+    });
+  let query = {};
+  const queryParam = params.find((p) => p.key === 'query');
+  if (queryParam && queryParam.value) {
+    try {
+      query = decodeRestli(queryParam.value);
+    } catch (err) {
+      throw new Error(`Invalid search query: ${err.message}.`);
+    }
+    if (!isObject(query)) throw new Error('Invalid search query: expected (field:value,...).');
+  }
+  if (query.filters !== undefined && !Array.isArray(query.filters)) {
+    throw new Error('Invalid search query: filters must be a List.');
+  }
+  return {
+    searchType: match[1],
+    keywords: typeof query.keywords === 'string' ? query.keywords : null,
+    filters: (query.filters || []).map(normaliseFilter),
+    query,
+    params,
+  };
+}
+
+/**
+ * Build a Sales Navigator search URL from a (possibly modified) parsed
+ * search.  `keywords` and `filters` are written back into the query;
+ * the query is encoded the way LinkedIn writes it (parentheses
+ * literal, `:` and `,` percent-encoded).
+ *
+ * @param {Object} search Object in the shape returned by parseSalesNavUrl()
+ * @returns {string}
+ */
+function buildSalesNavUrl(search) {
+  // Copying keeps LinkedIn's field order; new fields go last
+  const query = { ...(search.query || {}) };
+  if (typeof search.keywords === 'string' && search.keywords) query.keywords = search.keywords;
+  else delete query.keywords;
+  // Range filters (ANNUAL_REVENUE, …) carry a rangeValue and no values;
+  // parsing gives them an empty values list, which is not written back
+  const filters = (Array.isArray(search.filters) ? search.filters : []).map((f) =>
+    isObject(f) && Array.isArray(f.values) && !f.values.length ? omitValues(f) : f
+  );
+  if (filters.length || query.filters !== undefined) query.filters = filters;
+  const params = (search.params || []).slice();
+  const encodedQuery = Object.keys(query).length
+    ? encodeURIComponent(encodeRestli(query))
+    : null;
+  if (encodedQuery && !params.some((p) => p.key === 'query')) {
+    params.unshift({ key: 'query', value: '' });
+  }
+  const pairs = [];
+  for (const { key, value } of params) {
+    if (key === 'query') {
+      if (encodedQuery) pairs.push(`query=${encodedQuery}`);
+    } else {
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  }
+  const path = `/sales/search/${search.searchType || 'people'}`;
+  return `${SALES_NAV_ORIGIN}${path}${pairs.length ? `?${pairs.join('&')}` : ''}`;
+}
+
+/**
+ * Readable label of a filter type.
+ *
+ * @param {string} type Filter type, e.g. COMPANY_HEADCOUNT
+ * @returns {string}
+ */
+function filterLabel(type) {
+  if (FILTER_LABELS[type]) return FILTER_LABELS[type];
+  const words = String(type || '').toLowerCase().split('_').filter(Boolean);
+  if (!words.length) return 'Filter';
+  words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+  return words.join(' ');
+}
+
+/**
+ * Summarise a search URL for display: its type, keywords and, per
+ * filter, the included and excluded values.
+ *
+ * @param {string} url Search URL
+ * @returns {{searchType: string, keywords: string|null,
+ *   filters: {type: string, label: string, included: string[], excluded: string[]}[]}|null}
+ *   The summary, or null if the URL cannot be parsed
+ */
+function describeSalesNavUrl(url) {
+  let search;
+  try {
+    search = parseSalesNavUrl(url);
+  } catch {
+    return null;
+  }
+  return {
+    searchType: search.searchType,
+    keywords: search.keywords,
+    filters: search.filters.map((f) => {
+      const text = (v) => v.text || v.id || '';
+      return {
+        type: f.type,
+        label: filterLabel(f.type),
+        included: f.values.filter((v) => v.selectionType !== 'EXCLUDED').map(text),
+        excluded: f.values.filter((v) => v.selectionType === 'EXCLUDED').map(text),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  FILTER_LABELS,
+  parseSalesNavUrl,
+  buildSalesNavUrl,
+  describeSalesNavUrl,
+  filterLabel,
+};
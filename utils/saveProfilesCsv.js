@@ -24,6 +24,40 @@ const BASE_COLUMNS = [
 // Column variants
 // Include a single Website column mapped from the `domain` key.
 const EXT_WEBSITE = [...BASE_COLUMNS, { key: 'domain', header: 'Website' }];
+// Rows read natively from Sales Navigator (utils/leadExtractor.js) also
+// carry the lead's Sales Navigator URL and connection degree.
+const EXT_SALES_NAV = [
+  ...EXT_WEBSITE,
+  { key: 'sales_nav_url', header: 'Sales Nav Lead URL' },
+  { key: 'connection_degree', header: 'Connection Degree' },
+];
+// Lead panel details captured by deep extraction (utils/leadPanelExtractor.js)
+const DEEP_COLUMNS = [
+  { key: 'time_in_role', header: 'Time in Role' },
+  { key: 'time_at_company', header: 'Time at Company' },
+  { key: 'past_positions', header: 'Past Positions' },
+  { key: 'shared_connections', header: 'Shared Connections' },
+  { key: 'recently_posted', header: 'Recently Posted' },
+  { key: 'changed_jobs', header: 'Changed Jobs' },
+  { key: 'company_urn', header: 'Company URN' },
+];
+// Every lead column, in the order of upgradeCsvHeaders' canonical headers
+const EXT_DEEP = [...EXT_SALES_NAV, ...DEEP_COLUMNS];
+// E.164 phones from the SignalHire cards (utils/phoneNormalizer.js),
+// after the columns above and before the match columns
+const PHONE_COLUMNS = [
+  { key: 'phone_1', header: 'Phone 1' },
+  { key: 'phone_1_type', header: 'Phone 1 Type' },
+  { key: 'phone_2', header: 'Phone 2' },
+  { key: 'phone_2_type', header: 'Phone 2 Type' },
+];
+// Written by mergeContactDomains.js, always as the last columns: rows
+// saved before the ContactOut merge leave them empty
+const MATCH_COLUMN = { key: 'website_match', header: 'Website Match' };
+const CONFIDENCE_COLUMN = { key: 'match_confidence', header: 'Match Confidence' };
+// Typed email columns (Work Email 1, Personal Email 1, …) that
+// upgradeCsvHeaders adds after them for jobs capturing full emails
+const EMAIL_HEADER_RE = /^(work|personal) email \d+$/i;
 
 function esc(value) {
   if (value == null) return '""';
@@ -49,7 +83,30 @@ async function readHeaderLine(filePath) {
 function chooseColumnsForExistingHeader(headerLine) {
   const lc = (headerLine || '').toLowerCase();
   const hasWebsite = lc.includes('website') || lc.includes('domain');
-  return hasWebsite ? EXT_WEBSITE : BASE_COLUMNS;
+  let columns = hasWebsite ? EXT_WEBSITE : BASE_COLUMNS;
+  if (hasWebsite && lc.includes('time in role')) columns = EXT_DEEP;
+  else if (hasWebsite && lc.includes('sales nav lead url')) columns = EXT_SALES_NAV;
+  if (lc.includes('phone 1')) columns = [...columns, ...PHONE_COLUMNS];
+  if (lc.includes('website match')) columns = [...columns, MATCH_COLUMN];
+  if (lc.includes('match confidence')) columns = [...columns, CONFIDENCE_COLUMN];
+  const emailColumns = (headerLine || '')
+    .replace(/^\uFEFF/, '')
+    .split(',')
+    .map((h) => h.trim().replace(/^"|"$/g, ''))
+    .filter((h) => EMAIL_HEADER_RE.test(h))
+    .map((h) => ({ key: h.toLowerCase().replace(/\s+/g, '_'), header: h }));
+  return emailColumns.length ? [...columns, ...emailColumns] : columns;
+}
+
+function hasKey(rows, key) {
+  return rows.some((r) => Object.prototype.hasOwnProperty.call(r, key));
+}
+
+function chooseColumnsForNewFile(rows) {
+  let columns = EXT_WEBSITE;
+  if (hasKey(rows, 'time_in_role')) columns = EXT_DEEP;
+  else if (hasKey(rows, 'sales_nav_url')) columns = EXT_SALES_NAV;
+  return hasKey(rows, 'phone_1') ? [...columns, ...PHONE_COLUMNS] : columns;
 }
 
 function ensureKeysForColumns(rows, columns) {
@@ -68,7 +125,9 @@ function ensureKeysForColumns(rows, columns) {
  * based on the `append` option and whether the file already
  * exists.  When appending, the existing header is used to
  * maintain column order.  When creating a new file, a sensible
- * default header (including Website) is chosen.  A BOM
+ * default header (including Website, plus the Sales Nav Lead URL and
+ * Connection Degree columns, the deep extraction columns and the phone
+ * columns when the rows carry them) is chosen.  A BOM
  * may be prepended for Excel compatibility.  Missing keys are
  * added to rows as empty strings.
  *
@@ -77,22 +136,27 @@ function ensureKeysForColumns(rows, columns) {
  * @param {string} opts.filePath Output CSV file path
  * @param {boolean} [opts.append] Whether to append to existing file; default: true if file exists
  * @param {boolean} [opts.includeBOM=true] Whether to include a BOM
+ * @param {{key: string, header: string}[]} [opts.columns] Fixed columns
+ *   (e.g. pageProfiles.ACCOUNT_COLUMNS) instead of the SignalHire ones
  * @returns {Promise<string>} Absolute path to the saved file
  */
 async function saveProfilesCsv(rows, opts = {}) {
   const { filePath = path.resolve(process.cwd(), 'output.csv'), append, includeBOM = true } = opts;
+  const fixedColumns = Array.isArray(opts.columns) && opts.columns.length ? opts.columns : null;
   if (!rows || rows.length === 0) return path.resolve(filePath);
   const dir = path.dirname(filePath);
   await fs.mkdir(dir, { recursive: true });
   const fileExists = existsSync(filePath);
   const shouldAppend = append === true || (append === undefined && fileExists);
   let columns;
-  if (fileExists) {
+  if (fixedColumns) {
+    columns = fixedColumns;
+  } else if (fileExists) {
     const headerLine = await readHeaderLine(filePath);
     columns = chooseColumnsForExistingHeader(headerLine);
   } else {
     // New files: include Website column
-    columns = EXT_WEBSITE;
+    columns = chooseColumnsForNewFile(rows);
   }
   ensureKeysForColumns(rows, columns);
   const header = columns.map((c) => esc(c.header || c.key)).join(',') + '\r\n';
@@ -114,4 +178,4 @@ async function saveProfilesCsv(rows, opts = {}) {
   return path.resolve(filePath);
 }
 
-module.exports = { saveProfilesCsv, COLUMNS: EXT_WEBSITE };
\ No newline at end of file
+module.exports = { saveProfilesCsv, COLUMNS: EXT_WEBSITE, DEEP_COLUMNS };
\ No newline at end of file
@@ -0,0 +1,162 @@
+// utils/searchSplitter.js
+//
+// Sales Navigator never paginates past 100 pages (2,500 results); a
+// bigger search simply ends with `no-more`.  This module fans such a
+// search out into narrower sub-searches that each stay under the cap,
+// by adding a single value of one filter dimension to the search's
+// filters (parsed with utils/salesNavQuery.js):
+//
+//   COMPANY_HEADCOUNT  every headcount bucket
+//   SENIORITY_LEVEL    every seniority level
+//   REGION             the regions supplied by the caller (there are too
+//                      many geographies to enumerate)
+//
+// Dimensions are tried in that order.  A dimension the search already
+// narrows to a single included value is skipped; one with several
+// included values is split into exactly those values.  Note that leads
+// without a value for the chosen dimension (e.g. no seniority on their
+// profile) do not match any sub-search.
+
+const { parseSalesNavUrl, buildSalesNavUrl } = require('./salesNavQuery');
+
+// Sales Navigator shows at most this many result pages (25 leads each)
+const SALES_NAV_MAX_PAGES = 100;
+const SALES_NAV_MAX_RESULTS = 2500;
+
+// Built-in values for the dimensions that have a fixed set of buckets
+const DIMENSION_VALUES = {
+  COMPANY_HEADCOUNT: [
+    { id: 'A', text: 'Self-employed' },
+    { id: 'B', text: '1-10' },
+    { id: 'C', text: '11-50' },
+    { id: 'D', text: '51-200' },
+    { id: 'E', text: '201-500' },
+    { id: 'F', text: '501-1,000' },
+    { id: 'G', text: '1,001-5,000' },
+    { id: 'H', text: '5,001-10,000' },
+    { id: 'I', text: '10,001+' },
+  ],
+  SENIORITY_LEVEL: [
+    { id: '100', text: 'In Training' },
+    { id: '110', text: 'Entry Level' },
+    { id: '120', text: 'Senior' },
+    { id: '130', text: 'Strategic' },
+    { id: '200', text: 'Entry Level Manager' },
+    { id: '210', text: 'Experienced Manager' },
+    { id: '220', text: 'Director' },
+    { id: '300', text: 'Vice President' },
+    { id: '310', text: 'CXO' },
+    { id: '320', text: 'Owner / Partner' },
+  ],
+};
+
+const SPLIT_DIMENSIONS = ['COMPANY_HEADCOUNT', 'SENIORITY_LEVEL', 'REGION'];
+
+const DIMENSION_LABELS = {
+  COMPANY_HEADCOUNT: 'company headcount',
+  SENIORITY_LEVEL: 'seniority',
+  REGION: 'geography',
+};
+
+function includedValues(filter) {
+  return filter ? filter.values.filter((v) => v.selectionType !== 'EXCLUDED') : [];
+}
+
+/**
+ * Decide how to split a search.
+ *
+ * @param {string} url Sales Navigator search URL
+ * @param {Object} [opts]
+ * @param {{id: string, text: string}[]} [opts.regions] Regions to split by
+ *   when headcount and seniority are already narrowed
+ * @returns {{type: string, label: string, values: {id: string, text: string}[]}|null}
+ *   The dimension and values of the sub-searches, or null if the search
+ *   cannot be split any further
+ */
+function planSplit(url, { regions } = {}) {
+  const { filters } = parseSalesNavUrl(url);
+  for (const type of SPLIT_DIMENSIONS) {
+    const existing = filters.find((f) => f.type === type);
+    const included = includedValues(existing);
+    let values;
+    if (included.length > 1) {
+      values = included.map((v) => ({ id: v.id, text: v.text }));
+    } else if (included.length === 1) {
+      continue;
+    } else {
+      values = type === 'REGION' ? regions || [] : DIMENSION_VALUES[type];
+      // Values the search excludes would only produce empty sub-searches
+      const excluded = new Set(
+        (existing ? existing.values : []).map((v) => v.id)
+      );
+      values = values.filter((v) => !excluded.has(String(v.id)));
+    }
+    if (values.length > 1) {
+      return { type, label: DIMENSION_LABELS[type], values };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the URL of one sub-search: the original search with the
+ * dimension's included values replaced by a single value.  Excluded
+ * values of that dimension are kept.  The saved-search id in
+ * `recentSearchParam` is dropped because it describes the original
+ * search, and so is `page` so the sub-search starts from page 1.
+ *
+ * @param {string} url Original search URL
+ * @param {string} type Filter type, e.g. COMPANY_HEADCOUNT
+ * @param {{id: string, text: string}} value The value to filter on
+ * @returns {string}
+ */
+function buildSubSearchUrl(url, type, value) {
+  const search = parseSalesNavUrl(url);
+  const filters = search.filters.slice();
+  const idx = filters.findIndex((f) => f.type === type);
+  const excluded = (idx === -1 ? [] : filters[idx].values).filter(
+    (v) => v.selectionType === 'EXCLUDED'
+  );
+  const filter = {
+    type,
+    values: [{ id: String(value.id), text: String(value.text), selectionType: 'INCLUDED' }, ...excluded],
+  };
+  if (idx === -1) filters.push(filter);
+  else filters[idx] = filter;
+  search.filters = filters;
+  const recent = search.query.recentSearchParam;
+  if (recent && typeof recent === 'object' && !Array.isArray(recent)) {
+    const { id, ...rest } = recent;
+    search.query = { ...search.query, recentSearchParam: rest };
+  }
+  search.params = search.params.filter((p) => p.key !== 'page');
+  return buildSalesNavUrl(search);
+}
+
+/**
+ * Validate the regions a caller wants geography splits to use.
+ *
+ * @param {*} input Expected: array of `{ id, text }` (Sales Navigator geo ids)
+ * @returns {{id: string, text: string}[]}
+ * @throws {Error} If the input is not such an array
+ */
+function parseSplitRegions(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error('splitRegions must be an array of { id, text }.');
+  return input.map((r) => {
+    if (!r || typeof r !== 'object' || !String(r.id || '').trim()) {
+      throw new Error('splitRegions must be an array of { id, text }.');
+    }
+    const id = String(r.id).trim();
+    return { id, text: String(r.text || id).trim() };
+  });
+}
+
+module.exports = {
+  SALES_NAV_MAX_PAGES,
+  SALES_NAV_MAX_RESULTS,
+  DIMENSION_VALUES,
+  planSplit,
+  buildSubSearchUrl,
+  parseSplitRegions,
+};
@@ -0,0 +1,339 @@
+// utils/selectorDiagnostics.js
+//
+// Selector health check.  Opens a Sales Navigator URL the way a scrape
+// does (extension logins, LinkedIn cookies, lead list), then looks up
+// every logical element the scraper depends on – result rows,
+// pagination, the SignalHire and ContactOut toggles, cards and card
+// names, and the login markers – and reports for each one whether it
+// was found, how many elements matched, in which frame and which
+// selector of its fallback chain matched (see utils/selectorRegistry.js).
+// The SignalHire and ContactOut sidebars are opened with the same
+// helpers the orchestrators use, so a renamed toggle shows up as a
+// missing toggle rather than as missing cards.
+//
+// Every run is saved to `data/diagnostics/<runId>/report.json`.  When
+// an element is missing (or a login marker is present) a full-page
+// screenshot and a DOM snapshot of the page and of every frame are
+// saved beside it.  Only the most recent MAX_RUNS runs are kept.
+//
+// The check runs in its own browser profile (`user_data_diagnostics/`)
+// so it never competes with a scrape worker for a locked profile.  It
+// can be started with `POST /diagnostics` or from the command line:
+//
+//   npm run diagnose -- "<sales navigator url>" [--account <accountId>]
+
+const fs = require('fs/promises');
+const path = require('path');
+const { launchStealthBrowser } = require('./browser');
+const { addLinkedInCookies, checkLinkedInByUrl } = require('./linkedin_login');
+const { ensureSignalHireLogin } = require('./signalhire_login');
+const { ensureContactOutLogin } = require('./contactout_login');
+const { resolveCookieFiles } = require('./fileHandler');
+const { getAccountCookiePath } = require('./accountVault');
+const { getPageProfile } = require('./pageProfiles');
+const { selectorChain, describeSelectors } = require('./selectorRegistry');
+const { waitForLeadList } = require('./waitForLeadList');
+const clickSignalHireToggle = require('../signalHire/clickSignalHireToggle');
+const waitForSignalHireResults = require('../signalHire/waitForSignalHireResults');
+const checkSignalHireLoggedIn = require('../signalHire/checkSignalHireLoggedIn');
+const clickContactOutToggle = require('../contactOut/clickContactOutToggle');
+const waitForContactOutResults = require('../contactOut/waitForContactOutResults');
+const checkContactOutLoggedIn = require('../contactOut/checkContactOutLoggedIn');
+
+const diagnosticsDir = path.join(__dirname, '..', 'data', 'diagnostics');
+const userDataDir = path.join(__dirname, '..', 'user_data_diagnostics');
+const MAX_RUNS = 20;
+
+// Logical elements checked, by group.  `expect: 'absent'` marks login
+// markers: finding one means the extension is signed out.
+const salesNavChecks = (key) => [
+  { key: `salesnav.${key}.row`, label: 'Result rows' },
+  { key: `salesnav.${key}.paginationRoot`, label: 'Pagination' },
+  { key: 'salesnav.pagination.next', label: 'Pagination: Next button' },
+  { key: 'salesnav.pagination.pageState', label: 'Pagination: page state' },
+];
+const SIGNALHIRE_CHECKS = [
+  { key: 'signalhire.card', label: 'SignalHire cards' },
+  { key: 'signalhire.card.name', label: 'SignalHire card names' },
+  { key: 'signalhire.signInButton', label: 'SignalHire sign-in marker', expect: 'absent' },
+];
+const CONTACTOUT_CHECKS = [
+  { key: 'contactout.card', label: 'ContactOut cards' },
+  { key: 'contactout.card.name', label: 'ContactOut card names' },
+];
+
+// A run at a time: each run opens a full browser
+let running = false;
+
+function frameName(page, frame) {
+  if (frame === page.mainFrame()) return 'main';
+  return frame.url() || frame.name() || 'frame';
+}
+
+/**
+ * Look up one logical element in the page and all its frames.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{key: string, label: string, group: string, expect?: string}} check
+ * @returns {Promise<Object>} The check with `status` (`ok`, `missing` or
+ *   `unexpected`), `count`, `frame` and `selector` of the first chain
+ *   entry that matched, and `chain` (every entry with its match count)
+ */
+async function probe(page, check) {
+  const expect = check.expect || 'present';
+  const chain = [];
+  let hit = null;
+  for (const selector of selectorChain(check.key)) {
+    let count = 0;
+    let frame = null;
+    for (const f of page.frames()) {
+      const n = await f.locator(selector).count().catch(() => 0);
+      if (n && !frame) frame = frameName(page, f);
+      count += n;
+    }
+    chain.push({ selector, count });
+    if (count && !hit) hit = { selector, count, frame };
+  }
+  const found = Boolean(hit);
+  return {
+    ...check,
+    expect,
+    status: found === (expect === 'present') ? 'ok' : found ? 'unexpected' : 'missing',
+    count: hit ? hit.count : 0,
+    frame: hit ? hit.frame : null,
+    selector: hit ? hit.selector : null,
+    chain,
+  };
+}
+
+function skipped(check, reason) {
+  return { ...check, expect: check.expect || 'present', status: 'skipped', reason, count: 0, frame: null, selector: null, chain: [] };
+}
+
+// Screenshot and DOM snapshots of the page and its frames
+async function saveArtifacts(page, dir) {
+  const files = [];
+  try {
+    await page.screenshot({ path: path.join(dir, 'screenshot.png'), fullPage: true });
+    files.push('screenshot.png');
+  } catch { }
+  let n = 0;
+  for (const frame of page.frames()) {
+    const isMain = frame === page.mainFrame();
+    if (!isMain && (!frame.url() || frame.url() === 'about:blank')) continue;
+    const name = isMain ? 'dom.html' : `frame-${++n}.html`;
+    try {
+      const html = await frame.content();
+      await fs.writeFile(path.join(dir, name), `<!-- ${frame.url()} -->\n${html}`);
+      files.push(name);
+    } catch { }
+  }
+  return files;
+}
+
+// Keep the newest MAX_RUNS run directories
+async function pruneRuns() {
+  const runs = await listDiagnostics().catch(() => []);
+  for (const run of runs.slice(MAX_RUNS)) {
+    await fs.rm(path.join(diagnosticsDir, run.id), { recursive: true, force: true }).catch(() => { });
+  }
+}
+
+/**
+ * Run the selector health check on a Sales Navigator URL.
+ *
+ * @param {Object} opts
+ * @param {string} opts.url People search, saved lead list or account search URL
+ * @param {string} [opts.accountId] LinkedIn account whose cookie to use;
+ *   defaults to the shared LinkedIn cookie
+ * @returns {Promise<Object>} The report also saved as report.json:
+ *   `{ id, url, pageType, startedAt, finishedAt, selectorsVersion,
+ *   logins, checks, failures, artifacts }`
+ * @throws {Error} If the URL is not supported, no LinkedIn cookie is
+ *   available or another run is in progress
+ */
+async function runDiagnostics({ url, accountId } = {}) {
+  const profile = getPageProfile(url);
+  if (!profile) {
+    throw new Error('url must be a Sales Navigator people search, lead list or account search URL.');
+  }
+  const cookieFiles = resolveCookieFiles();
+  const cookieFile = accountId ? getAccountCookiePath(accountId) : cookieFiles.linkedin;
+  if (!cookieFile) {
+    throw new Error(accountId ? 'That LinkedIn account has no cookie.' : 'No LinkedIn cookie saved.');
+  }
+  if (running) throw new Error('A diagnostics run is already in progress.');
+  running = true;
+
+  const startedAt = new Date();
+  const id = `diag_${startedAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`;
+  const dir = path.join(diagnosticsDir, id);
+  const report = {
+    id,
+    url,
+    pageType: profile.label,
+    accountId: accountId || null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    selectorsVersion: describeSelectors().version,
+    logins: {},
+    checks: [],
+    failures: 0,
+    artifacts: [],
+    error: null,
+  };
+  const leads = profile.output === 'leads';
+  let context = null;
+  let page = null;
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    context = await launchStealthBrowser({ userDataDir });
+    if (leads) {
+      for (const [service, ensure] of [['contactout', ensureContactOutLogin], ['signalhire', ensureSignalHireLogin]]) {
+        const res = await ensure(context, cookieFiles[service]).catch(() => null);
+        report.logins[service] = Boolean(res && res.loggedIn);
+        if (res && res.page) await res.page.close().catch(() => { });
+      }
+    }
+    await addLinkedInCookies(context, cookieFile);
+    const liCheck = await checkLinkedInByUrl(context, url);
+    page = liCheck.page;
+    report.logins.linkedin = liCheck.loggedIn;
+    const snChecks = salesNavChecks(profile.selectorKey).map((c) => ({ ...c, group: 'Sales Navigator' }));
+    const shChecks = [{ key: 'signalhire.toggle', label: 'SignalHire toggle' }, ...SIGNALHIRE_CHECKS].map((c) => ({ ...c, group: 'SignalHire' }));
+    const coChecks = [{ key: 'contactout.toggle', label: 'ContactOut toggle' }, ...CONTACTOUT_CHECKS].map((c) => ({ ...c, group: 'ContactOut' }));
+    if (!liCheck.loggedIn) {
+      const reason = 'LinkedIn login failed';
+      report.checks.push(...[...snChecks, ...shChecks, ...coChecks].map((c) => skipped(c, reason)));
+    } else {
+      await waitForLeadList(page).catch(() => { });
+      for (const check of snChecks) report.checks.push(await probe(page, check));
+      if (!leads) {
+        const reason = 'Account searches do not use the extensions';
+        report.checks.push(...[...shChecks, ...coChecks].map((c) => skipped(c, reason)));
+      } else {
+        // SignalHire: the toggle, then the sidebar it opens
+        report.checks.push(await probe(page, shChecks[0]));
+        if (await clickSignalHireToggle(page, 5000)) {
+          await waitForSignalHireResults(page).catch(() => { });
+          for (const check of shChecks.slice(1)) report.checks.push(await probe(page, check));
+          report.logins.signalhireSidebar = await checkSignalHireLoggedIn(page);
+        } else {
+          report.checks.push(...shChecks.slice(1).map((c) => skipped(c, 'SignalHire toggle could not be clicked')));
+        }
+        // ContactOut: the same
+        report.checks.push(await probe(page, coChecks[0]));
+        if (await clickContactOutToggle(page, 5000).catch(() => false)) {
+          await waitForContactOutResults(page).catch(() => { });
+          for (const check of coChecks.slice(1)) report.checks.push(await probe(page, check));
+          report.logins.contactoutSidebar = await checkContactOutLoggedIn(page);
+        } else {
+          report.checks.push(...coChecks.slice(1).map((c) => skipped(c, 'ContactOut toggle could not be clicked')));
+        }
+      }
+    }
+  } catch (err) {
+    report.error = err.message || String(err);
+  } finally {
+    report.failures = report.checks.filter((c) => c.status === 'missing' || c.status === 'unexpected').length;
+    if (page && (report.failures || report.error || report.logins.linkedin === false)) {
+      report.artifacts = await saveArtifacts(page, dir);
+    }
+    if (context) await context.close().catch(() => { });
+    report.finishedAt = new Date().toISOString();
+    await fs.writeFile(path.join(dir, 'report.json'), JSON.stringify(report, null, 2)).catch(() => { });
+    running = false;
+    await pruneRuns();
+  }
+  return report;
+}
+
+/**
+ * Whether a diagnostics run is in progress.
+ */
+function isDiagnosticsRunning() {
+  return running;
+}
+
+/**
+ * Saved runs, newest first.
+ *
+ * @returns {Promise<Array<{id: string, url: string, pageType: string,
+ *   startedAt: string, failures: number, error: string|null}>>}
+ */
+async function listDiagnostics() {
+  let entries;
+  try {
+    entries = await fs.readdir(diagnosticsDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const runs = [];
+  for (const ent of entries) {
+    if (!ent.isDirectory()) continue;
+    const report = await getDiagnostics(ent.name);
+    if (!report) continue;
+    const { id, url, pageType, startedAt, failures, error } = report;
+    runs.push({ id, url, pageType, startedAt, failures, error });
+  }
+  return runs.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+/**
+ * A saved report.
+ *
+ * @param {string} id Run id
+ * @returns {Promise<Object|null>}
+ */
+async function getDiagnostics(id) {
+  if (!/^diag_[\w-]+$/.test(String(id))) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(diagnosticsDir, id, 'report.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Absolute path of a screenshot or DOM snapshot listed in a report.
+ *
+ * @param {string} id Run id
+ * @param {string} name Artifact file name
+ * @returns {Promise<string|null>} Null if the report does not list it
+ */
+async function getDiagnosticsArtifactPath(id, name) {
+  const report = await getDiagnostics(id);
+  if (!report || !report.artifacts.includes(name)) return null;
+  return path.join(diagnosticsDir, id, name);
+}
+
+module.exports = {
+  runDiagnostics,
+  isDiagnosticsRunning,
+  listDiagnostics,
+  getDiagnostics,
+  getDiagnosticsArtifactPath,
+};
+
+// Command line: print one line per element and exit non-zero when
+// something is missing
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const accountAt = args.indexOf('--account');
+  const accountId = accountAt >= 0 ? args.splice(accountAt, 2)[1] : undefined;
+  runDiagnostics({ url: args[0], accountId })
+    .then((report) => {
+      for (const c of report.checks) {
+        const where = c.frame ? ` in ${c.frame}` : '';
+        const detail = c.status === 'skipped' ? ` (${c.reason})` : ` ${c.count} match(es)${where}`;
+        console.log(`${c.status.toUpperCase().padEnd(10)} ${c.group} / ${c.label}${detail}`);
+      }
+      if (report.error) console.error(`Error: ${report.error}`);
+      console.log(`\nReport: ${path.join(diagnosticsDir, report.id, 'report.json')}`);
+      process.exit(report.failures || report.error ? 1 : 0);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(2);
+    });
+}
@@ -0,0 +1,191 @@
+// utils/selectorRegistry.js
+//
+// Central registry of the CSS selectors the scraper uses on Sales
+// Navigator and inside the SignalHire and ContactOut extensions.  Each
+// logical element (e.g. `signalhire.card`) maps to a fallback chain:
+// selectors in order of preference, so a new LinkedIn or extension
+// build can be handled by putting the new selector in front while the
+// old one keeps working.
+//
+// The defaults live in `config/selectors.json` (versioned with the
+// code).  An override file – `config/selectors.override.json`, or the
+// path in SELECTORS_OVERRIDE_FILE – replaces the chains of the keys it
+// lists, so selectors can be patched on a running server: write the
+// file (or use `PUT /selectors`) and call `POST /selectors/reload`.
+// Both files have the shape
+//
+//   { "version": 1, "selectors": { "signalhire.card": ["li._new", "li._1VGRZDYbh"] } }
+//
+// `{n}` in a selector is a placeholder filled in by the caller (page
+// numbers in pagination).  Callers read selectors when they need them
+// rather than caching them, so a reload applies to the next lookup.
+
+const fs = require('fs');
+const path = require('path');
+const { selectorSyntaxError } = require('./cssSelectorSyntax');
+
+const defaultsFile = path.join(__dirname, '..', 'config', 'selectors.json');
+
+function getOverrideFile() {
+  return process.env.SELECTORS_OVERRIDE_FILE
+    ? path.resolve(process.env.SELECTORS_OVERRIDE_FILE)
+    : path.join(__dirname, '..', 'config', 'selectors.override.json');
+}
+
+/**
+ * Validate the `selectors` map of a registry file.  A single string is
+ * accepted as a chain of one.  Every selector must be valid CSS (with
+ * its `{n}` placeholders filled in), since a broken one makes each
+ * lookup that uses it throw.
+ *
+ * @param {*} selectors Map of key -> selector or fallback chain
+ * @param {string[]} [knownKeys] When given, other keys are rejected
+ * @returns {Object<string, string[]>} Normalised chains
+ * @throws {Error} If the map or a chain is malformed
+ */
+function validateSelectors(selectors, knownKeys) {
+  if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+    throw new Error('selectors must be an object of key -> selector list.');
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(selectors)) {
+    if (knownKeys && !knownKeys.includes(key)) {
+      throw new Error(`Unknown selector key "${key}".`);
+    }
+    const chain = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(chain) || !chain.length || chain.some((s) => typeof s !== 'string' || !s.trim())) {
+      throw new Error(`Selector "${key}" must be a non-empty list of selector strings.`);
+    }
+    out[key] = chain.map((s) => s.trim());
+    for (const selector of out[key]) {
+      const error = selectorSyntaxError(selector.replace(/\{\w+\}/g, '1'));
+      if (error) throw new Error(`Selector "${key}" is not valid CSS: ${selector} (${error}).`);
+    }
+  }
+  return out;
+}
+
+function readRegistryFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Selector file must contain a JSON object.');
+  }
+  return parsed;
+}
+
+// Build the registry from the defaults and the override file (if any)
+function loadRegistry({ skipOverride = false } = {}) {
+  const defaults = readRegistryFile(defaultsFile);
+  const chains = validateSelectors(defaults.selectors);
+  const overrideFile = getOverrideFile();
+  let override = null;
+  if (!skipOverride && fs.existsSync(overrideFile)) {
+    let parsed;
+    try {
+      parsed = readRegistryFile(overrideFile);
+      parsed.selectors = validateSelectors(parsed.selectors, Object.keys(chains));
+    } catch (err) {
+      throw new Error(`${path.basename(overrideFile)}: ${err.message}`);
+    }
+    override = { version: parsed.version ?? null, keys: Object.keys(parsed.selectors) };
+    Object.assign(chains, parsed.selectors);
+  }
+  return {
+    version: defaults.version ?? null,
+    override,
+    chains,
+    loadedAt: new Date().toISOString(),
+  };
+}
+
+// A broken override file must not stop the server from starting; the
+// defaults are used until it is fixed and reloaded
+let registry;
+try {
+  registry = loadRegistry();
+} catch (err) {
+  console.error(`[selectors] ${err.message}; using the defaults only.`);
+  registry = loadRegistry({ skipOverride: true });
+}
+
+/**
+ * Re-read the defaults and the override file.  On error the current
+ * registry stays in place.
+ *
+ * @returns {Object} The new registry summary (see describeSelectors())
+ * @throws {Error} If a file cannot be read or is invalid
+ */
+function reloadSelectors() {
+  registry = loadRegistry();
+  return describeSelectors();
+}
+
+/**
+ * Fallback chain of a logical element, most preferred first.
+ *
+ * @param {string} key Registry key, e.g. `signalhire.card`
+ * @param {Object} [vars] Values for `{name}` placeholders
+ * @returns {string[]}
+ * @throws {Error} If the key is not in the registry
+ */
+function selectorChain(key, vars = {}) {
+  const chain = registry.chains[key];
+  if (!chain) throw new Error(`Unknown selector key "${key}".`);
+  return chain.map((s) => s.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)));
+}
+
+/**
+ * A logical element as one CSS selector list matching any selector in
+ * its chain (for waits and visibility checks, where any match will do).
+ *
+ * @param {string} key Registry key
+ * @param {Object} [vars] Values for `{name}` placeholders
+ * @returns {string}
+ */
+function selector(key, vars) {
+  return selectorChain(key, vars).join(', ');
+}
+
+/**
+ * Summary of the loaded registry: defaults version, override file
+ * details, load time and every key's effective chain.
+ *
+ * @returns {{version: *, override: Object|null, overrideFile: string,
+ *   loadedAt: string, selectors: Object<string, string[]>}}
+ */
+function describeSelectors() {
+  return {
+    version: registry.version,
+    override: registry.override,
+    overrideFile: getOverrideFile(),
+    loadedAt: registry.loadedAt,
+    selectors: { ...registry.chains },
+  };
+}
+
+/**
+ * Replace the override file with new chains and reload.  The previous
+ * file is kept if the new selectors do not validate.
+ *
+ * @param {Object} input `{ version?, selectors }` as in the override file
+ * @returns {Object} The new registry summary
+ * @throws {Error} If the selectors are invalid
+ */
+function writeSelectorOverrides(input) {
+  const defaults = readRegistryFile(defaultsFile);
+  const selectors = validateSelectors(input && input.selectors, Object.keys(defaults.selectors || {}));
+  const file = getOverrideFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const body = { version: (input && input.version) ?? null, updatedAt: new Date().toISOString(), selectors };
+  fs.writeFileSync(file, JSON.stringify(body, null, 2));
+  return reloadSelectors();
+}
+
+module.exports = {
+  selector,
+  selectorChain,
+  reloadSelectors,
+  describeSelectors,
+  writeSelectorOverrides,
+  validateSelectors,
+};
@@ -2,13 +2,20 @@
 //
 // Normalize CSV headers to the new standard (no Email column).
 // Ensures the header order:
-// Full Name, First Name, Last Name, Title, Company, Person Location, LinkedIn URL, Website
-// Any other existing columns are preserved (except Email).
+// Full Name, First Name, Last Name, Title, Company, Person Location, LinkedIn URL, Website,
+// Sales Nav Lead URL, Connection Degree, Time in Role, Time at Company,
+// Past Positions, Shared Connections, Recently Posted, Changed Jobs, Company URN,
+// Phone 1, Phone 1 Type, Phone 2, Phone 2 Type, Website Match, Match Confidence (the same order saveProfilesCsv writes).  Missing columns are added
+// empty; any other existing columns are preserved (except Email).
+// Jobs that capture full emails also get Work Email 1..n and Personal
+// Email 1..n right after them; a legacy Email column's addresses move
+// into the first of those before it is dropped.
 
 const fs = require('fs/promises');
 const path = require('path');
 const { parse } = require('csv-parse/sync');
 const { stringify } = require('csv-stringify/sync');
+const { classifyEmails } = require('../contactOut/domainFilter');
 
 const CANONICAL_HEADERS = [
   { header: 'Full Name', aliases: ['Full Name', 'Name', 'full name', 'fullname', 'full_name'] },
@@ -19,8 +26,41 @@ const CANONICAL_HEADERS = [
   { header: 'Person Location', aliases: ['Person Location', 'Location', 'person_location', 'person location', 'location'] },
   { header: 'LinkedIn URL', aliases: ['LinkedIn URL', 'LinkedIn', 'person_title', 'linkedin url', 'linkedin'] },
   { header: 'Website', aliases: ['Website', 'domain', 'Domain', 'domain1', 'domain2', 'domain3'] },
+  { header: 'Sales Nav Lead URL', aliases: ['Sales Nav Lead URL', 'sales_nav_url', 'Sales Navigator URL'] },
+  { header: 'Connection Degree', aliases: ['Connection Degree', 'connection_degree', 'Degree'] },
+  // Lead panel details from deep extraction
+  { header: 'Time in Role', aliases: ['Time in Role', 'time_in_role'] },
+  { header: 'Time at Company', aliases: ['Time at Company', 'time_at_company'] },
+  { header: 'Past Positions', aliases: ['Past Positions', 'past_positions'] },
+  { header: 'Shared Connections', aliases: ['Shared Connections', 'shared_connections'] },
+  { header: 'Recently Posted', aliases: ['Recently Posted', 'recently_posted'] },
+  { header: 'Changed Jobs', aliases: ['Changed Jobs', 'changed_jobs'] },
+  { header: 'Company URN', aliases: ['Company URN', 'company_urn'] },
+  // E.164 phones from the SignalHire and ContactOut cards (utils/phoneNormalizer.js)
+  { header: 'Phone 1', aliases: ['Phone 1', 'phone_1', 'Phone'] },
+  { header: 'Phone 1 Type', aliases: ['Phone 1 Type', 'phone_1_type'] },
+  { header: 'Phone 2', aliases: ['Phone 2', 'phone_2'] },
+  { header: 'Phone 2 Type', aliases: ['Phone 2 Type', 'phone_2_type'] },
+  // How mergeContactDomains matched the row's Website
+  { header: 'Website Match', aliases: ['Website Match', 'website_match'] },
+  { header: 'Match Confidence', aliases: ['Match Confidence', 'match_confidence'] },
 ];
 
+// Most addresses of each type a job may keep
+const MAX_EMAILS_PER_TYPE = 5;
+
+/**
+ * The typed email columns for a number of addresses per type.
+ *
+ * @param {number} perType 0 (no columns) to MAX_EMAILS_PER_TYPE
+ * @returns {string[]} Work Email 1..n, then Personal Email 1..n
+ */
+function emailHeaders(perType) {
+  const n = Math.min(Math.max(Math.floor(Number(perType) || 0), 0), MAX_EMAILS_PER_TYPE);
+  const range = Array.from({ length: n }, (_, i) => i + 1);
+  return [...range.map((i) => `Work Email ${i}`), ...range.map((i) => `Personal Email ${i}`)];
+}
+
 function ciFind(headers, name) {
   const needle = String(name).toLowerCase();
   return headers.find((h) => String(h).toLowerCase() === needle);
@@ -52,9 +92,11 @@ function getValue(row, headers, aliases) {
  * @param {string} filePath Path to the CSV to upgrade
  * @param {Object} [opts]
  * @param {boolean} [opts.backup=true] Whether to write a .bak backup
+ * @param {number} [opts.emailsPerType=0] Add the typed email columns for
+ *   this many addresses per type (see emailHeaders())
  * @returns {Promise<{changed:boolean, columns?:string[], reason?:string}>}
  */
-async function upgradeCsvHeaders(filePath, { backup = true } = {}) {
+async function upgradeCsvHeaders(filePath, { backup = true, emailsPerType = 0 } = {}) {
   const full = path.resolve(filePath);
   const raw = await fs.readFile(full);
   const rows = parse(raw, {
@@ -69,8 +111,10 @@ async function upgradeCsvHeaders(filePath, { backup = true } = {}) {
   const headers = Object.keys(rows[0]);
   const lowerHeaders = headers.map((h) => String(h).toLowerCase());
   const hasEmail = lowerHeaders.includes('email');
+  const emailCols = emailHeaders(emailsPerType);
+  const emailColsLower = new Set(emailCols.map((h) => h.toLowerCase()));
 
-  const canonicalOrder = CANONICAL_HEADERS.map((c) => c.header);
+  const canonicalOrder = [...CANONICAL_HEADERS.map((c) => c.header), ...emailCols];
   const alreadyCanonical =
     !hasEmail &&
     headers.length >= canonicalOrder.length &&
@@ -84,6 +128,17 @@ async function upgradeCsvHeaders(filePath, { backup = true } = {}) {
       if (actual) usedHeaders.add(actual.toLowerCase());
       next[c.header] = getValue(row, headers, c.aliases);
     }
+    for (const h of emailCols) {
+      const actual = ciFind(headers, h);
+      if (actual) usedHeaders.add(actual.toLowerCase());
+      next[h] = actual ? row[actual] ?? '' : '';
+    }
+    if (emailCols.length && hasEmail) {
+      const legacy = row[ciFind(headers, 'email')] || '';
+      const { work, personal } = classifyEmails(legacy.split(/[\s,;]+/), 1);
+      if (work.length && !next['Work Email 1']) next['Work Email 1'] = work[0];
+      if (personal.length && !next['Personal Email 1']) next['Personal Email 1'] = personal[0];
+    }
     for (const h of headers) {
       const hLower = String(h).toLowerCase();
       if (hLower === 'email') continue;
@@ -95,7 +150,7 @@ async function upgradeCsvHeaders(filePath, { backup = true } = {}) {
 
   const extraHeaders = headers.filter((h) => {
     const hLower = String(h).toLowerCase();
-    if (hLower === 'email') return false;
+    if (hLower === 'email' || emailColsLower.has(hLower)) return false;
     return !CANONICAL_HEADERS.some((c) => c.aliases.some((a) => String(a).toLowerCase() === hLower));
   });
 
@@ -111,4 +166,4 @@ async function upgradeCsvHeaders(filePath, { backup = true } = {}) {
   return { changed: true, columns: finalHeaders };
 }
 
-module.exports = { upgradeCsvHeaders };
+module.exports = { upgradeCsvHeaders, emailHeaders, MAX_EMAILS_PER_TYPE };
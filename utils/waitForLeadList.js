@@ -1,12 +1,13 @@
 // utils/waitForLeadList.js
 // Helper to wait for the Sales Navigator lead list to be visible.  The
-// `page` passed in should already be on a Sales Navigator People
-// search results page.  This function waits for the lead rows to be
-// attached and visible, and then ensures that at least a few
-// elements have been rendered.  It uses Playwright's selectors and
-// waitForFunction to accomplish this.
+// `page` passed in should already be on a Sales Navigator results page
+// (people search, saved lead list or account search); the row selector
+// comes from that page type's profile in utils/pageProfiles.js.  This
+// function waits for the rows to be attached and visible, and then
+// ensures that at least a few elements have been rendered.  It uses
+// Playwright's selectors and waitForFunction to accomplish this.
 
-const ROW_TITLE = 'a[data-control-name^="view_lead_panel"]';
+const { profileForPage } = require('./pageProfiles');
 
 // Random delay helper.  Introducing a small pause after the list appears helps
 // avoid immediate automation actions that could appear bot‑like.  We import
@@ -22,6 +23,7 @@ const FAST_MODE = ['1', 'true', 'yes'].includes(String(process.env.FAST_MODE ||
  * @param {number} [timeout=10000] Timeout in milliseconds
  */
 async function waitForLeadList(page, timeout = 10_000) {
+  const ROW_TITLE = profileForPage(page).rowSelector;
   // Wait for at least one lead row to be visible.
   await page.waitForSelector(ROW_TITLE, { state: 'visible', timeout });
   // Wait for the element to be attached to the DOM.  The 'attached'
@@ -34,10 +36,10 @@ async function waitForLeadList(page, timeout = 10_000) {
   const minRows = FAST_MODE
     ? Math.max(1, Number(process.env.FAST_MIN_ROWS || '5') || 5)
     : 10;
+  // waitForFunction takes a single argument for the page function
   await page.waitForFunction(
-    (sel, n) => document.querySelectorAll(sel).length >= n,
-    ROW_TITLE,
-    minRows,
+    ({ sel, n }) => document.querySelectorAll(sel).length >= n,
+    { sel: ROW_TITLE, n: minRows },
     { timeout }
   );
   // Finally, give the page a tiny amount of idle time to settle,
@@ -0,0 +1,83 @@
+// utils/workerPool.js
+//
+// Describe the pool of scrape workers.  Each worker runs at most one
+// job at a time in its own persistent browser profile and with its own
+// cookie set, so several Sales Navigator searches can be scraped in
+// parallel without sharing sessions.  The pool size is read from the
+// SCRAPE_WORKERS environment variable (default 1).
+//
+// A worker object is the only state runScrape() needs: which job it is
+// running, whether a pause was requested and where its profile and
+// cookies live.  The scheduler in routes/scrapeRoutes.js owns the pool.
+
+const path = require('path');
+const { resolveCookieFiles } = require('./fileHandler');
+
+const rootDir = path.join(__dirname, '..');
+
+/**
+ * Number of workers configured through SCRAPE_WORKERS (minimum 1).
+ *
+ * @returns {number}
+ */
+function getConfiguredWorkerCount() {
+  const n = Math.floor(Number(process.env.SCRAPE_WORKERS || '1'));
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+/**
+ * Return the persistent browser profile directory for a worker.
+ * Worker 1 keeps the original `user_data/` folder so existing extension
+ * logins survive; other workers get `user_data_<id>/`.
+ *
+ * @param {number} workerId The worker id (1-based)
+ * @returns {string}
+ */
+function getWorkerUserDataDir(workerId) {
+  if (workerId === 1) return path.join(rootDir, 'user_data');
+  return path.join(rootDir, `user_data_${workerId}`);
+}
+
+/**
+ * Create an idle worker.
+ *
+ * @param {number} id The worker id (1-based)
+ */
+function createWorker(id) {
+  return {
+    id,
+    userDataDir: getWorkerUserDataDir(id),
+    isScraping: false,
+    isPaused: false,
+    pauseRequested: false,
+    currentJobId: null,
+  };
+}
+
+/**
+ * Create the worker pool.
+ *
+ * @param {number} [size] Number of workers; defaults to SCRAPE_WORKERS
+ * @returns {Object[]}
+ */
+function createWorkerPool(size = getConfiguredWorkerCount()) {
+  return Array.from({ length: Math.max(1, size) }, (_, i) => createWorker(i + 1));
+}
+
+/**
+ * Resolve the LinkedIn/SignalHire/ContactOut cookie files for a worker.
+ * Files are looked up on every call so that cookies saved while the
+ * server runs are picked up by the next job.
+ *
+ * @param {Object} worker A worker from createWorkerPool()
+ */
+function getWorkerCookieFiles(worker) {
+  return resolveCookieFiles(worker.id);
+}
+
+module.exports = {
+  getConfiguredWorkerCount,
+  getWorkerUserDataDir,
+  createWorkerPool,
+  getWorkerCookieFiles,
+};